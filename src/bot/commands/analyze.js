@@ -7,6 +7,10 @@ const engine = require('../../engine');
 const fileHandler = require('../handlers/fileHandler');
 const ResponseBuilder = require('../handlers/responseBuilder');
 
+// Fix review sessions per /analyze reply: the downloaded temp file is kept until the user applies a choice
+const REVIEW_TTL = 15 * 60 * 1000;
+const reviews = new Map();
+
 module.exports = {
   cooldown: 10,
   
@@ -16,7 +20,7 @@ module.exports = {
     .addAttachmentOption(option =>
       option
         .setName('file')
-        .setDescription('Excel or CSV file to analyze')
+        .setDescription('Spreadsheet or data file to analyze (xlsx, xls, ods, csv, tsv, json, ndjson, xml)')
         .setRequired(true)
     )
     .addStringOption(option =>
@@ -28,52 +32,151 @@ module.exports = {
           { name: '🔄 Auto (Recommended)', value: 'auto' },
           { name: '💰 Finance Focus', value: 'finance' },
           { name: '📈 Sales Focus', value: 'sales' },
+          { name: '📊 General Data', value: 'data' },
           { name: '🔍 Strict (Maximum)', value: 'strict' },
         )
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('rules')
+        .setDescription('Validation rules file (.json / .yaml)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('ruleset')
+        .setDescription('Saved rule set name (see /rules)')
+        .setRequired(false)
+    )
+    .addIntegerOption(option =>
+      option
+        .setName('table')
+        .setDescription('Table number when the sheet has several tables (default: largest)')
+        .setRequired(false)
+        .setMinValue(1)
+    )
+    .addStringOption(option =>
+      option
+        .setName('timezone')
+        .setDescription('Convert date/times to this zone (default: WIB)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'WIB (UTC+7)', value: 'WIB' },
+          { name: 'WITA (UTC+8)', value: 'WITA' },
+          { name: 'WIT (UTC+9)', value: 'WIT' },
+        )
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('rates')
+        .setDescription('Exchange rates to convert money columns to one currency (.json / .yaml / .csv)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('impute')
+        .setDescription('Fill empty cells, e.g. "Harga: median; Stok: ffill group Gudang order Tanggal"')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('merge')
+        .setDescription('Merge similar rows, e.g. "*: complete; Email: recent by Diperbarui"')
+        .setRequired(false)
     ),
 
   async execute(interaction) {
     const attachment = interaction.options.getAttachment('file');
     const mode = interaction.options.getString('mode') || 'auto';
+    const rulesAttachment = interaction.options.getAttachment('rules');
+    const ruleSet = interaction.options.getString('ruleset');
+    const table = interaction.options.getInteger('table');
+    const timezone = interaction.options.getString('timezone');
+    const ratesAttachment = interaction.options.getAttachment('rates');
+    const impute = interaction.options.getString('impute');
+    const merge = interaction.options.getString('merge');
 
     // Send processing message
     await interaction.deferReply();
 
+    let fileData = null;
     try {
       // Download file
       await interaction.editReply({
         embeds: [ResponseBuilder.buildProcessingEmbed('Downloading file')],
       });
 
-      const fileData = await fileHandler.downloadAttachment(attachment);
+      fileData = await fileHandler.downloadAttachment(attachment);
+
+      // Validation rules: uploaded file wins over saved rule set
+      let validationRules = null;
+      if (rulesAttachment) {
+        const rulesData = await fileHandler.downloadText(rulesAttachment, fileHandler.ruleExtensions);
+        validationRules = engine.loadValidationRules({
+          rules: rulesData.text,
+          fileName: rulesData.fileName,
+        });
+      } else if (ruleSet) {
+        validationRules = engine.loadValidationRules({
+          ruleSet,
+          team: interaction.guildId || interaction.user.id,
+        });
+      }
+
+      // Fill strategies / survivorship rules (validated before the file is processed)
+      const imputeRules = engine.imputation.normalize(impute);
+      const mergeRules = engine.survivorship.normalize(merge);
+
+      let rateTable = null;
+      if (ratesAttachment) {
+        const ratesData = await fileHandler.downloadText(ratesAttachment, fileHandler.rateExtensions);
+        rateTable = engine.loadRateTable({
+          rates: ratesData.text,
+          fileName: ratesData.fileName,
+        });
+      }
 
       // Process file
       await interaction.editReply({
         embeds: [ResponseBuilder.buildProcessingEmbed('Analyzing data')],
       });
 
-      const result = await engine.process(fileData.buffer, {
+      const options = {
         fileName: fileData.fileName,
         mode: mode,
-      });
+        validationRules,
+        table,
+        timezone,
+        rateTable,
+        impute: imputeRules,
+        merge: mergeRules,
+      };
+      const proposal = await engine.propose(fileData.path, options);
 
-      if (!result.success) {
-        throw new Error(result.error);
+      if (!proposal.success) {
+        throw new Error(proposal.error);
       }
 
-      // Build response
-      const embed = ResponseBuilder.buildAnalysisEmbed(result);
-      const changesEmbed = ResponseBuilder.buildChangesEmbed(result.changes);
-      
-      // Create output file
-      const outputFile = ResponseBuilder.createAttachment(
-        result.output.buffer,
-        result.output.filename
-      );
+      // Nothing to choose: clean straight away
+      if (proposal.fixes.length === 0) {
+        const result = await engine.process(fileData.path, options);
+        if (!result.success) throw new Error(result.error);
+        await this._sendResult(interaction, result);
+        return;
+      }
+
+      // Keep the file until the user picks the fixes (cleaning only runs from handleComponent)
+      reviews.set(interaction.id, {
+        userId: interaction.user.id,
+        path: fileData.path,
+        options,
+        selection: proposal.fixes.map(f => f.id),
+        timestamp: Date.now(),
+      });
 
       await interaction.editReply({
-        embeds: [embed, changesEmbed],
-        files: [outputFile],
+        embeds: [ResponseBuilder.buildProposalEmbed(proposal)],
+        components: ResponseBuilder.buildFixReviewComponents(proposal.fixes, interaction.id),
       });
 
     } catch (error) {
@@ -81,6 +184,94 @@ module.exports = {
       await interaction.editReply({
         embeds: [ResponseBuilder.buildErrorEmbed(error, 'Analysis Failed')],
       });
+    } finally {
+      // The file stays on disk only while a review is waiting for the user's choice
+      if (fileData && !reviews.has(interaction.id)) fileHandler.deleteTemp(fileData.path);
+    }
+  },
+
+  /**
+   * Buttons / select menu on the /analyze reply (customId "analyze:<action>:<key>")
+   */
+  async handleComponent(interaction) {
+    const [, action, key] = interaction.customId.split(':');
+    this._pruneReviews();
+    const review = reviews.get(key);
+
+    if (!review) {
+      return interaction.reply({ content: '⌛ This review has expired. Run `/analyze` again.', ephemeral: true });
+    }
+    if (review.userId !== interaction.user.id) {
+      return interaction.reply({ content: '🔒 Only the person who ran `/analyze` can choose the fixes.', ephemeral: true });
+    }
+
+    // Selecting only remembers the choice; the buttons clean the file
+    if (action === 'fixes') {
+      const shown = new Set(interaction.component.options.map(o => o.value));
+      review.selection = [...review.selection.filter(id => !shown.has(id)), ...interaction.values];
+      review.timestamp = Date.now();
+      return interaction.deferUpdate();
+    }
+
+    if (action === 'all') review.selection = null;
+    if (action === 'none') review.selection = [];
+
+    // The choice is final: a second click finds no review
+    reviews.delete(key);
+
+    await interaction.deferUpdate();
+    await interaction.editReply({
+      embeds: [ResponseBuilder.buildProcessingEmbed('Applying selected fixes')],
+      components: [],
+    });
+
+    try {
+      const result = await engine.process(review.path, { ...review.options, fixes: review.selection });
+      if (!result.success) throw new Error(result.error);
+
+      await this._sendResult(interaction, result);
+    } catch (error) {
+      console.error('Analyze fix review error:', error);
+      await interaction.editReply({
+        embeds: [ResponseBuilder.buildErrorEmbed(error, 'Applying Fixes Failed')],
+        components: [],
+      });
+    } finally {
+      fileHandler.deleteTemp(review.path);
+    }
+  },
+
+  async _sendResult(interaction, result) {
+    const embed = ResponseBuilder.buildAnalysisEmbed(result);
+    const changesEmbed = ResponseBuilder.buildChangesEmbed(result.changes, result.fixes);
+
+    // Create output file
+    const outputFile = ResponseBuilder.createAttachment(
+      result.output.buffer || result.output.path,
+      result.output.filename
+    );
+
+    await interaction.editReply({
+      embeds: [embed, changesEmbed],
+      files: [outputFile],
+      attachments: [],
+      components: [],
+    });
+
+    // Large files are streamed to a temp file
+    if (result.output.path) fileHandler.deleteTemp(result.output.path);
+  },
+
+  _pruneReviews() {
+    const now = Date.now();
+    for (const [key, review] of reviews.entries()) {
+      if (now - review.timestamp > REVIEW_TTL) {
+        fileHandler.deleteTemp(review.path);
+        reviews.delete(key);
+      }
     }
   },
 };
+
+// Drop abandoned reviews (and their temp files) even when nobody runs /analyze again
+setInterval(() => module.exports._pruneReviews(), 60 * 1000).unref();
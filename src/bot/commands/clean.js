@@ -6,6 +6,7 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const engine = require('../../engine');
 const fileHandler = require('../handlers/fileHandler');
 const ResponseBuilder = require('../handlers/responseBuilder');
+const recipes = require('./recipes');
 
 module.exports = {
   cooldown: 5,
@@ -16,7 +17,7 @@ module.exports = {
     .addAttachmentOption(option =>
       option
         .setName('file')
-        .setDescription('Excel or CSV file to clean')
+        .setDescription('Spreadsheet or data file to clean (xlsx, xls, ods, csv, tsv, json, ndjson, xml)')
         .setRequired(true)
     )
     .addBooleanOption(option =>
@@ -47,6 +48,19 @@ module.exports = {
           { name: 'UPPERCASE', value: 'upper' },
           { name: 'lowercase', value: 'lower' },
         )
+    )
+    .addIntegerOption(option =>
+      option
+        .setName('table')
+        .setDescription('Table number when the sheet has several tables (default: largest)')
+        .setRequired(false)
+        .setMinValue(1)
+    )
+    .addStringOption(option =>
+      option
+        .setName('recipe')
+        .setDescription('Saved recipe to run instead of the options above (see /recipes)')
+        .setRequired(false)
     ),
 
   async execute(interaction) {
@@ -55,18 +69,24 @@ module.exports = {
     const removeEmpty = interaction.options.getBoolean('empty') ?? true;
     const trimWhitespace = interaction.options.getBoolean('trim') ?? true;
     const textCase = interaction.options.getString('textcase');
+    const table = interaction.options.getInteger('table');
+    const recipeName = interaction.options.getString('recipe');
 
     await interaction.deferReply();
 
+    let fileData = null;
     try {
-      const fileData = await fileHandler.downloadAttachment(attachment);
+      const recipe = recipeName ? recipes.findRecipe(interaction, recipeName) : null;
+      fileData = await fileHandler.downloadAttachment(attachment);
 
-      const result = await engine.quickClean(fileData.buffer, {
+      const result = await engine.quickClean(fileData.path, {
         fileName: fileData.fileName,
         removeDuplicates,
         removeEmpty,
         trimWhitespace,
         textCase,
+        recipe,
+        table,
       });
 
       if (!result.success) {
@@ -85,9 +105,16 @@ module.exports = {
         )
         .setTimestamp();
 
+      if (result.recipe) {
+        embed.addFields({
+          name: `🧾 Recipe: ${result.recipe}`,
+          value: result.steps.map((step, i) => `${i + 1}. ${step.description} - ${step.changes}`).join('\n').slice(0, 1024),
+        });
+      }
+
       const outputFile = ResponseBuilder.createAttachment(
-        result.buffer,
-        `cleaned_${fileData.fileName}`
+        result.buffer || result.path,
+        `cleaned_${fileData.fileName.replace(/\.[^/.]+$/, '')}.xlsx`
       );
 
       await interaction.editReply({
@@ -95,11 +122,15 @@ module.exports = {
         files: [outputFile],
       });
 
+      if (result.path) fileHandler.deleteTemp(result.path);
+
     } catch (error) {
       console.error('Clean command error:', error);
       await interaction.editReply({
         embeds: [ResponseBuilder.buildErrorEmbed(error, 'Cleaning Failed')],
       });
+    } finally {
+      if (fileData) fileHandler.deleteTemp(fileData.path);
     }
   },
 };
@@ -16,7 +16,7 @@ module.exports = {
     .addAttachmentOption(option =>
       option
         .setName('file')
-        .setDescription('Excel or CSV file to convert')
+        .setDescription('Spreadsheet or data file to convert (xlsx, xls, ods, csv, tsv, json, ndjson, xml)')
         .setRequired(true)
     )
     .addStringOption(option =>
@@ -32,21 +32,31 @@ module.exports = {
           { name: '🗃️ SQL', value: 'sql' },
           { name: '📰 XML', value: 'xml' },
         )
+    )
+    .addIntegerOption(option =>
+      option
+        .setName('table')
+        .setDescription('Table number when the sheet has several tables (default: largest)')
+        .setRequired(false)
+        .setMinValue(1)
     ),
 
   async execute(interaction) {
     const attachment = interaction.options.getAttachment('file');
     const format = interaction.options.getString('format');
+    const table = interaction.options.getInteger('table');
 
     await interaction.deferReply();
 
+    let fileData = null;
     try {
-      const fileData = await fileHandler.downloadAttachment(attachment);
+      fileData = await fileHandler.downloadAttachment(attachment);
 
-      const result = await engine.convert(fileData.buffer, format, {
+      const result = await engine.convert(fileData.path, format, {
         fileName: fileData.fileName,
         pretty: true,
         tableName: 'data',
+        table,
       });
 
       if (!result.success) {
@@ -76,19 +86,24 @@ module.exports = {
         )
         .setTimestamp();
 
-      const outputBuffer = Buffer.from(result.output, 'utf-8');
-      const outputFile = ResponseBuilder.createAttachment(outputBuffer, outputFileName);
+      // Streamed conversions are already on disk
+      const output = result.path || Buffer.from(result.output, 'utf-8');
+      const outputFile = ResponseBuilder.createAttachment(output, outputFileName);
 
       await interaction.editReply({
         embeds: [embed],
         files: [outputFile],
       });
 
+      if (result.path) fileHandler.deleteTemp(result.path);
+
     } catch (error) {
       console.error('Convert command error:', error);
       await interaction.editReply({
         embeds: [ResponseBuilder.buildErrorEmbed(error, 'Conversion Failed')],
       });
+    } finally {
+      if (fileData) fileHandler.deleteTemp(fileData.path);
     }
   },
 };
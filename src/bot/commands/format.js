@@ -16,7 +16,7 @@ module.exports = {
     .addAttachmentOption(option =>
       option
         .setName('file')
-        .setDescription('Excel or CSV file to format')
+        .setDescription('Spreadsheet or data file to format (xlsx, xls, ods, csv, tsv, json, ndjson, xml)')
         .setRequired(true)
     )
     .addStringOption(option =>
@@ -32,10 +32,11 @@ module.exports = {
 
     await interaction.deferReply();
 
+    let fileData = null;
     try {
-      const fileData = await fileHandler.downloadAttachment(attachment);
+      fileData = await fileHandler.downloadAttachment(attachment);
 
-      const result = await engine.applyFormat(fileData.buffer, instructions, {
+      const result = await engine.applyFormat(fileData.path, instructions, {
         fileName: fileData.fileName,
       });
 
@@ -65,7 +66,7 @@ module.exports = {
 
       const outputFile = ResponseBuilder.createAttachment(
         result.buffer,
-        `formatted_${fileData.fileName}`
+        `formatted_${fileData.fileName.replace(/\.[^/.]+$/, '')}.xlsx`
       );
 
       await interaction.editReply({
@@ -78,6 +79,8 @@ module.exports = {
       await interaction.editReply({
         embeds: [ResponseBuilder.buildErrorEmbed(error, 'Formatting Failed')],
       });
+    } finally {
+      if (fileData) fileHandler.deleteTemp(fileData.path);
     }
   },
 };
@@ -0,0 +1,183 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND: /recipes - Manage saved cleaning recipes (per server or personal)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const engine = require('../../engine');
+const fileHandler = require('../handlers/fileHandler');
+const ResponseBuilder = require('../handlers/responseBuilder');
+
+/**
+ * Owner of a recipe: the server, or the user for personal recipes (and in DMs)
+ */
+function recipeOwner(interaction, personal) {
+  return personal || !interaction.guildId ? interaction.user.id : interaction.guildId;
+}
+
+module.exports = {
+  cooldown: 5,
+
+  data: new SlashCommandBuilder()
+    .setName('recipes')
+    .setDescription('🧾 Manage cleaning recipes')
+    .addSubcommand(sub =>
+      sub
+        .setName('save')
+        .setDescription('Save or import a recipe file (.json / .yaml)')
+        .addAttachmentOption(option =>
+          option
+            .setName('file')
+            .setDescription('Recipe file: { "name", "steps": [...] }')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Recipe name (default: name in the file)')
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('personal')
+            .setDescription('Save for you only instead of the whole server')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('list')
+        .setDescription('List saved recipes')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('export')
+        .setDescription('Download a recipe as JSON')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Recipe name')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('delete')
+        .setDescription('Delete a saved recipe')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Recipe name')
+            .setRequired(true)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('personal')
+            .setDescription('Delete your personal recipe')
+            .setRequired(false)
+        )
+    ),
+
+  recipeOwner,
+
+  /**
+   * Find a recipe by name: personal recipes first, then the server's
+   */
+  findRecipe(interaction, name) {
+    const owners = [...new Set([recipeOwner(interaction, true), recipeOwner(interaction, false)])];
+    for (const owner of owners) {
+      if (engine.recipeStore.get(owner, name)) return engine.loadRecipe({ recipeName: name, team: owner });
+    }
+    throw new Error(`Recipe "${name}" not found. See \`/recipes list\``);
+  },
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const personal = interaction.options.getBoolean('personal') ?? false;
+
+    await interaction.deferReply();
+
+    try {
+      let embed;
+      let files = [];
+
+      switch (subcommand) {
+        case 'save': {
+          const attachment = interaction.options.getAttachment('file');
+          const fileData = await fileHandler.downloadText(attachment, fileHandler.recipeExtensions);
+
+          const saved = engine.saveRecipe(
+            recipeOwner(interaction, personal),
+            interaction.options.getString('name'),
+            fileData.text,
+            fileData.fileName
+          );
+
+          embed = new EmbedBuilder()
+            .setColor(ResponseBuilder.COLORS.SUCCESS)
+            .setTitle('🧾 Recipe Saved')
+            .setDescription([
+              `**${saved.name}**${personal ? ' (personal)' : ''}`,
+              ...saved.value.steps.map((step, i) => `${i + 1}. ${engine.recipeSchema.describeStep(step)}`),
+              '',
+              `Use it with \`/clean recipe:${saved.name}\``,
+            ].join('\n'))
+            .setTimestamp();
+          break;
+        }
+
+        case 'list': {
+          const serverRecipes = interaction.guildId ? engine.recipeStore.list(interaction.guildId) : [];
+          const personalRecipes = engine.recipeStore.list(interaction.user.id);
+          const lines = [
+            ...serverRecipes.map(r => `• **${r.name}** (updated ${r.updatedAt.slice(0, 10)})`),
+            ...personalRecipes.map(r => `• **${r.name}** 👤 (updated ${r.updatedAt.slice(0, 10)})`),
+          ];
+
+          embed = new EmbedBuilder()
+            .setColor(ResponseBuilder.COLORS.PRIMARY)
+            .setTitle('🧾 Saved Recipes')
+            .setDescription(lines.length > 0 ? lines.join('\n') : 'No recipes saved yet. Use `/recipes save`.')
+            .setTimestamp();
+          break;
+        }
+
+        case 'export': {
+          const recipe = this.findRecipe(interaction, interaction.options.getString('name'));
+
+          files = [ResponseBuilder.createAttachment(
+            Buffer.from(JSON.stringify(recipe.source, null, 2)),
+            `recipe_${recipe.name.replace(/[^\w-]+/g, '_')}.json`
+          )];
+          embed = new EmbedBuilder()
+            .setColor(ResponseBuilder.COLORS.PRIMARY)
+            .setTitle('🧾 Recipe Export')
+            .setDescription(`**${recipe.name}** - import it elsewhere with \`/recipes save\``)
+            .setTimestamp();
+          break;
+        }
+
+        case 'delete': {
+          const name = interaction.options.getString('name');
+          if (!engine.recipeStore.delete(recipeOwner(interaction, personal), name)) {
+            throw new Error(`Recipe "${name}" not found`);
+          }
+
+          embed = new EmbedBuilder()
+            .setColor(ResponseBuilder.COLORS.SUCCESS)
+            .setTitle('🧾 Recipe Deleted')
+            .setDescription(`Removed **${name}**`)
+            .setTimestamp();
+          break;
+        }
+      }
+
+      await interaction.editReply({ embeds: [embed], files });
+
+    } catch (error) {
+      console.error('Recipes command error:', error);
+      await interaction.editReply({
+        embeds: [ResponseBuilder.buildErrorEmbed(error, 'Recipes Command Failed')],
+      });
+    }
+  },
+};
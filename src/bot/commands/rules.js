@@ -0,0 +1,112 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND: /rules - Manage saved validation rule sets (per server)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const engine = require('../../engine');
+const fileHandler = require('../handlers/fileHandler');
+const ResponseBuilder = require('../handlers/responseBuilder');
+
+module.exports = {
+  cooldown: 5,
+
+  data: new SlashCommandBuilder()
+    .setName('rules')
+    .setDescription('📐 Manage validation rule sets')
+    .addSubcommand(sub =>
+      sub
+        .setName('save')
+        .setDescription('Save a rule file (.json / .yaml) for this server')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Rule set name')
+            .setRequired(true)
+        )
+        .addAttachmentOption(option =>
+          option
+            .setName('file')
+            .setDescription('Rule file (.json / .yaml)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('list')
+        .setDescription('List saved rule sets')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('delete')
+        .setDescription('Delete a saved rule set')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Rule set name')
+            .setRequired(true)
+        )
+    ),
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const team = interaction.guildId || interaction.user.id;
+
+    await interaction.deferReply();
+
+    try {
+      let embed;
+
+      switch (subcommand) {
+        case 'save': {
+          const name = interaction.options.getString('name');
+          const attachment = interaction.options.getAttachment('file');
+          const fileData = await fileHandler.downloadText(attachment, fileHandler.ruleExtensions);
+
+          engine.saveRuleSet(team, name, fileData.text, fileData.fileName);
+
+          embed = new EmbedBuilder()
+            .setColor(ResponseBuilder.COLORS.SUCCESS)
+            .setTitle('📐 Rule Set Saved')
+            .setDescription(`Use it with \`/analyze ruleset:${name}\``)
+            .setTimestamp();
+          break;
+        }
+
+        case 'list': {
+          const ruleSets = engine.ruleStore.list(team);
+
+          embed = new EmbedBuilder()
+            .setColor(ResponseBuilder.COLORS.PRIMARY)
+            .setTitle('📐 Saved Rule Sets')
+            .setDescription(ruleSets.length > 0
+              ? ruleSets.map(r => `• **${r.name}** (updated ${r.updatedAt.slice(0, 10)})`).join('\n')
+              : 'No rule sets saved yet. Use `/rules save`.')
+            .setTimestamp();
+          break;
+        }
+
+        case 'delete': {
+          const name = interaction.options.getString('name');
+          if (!engine.ruleStore.delete(team, name)) {
+            throw new Error(`Rule set "${name}" not found`);
+          }
+
+          embed = new EmbedBuilder()
+            .setColor(ResponseBuilder.COLORS.SUCCESS)
+            .setTitle('📐 Rule Set Deleted')
+            .setDescription(`Removed **${name}**`)
+            .setTimestamp();
+          break;
+        }
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+      console.error('Rules command error:', error);
+      await interaction.editReply({
+        embeds: [ResponseBuilder.buildErrorEmbed(error, 'Rules Command Failed')],
+      });
+    }
+  },
+};
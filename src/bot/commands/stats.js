@@ -16,7 +16,7 @@ module.exports = {
     .addAttachmentOption(option =>
       option
         .setName('file')
-        .setDescription('Excel or CSV file to analyze')
+        .setDescription('Spreadsheet or data file to analyze (xlsx, xls, ods, csv, tsv, json, ndjson, xml)')
         .setRequired(true)
     ),
 
@@ -25,9 +25,10 @@ module.exports = {
 
     await interaction.deferReply();
 
+    let fileData = null;
     try {
-      const fileData = await fileHandler.downloadAttachment(attachment);
-      const analysis = await engine.analyze(fileData.buffer, {
+      fileData = await fileHandler.downloadAttachment(attachment);
+      const analysis = await engine.analyze(fileData.path, {
         fileName: fileData.fileName,
       });
 
@@ -43,6 +44,8 @@ module.exports = {
       await interaction.editReply({
         embeds: [ResponseBuilder.buildErrorEmbed(error, 'Statistics Failed')],
       });
+    } finally {
+      if (fileData) fileHandler.deleteTemp(fileData.path);
     }
   },
 };
@@ -7,12 +7,16 @@ const http = require('http');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const { FILE } = require('../../utils/constants');
 
 class FileHandler {
   constructor() {
     this.tempDir = path.join(process.cwd(), 'temp');
-    this.maxFileSize = 10 * 1024 * 1024; // 10MB
-    this.allowedExtensions = ['.xlsx', '.xls', '.csv'];
+    this.maxFileSize = FILE.MAX_SIZE;
+    this.allowedExtensions = FILE.ALLOWED_EXTENSIONS;
+    this.ruleExtensions = ['.json', '.yaml', '.yml'];
+    this.rateExtensions = ['.json', '.yaml', '.yml', '.csv'];
+    this.recipeExtensions = ['.json', '.yaml', '.yml'];
     
     // Ensure temp directory exists
     if (!fs.existsSync(this.tempDir)) {
@@ -25,62 +29,85 @@ class FileHandler {
   // ─────────────────────────────────────────────────────────────────────────
 
   /**
-   * Download attachment from Discord
+   * Download attachment from Discord into a temp file (large files never sit in memory)
+   * Delete it with deleteTemp(fileData.path) once processed.
    * @param {Attachment} attachment - Discord attachment object
-   * @returns {Promise<Object>} File info with buffer
+   * @param {string[]} allowedExtensions - Override allowed extensions
+   * @returns {Promise<Object>} File info with temp path
    */
-  async downloadAttachment(attachment) {
+  async downloadAttachment(attachment, allowedExtensions = this.allowedExtensions) {
     // Validate file
-    const validation = this.validateFile(attachment);
+    const validation = this.validateFile(attachment, allowedExtensions);
     if (!validation.valid) {
       throw new Error(validation.error);
     }
 
+    const extension = path.extname(attachment.name).toLowerCase();
+    const tempPath = path.join(this.tempDir, `${uuidv4()}${extension}`);
+
     return new Promise((resolve, reject) => {
       const url = attachment.url;
       const protocol = url.startsWith('https') ? https : http;
 
-      const chunks = [];
       let totalSize = 0;
+      const fail = (error) => {
+        this.deleteTemp(tempPath);
+        reject(error);
+      };
 
       protocol.get(url, (response) => {
         if (response.statusCode !== 200) {
+          response.resume();
           reject(new Error(`Failed to download: HTTP ${response.statusCode}`));
           return;
         }
 
+        const file = fs.createWriteStream(tempPath);
+
         response.on('data', (chunk) => {
           totalSize += chunk.length;
           
           if (totalSize > this.maxFileSize) {
             response.destroy();
-            reject(new Error(`File too large (max ${this.maxFileSize / 1024 / 1024}MB)`));
-            return;
+            file.destroy();
+            fail(new Error(`File too large (max ${this.maxFileSize / 1024 / 1024}MB)`));
           }
-          
-          chunks.push(chunk);
         });
 
-        response.on('end', () => {
-          const buffer = Buffer.concat(chunks);
-          
+        response.pipe(file);
+
+        file.on('finish', () => {
           resolve({
-            buffer,
+            path: tempPath,
             fileName: attachment.name,
-            fileSize: buffer.length,
-            extension: path.extname(attachment.name).toLowerCase(),
+            fileSize: totalSize,
+            extension,
           });
         });
 
-        response.on('error', reject);
+        file.on('error', fail);
+        response.on('error', fail);
       }).on('error', reject);
     });
   }
 
+  /**
+   * Download a small text attachment (rules, rates, recipes) and return its content
+   * @returns {Promise<Object>} { text, fileName }
+   */
+  async downloadText(attachment, allowedExtensions) {
+    const fileData = await this.downloadAttachment(attachment, allowedExtensions);
+    try {
+      return { text: fs.readFileSync(fileData.path, 'utf-8'), fileName: fileData.fileName };
+    } finally {
+      this.deleteTemp(fileData.path);
+    }
+  }
+
   /**
    * Validate file before processing
    */
-  validateFile(attachment) {
+  validateFile(attachment, allowedExtensions = this.allowedExtensions) {
     // Check size
     if (attachment.size > this.maxFileSize) {
       return {
@@ -91,10 +118,10 @@ class FileHandler {
 
     // Check extension
     const ext = path.extname(attachment.name).toLowerCase();
-    if (!this.allowedExtensions.includes(ext)) {
+    if (!allowedExtensions.includes(ext)) {
       return {
         valid: false,
-        error: `Invalid file type. Allowed: ${this.allowedExtensions.join(', ')}`,
+        error: `Invalid file type. Allowed: ${allowedExtensions.join(', ')}`,
       };
     }
 
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const fileHandler = require('./fileHandler');
+
+const content = 'Nama,Total\nBudi,1000\n'.repeat(500);
+
+test('attachments are streamed to a temp file, not kept in memory', async (t) => {
+  const server = http.createServer((req, res) => {
+    res.statusCode = req.url === '/missing' ? 404 : 200;
+    res.end(req.url === '/missing' ? '' : content);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const fileData = await fileHandler.downloadAttachment({ url: `${url}/data`, name: 'data.csv', size: content.length });
+  assert.strictEqual(fileData.buffer, undefined);
+  assert.strictEqual(fs.readFileSync(fileData.path, 'utf-8'), content);
+  assert.strictEqual(fileData.fileSize, content.length);
+  fileHandler.deleteTemp(fileData.path);
+
+  await assert.rejects(
+    fileHandler.downloadAttachment({ url: `${url}/missing`, name: 'data.csv', size: 1 }),
+    /HTTP 404/
+  );
+
+  const text = await fileHandler.downloadText({ url: `${url}/rules`, name: 'rules.yaml', size: 1 }, fileHandler.ruleExtensions);
+  assert.strictEqual(text.text, content);
+});
@@ -2,7 +2,14 @@
 // RESPONSE BUILDER - Build formatted Discord responses
 // ═══════════════════════════════════════════════════════════════════════════
 
-const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const {
+  EmbedBuilder,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require('discord.js');
 
 class ResponseBuilder {
   // ─────────────────────────────────────────────────────────────────────────
@@ -41,12 +48,29 @@ class ResponseBuilder {
         value: `\`\`\`
 Before: ${this._getProgressBar(qualityBefore)} ${qualityBefore}%
 After:  ${this._getProgressBar(qualityAfter)} ${qualityAfter}%
-        (+${improvement}% improvement)
+        (${improvement >= 0 ? '+' : ''}${improvement}% improvement)
 \`\`\``,
         inline: false,
       }
     );
 
+    // Scorecard per dimension (before → after)
+    const dimensions = analysis?.qualityScore?.dimensions;
+    if (dimensions) {
+      const after = result.afterAnalysis?.qualityScore?.dimensions || {};
+      const weights = analysis.qualityScore.weights || {};
+      const lines = Object.entries(dimensions).map(([dim, score]) =>
+        `${dim.padEnd(12)} ${this._getProgressBar(after[dim] ?? score, 10)} ${String(score).padStart(3)}% → ${String(after[dim] ?? score).padStart(3)}%  (w ${weights[dim]})`);
+
+      embed.addFields(
+        {
+          name: '🧭 Quality Scorecard',
+          value: `\`\`\`\n${lines.join('\n')}\n\`\`\``,
+          inline: false,
+        }
+      );
+    }
+
     // Data Overview
     embed.addFields(
       {
@@ -67,11 +91,93 @@ After:  ${this._getProgressBar(qualityAfter)} ${qualityAfter}%
         value: `
 🟢 **Auto-Fixed:** ${summary.issuesFixed}
 🟡 **Needs Review:** ${summary.issuesNeedReview}
+✅ **Resolved:** ${summary.issuesResolved ?? 0}
+📌 **Remaining:** ${summary.issuesRemaining ?? 0} (${summary.issuesPartial ?? 0} partly fixed)
+🆕 **Introduced:** ${summary.issuesIntroduced ?? 0}
+        `,
+        inline: true,
+      }
+    );
+
+    // Issues still present after cleaning
+    const remaining = result.issueDiff?.remaining || [];
+    if (remaining.length > 0) {
+      const lines = remaining.slice(0, 5).map(i => {
+        const partly = i.affectedRows < i.affectedRowsBefore ? ` (${i.affectedRowsBefore} → ${i.affectedRows} rows)` : '';
+        return `• ${i.message}${partly}`.slice(0, 180);
+      });
+      if (remaining.length > 5) lines.push(`…and ${remaining.length - 5} more (see report)`);
+      embed.addFields(
+        {
+          name: '📌 Remaining Issues',
+          value: lines.join('\n'),
+          inline: false,
+        }
+      );
+    }
+
+    // Rules run for the selected mode
+    if (analysis?.rulesRun?.length > 0) {
+      embed.addFields(
+        {
+          name: `⚙️ Mode: ${analysis.mode}`,
+          value: analysis.rulesRun.map(r => `• ${r.name} (${r.issuesFound})`).join('\n'),
+          inline: false,
+        }
+      );
+    }
+
+    return embed;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // FIX PROPOSAL EMBED
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Analysis-only result of engine.propose: nothing is cleaned until the user picks the fixes
+   */
+  static buildProposalEmbed(proposal) {
+    const { summary, fixes } = proposal;
+
+    const embed = new EmbedBuilder()
+      .setColor(this.COLORS.INFO)
+      .setTitle('🧠 ANALYSIS COMPLETE – CHOOSE FIXES')
+      .setDescription(`File analyzed in ${proposal.totalTimeFormatted}. Pick the fixes to apply, then press **Apply selected fixes**.`)
+      .setTimestamp();
+
+    embed.addFields(
+      {
+        name: '📊 Data Quality Score',
+        value: `\`\`\`
+${this._getProgressBar(summary.qualityScore)} ${summary.qualityScore}%
+\`\`\``,
+        inline: false,
+      },
+      {
+        name: '📋 Data Overview',
+        value: `
+• **Rows:** ${summary.rows.toLocaleString()}
+• **Issues Found:** ${summary.issuesFound}
+• **Needs Review:** ${summary.issuesNeedReview}
         `,
         inline: true,
       }
     );
 
+    if (fixes.length > 0) {
+      const lines = fixes.slice(0, 10).map(f =>
+        `• ${f.operation}${f.column ? ` (${f.column})` : ''}: ${f.affectedRows} row(s)`.slice(0, 180));
+      if (fixes.length > 10) lines.push(`…and ${fixes.length - 10} more`);
+      embed.addFields(
+        {
+          name: `🛠️ Proposed Fixes (${fixes.length})`,
+          value: lines.join('\n'),
+          inline: false,
+        }
+      );
+    }
+
     return embed;
   }
 
@@ -79,27 +185,78 @@ After:  ${this._getProgressBar(qualityAfter)} ${qualityAfter}%
   // CHANGES EMBED
   // ─────────────────────────────────────────────────────────────────────────
 
-  static buildChangesEmbed(changes) {
+  static buildChangesEmbed(changes, fixes = null) {
     const embed = new EmbedBuilder()
       .setColor(this.COLORS.INFO)
       .setTitle('✅ Changes Applied');
 
     const summaryChanges = changes.filter(c => c.type === 'SUMMARY');
+    const skipped = (fixes || []).filter(f => !f.selected);
     
-    if (summaryChanges.length === 0) {
+    if (summaryChanges.length === 0 && skipped.length === 0) {
       embed.setDescription('No changes were necessary.');
       return embed;
     }
 
-    let description = '';
+    let description = summaryChanges.length === 0 ? 'No fixes applied.\n' : '';
     summaryChanges.forEach(change => {
       description += `✓ **${change.operation}:** ${change.count} changes\n`;
     });
 
+    // Fixes the user switched off in the review
+    if (skipped.length > 0) {
+      description += `\n⏭️ **Skipped:** ${skipped.slice(0, 5).map(f => f.operation + (f.column ? ` (${f.column})` : '')).join(', ')}`;
+      if (skipped.length > 5) description += ` …and ${skipped.length - 5} more`;
+    }
+
     embed.setDescription(description);
     return embed;
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // FIX REVIEW COMPONENTS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Select menu of proposed fixes (max 25, the rest stay applied) + apply button
+   * @param {Object[]} fixes - From cleaner.proposeFixes (selected = currently applied)
+   * @param {string} key - Review session key, see /analyze
+   */
+  static buildFixReviewComponents(fixes, key) {
+    if (fixes.length === 0) return [];
+
+    const shown = fixes.slice(0, 25);
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`analyze:fixes:${key}`)
+      .setPlaceholder('Choose the fixes to apply')
+      .setMinValues(0)
+      .setMaxValues(shown.length)
+      .addOptions(shown.map(fix => ({
+        label: `${fix.operation}${fix.column ? ` – ${fix.column}` : ''}`.slice(0, 100),
+        description: `${fix.affectedRows} row(s) · ${fix.suggestion || fix.message}`.slice(0, 100),
+        value: fix.id,
+        default: fix.selected,
+      })));
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`analyze:apply:${key}`)
+        .setLabel('Apply selected fixes')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`analyze:all:${key}`)
+        .setLabel('Apply all')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`analyze:none:${key}`)
+        .setLabel('Skip all fixes')
+        .setStyle(ButtonStyle.Danger),
+    );
+
+    return [new ActionRowBuilder().addComponents(menu), buttons];
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // ERROR EMBED
   // ─────────────────────────────────────────────────────────────────────────
@@ -197,9 +354,11 @@ ${stage}...
       {
         name: '📊 Analysis & Cleaning',
         value: `
-\`/analyze\` - Full intelligent analysis + auto-fix
-\`/clean\` - Quick data cleaning
+\`/analyze\` - Full intelligent analysis + auto-fix (pick the fixes to keep on the reply)
+\`/clean\` - Quick data cleaning (or a saved recipe)
+\`/recipes\` - Manage cleaning recipes
 \`/stats\` - View data statistics
+\`/rules\` - Manage validation rule sets
         `,
         inline: false,
       },
@@ -238,7 +397,7 @@ ${stage}...
   }
 
   /**
-   * Create file attachment from buffer
+   * Create file attachment from buffer (or file path for streamed outputs)
    */
   static createAttachment(buffer, fileName) {
     return new AttachmentBuilder(buffer, { name: fileName });
@@ -95,6 +95,11 @@ class ExcelBot {
   }
 
   async handleInteraction(interaction) {
+    if (interaction.isMessageComponent()) {
+      await this.handleComponent(interaction);
+      return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
 
     const command = this.commands.get(interaction.commandName);
@@ -138,6 +143,31 @@ class ExcelBot {
     }
   }
 
+  /**
+   * Buttons / select menus: customId "<command>:<action>:..." goes to command.handleComponent
+   */
+  async handleComponent(interaction) {
+    const command = this.commands.get(interaction.customId.split(':')[0]);
+    if (!command?.handleComponent) return;
+
+    try {
+      await command.handleComponent(interaction);
+    } catch (error) {
+      console.error(`❌ Error handling ${interaction.customId}:`, error);
+
+      const errorMessage = {
+        content: '❌ An error occurred while handling this action.',
+        ephemeral: true,
+      };
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage);
+      } else {
+        await interaction.reply(errorMessage);
+      }
+    }
+  }
+
   async login() {
     const token = process.env.DISCORD_TOKEN;
     
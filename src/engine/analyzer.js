@@ -2,14 +2,48 @@
 // ANALYZER ENGINE - Intelligent Analysis Core
 // ═══════════════════════════════════════════════════════════════════════════
 
-const { ISSUE_TYPES, SEVERITY, PATTERNS, COLUMN_TYPES, INDONESIA } = require('../utils/constants');
+const { ISSUE_TYPES, SEVERITY, PATTERNS, COLUMN_TYPES, INDONESIA, MODE_PROFILES, QUALITY_DIMENSIONS } = require('../utils/constants');
 const helpers = require('../utils/helpers');
+const ruleSchema = require('../utils/ruleSchema');
+const rateTable = require('../utils/rateTable');
+const imputation = require('../utils/imputation');
+const survivorship = require('../utils/survivorship');
+const fuzzyMatcher = require('../utils/fuzzyMatcher');
+
+// Rule registry: id (dipakai di MODE_PROFILES) → analysis method
+const RULES = {
+  structure: { name: 'Structure Analysis', method: '_analyzeStructure' },
+  format: { name: 'Format Consistency', method: '_analyzeFormatConsistency' },
+  currency: { name: 'Currency Consistency', method: '_analyzeCurrency' },
+  quality: { name: 'Data Quality', method: '_analyzeDataQuality' },
+  duplicates: { name: 'Duplicate Detection', method: '_analyzeDuplicates' },
+  outliers: { name: 'Outlier Detection', method: '_analyzeOutliers' },
+  logic: { name: 'Logic & Calculation', method: '_analyzeLogic' },
+  indonesia: { name: 'Indonesia-Specific Validation', method: '_analyzeIndonesiaSpecific' },
+  sequenceOrder: { name: 'Sequence Order', method: '_analyzeSequenceOrder' },
+  customer: { name: 'Per-Customer Consistency', method: '_analyzeCustomers' },
+  product: { name: 'Per-Product Pricing', method: '_analyzeProducts' },
+  schema: { name: 'Validation Rules', method: '_analyzeSchemaRules' },
+  relations: { name: 'Cross-Sheet Integrity', method: '_analyzeRelations' },
+  formulas: { name: 'Formula Checks', method: '_analyzeFormulas' },
+};
 
 class Analyzer {
   constructor() {
     this.issues = [];
     this.stats = {};
     this.analysisMode = 'auto';
+    this.profile = MODE_PROFILES.auto;
+    this.thresholds = { ...MODE_PROFILES.auto.thresholds };
+    this.validationRules = null;
+    this.fuzzyColumns = null;
+    this.sheets = {};
+    this.activeSheet = null;
+    this.relations = [];
+    this.timezone = INDONESIA.DEFAULT_TIMEZONE;
+    this.rateTable = null;
+    this.impute = null;
+    this.merge = null;
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -20,12 +54,33 @@ class Analyzer {
    * Run full intelligent analysis on data
    * @param {Object} parsedData - Data from FileParser
    * @param {Object} options - Analysis options
+   * @param {string} options.mode - Analysis mode (see MODE_PROFILES)
+   * @param {Object} options.validationRules - Schema from ruleSchema.load()
+   * @param {Object} options.qualityWeights - Scorecard weight overrides { accuracy: 0.3, ... }
+   * @param {string[]} options.skipRules - Rule ids to leave out (e.g. checks done elsewhere)
+   * @param {string} options.timezone - Zone of times without a suffix (default WIB)
+   * @param {Object} options.rateTable - Exchange rates from rateTable.load() (mixed currencies become auto-fixable)
+   * @param {Object} options.impute - Fill strategies per column from imputation.normalize() (empty cells become auto-fixable)
+   * @param {Object} options.merge - Survivorship rules from survivorship.normalize() (fuzzy duplicate groups become auto-fixable)
    * @returns {Object} Analysis results
    */
   analyze(parsedData, options = {}) {
     const startTime = Date.now();
     this.issues = [];
-    this.analysisMode = options.mode || 'auto';
+    this.analysisMode = MODE_PROFILES[options.mode] ? options.mode : 'auto';
+    this.profile = MODE_PROFILES[this.analysisMode];
+    this.thresholds = { ...MODE_PROFILES.auto.thresholds, ...this.profile.thresholds };
+    this.validationRules = options.validationRules || null;
+    this.fuzzyColumns = options.fuzzyColumns || null;
+    this.weights = this._resolveWeights(options.qualityWeights);
+    const offset = helpers.timezoneOffset(options.timezone);
+    this.timezone = offset !== null ? helpers.timezoneLabel(offset) : INDONESIA.DEFAULT_TIMEZONE;
+    this.rateTable = options.rateTable || null;
+    this.impute = options.impute || null;
+    this.merge = options.merge || null;
+    this.sheets = parsedData.sheets || {};
+    this.activeSheet = parsedData.activeSheet || null;
+    this.relations = [];
 
     const { headers, data, columnTypes, columnStats } = parsedData;
 
@@ -39,29 +94,27 @@ class Analyzer {
     }
 
     // ─────────────────────────────────────────────────────────────────────
-    // Run all analysis modules
+    // Run the rule pack of the selected mode
     // ─────────────────────────────────────────────────────────────────────
 
-    // 1. Structure Analysis
-    this._analyzeStructure(headers, data);
+    const rulesRun = [];
+    const skipRules = options.skipRules || [];
+    const ruleIds = (this.validationRules ? [...this.profile.rules, 'schema'] : this.profile.rules)
+      .filter(ruleId => !skipRules.includes(ruleId));
 
-    // 2. Format Consistency Analysis
-    this._analyzeFormatConsistency(headers, data, columnTypes);
+    // Subtotal/total rows are reported first, then kept out of every other rule
+    const aggregateRows = this._analyzeAggregateRows(headers, data);
+    const rows = aggregateRows.size > 0 ? data.filter(row => !aggregateRows.has(row._rowIndex)) : data;
+    rulesRun.push({ id: 'aggregates', name: 'Subtotal & Total Rows', issuesFound: this.issues.length });
 
-    // 3. Data Quality Analysis
-    this._analyzeDataQuality(headers, data);
+    ruleIds.forEach(ruleId => {
+      const rule = RULES[ruleId];
+      if (!rule) return;
 
-    // 4. Duplicate Analysis
-    this._analyzeDuplicates(headers, data);
-
-    // 5. Outlier Analysis
-    this._analyzeOutliers(headers, data, columnTypes);
-
-    // 6. Logic & Calculation Analysis
-    this._analyzeLogic(headers, data, columnTypes);
-
-    // 7. Indonesia-Specific Validation
-    this._analyzeIndonesiaSpecific(headers, data, columnTypes);
+      const before = this.issues.length;
+      this[rule.method](headers, rows, columnTypes);
+      rulesRun.push({ id: ruleId, name: rule.name, issuesFound: this.issues.length - before });
+    });
 
     // ─────────────────────────────────────────────────────────────────────
     // Calculate summary statistics
@@ -79,14 +132,17 @@ class Analyzer {
       critical: this.issues.filter(i => i.severity === SEVERITY.CRITICAL),
     };
 
-    // Calculate data quality score
-    const qualityScore = this._calculateQualityScore(data, this.issues);
+    // Calculate data quality scorecard
+    const qualityScore = this._calculateQualityScore(headers, rows, this.issues);
 
     return {
       success: true,
       analysisTime: Date.now() - startTime,
       analysisTimeFormatted: helpers.formatDuration(Date.now() - startTime),
       mode: this.analysisMode,
+      rulesRun,
+      thresholds: this.thresholds,
+      relations: this.relations,
       
       // Summary
       summary,
@@ -108,6 +164,99 @@ class Analyzer {
     };
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // SUBTOTAL & TOTAL ROWS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Find embedded aggregate rows by label ("Total", "Subtotal", "Jumlah") and by
+   * values that equal the sum of the rows above them
+   * @returns {Set} _rowIndex of aggregate rows
+   */
+  _analyzeAggregateRows(headers, data) {
+    const found = new Set();
+    if (data.length < 3) return found;
+
+    const numericCols = headers.filter(h => {
+      const values = data.map(row => row[h]).filter(v => !helpers.isEmpty(v));
+      return values.length > 0 && values.filter(v => !isNaN(helpers.parseNumber(v))).length / values.length >= 0.8;
+    });
+    if (numericCols.length === 0) return found;
+
+    const textCols = headers.filter(h => !numericCols.includes(h));
+    const blockSums = {};
+    const totalSums = {};
+    numericCols.forEach(h => { blockSums[h] = 0; totalSums[h] = 0; });
+    let blockSize = 0;
+    let dataSeen = 0;
+    const aggregates = [];
+
+    const equals = (value, expected) =>
+      expected !== 0 && Math.abs(value - expected) <= Math.max(0.01, Math.abs(expected) * 1e-9);
+
+    data.forEach(row => {
+      const label = textCols
+        .map(h => row[h])
+        .find(v => !helpers.isEmpty(v) && PATTERNS.AGGREGATE_LABEL.test(String(v)));
+      const filledText = textCols.filter(h => !helpers.isEmpty(row[h])).length;
+      const numbers = {};
+      numericCols.forEach(h => {
+        const value = helpers.isEmpty(row[h]) ? NaN : helpers.parseNumber(row[h]);
+        if (!isNaN(value)) numbers[h] = value;
+      });
+      const filledNumbers = Object.keys(numbers);
+
+      // Columns whose value equals the block above (subtotal) or everything above (total)
+      const subtotalCols = blockSize >= 2 ? filledNumbers.filter(h => equals(numbers[h], blockSums[h])) : [];
+      const totalCols = dataSeen >= 2 ? filledNumbers.filter(h => equals(numbers[h], totalSums[h])) : [];
+      const matched = subtotalCols.length >= totalCols.length ? subtotalCols : totalCols;
+      const sumMatch = filledNumbers.length > 0 && matched.length >= Math.ceil(filledNumbers.length / 2);
+
+      const isAggregate = label
+        ? filledText <= 1 || sumMatch
+        : sumMatch && filledText === 0 && textCols.length > 0;
+
+      if (isAggregate) {
+        aggregates.push({ rowIndex: row._rowIndex, label: label || null, matchedColumns: matched, dataSeen });
+        numericCols.forEach(h => { blockSums[h] = 0; });
+        blockSize = 0;
+        return;
+      }
+
+      filledNumbers.forEach(h => {
+        blockSums[h] += numbers[h];
+        totalSums[h] += numbers[h];
+      });
+      blockSize++;
+      dataSeen++;
+    });
+
+    if (aggregates.length === 0) return found;
+
+    aggregates.forEach(aggregate => {
+      const label = String(aggregate.label || '').toLowerCase();
+      const hasDataAfter = aggregate.dataSeen < dataSeen;
+      aggregate.kind = /sub/.test(label) ? 'subtotal'
+        : /grand|keseluruhan/.test(label) ? 'total'
+          : hasDataAfter ? 'subtotal' : 'total';
+      delete aggregate.dataSeen;
+      found.add(aggregate.rowIndex);
+    });
+
+    this._addIssue({
+      type: ISSUE_TYPES.AGGREGATE_ROW,
+      severity: SEVERITY.AUTO_FIX,
+      message: `Found ${aggregates.length} subtotal/total rows mixed into the data (rows ${aggregates.slice(0, 5).map(a => a.rowIndex).join(', ')}${aggregates.length > 5 ? ', ...' : ''})`,
+      suggestion: 'Remove them or move them to a separate sheet so they are not counted twice',
+      autoFix: true,
+      affectedRows: aggregates.length,
+      details: aggregates.slice(0, 10),
+      fixInfo: { rows: aggregates.map(a => a.rowIndex) },
+    });
+
+    return found;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // STRUCTURE ANALYSIS
   // ─────────────────────────────────────────────────────────────────────────
@@ -176,11 +325,20 @@ class Analyzer {
 
       switch (type) {
         case 'date':
-          this._checkDateConsistency(header, values);
+          this._checkDateConsistency(header, values, columnTypes[header]?.dateOrder);
+          break;
+        case 'time':
+        case 'datetime':
+          this._checkTimeValues(header, values, type, columnTypes[header]);
+          break;
+        case 'duration':
+          this._checkDurationValues(header, values);
           break;
         case 'currency':
         case 'number':
-          this._checkNumberConsistency(header, values, type);
+          // Codes / account numbers keep their own format ("001.234" is not 1234)
+          if (helpers.isIdentifierHeader(header)) break;
+          this._checkNumberConsistency(header, values, type, columnTypes[header]?.numberLocale);
           break;
         case 'phone':
           this._checkPhoneConsistency(header, values);
@@ -195,21 +353,25 @@ class Analyzer {
     });
   }
 
-  _checkDateConsistency(header, values) {
+  _checkDateConsistency(header, values, dateOrder) {
     const formats = new Set();
+
+    // Day/month order is decided per column: a day above 12 is the evidence
+    const { order, ambiguous, conflicting, evidence } = dateOrder || helpers.detectDateOrder(values.map(v => v.value));
+    const dayMonth = order === 'MDY' ? ['MM', 'DD'] : ['DD', 'MM'];
     
     values.forEach(({ value, rowIndex }) => {
       const str = String(value);
       
       // Detect format
       if (/^\d{4}-\d{2}-\d{2}/.test(str)) formats.add('ISO');
-      else if (/^\d{1,2}\/\d{1,2}\/\d{4}/.test(str)) formats.add('DD/MM/YYYY');
-      else if (/^\d{1,2}-\d{1,2}-\d{4}/.test(str)) formats.add('DD-MM-YYYY');
+      else if (/^\d{1,2}\/\d{1,2}\/\d{4}/.test(str)) formats.add(`${dayMonth.join('/')}/YYYY`);
+      else if (/^\d{1,2}-\d{1,2}-\d{4}/.test(str)) formats.add(`${dayMonth.join('-')}-YYYY`);
       else if (/^\d{1,2}\s+\w+\s+\d{4}/.test(str)) formats.add('DD MMM YYYY');
       else formats.add('OTHER');
 
       // Check for future dates
-      if (helpers.isFutureDate(value)) {
+      if (helpers.isFutureDate(value, { order, timezone: this.timezone })) {
         this._addIssue({
           type: ISSUE_TYPES.FUTURE_DATE,
           severity: SEVERITY.NEEDS_REVIEW,
@@ -235,23 +397,119 @@ class Analyzer {
         affectedRows: values.length,
       });
     }
+
+    // No value tells day and month apart (all parts 12 or less)
+    if (ambiguous) {
+      this._addIssue({
+        type: ISSUE_TYPES.DATE_ORDER_AMBIGUOUS,
+        severity: SEVERITY.NEEDS_REVIEW,
+        column: header,
+        message: `Day/month order in column "${header}" cannot be determined (no day above 12)`,
+        details: evidence,
+        suggestion: 'Confirm whether these dates are DD/MM or MM/DD; DD/MM is assumed',
+        affectedRows: evidence.either,
+      });
+    }
+
+    // Both orders occur: the minority rows are probably swapped or wrong
+    if (conflicting) {
+      const minority = order === 'MDY' ? 'DMY' : 'MDY';
+      const rows = values.filter(v => helpers.dateOrderEvidence(v.value) === minority);
+
+      this._addIssue({
+        type: ISSUE_TYPES.DATE_ORDER_CONFLICT,
+        severity: SEVERITY.NEEDS_REVIEW,
+        column: header,
+        message: `Column "${header}" mixes ${dayMonth.join('/')} and ${[...dayMonth].reverse().join('/')} dates`,
+        details: {
+          evidence,
+          rows: rows.slice(0, 10).map(v => ({ row: v.rowIndex, value: v.value })),
+        },
+        suggestion: `Most dates are ${dayMonth.join('/')}/YYYY; check the ${rows.length} other values`,
+        affectedRows: rows.length,
+      });
+    }
   }
 
-  _checkNumberConsistency(header, values, type) {
+  _checkTimeValues(header, values, type, columnType = {}) {
+    const order = columnType.dateOrder?.order;
+
+    // 25:10, 08:75, 13:00 PM, 31/02/2024 08:15
+    const invalid = values.filter(({ value }) => (type === 'datetime'
+      ? helpers.parseDateTime(value, { order }) === null
+      : helpers.parseTime(value) === null));
+
+    if (invalid.length > 0) {
+      this._addIssue({
+        type: ISSUE_TYPES.TIME_INVALID,
+        severity: SEVERITY.NEEDS_REVIEW,
+        column: header,
+        message: `${invalid.length} impossible or unreadable ${type === 'datetime' ? 'date/time' : 'time'} value(s) in column "${header}"`,
+        details: { rows: invalid.slice(0, 100).map(v => ({ row: v.rowIndex, value: v.value })) },
+        suggestion: type === 'datetime' ? 'Use DD/MM/YYYY HH:MM with hours 00-23' : 'Use HH:MM with hours 00-23 and minutes 00-59',
+        affectedRows: invalid.length,
+      });
+    }
+
+    // Branches in different zones (08:00 WIB next to 09:00 WITA) are not comparable as-is
+    const timezone = columnType.timezone;
+    if (timezone?.mixed) {
+      const zones = Object.entries(timezone.zones).map(([zone, count]) => `${zone} (${count})`).join(', ');
+
+      this._addIssue({
+        type: ISSUE_TYPES.TIMEZONE_MIXED,
+        severity: type === 'datetime' ? SEVERITY.AUTO_FIX : SEVERITY.NEEDS_REVIEW,
+        column: header,
+        message: `Column "${header}" mixes timezones: ${zones}`,
+        details: timezone,
+        suggestion: type === 'datetime'
+          ? `Convert all values to ${this.timezone}`
+          : 'Add a date or convert the times to one zone manually',
+        autoFix: type === 'datetime',
+        affectedRows: values.length - (timezone.zones[this.timezone] || 0),
+      });
+    }
+  }
+
+  _checkDurationValues(header, values) {
+    const invalid = values.filter(({ value }) => typeof value !== 'number' && helpers.parseDuration(String(value)) === null);
+
+    if (invalid.length > 0) {
+      this._addIssue({
+        type: ISSUE_TYPES.DURATION_INVALID,
+        severity: SEVERITY.NEEDS_REVIEW,
+        column: header,
+        message: `${invalid.length} value(s) in duration column "${header}" cannot be read as a duration`,
+        details: { rows: invalid.slice(0, 100).map(v => ({ row: v.rowIndex, value: v.value })) },
+        suggestion: 'Use h:mm or "2j 30m"',
+        affectedRows: invalid.length,
+      });
+    }
+  }
+
+  _checkNumberConsistency(header, values, type, numberLocale) {
     let hasInconsistentFormat = false;
     const issues = [];
+    const failures = [];
+
+    // Separators are decided per column: "1.234" follows the rest of the column
+    const { locale, conflicting, evidence } = numberLocale || helpers.detectNumberLocale(values.map(v => v.value));
 
     values.forEach(({ value, rowIndex }) => {
       const str = String(value);
       
       // Check for numbers stored as text
-      if (typeof value === 'string' && !isNaN(helpers.parseNumber(value))) {
-        issues.push({ rowIndex, value, issue: 'number_as_text' });
+      if (typeof value === 'string') {
+        if (!isNaN(helpers.parseNumber(value, { locale }))) {
+          issues.push({ rowIndex, value, issue: 'number_as_text' });
+        } else {
+          failures.push({ row: rowIndex, value });
+        }
       }
 
-      // Check currency format
+      // Check currency format (any symbol / ISO code counts, mixing is checked separately)
       if (type === 'currency') {
-        if (!/^[Rr][Pp]\.?\s?[\d.,]+$/.test(str) && !str.includes('Rp')) {
+        if (!helpers.detectCurrency(str)) {
           issues.push({ rowIndex, value, issue: 'currency_format' });
         }
       }
@@ -269,6 +527,84 @@ class Analyzer {
         details: issues.slice(0, 5),
       });
     }
+
+    // Cells that cannot be read as a number at all (left as-is by the cleaner)
+    if (failures.length > 0) {
+      this._addIssue({
+        type: ISSUE_TYPES.NUMBER_PARSE_FAILED,
+        severity: SEVERITY.NEEDS_REVIEW,
+        column: header,
+        message: `${failures.length} value(s) in ${type} column "${header}" cannot be read as a number`,
+        details: { rows: failures.slice(0, 100) },
+        suggestion: 'Correct these cells manually',
+        affectedRows: failures.length,
+      });
+    }
+
+    // Both 1.234,5 and 1,234.5 occur: the minority rows were probably pasted from another source
+    if (conflicting) {
+      const minority = locale === 'US' ? 'ID' : 'US';
+      const rows = values.filter(v => helpers.numberLocaleEvidence(v.value) === minority);
+      const label = style => (style === 'US' ? '1,234.56' : '1.234,56');
+
+      this._addIssue({
+        type: ISSUE_TYPES.NUMBER_LOCALE_CONFLICT,
+        severity: SEVERITY.NEEDS_REVIEW,
+        column: header,
+        message: `Column "${header}" mixes ${label(locale)} and ${label(minority)} number formats`,
+        details: {
+          evidence,
+          rows: rows.slice(0, 10).map(v => ({ row: v.rowIndex, value: v.value })),
+        },
+        suggestion: `Most values use ${label(locale)}; check the ${rows.length} other values`,
+        affectedRows: rows.length,
+      });
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CURRENCY CONSISTENCY
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _analyzeCurrency(headers, data, columnTypes) {
+    headers.forEach(header => {
+      if (columnTypes[header]?.type !== 'currency') return;
+
+      const values = data.map(row => ({ value: row[header], rowIndex: row._rowIndex }))
+                        .filter(v => v.value !== '' && v.value !== null);
+      if (values.length > 0) this._checkCurrencyMix(header, values, columnTypes[header].currency);
+    });
+  }
+
+  /**
+   * Rupiah next to US$ / S$ amounts: totals over the column are meaningless until converted
+   */
+  _checkCurrencyMix(header, values, currency) {
+    if (!currency?.mixed) return;
+
+    const codes = Object.keys(currency.codes);
+    const missing = this.rateTable ? rateTable.missingRates(codes, this.rateTable) : codes;
+    const convertible = !!this.rateTable && missing.length === 0;
+    const target = convertible ? this.rateTable.base : currency.code;
+    const counts = codes.map(code => `${code} (${currency.codes[code]})`).join(', ');
+
+    let suggestion = 'Upload a rate table to convert all values to one currency';
+    if (convertible) suggestion = `Convert all values to ${target} using "${this.rateTable.name}"`;
+    else if (this.rateTable) suggestion = `Add rates for ${missing.join(', ')} to "${this.rateTable.name}"`;
+
+    this._addIssue({
+      type: ISSUE_TYPES.CURRENCY_MIXED,
+      severity: convertible ? SEVERITY.AUTO_FIX : SEVERITY.NEEDS_REVIEW,
+      column: header,
+      message: `Column "${header}" mixes currencies: ${counts}`,
+      details: { ...currency, missingRates: this.rateTable ? missing : undefined },
+      suggestion,
+      autoFix: convertible,
+      affectedRows: values.filter(({ value }) => {
+        const code = helpers.detectCurrency(String(value));
+        return code && code !== target;
+      }).length,
+    });
   }
 
   _checkPhoneConsistency(header, values) {
@@ -396,6 +732,9 @@ class Analyzer {
   // ─────────────────────────────────────────────────────────────────────────
 
   _analyzeDataQuality(headers, data) {
+    // Columns with a fill strategy (see options.impute)
+    const imputeRules = this.impute ? imputation.resolve(this.impute, headers) : [];
+
     // Check for missing values in each column
     headers.forEach(header => {
       const emptyCount = data.filter(row => {
@@ -406,14 +745,20 @@ class Analyzer {
       const emptyPercent = (emptyCount / data.length) * 100;
 
       if (emptyPercent > 0 && emptyPercent < 100) {
+        const imputeRule = imputeRules.find(rule => rule.column === header);
+        if (imputeRule) {
+          this._addMissingValueIssue(header, data, imputeRule, emptyCount);
+          return;
+        }
+
         // Some missing values
-        if (emptyPercent > 20) {
+        if (emptyPercent > this.thresholds.emptyCellPercent) {
           this._addIssue({
             type: ISSUE_TYPES.EMPTY_CELL,
             severity: SEVERITY.NEEDS_REVIEW,
             column: header,
             message: `Column "${header}" has ${emptyPercent.toFixed(1)}% empty values`,
-            suggestion: 'Review if these should be filled',
+            suggestion: 'Review if these should be filled, or set an impute strategy (median, ffill, ...)',
             affectedRows: emptyCount,
           });
         }
@@ -421,11 +766,33 @@ class Analyzer {
     });
   }
 
+  /**
+   * Empty cells of a column with an impute strategy: auto-fixable when the strategy can fill them
+   */
+  _addMissingValueIssue(header, data, rule, emptyCount) {
+    const fillable = imputation.plan(data, rule).length;
+    const method = imputation.describe(rule);
+
+    this._addIssue({
+      type: ISSUE_TYPES.MISSING_VALUE,
+      severity: fillable > 0 ? SEVERITY.AUTO_FIX : SEVERITY.NEEDS_REVIEW,
+      column: header,
+      message: `Column "${header}" has ${emptyCount} empty values`,
+      suggestion: fillable === emptyCount
+        ? `Fill with ${method}`
+        : `Fill ${fillable} of ${emptyCount} with ${method}; the rest have no value to fill from`,
+      autoFix: fillable > 0,
+      affectedRows: fillable > 0 ? fillable : emptyCount,
+      details: { emptyCount, fillable, strategy: rule.strategy },
+      fixInfo: rule,
+    });
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // DUPLICATE ANALYSIS
   // ─────────────────────────────────────────────────────────────────────────
 
-  _analyzeDuplicates(headers, data) {
+  _analyzeDuplicates(headers, data, columnTypes) {
     // Exact duplicates
     const seen = new Map();
     const exactDuplicates = [];
@@ -456,66 +823,54 @@ class Analyzer {
       });
     }
 
-    // Fuzzy duplicates (similar but not exact)
-    this._analyzeFuzzyDuplicates(headers, data);
+    // Fuzzy duplicates (similar but not exact), exact copies are already reported
+    this._analyzeFuzzyDuplicates(headers, data, columnTypes, new Set(exactDuplicates.map(d => d.row)));
   }
 
-  _analyzeFuzzyDuplicates(headers, data) {
-    // Find potential key columns (name, email, phone, etc.)
-    const keyColumns = headers.filter(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('name') || lower.includes('email') || 
-             lower.includes('phone') || lower.includes('id') ||
-             lower.includes('nama') || lower.includes('telepon');
-    });
-
-    if (keyColumns.length === 0) return;
-
-    const fuzzyDuplicates = [];
-    const checked = new Set();
-
-    for (let i = 0; i < data.length; i++) {
-      for (let j = i + 1; j < data.length; j++) {
-        const key = `${i}-${j}`;
-        if (checked.has(key)) continue;
-        checked.add(key);
-
-        // Compare key columns
-        let similarCount = 0;
-        let totalChecked = 0;
-
-        keyColumns.forEach(col => {
-          const val1 = String(data[i][col] || '').toLowerCase().trim();
-          const val2 = String(data[j][col] || '').toLowerCase().trim();
-          
-          if (val1 && val2) {
-            totalChecked++;
-            const similarity = helpers.stringSimilarity(val1, val2);
-            if (similarity > 0.85) similarCount++;
-          }
-        });
-
-        if (totalChecked > 0 && similarCount === totalChecked) {
-          fuzzyDuplicates.push({
-            row1: data[i]._rowIndex,
-            row2: data[j]._rowIndex,
-            matchedColumns: keyColumns,
-          });
-        }
-      }
+  _analyzeFuzzyDuplicates(headers, data, columnTypes = {}, skipRows = new Set()) {
+    // Survivorship rules: groups are merged into one record instead of only reported
+    const mergeRules = this.merge ? survivorship.resolve(this.merge, headers) : null;
+
+    // Key columns: explicit per-column thresholds, or detected name/email/phone/id columns
+    const keyColumns = this.fuzzyColumns
+      ? Object.entries(this.fuzzyColumns)
+          .map(([name, threshold]) => ({ column: ruleSchema.resolveColumn(headers, name), threshold }))
+          .filter(c => c.column)
+      : headers.filter(h => {
+          const lower = h.toLowerCase();
+          return lower.includes('name') || lower.includes('email') || 
+                 lower.includes('phone') || lower.includes('id') ||
+                 lower.includes('nama') || lower.includes('telepon');
+        }).map(column => ({ column }));
+
+    const columns = keyColumns
+      .map(c => ({ ...c, kind: fuzzyMatcher.detectKind(c.column, columnTypes[c.column]?.type) }))
+      // A record ID (e.g. "C1001") differs between duplicate entries; NIK/NPWP identify the person
+      .filter(c => this.fuzzyColumns || c.kind !== 'id' ||
+        ['nik', 'npwp'].includes(columnTypes[c.column]?.type) || this._uniqueRatio(c.column, data) < 0.95);
+
+    if (columns.length === 0) return;
+
+    const clusters = fuzzyMatcher.findClusters(data, columns, {
+      threshold: this.thresholds.fuzzySimilarity,
+      skipRows,
+    });
 
-      // Limit check for performance
-      if (fuzzyDuplicates.length >= 50) break;
-    }
+    if (clusters.length > 0) {
+      const rowCount = clusters.reduce((sum, c) => sum + c.size, 0);
 
-    if (fuzzyDuplicates.length > 0) {
       this._addIssue({
         type: ISSUE_TYPES.DUPLICATE_FUZZY,
-        severity: SEVERITY.NEEDS_REVIEW,
-        message: `Found ${fuzzyDuplicates.length} potential duplicate entries`,
-        suggestion: 'Review these entries - they may be duplicates with slight differences',
-        affectedRows: fuzzyDuplicates.length * 2,
-        details: fuzzyDuplicates.slice(0, 10),
+        severity: mergeRules ? SEVERITY.AUTO_FIX : SEVERITY.NEEDS_REVIEW,
+        message: `Found ${clusters.length} groups of potential duplicates (${rowCount} rows)`,
+        suggestion: mergeRules
+          ? `Merge each group into one record (${survivorship.describe(mergeRules)})`
+          : 'Review these entries - they may be duplicates with slight differences',
+        autoFix: !!mergeRules,
+        affectedRows: rowCount,
+        details: clusters.slice(0, 10),
+        clusters,
+        ...(mergeRules ? { fixInfo: { clusters: clusters.map(c => ({ rows: c.rows, similarity: c.similarity })), rules: mergeRules } } : {}),
       });
     }
   }
@@ -530,8 +885,9 @@ class Analyzer {
       
       if (!['number', 'currency'].includes(type)) return;
 
+      const locale = columnTypes[header]?.numberLocale?.locale;
       const values = data.map(row => ({
-        value: helpers.parseNumber(row[header]),
+        value: helpers.parseNumber(row[header], { locale }),
         rowIndex: row._rowIndex,
         original: row[header],
       })).filter(v => !isNaN(v.value));
@@ -540,9 +896,10 @@ class Analyzer {
 
       const numbers = values.map(v => v.value);
       const outliers = [];
+      const { lowerBound, upperBound } = helpers.outlierBounds(numbers, this.thresholds.outlierIQR);
 
       values.forEach(({ value, rowIndex, original }) => {
-        if (helpers.isOutlier(value, numbers)) {
+        if (value < lowerBound || value > upperBound) {
           outliers.push({ rowIndex, value, original });
         }
       });
@@ -597,6 +954,89 @@ class Analyzer {
     });
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // FORMULA ANALYSIS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _analyzeFormulas(headers, data) {
+    headers.forEach(header => {
+      // Error values: #REF!, #DIV/0!, #N/A, ...
+      const errors = data
+        .filter(row => row._errors?.[header])
+        .map(row => ({
+          rowIndex: row._rowIndex,
+          error: row._errors[header],
+          formula: row._formulas?.[header]?.text,
+        }));
+
+      if (errors.length > 0) {
+        const codes = [...new Set(errors.map(e => e.error))];
+        this._addIssue({
+          type: ISSUE_TYPES.FORMULA_ERROR,
+          severity: SEVERITY.CRITICAL,
+          column: header,
+          message: `Found ${errors.length} error values (${codes.join(', ')}) in column "${header}"`,
+          suggestion: 'Fix the broken references or inputs, or wrap the formula in IFERROR',
+          autoFix: false,
+          affectedRows: errors.length,
+          details: errors.slice(0, 10),
+        });
+      }
+
+      // Formula column: most filled cells hold a formula
+      const filled = data.filter(row => row._formulas?.[header] || !helpers.isEmpty(row[header]));
+      const withFormula = filled.filter(row => row._formulas?.[header]);
+      if (withFormula.length < 2 || withFormula.length / filled.length < 0.5) return;
+
+      const shapes = {};
+      withFormula.forEach(row => {
+        const shape = row._formulas[header].shape;
+        shapes[shape] = (shapes[shape] || 0) + 1;
+      });
+      const [dominant, dominantCount] = Object.entries(shapes).sort((a, b) => b[1] - a[1])[0];
+
+      // Only judge deviations when one formula clearly dominates the column
+      if (dominantCount / withFormula.length >= 0.5) {
+        const example = withFormula.find(row => row._formulas[header].shape === dominant);
+        const inconsistent = withFormula.filter(row => row._formulas[header].shape !== dominant);
+
+        if (inconsistent.length > 0) {
+          this._addIssue({
+            type: ISSUE_TYPES.FORMULA_INCONSISTENT,
+            severity: SEVERITY.NEEDS_REVIEW,
+            column: header,
+            message: `Found ${inconsistent.length} formulas in column "${header}" that differ from the rest (e.g. ${example._formulas[header].text} in row ${example._rowIndex})`,
+            suggestion: 'Check if the formula was edited or copied from the wrong row',
+            autoFix: false,
+            affectedRows: inconsistent.length,
+            details: inconsistent.slice(0, 10).map(row => ({
+              rowIndex: row._rowIndex,
+              formula: row._formulas[header].text,
+            })),
+          });
+        }
+      }
+
+      // Typed values in a formula column (hardcoded overrides)
+      const overrides = filled.filter(row => !row._formulas?.[header]);
+      if (overrides.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.FORMULA_OVERRIDE,
+          severity: SEVERITY.NEEDS_REVIEW,
+          column: header,
+          message: `Found ${overrides.length} hardcoded values in formula column "${header}"`,
+          suggestion: 'Restore the formula so the value updates with its inputs',
+          autoFix: false,
+          affectedRows: overrides.length,
+          details: overrides.slice(0, 10).map(row => ({
+            rowIndex: row._rowIndex,
+            value: row[header],
+          })),
+        });
+      }
+    });
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // LOGIC & CALCULATION ANALYSIS
   // ─────────────────────────────────────────────────────────────────────────
@@ -624,8 +1064,9 @@ class Analyzer {
 
           if (!isNaN(qty) && !isNaN(price) && !isNaN(total)) {
             const expected = qty * price;
-            // Allow 1% tolerance for rounding
-            if (Math.abs(expected - total) > Math.max(1, expected * 0.01)) {
+            // Allow tolerance for rounding (1% by default)
+            const tolerance = Math.max(1, expected * this.thresholds.calcTolerancePercent / 100);
+            if (Math.abs(expected - total) > tolerance) {
               calcErrors.push({
                 rowIndex: row._rowIndex,
                 qty, price, total, expected,
@@ -651,15 +1092,51 @@ class Analyzer {
     }
 
     // Check for sequence gaps (invoice numbers, etc.)
-    const seqColumns = headers.filter(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('no') || lower.includes('number') || 
-             lower.includes('invoice') || lower.includes('id');
+    this._getSequenceColumns(headers).forEach(header => {
+      this._checkSequence(header, data);
     });
 
-    seqColumns.forEach(header => {
-      this._checkSequence(header, data);
+    this._checkTimeOrder(headers, data, columnTypes);
+  }
+
+  /**
+   * Check-out / end time before check-in / start time (attendance, shifts)
+   */
+  _checkTimeOrder(headers, data, columnTypes = {}) {
+    const timeColumns = headers.filter(h => ['time', 'datetime'].includes(columnTypes[h]?.type));
+    const startCol = timeColumns.find(h => /masuk|mulai|datang|check.?in|clock.?in|\bstart|\bin\b/i.test(h));
+    const endCol = timeColumns.find(h => h !== startCol && /keluar|pulang|selesai|check.?out|clock.?out|\bend\b|\bfinish|\bout\b/i.test(h));
+    if (!startCol || !endCol || columnTypes[startCol].type !== columnTypes[endCol].type) return;
+
+    // Without a date a wrong row cannot be told apart from a night shift
+    const withDate = columnTypes[startCol].type === 'datetime';
+    const read = (header, value) => (columnTypes[header].type === 'datetime'
+      ? helpers.parseDateTime(value, { order: columnTypes[header].dateOrder?.order })?.getTime() ?? null
+      : helpers.timeToSeconds(value));
+
+    const violations = [];
+    data.forEach(row => {
+      const start = read(startCol, row[startCol]);
+      const end = read(endCol, row[endCol]);
+      if (start === null || end === null) return;
+      if (end < start) {
+        violations.push({ rowIndex: row._rowIndex, start: row[startCol], end: row[endCol] });
+      }
     });
+
+    if (violations.length > 0) {
+      this._addIssue({
+        type: ISSUE_TYPES.TIME_ORDER,
+        severity: SEVERITY.NEEDS_REVIEW,
+        message: `Found ${violations.length} rows where "${endCol}" is before "${startCol}"`,
+        suggestion: withDate
+          ? 'Check the start and end of these rows'
+          : 'Check these rows; a night shift crossing midnight needs a date in both columns',
+        affectedRows: violations.length,
+        details: violations.slice(0, 10),
+        fixInfo: { startCol, endCol },
+      });
+    }
   }
 
   _checkSequence(header, data) {
@@ -676,29 +1153,546 @@ class Analyzer {
     // Sort and find gaps
     const sorted = [...new Set(numericParts)].sort((a, b) => a - b);
     const gaps = [];
+    let gapCount = 0;
 
     for (let i = 1; i < sorted.length; i++) {
       const diff = sorted[i] - sorted[i - 1];
       if (diff > 1) {
-        // Found gap
-        for (let j = sorted[i - 1] + 1; j < sorted[i]; j++) {
+        // Found gap (only list the first numbers, ranges can be huge)
+        gapCount += diff - 1;
+        for (let j = sorted[i - 1] + 1; j < sorted[i] && gaps.length < 100; j++) {
           gaps.push(j);
         }
       }
     }
 
-    if (gaps.length > 0 && gaps.length <= 10) {
+    const maxGaps = this.thresholds.maxSequenceGaps;
+    if (gapCount > 0 && (maxGaps === 0 || gapCount <= maxGaps)) {
       this._addIssue({
         type: ISSUE_TYPES.SEQUENCE_GAP,
         severity: SEVERITY.NEEDS_REVIEW,
         column: header,
         message: `Sequence gaps detected in column "${header}"`,
-        suggestion: 'Check if missing entries: ' + gaps.slice(0, 5).join(', ') + (gaps.length > 5 ? '...' : ''),
-        details: { missingNumbers: gaps },
+        suggestion: 'Check if missing entries: ' + gaps.slice(0, 5).join(', ') + (gapCount > 5 ? '...' : ''),
+        details: { missingNumbers: gaps, missingCount: gapCount },
       });
     }
   }
 
+  _getSequenceColumns(headers) {
+    return headers.filter(h => {
+      const lower = h.toLowerCase();
+      if (helpers.isBankAccountHeader(h)) return false;
+      return lower.includes('no') || lower.includes('number') || 
+             lower.includes('invoice') || lower.includes('id');
+    });
+  }
+
+  _analyzeSequenceOrder(headers, data) {
+    this._getSequenceColumns(headers).forEach(header => {
+      const outOfOrder = [];
+      let previous = null;
+
+      data.forEach(row => {
+        const match = String(row[header] ?? '').match(/\d+/g);
+        if (!match) return;
+
+        const current = parseInt(match[match.length - 1]);
+        if (previous !== null && current < previous.value) {
+          outOfOrder.push({ rowIndex: row._rowIndex, value: row[header], after: previous.original });
+        }
+        previous = { value: current, original: row[header] };
+      });
+
+      if (outOfOrder.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.SEQUENCE_ORDER,
+          severity: SEVERITY.NEEDS_REVIEW,
+          column: header,
+          message: `Found ${outOfOrder.length} out-of-order values in column "${header}"`,
+          suggestion: 'Check if entries were inserted or numbered out of order',
+          affectedRows: outOfOrder.length,
+          details: outOfOrder.slice(0, 10),
+        });
+      }
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // SALES-SPECIFIC VALIDATION
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _analyzeCustomers(headers, data, columnTypes) {
+    const customerCol = this._findColumn(headers, ['customer', 'pelanggan', 'client', 'klien', 'konsumen']);
+    if (!customerCol) return;
+
+    // Contact attributes should be identical for every row of the same customer
+    const attributeCols = headers.filter(h => {
+      if (h === customerCol) return false;
+      const type = columnTypes[h]?.type;
+      const lower = h.toLowerCase();
+      return type === 'email' || type === 'phone' ||
+             lower.includes('email') || lower.includes('phone') || lower.includes('telepon') ||
+             lower.includes('alamat') || lower.includes('address');
+    });
+
+    attributeCols.forEach(attrCol => {
+      const valuesByCustomer = new Map();
+
+      data.forEach(row => {
+        const customer = String(row[customerCol] ?? '').toLowerCase().trim();
+        const value = String(row[attrCol] ?? '').toLowerCase().replace(/\s+/g, '');
+        if (!customer || !value) return;
+
+        if (!valuesByCustomer.has(customer)) {
+          valuesByCustomer.set(customer, { name: row[customerCol], values: new Set(), rows: [] });
+        }
+        const entry = valuesByCustomer.get(customer);
+        entry.values.add(value);
+        entry.rows.push(row._rowIndex);
+      });
+
+      const inconsistent = Array.from(valuesByCustomer.values())
+        .filter(entry => entry.values.size > 1)
+        .map(entry => ({ customer: entry.name, distinctValues: entry.values.size, rows: entry.rows }));
+
+      if (inconsistent.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.CUSTOMER_INCONSISTENT,
+          severity: SEVERITY.NEEDS_REVIEW,
+          column: attrCol,
+          message: `Found ${inconsistent.length} customers with conflicting "${attrCol}" values`,
+          suggestion: `Use a single ${attrCol} per customer`,
+          affectedRows: inconsistent.reduce((sum, c) => sum + c.rows.length, 0),
+          details: inconsistent.slice(0, 10),
+        });
+      }
+    });
+  }
+
+  _analyzeProducts(headers, data) {
+    const productCol = this._findColumn(headers, ['product', 'produk', 'item', 'barang', 'sku']);
+    const priceCol = this._findColumn(headers, ['price', 'harga', 'unit']);
+    if (!productCol || !priceCol || productCol === priceCol) return;
+
+    const pricesByProduct = new Map();
+
+    data.forEach(row => {
+      const product = String(row[productCol] ?? '').toLowerCase().trim();
+      const price = helpers.parseNumber(row[priceCol]);
+      if (!product || isNaN(price)) return;
+
+      if (!pricesByProduct.has(product)) {
+        pricesByProduct.set(product, { name: row[productCol], entries: [] });
+      }
+      pricesByProduct.get(product).entries.push({ rowIndex: row._rowIndex, price });
+    });
+
+    const maxDeviation = this.thresholds.priceDeviationPercent / 100;
+
+    pricesByProduct.forEach(({ name, entries }) => {
+      if (entries.length < 2) return;
+
+      const { median } = helpers.calculateStats(entries.map(e => e.price));
+      if (median === 0) return;
+
+      const deviating = entries.filter(e => Math.abs(e.price - median) / median > maxDeviation);
+
+      if (deviating.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.PRICE_INCONSISTENT,
+          severity: SEVERITY.NEEDS_REVIEW,
+          column: priceCol,
+          message: `Product "${name}" has ${deviating.length} prices deviating more than ${this.thresholds.priceDeviationPercent}% from its median (${helpers.formatNumber(median)})`,
+          suggestion: 'Verify discounts or price list for this product',
+          affectedRows: deviating.length,
+          details: deviating.slice(0, 10).map(e => ({ ...e, median })),
+        });
+      }
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CROSS-SHEET INTEGRITY
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Detect key → foreign key relationships between sheets (e.g. Transaksi.Kode_Produk
+   * → Produk.Kode) and report orphans, unused master rows and denormalized mismatches
+   */
+  _analyzeRelations() {
+    const sheetNames = Object.keys(this.sheets).filter(name => this.sheets[name]?.data?.length > 0);
+    if (sheetNames.length < 2) return;
+
+    sheetNames.forEach(masterName => {
+      const master = this.sheets[masterName];
+      const keyColumns = master.headers.filter(h => this._isKeyColumn(h, master.data));
+
+      sheetNames.filter(name => name !== masterName).forEach(childName => {
+        const child = this.sheets[childName];
+
+        child.headers.forEach(foreignKey => {
+          const keyColumn = keyColumns.find(k => this._isForeignKeyName(foreignKey, k, masterName));
+          if (!keyColumn) return;
+
+          const relation = this._buildRelation(child, childName, foreignKey, master, masterName, keyColumn);
+          if (relation) this.relations.push(relation);
+        });
+      });
+    });
+
+    this.relations.forEach(relation => this._reportRelation(relation));
+  }
+
+  _buildRelation(child, childName, foreignKey, master, masterName, keyColumn) {
+    const normalizeKey = v => String(v).trim().toLowerCase();
+
+    const masterRows = new Map();
+    master.data.forEach(row => {
+      if (!helpers.isEmpty(row[keyColumn])) masterRows.set(normalizeKey(row[keyColumn]), row);
+    });
+
+    const childValues = new Set(child.data
+      .map(row => row[foreignKey])
+      .filter(v => !helpers.isEmpty(v))
+      .map(normalizeKey));
+    if (childValues.size === 0) return null;
+
+    // Most referenced values must exist in the master, otherwise the names match by accident
+    const matched = Array.from(childValues).filter(v => masterRows.has(v)).length;
+    if (matched < Math.min(2, childValues.size) || matched / childValues.size < 0.5) return null;
+
+    return {
+      childSheet: childName,
+      foreignKey,
+      masterSheet: masterName,
+      keyColumn,
+      matchRate: Math.round((matched / childValues.size) * 100),
+      child,
+      master,
+      masterRows,
+      normalizeKey,
+    };
+  }
+
+  _reportRelation(relation) {
+    const { childSheet, foreignKey, masterSheet, keyColumn, child, master, masterRows, normalizeKey } = relation;
+    const label = `${childSheet}.${foreignKey} → ${masterSheet}.${keyColumn}`;
+    const referenced = new Set();
+    const orphans = [];
+    const mismatches = {};
+
+    // Denormalized copies: child columns that also exist in the master (e.g. Nama_Produk)
+    const sharedColumns = child.headers
+      .filter(h => h !== foreignKey)
+      .map(h => ({ childCol: h, masterCol: this._findSharedColumn(h, master.headers, keyColumn, masterSheet) }))
+      .filter(c => c.masterCol);
+
+    child.data.forEach(row => {
+      const value = row[foreignKey];
+      if (helpers.isEmpty(value)) return;
+
+      const key = normalizeKey(value);
+      const masterRow = masterRows.get(key);
+
+      if (!masterRow) {
+        orphans.push({ rowIndex: row._rowIndex, value });
+        return;
+      }
+      referenced.add(key);
+
+      sharedColumns.forEach(({ childCol, masterCol }) => {
+        if (helpers.isEmpty(row[childCol]) || this._sameValue(row[childCol], masterRow[masterCol])) return;
+        if (!mismatches[childCol]) mismatches[childCol] = { masterCol, rows: [] };
+        mismatches[childCol].rows.push({
+          rowIndex: row._rowIndex,
+          key: value,
+          value: row[childCol],
+          expected: masterRow[masterCol],
+        });
+      });
+    });
+
+    if (orphans.length > 0) {
+      this._addIssue({
+        type: ISSUE_TYPES.ORPHAN_REFERENCE,
+        severity: SEVERITY.CRITICAL,
+        sheet: childSheet,
+        column: foreignKey,
+        message: `Found ${orphans.length} rows in "${childSheet}" referencing ${keyColumn} values missing from "${masterSheet}"`,
+        suggestion: `Add the missing entries to "${masterSheet}" or correct ${foreignKey}`,
+        affectedRows: orphans.length,
+        details: orphans.slice(0, 10),
+        relation: label,
+      });
+    }
+
+    const unused = master.data.filter(row =>
+      !helpers.isEmpty(row[keyColumn]) && !referenced.has(normalizeKey(row[keyColumn])));
+    if (unused.length > 0) {
+      this._addIssue({
+        type: ISSUE_TYPES.UNUSED_MASTER,
+        severity: SEVERITY.NEEDS_REVIEW,
+        sheet: masterSheet,
+        column: keyColumn,
+        message: `${unused.length} rows in "${masterSheet}" are never referenced by "${childSheet}"`,
+        suggestion: 'Check if these master entries are obsolete',
+        affectedRows: unused.length,
+        details: unused.slice(0, 10).map(row => ({ rowIndex: row._rowIndex, value: row[keyColumn] })),
+        relation: label,
+      });
+    }
+
+    Object.entries(mismatches).forEach(([childCol, { masterCol, rows }]) => {
+      this._addIssue({
+        type: ISSUE_TYPES.REFERENCE_MISMATCH,
+        severity: SEVERITY.NEEDS_REVIEW,
+        sheet: childSheet,
+        column: childCol,
+        message: `Found ${rows.length} rows where "${childCol}" differs from "${masterSheet}.${masterCol}"`,
+        suggestion: `Use the value from "${masterSheet}" for each ${keyColumn}`,
+        affectedRows: rows.length,
+        details: rows.slice(0, 10),
+        relation: label,
+      });
+    });
+
+    // Keep only the plain description in the analysis result
+    ['child', 'master', 'masterRows', 'normalizeKey'].forEach(key => delete relation[key]);
+    Object.assign(relation, {
+      orphanCount: orphans.length,
+      unusedCount: unused.length,
+      mismatchCount: Object.values(mismatches).reduce((sum, m) => sum + m.rows.length, 0),
+    });
+  }
+
+  /**
+   * Key column: unique, non-empty identifier-like values (ID, Kode, SKU, ...)
+   */
+  _isKeyColumn(header, data) {
+    const words = header.toLowerCase().split('_');
+    const keyLike = ['id', 'kode', 'code', 'sku', 'no', 'nomor', 'key'].some(k => words.includes(k));
+    const filled = data.filter(row => !helpers.isEmpty(row[header])).length;
+    return keyLike && filled >= data.length * 0.9 && this._uniqueRatio(header, data) === 1;
+  }
+
+  /**
+   * Does a child column name refer to a master key? "Kode_Produk" → Produk.Kode_Produk,
+   * "Product_ID" → Products.ID, "ID_Pelanggan" → Pelanggan.ID
+   */
+  _isForeignKeyName(childHeader, keyColumn, masterSheet) {
+    const child = childHeader.toLowerCase();
+    const key = keyColumn.toLowerCase();
+    if (child === key) return true;
+
+    const childWords = child.split('_');
+    const keyWords = key.split('_');
+    const sheetStem = this._sheetStem(masterSheet);
+
+    return keyWords.every(w => childWords.includes(w)) &&
+      childWords.some(w => w.length >= 3 && (w.startsWith(sheetStem) || sheetStem.startsWith(w)));
+  }
+
+  /**
+   * Master column holding the same attribute as a child column
+   * ("Nama_Produk" ↔ "Nama_Produk", or "Nama_Produk" ↔ Produk.Nama)
+   */
+  _findSharedColumn(childHeader, masterHeaders, keyColumn, masterSheet) {
+    const child = childHeader.toLowerCase();
+    const sheetStem = this._sheetStem(masterSheet);
+
+    return masterHeaders.find(h => h !== keyColumn && h.toLowerCase() === child) ||
+      masterHeaders.find(h => {
+        if (h === keyColumn) return false;
+        const words = child.split('_');
+        const rest = words.filter(w => !(w.length >= 3 && (w.startsWith(sheetStem) || sheetStem.startsWith(w))));
+        return rest.length < words.length && rest.join('_') === h.toLowerCase();
+      }) || null;
+  }
+
+  _sheetStem(sheetName) {
+    // "Products" → "product", "Data Pelanggan" → "pelanggan"
+    const words = sheetName.toLowerCase().split(/[^a-z0-9]+/).filter(w => w && w !== 'data' && w !== 'master');
+    return (words[words.length - 1] || sheetName.toLowerCase()).replace(/s$/, '');
+  }
+
+  _sameValue(a, b) {
+    const numA = helpers.parseNumber(a);
+    const numB = helpers.parseNumber(b);
+    if (!isNaN(numA) && !isNaN(numB)) return Math.abs(numA - numB) < 1e-9;
+    return String(a).trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DECLARATIVE VALIDATION RULES
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _analyzeSchemaRules(headers, data, columnTypes = {}) {
+    const schema = this.validationRules;
+    const isEmpty = v => v === '' || v === null || v === undefined;
+
+    schema.columns.forEach(rule => {
+      const header = ruleSchema.resolveColumn(headers, rule.column);
+
+      if (!header) {
+        if (rule.required) {
+          this._addIssue({
+            type: ISSUE_TYPES.MISSING_REQUIRED,
+            severity: rule.severity || SEVERITY.CRITICAL,
+            explicitSeverity: Boolean(rule.severity),
+            column: rule.column,
+            message: rule.message || `Required column "${rule.column}" not found`,
+            suggestion: 'Add the column or fix the rule file',
+            rule: schema.name,
+          });
+        }
+        return;
+      }
+
+      const violations = {
+        required: [], unique: [], regex: [], range: [], allowed: [], dateRange: [],
+      };
+      const seen = new Map();
+      const allowed = rule.allowed ? new Set(rule.allowed.map(v => v.toLowerCase().trim())) : null;
+      const dateMin = ruleSchema.resolveDateBound(rule.dateMin);
+      const dateMax = ruleSchema.resolveDateBound(rule.dateMax);
+      const dateOrder = columnTypes[header]?.dateOrder?.order;
+      const locale = columnTypes[header]?.numberLocale?.locale;
+
+      data.forEach(row => {
+        const value = row[header];
+        const rowIndex = row._rowIndex;
+
+        if (isEmpty(value)) {
+          if (rule.required) violations.required.push({ rowIndex });
+          return;
+        }
+
+        const str = String(value).trim();
+
+        if (rule.unique) {
+          const key = str.toLowerCase();
+          if (seen.has(key)) violations.unique.push({ rowIndex, value, duplicateOf: seen.get(key) });
+          else seen.set(key, rowIndex);
+        }
+
+        if (rule.regex && !rule.regex.test(str)) {
+          violations.regex.push({ rowIndex, value });
+        }
+
+        if (rule.min !== undefined || rule.max !== undefined) {
+          const num = helpers.parseNumber(value, { locale });
+          if (isNaN(num) || (rule.min !== undefined && num < rule.min) || (rule.max !== undefined && num > rule.max)) {
+            violations.range.push({ rowIndex, value });
+          }
+        }
+
+        if (allowed && !allowed.has(str.toLowerCase())) {
+          violations.allowed.push({ rowIndex, value });
+        }
+
+        if (dateMin || dateMax) {
+          const date = helpers.parseDate(value, { order: dateOrder });
+          if (!date || (dateMin && date < dateMin) || (dateMax && date > dateMax)) {
+            violations.dateRange.push({ rowIndex, value });
+          }
+        }
+      });
+
+      const report = (list, type, defaultSeverity, message, suggestion) => {
+        if (list.length === 0) return;
+        this._addIssue({
+          type,
+          severity: rule.severity || defaultSeverity,
+          explicitSeverity: Boolean(rule.severity),
+          column: header,
+          message: rule.message ? `${rule.message} (${list.length} rows)` : message,
+          suggestion,
+          affectedRows: list.length,
+          details: list.slice(0, 10),
+          rule: schema.name,
+        });
+      };
+
+      report(violations.required, ISSUE_TYPES.MISSING_REQUIRED, SEVERITY.CRITICAL,
+        `Column "${header}" is required but ${violations.required.length} rows are empty`,
+        'Fill in the missing values');
+      report(violations.unique, ISSUE_TYPES.DUPLICATE_VALUE, SEVERITY.CRITICAL,
+        `Column "${header}" must be unique but has ${violations.unique.length} duplicate values`,
+        'Remove or correct duplicate values');
+      report(violations.regex, ISSUE_TYPES.PATTERN_MISMATCH, SEVERITY.NEEDS_REVIEW,
+        `${violations.regex.length} values in "${header}" do not match pattern ${rule.regex}`,
+        'Correct values to match the expected format');
+      report(violations.range, ISSUE_TYPES.OUT_OF_RANGE, SEVERITY.NEEDS_REVIEW,
+        `${violations.range.length} values in "${header}" are outside range ${rule.min ?? '-∞'} – ${rule.max ?? '∞'}`,
+        'Verify these values');
+      report(violations.allowed, ISSUE_TYPES.INVALID_VALUE, SEVERITY.NEEDS_REVIEW,
+        `${violations.allowed.length} values in "${header}" are not in the allowed list`,
+        `Use one of: ${(rule.allowed || []).slice(0, 10).join(', ')}`);
+      report(violations.dateRange, ISSUE_TYPES.DATE_OUT_OF_RANGE, SEVERITY.NEEDS_REVIEW,
+        `${violations.dateRange.length} dates in "${header}" are outside ${rule.dateMin ?? 'any'} – ${rule.dateMax ?? 'any'}`,
+        'Verify these dates');
+    });
+
+    // Cross-column expressions
+    schema.rules.forEach(rule => {
+      const columnMap = {};
+      const missing = [];
+
+      rule.compiled.columns.forEach(name => {
+        const header = ruleSchema.resolveColumn(headers, name);
+        if (header) columnMap[name] = header;
+        else missing.push(name);
+      });
+
+      if (missing.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.RULE_VIOLATION,
+          severity: SEVERITY.NEEDS_REVIEW,
+          message: `Rule "${rule.name}" skipped: column(s) not found: ${missing.join(', ')}`,
+          suggestion: 'Check column names in the rule file',
+          rule: schema.name,
+        });
+        return;
+      }
+
+      const headersUsed = Object.values(columnMap);
+      const failed = [];
+
+      data.forEach(row => {
+        if (rule.skipEmpty && headersUsed.some(h => isEmpty(row[h]))) return;
+
+        let passed;
+        try {
+          passed = rule.compiled.evaluate(name => row[columnMap[name]]);
+        } catch (error) {
+          passed = false;
+        }
+
+        if (!passed) {
+          const values = {};
+          headersUsed.forEach(h => { values[h] = row[h]; });
+          failed.push({ rowIndex: row._rowIndex, values });
+        }
+      });
+
+      if (failed.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.RULE_VIOLATION,
+          severity: rule.severity || SEVERITY.NEEDS_REVIEW,
+          explicitSeverity: Boolean(rule.severity),
+          message: rule.message
+            ? `${rule.message} (${failed.length} rows)`
+            : `Rule "${rule.name}" failed for ${failed.length} rows: ${rule.expression}`,
+          suggestion: 'Review these rows against the rule',
+          affectedRows: failed.length,
+          details: failed.slice(0, 10),
+          rule: schema.name,
+        });
+      }
+    });
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // INDONESIA-SPECIFIC VALIDATION
   // ─────────────────────────────────────────────────────────────────────────
@@ -721,6 +1715,12 @@ class Analyzer {
 
     // Tax calculation validation
     this._validateTaxCalculations(headers, data);
+
+    // Payroll PPh 21 validation
+    this._validatePPh21(headers, data);
+
+    // Bank account numbers
+    this._validateBankAccounts(headers, data, columnTypes);
   }
 
   _validateNIKColumn(header, data) {
@@ -825,8 +1825,8 @@ class Analyzer {
 
           if (!isNaN(dpp) && !isNaN(ppn) && dpp > 0) {
             const expected = dpp * INDONESIA.PPN_RATE;
-            // Allow 1 rupiah tolerance
-            if (Math.abs(expected - ppn) > 1) {
+            // Allow rounding tolerance (1 rupiah by default)
+            if (Math.abs(expected - ppn) > this.thresholds.taxTolerance) {
               taxErrors.push({
                 rowIndex: row._rowIndex,
                 dpp, ppn, expected,
@@ -852,16 +1852,258 @@ class Analyzer {
     }
   }
 
+  /**
+   * Validate account numbers per bank (length & digits), detect values Excel
+   * converted to numbers (scientific notation, stripped leading zeros)
+   */
+  _validateBankAccounts(headers, data, columnTypes) {
+    const accountCols = headers.filter(h =>
+      columnTypes[h]?.type === 'bank_account' || helpers.isBankAccountHeader(h));
+
+    accountCols.forEach(accountCol => {
+      const bankInfo = this._getBankSource(headers, accountCol);
+      const issues = { invalid: [], lost: [], restorable: [] };
+
+      data.forEach(row => {
+        const value = row[accountCol];
+        if (helpers.isEmpty(value)) return;
+
+        const bank = (bankInfo.bankCol && helpers.normalizeBankName(row[bankInfo.bankCol])) || bankInfo.headerBank;
+        const result = helpers.validateBankAccount(value, bank, row._rawValues?.[accountCol]);
+        const detail = { rowIndex: row._rowIndex, value, bank };
+
+        if (result.isValid && result.restored) {
+          issues.restorable.push({ ...detail, restored: result.restored });
+        } else if (!result.isValid && result.digits === null && /scientific/.test(result.errors[0])) {
+          issues.lost.push(detail);
+        } else if (!result.isValid) {
+          issues.invalid.push({ ...detail, errors: result.errors });
+        }
+      });
+
+      if (issues.restorable.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.BANK_ACCOUNT_FORMAT,
+          severity: SEVERITY.AUTO_FIX,
+          column: accountCol,
+          message: `Found ${issues.restorable.length} account numbers stored as numbers (scientific notation / missing leading zeros)`,
+          suggestion: 'Restore account numbers as text',
+          autoFix: true,
+          affectedRows: issues.restorable.length,
+          details: issues.restorable.slice(0, 5),
+          fixInfo: { accountCol, ...bankInfo },
+        });
+      }
+
+      if (issues.lost.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.BANK_ACCOUNT_INVALID,
+          severity: SEVERITY.CRITICAL,
+          column: accountCol,
+          message: `Found ${issues.lost.length} account numbers in scientific notation that cannot be restored`,
+          suggestion: 'Format the column as Text in the source file and re-enter the account numbers',
+          affectedRows: issues.lost.length,
+          details: issues.lost.slice(0, 5),
+        });
+      }
+
+      if (issues.invalid.length > 0) {
+        this._addIssue({
+          type: ISSUE_TYPES.BANK_ACCOUNT_INVALID,
+          severity: SEVERITY.CRITICAL,
+          column: accountCol,
+          message: `Found ${issues.invalid.length} invalid bank account numbers`,
+          suggestion: 'Verify account numbers against the bank (length per bank: ' +
+            Object.entries(INDONESIA.BANK_ACCOUNT_LENGTH).map(([bank, len]) => `${bank} ${len}`).join(', ') + ')',
+          affectedRows: issues.invalid.length,
+          details: issues.invalid.slice(0, 5),
+        });
+      }
+    });
+  }
+
+  /**
+   * Find where the bank of an account column comes from: the account header itself
+   * (e.g. "Rekening BCA"), otherwise the nearest "Bank" column
+   */
+  _getBankSource(headers, accountCol) {
+    const headerBank = helpers.normalizeBankName(accountCol);
+    if (headerBank) return { bankCol: null, headerBank };
+
+    const accountIndex = headers.indexOf(accountCol);
+    const bankCol = headers
+      .filter(h => h !== accountCol && h.toLowerCase().includes('bank') && !helpers.isBankAccountHeader(h))
+      .sort((a, b) => Math.abs(headers.indexOf(a) - accountIndex) - Math.abs(headers.indexOf(b) - accountIndex))[0] || null;
+
+    return { bankCol, headerBank: null };
+  }
+
+  /**
+   * Recognize payroll sheets and recompute PPh 21 per employee
+   */
+  _validatePPh21(headers, data) {
+    const payroll = this._getPayrollColumns(headers, data);
+    if (!payroll) return;
+
+    const { pph21Col, incomeCols, pensionCols, statusCol, taxYearly, incomeYearly } = payroll;
+    const taxErrors = [];
+    const invalidStatus = [];
+
+    data.forEach(row => {
+      const incomes = incomeCols.map(col => helpers.parseNumber(row[col])).filter(v => !isNaN(v));
+      if (incomes.length === 0) return;
+
+      let status = 'TK/0';
+      if (statusCol) {
+        status = helpers.normalizePTKPStatus(row[statusCol]);
+        if (!status) {
+          if (!helpers.isEmpty(row[statusCol])) {
+            invalidStatus.push({ rowIndex: row._rowIndex, value: row[statusCol] });
+          }
+          return;
+        }
+      }
+
+      const divisor = incomeYearly ? 12 : 1;
+      const grossMonthly = incomes.reduce((sum, v) => sum + v, 0) / divisor;
+      const pensionMonthly = pensionCols
+        .map(col => helpers.parseNumber(row[col]))
+        .filter(v => !isNaN(v))
+        .reduce((sum, v) => sum + v, 0) / divisor;
+
+      if (grossMonthly <= 0) return;
+
+      const calc = helpers.calculatePPh21({ grossMonthly, pensionMonthly, status });
+      const expected = taxYearly ? calc.yearly : calc.monthly;
+      const current = helpers.parseNumber(row[pph21Col]);
+
+      if ((isNaN(current) && expected > 0) || Math.abs((current || 0) - expected) > this.thresholds.pph21Tolerance) {
+        taxErrors.push({
+          rowIndex: row._rowIndex,
+          status,
+          gross: grossMonthly,
+          pph21: isNaN(current) ? null : current,
+          expected,
+          difference: isNaN(current) ? null : current - expected,
+        });
+      }
+    });
+
+    if (invalidStatus.length > 0) {
+      this._addIssue({
+        type: ISSUE_TYPES.PTKP_STATUS_INVALID,
+        severity: SEVERITY.NEEDS_REVIEW,
+        column: statusCol,
+        message: `Found ${invalidStatus.length} unknown PTKP status values`,
+        suggestion: `Use one of: ${Object.keys(INDONESIA.PTKP).join(', ')}`,
+        affectedRows: invalidStatus.length,
+        details: invalidStatus.slice(0, 5),
+      });
+    }
+
+    if (taxErrors.length > 0) {
+      const period = taxYearly ? 'yearly' : 'monthly';
+
+      // Without a PTKP status column the recalculation is only an estimate (TK/0)
+      this._addIssue({
+        type: ISSUE_TYPES.PPH21_CALCULATION,
+        severity: statusCol ? SEVERITY.AUTO_FIX : SEVERITY.NEEDS_REVIEW,
+        column: pph21Col,
+        message: `Found ${taxErrors.length} PPh 21 calculation errors (${period})` +
+          (statusCol ? '' : ' assuming PTKP status TK/0'),
+        suggestion: 'Recalculate PPh 21 = tarif pasal 17 × (netto setahun − PTKP)',
+        autoFix: Boolean(statusCol),
+        affectedRows: taxErrors.length,
+        details: taxErrors.slice(0, 5),
+        fixInfo: payroll,
+      });
+    }
+  }
+
+  /**
+   * Find payroll columns: PPh 21, gross salary & allowances, pension (BPJS TK), PTKP status.
+   * Returns null when the sheet does not look like payroll.
+   */
+  _getPayrollColumns(headers, data) {
+    const pph21Col = this._findColumn(headers, ['pph21', 'pph_21', 'pph 21']);
+    if (!pph21Col) return null;
+
+    const lowerOf = h => h.toLowerCase();
+    const excluded = ['bersih', 'net', 'thp', 'pph', 'bpjs', 'potongan'];
+    const isIncome = (h, keywords) => keywords.some(k => lowerOf(h).includes(k)) &&
+      !excluded.some(k => lowerOf(h).includes(k));
+
+    // Bruto already includes allowances; otherwise sum base salary + allowances
+    const grossCol = headers.find(h => isIncome(h, ['bruto', 'gross']));
+    const baseCol = grossCol || headers.find(h => isIncome(h, ['gaji_pokok', 'gaji pokok', 'gapok', 'basic', 'salary', 'gaji', 'upah']));
+    if (!baseCol) return null;
+
+    const allowanceCols = grossCol ? [] : headers.filter(h => h !== baseCol &&
+      isIncome(h, ['tunjangan', 'allowance', 'lembur', 'overtime', 'bonus', 'insentif', 'incentive']));
+
+    const pensionCols = headers.filter(h => {
+      const lower = lowerOf(h);
+      return lower.includes('jht') || lower.includes('pensiun') || lower.includes('pension') ||
+        (lower.includes('bpjs') && (lower.includes('tk') || lower.includes('tenaga')));
+    });
+
+    // Status column must actually contain PTKP codes (e.g. "Status" could be employment status)
+    const statusCol = headers
+      .filter(h => ['ptkp', 'status'].some(k => lowerOf(h).includes(k)))
+      .find(h => {
+        const values = data.map(row => row[h]).filter(v => !helpers.isEmpty(v));
+        const valid = values.filter(v => helpers.normalizePTKPStatus(v)).length;
+        return values.length > 0 && valid / values.length >= 0.5;
+      }) || null;
+
+    const isYearly = h => ['tahun', 'annual', 'year'].some(k => lowerOf(h).includes(k));
+
+    return {
+      pph21Col,
+      incomeCols: [baseCol, ...allowanceCols],
+      pensionCols,
+      statusCol,
+      taxYearly: isYearly(pph21Col),
+      incomeYearly: isYearly(baseCol),
+    };
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // HELPER METHODS
   // ─────────────────────────────────────────────────────────────────────────
 
   _addIssue(issue) {
+    // Apply the severity mapping of the active mode, unless the severity was declared in the
+    // rule file. The mapping escalates review items only: an issue the cleaner can fix (a rate
+    // table conversion, a merge with merge rules) stays a fix in every mode.
+    const mapped = issue.explicitSeverity || issue.severity === SEVERITY.AUTO_FIX
+      ? null
+      : this.profile?.severity?.[issue.type];
+    delete issue.explicitSeverity;
+    if (mapped && mapped !== issue.severity) {
+      issue.originalSeverity = issue.severity;
+      issue.severity = mapped;
+      if (mapped !== SEVERITY.AUTO_FIX) issue.autoFix = false;
+    }
+
     issue.id = helpers.generateId();
     issue.timestamp = new Date().toISOString();
     this.issues.push(issue);
   }
 
+  _uniqueRatio(header, data) {
+    const values = data.map(row => row[header]).filter(v => !helpers.isEmpty(v));
+    if (values.length === 0) return 0;
+    return new Set(values.map(v => String(v).trim().toLowerCase())).size / values.length;
+  }
+
+  _findColumn(headers, keywords) {
+    return headers.find(h => {
+      const lower = h.toLowerCase();
+      return keywords.some(k => lower.includes(k));
+    });
+  }
+
   _calculateSummary(headers, data, parsedData) {
     return {
       totalRows: data.length,
@@ -884,34 +2126,90 @@ class Analyzer {
     };
   }
 
-  _calculateQualityScore(data, issues) {
-    // Base score
-    let score = 100;
+  // ─────────────────────────────────────────────────────────────────────────
+  // QUALITY SCORECARD
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Score each quality dimension (0-100) per column and overall, then combine
+   * them with the configured weights into one score
+   */
+  _calculateQualityScore(headers, data, issues) {
+    const dimensions = Object.keys(QUALITY_DIMENSIONS);
+    const rowCount = data.length;
+
+    // Defective row count per dimension per column ('' = whole table)
+    const dimensionOf = {};
+    dimensions.forEach(dim => QUALITY_DIMENSIONS[dim].issueTypes.forEach(type => { dimensionOf[type] = dim; }));
+
+    const defects = {};
+    dimensions.forEach(dim => { defects[dim] = {}; });
 
-    // Deduct points based on issues
     issues.forEach(issue => {
-      const affectedRows = issue.affectedRows || 1;
-      const impactPercent = (affectedRows / data.length) * 100;
+      const dim = dimensionOf[issue.type];
+      if (!dim) return;
+      if (issue.sheet && issue.sheet !== this.activeSheet) return;
 
-      switch (issue.severity) {
-        case SEVERITY.CRITICAL:
-          score -= Math.min(20, impactPercent * 2);
-          break;
-        case SEVERITY.NEEDS_REVIEW:
-          score -= Math.min(10, impactPercent);
-          break;
-        case SEVERITY.AUTO_FIX:
-          score -= Math.min(5, impactPercent * 0.5);
-          break;
-      }
+      const column = headers.includes(issue.column) ? issue.column : '';
+      defects[dim][column] = (defects[dim][column] || 0) + (issue.affectedRows || 1);
+    });
+
+    const ratioScore = (defective) => rowCount === 0 ? 100 : 100 * (1 - Math.min(rowCount, defective) / rowCount);
+
+    const columns = {};
+    headers.forEach(header => {
+      const filled = data.filter(row => !helpers.isEmpty(row[header])).length;
+      columns[header] = { completeness: Math.round(rowCount === 0 ? 100 : (filled / rowCount) * 100) };
+
+      dimensions.filter(dim => dim !== 'completeness').forEach(dim => {
+        columns[header][dim] = Math.round(ratioScore(defects[dim][header] || 0));
+      });
     });
 
+    // Dimension = average of its column scores, reduced by table-level defects
+    const dimensionScores = {};
+    dimensions.forEach(dim => {
+      const columnScores = headers.map(h => columns[h][dim]);
+      const average = columnScores.length > 0
+        ? columnScores.reduce((sum, v) => sum + v, 0) / columnScores.length
+        : 100;
+      dimensionScores[dim] = Math.round(average * ratioScore(defects[dim][''] || 0) / 100);
+    });
+
+    const totalWeight = dimensions.reduce((sum, dim) => sum + this.weights[dim], 0);
+    const score = totalWeight > 0
+      ? dimensions.reduce((sum, dim) => sum + dimensionScores[dim] * this.weights[dim], 0) / totalWeight
+      : 100;
+
     return {
       score: Math.max(0, Math.round(score)),
+      ...this.gradeScore(score),
+      dimensions: dimensionScores,
+      weights: this.weights,
+      columns,
+    };
+  }
+
+  /**
+   * Grade & label for a 0-100 score
+   */
+  gradeScore(score) {
+    return {
       grade: score >= 90 ? 'A' : score >= 80 ? 'B' : score >= 70 ? 'C' : score >= 60 ? 'D' : 'F',
       label: score >= 90 ? 'Excellent' : score >= 80 ? 'Good' : score >= 70 ? 'Fair' : score >= 60 ? 'Poor' : 'Critical',
     };
   }
+
+  /**
+   * Default weights ← mode profile weights ← user weights
+   */
+  _resolveWeights(overrides = {}) {
+    const weights = {};
+    Object.entries(QUALITY_DIMENSIONS).forEach(([dim, def]) => {
+      weights[dim] = overrides?.[dim] ?? this.profile?.weights?.[dim] ?? def.weight;
+    });
+    return weights;
+  }
 }
 
 module.exports = new Analyzer();
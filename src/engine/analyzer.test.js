@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const engine = require('./index');
+
+const analyze = async (csv, options = {}) => {
+  const result = await engine.propose(Buffer.from(csv), { fileName: 'data.csv', ...options });
+  assert.ok(result.success, result.error);
+  return result.analysis;
+};
+
+const mixedCurrency = [
+  'Tanggal,Keterangan,Jumlah',
+  '05/01/2024,Sewa,Rp 1.500.000',
+  '06/01/2024,Lisensi,US$ 120.00',
+  '07/01/2024,Hosting,Rp 750.000',
+  '08/01/2024,Domain,US$ 15.00',
+].join('\n');
+
+test('finance mode runs the currency rule and escalates mixed currencies', async () => {
+  const analysis = await analyze(mixedCurrency, { mode: 'finance' });
+  const issue = analysis.issues.find(i => i.type === 'currency_mixed');
+
+  assert.ok(analysis.rulesRun.some(r => r.id === 'currency'));
+  assert.strictEqual(issue.severity, 'critical');
+  assert.strictEqual(issue.autoFix, false);
+});
+
+test('a rate table keeps mixed currencies auto-fixable in finance mode', async () => {
+  const rateTable = engine.loadRateTable({ rates: { base: 'IDR', rates: { USD: 16000 } } });
+  const analysis = await analyze(mixedCurrency, { mode: 'finance', rateTable });
+  const issue = analysis.issues.find(i => i.type === 'currency_mixed');
+
+  assert.strictEqual(issue.severity, 'auto_fix');
+  assert.strictEqual(issue.autoFix, true);
+  assert.strictEqual(issue.explicitSeverity, undefined);
+});
+
+test('finance thresholds stay JSON-safe and report every sequence gap', async () => {
+  const rows = ['No,Nama,Jumlah', ...[1, 2, 3, 40].map(n => `${n},Item ${n},${n * 1000}`)];
+  const analysis = await analyze(rows.join('\n'), { mode: 'finance' });
+
+  assert.strictEqual(JSON.parse(JSON.stringify(analysis.thresholds)).maxSequenceGaps, 0);
+  assert.ok(analysis.issues.some(i => i.type === 'sequence_gap' && i.details.missingCount === 36));
+});
+
+test('a severity declared in the rule file wins over the mode mapping', async () => {
+  const validationRules = engine.loadValidationRules({
+    rules: 'columns:\n  Email: { required: true, severity: needs_review }\n  Telepon: { required: true }',
+  });
+  const analysis = await analyze('Nama,Jumlah\nAndi,1000\nBudi,2000', { mode: 'finance', validationRules });
+  const severity = column => analysis.issues.find(i => i.type === 'missing_required' && i.column === column).severity;
+
+  assert.strictEqual(severity('Email'), 'needs_review');
+  assert.strictEqual(severity('Telepon'), 'critical');
+});
+
+test('strict mode escalates review items but keeps requested fixes', async () => {
+  const csv = [
+    'Nama,Email,Kota',
+    'Andi Wijaya,andi@mail.com,Bandung',
+    'Andi Wijaja,andi@mail.com,Bandung',
+    'Budi Santoso,budi@mail.com,jakarta',
+    'Citra Dewi,citra@mail.com,JAKARTA',
+    'Dewi Lestari,dewi@mail.com,Bogor',
+  ].join('\n');
+  const analysis = await analyze(csv, { mode: 'strict', merge: engine.survivorship.normalize('*: complete') });
+  const issue = type => analysis.issues.find(i => i.type === type);
+
+  assert.deepStrictEqual([issue('text_case').severity, issue('text_case').originalSeverity], ['critical', 'needs_review']);
+  assert.deepStrictEqual([issue('duplicate_fuzzy').severity, issue('duplicate_fuzzy').autoFix], ['auto_fix', true]);
+});
+
+test('PPh 21 is recomputed from income, pension and PTKP status', async () => {
+  const csv = [
+    'Nama,Status PTKP,Gaji Pokok,Tunjangan,JHT,PPh 21',
+    'Andi,K/1,9000000,1000000,200000,150000',
+    'Budi,TK/0,5000000,0,100000,20000',
+    'Citra,XX,5000000,0,100000,0',
+  ].join('\n');
+
+  const result = await engine.process(Buffer.from(csv), { fileName: 'gaji.csv', mode: 'finance' });
+  assert.ok(result.success, result.error);
+
+  const pph21 = result.analysis.issues.find(i => i.type === 'pph21_calculation');
+  assert.deepStrictEqual(pph21.details.map(d => [d.status, d.pph21, d.expected]), [['K/1', 150000, 202500], ['TK/0', 20000, 7500]]);
+  assert.ok(result.analysis.issues.some(i => i.type === 'ptkp_status_invalid' && i.affectedRows === 1));
+  assert.deepStrictEqual(result.data.data.map(row => row.PPh_21), [202500, 7500, 0]);
+});
+
+test('cross-sheet keys report orphans, unused master rows and copied values that differ', async () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['Kode', 'Nama_Produk', 'Harga'],
+    ['P01', 'Buku', 10000], ['P02', 'Pena', 5000], ['P03', 'Tas', 150000], ['P04', 'Map', 7000],
+  ]), 'Produk');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['No', 'Kode_Produk', 'Nama_Produk', 'Qty'],
+    [1, 'P01', 'Buku', 2], [2, 'P02', 'Pulpen', 1], [3, 'P09', 'Spidol', 4], [4, 'P01', 'Buku', 1], [5, 'p03', 'Tas', 1],
+  ]), 'Transaksi');
+
+  const analysis = await analyze(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), { fileName: 'toko.xlsx' });
+  const details = type => analysis.issues.find(i => i.type === type).details;
+
+  assert.deepStrictEqual(
+    analysis.relations.map(r => `${r.childSheet}.${r.foreignKey} → ${r.masterSheet}.${r.keyColumn}`),
+    ['Transaksi.Kode_Produk → Produk.Kode'],
+  );
+  assert.deepStrictEqual(details('orphan_reference'), [{ rowIndex: 4, value: 'P09' }]);
+  assert.deepStrictEqual(details('unused_master'), [{ rowIndex: 5, value: 'P04' }]);
+  assert.deepStrictEqual(details('reference_mismatch'), [{ rowIndex: 3, key: 'P02', value: 'Pulpen', expected: 'Pena' }]);
+});
+
+test('the quality scorecard scores each dimension per column and applies the weights', async () => {
+  const csv = ['Nama,Email,Kota', 'Andi,andi@mail.com,Bandung', 'Budi,budi-at-mail,', 'Citra,citra@mail.com,', 'Dewi,dewi@mail.com,Bogor'].join('\n');
+
+  const { qualityScore } = await analyze(csv);
+  assert.deepStrictEqual(
+    [qualityScore.columns.Kota.completeness, qualityScore.columns.Email.validity, qualityScore.columns.Nama.validity],
+    [50, 75, 100],
+  );
+  assert.deepStrictEqual([qualityScore.dimensions.completeness, qualityScore.dimensions.validity], [83, 92]);
+
+  const weights = { completeness: 1, validity: 0, uniqueness: 0, consistency: 0, accuracy: 0, timeliness: 0 };
+  const weighted = (await analyze(csv, { qualityWeights: weights })).qualityScore;
+  assert.deepStrictEqual([weighted.score, weighted.grade], [83, 'B']);
+});
+
+test('formula columns report error values, edited formulas and hardcoded values', async () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Produk', 'Qty', 'Harga', 'Total'],
+    ['Buku', 2, 10000, 0], ['Pena', 3, 5000, 0], ['Tas', 1, 150000, 0], ['Map', 4, 7000, 0], ['Spidol', 2, 8000, 0],
+  ]);
+  sheet.D2 = { t: 'n', v: 20000, f: 'B2*C2' };
+  sheet.D3 = { t: 'n', v: 15000, f: 'B3*C3' };
+  sheet.D4 = { t: 'n', v: 150000, f: 'B4*C4+0' };
+  sheet.D5 = { t: 'e', v: 0x17, f: 'B5*#REF!', w: '#REF!' };
+  sheet.D6 = { t: 'n', v: 16000 };
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Data');
+
+  const analysis = await analyze(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), { fileName: 'total.xlsx' });
+  const issue = type => analysis.issues.find(i => i.type === type);
+
+  assert.strictEqual(issue('formula_error').severity, 'critical');
+  assert.deepStrictEqual(issue('formula_error').details, [{ rowIndex: 5, error: '#REF!', formula: '=B5*#REF!' }]);
+  assert.deepStrictEqual(issue('formula_inconsistent').details.map(d => d.rowIndex), [4, 5]);
+  assert.deepStrictEqual(issue('formula_override').details, [{ rowIndex: 6, value: '16000' }]);
+});
+
+test('day/month order is inferred per column from days above 12', async () => {
+  const analysis = await analyze([
+    'Nama,Tanggal,Tgl_Ragu,Tgl_Campur',
+    'Andi,04/25/2024,03/04/2024,25/04/2024',
+    'Budi,04/03/2024,05/06/2024,26/04/2024',
+    'Citra,2024-05-06,07/08/2024,04/27/2024',
+  ].join('\n'));
+  const issue = type => analysis.issues.find(i => i.type === type);
+
+  assert.deepStrictEqual(analysis.columnTypes.Tanggal.dateOrder, {
+    order: 'MDY', ambiguous: false, conflicting: false, evidence: { DMY: 0, MDY: 1, either: 1 },
+  });
+  assert.deepStrictEqual([issue('date_order_ambiguous').column, issue('date_order_ambiguous').affectedRows], ['Tgl_Ragu', 3]);
+  assert.deepStrictEqual(issue('date_order_conflict').details.rows, [{ row: 4, value: '04/27/2024' }]);
+
+  const result = await engine.process(Buffer.from('Nama,Tanggal\nAndi,04/25/2024\nBudi,04/03/2024\nCitra,2024-05-06\n'), { fileName: 'data.csv' });
+  assert.deepStrictEqual(result.data.data.map(row => row.Tanggal), ['25-Apr-2024', '03-Apr-2024', '06-May-2024']);
+});
+
+test('attendance columns report impossible times, unreadable durations and check-out before check-in', async () => {
+  const analysis = await analyze([
+    'Nama,Jam Masuk,Jam Pulang,Durasi',
+    'Andi,08:00,17:00,9j',
+    'Budi,25:10,16:00,8j 30m',
+    'Citra,09:00,08:30,kurang lebih',
+    'Dedi,08:15,17:15,9:00',
+  ].join('\n'));
+  const issue = type => analysis.issues.find(i => i.type === type);
+
+  assert.deepStrictEqual(['Jam_Masuk', 'Jam_Pulang', 'Durasi'].map(h => analysis.columnTypes[h].type), ['time', 'time', 'duration']);
+  assert.deepStrictEqual(issue('time_invalid').details.rows, [{ row: 3, value: '25:10' }]);
+  assert.deepStrictEqual(issue('duration_invalid').details.rows, [{ row: 4, value: 'kurang lebih' }]);
+  assert.deepStrictEqual(issue('time_order').details, [{ rowIndex: 4, start: '09:00', end: '08:30' }]);
+});
@@ -2,12 +2,49 @@
 // CLEANER ENGINE - Auto-fix data issues
 // ═══════════════════════════════════════════════════════════════════════════
 
+const crypto = require('crypto');
 const { ISSUE_TYPES, SEVERITY, INDONESIA } = require('../utils/constants');
 const helpers = require('../utils/helpers');
+const rateTable = require('../utils/rateTable');
+const ruleSchema = require('../utils/ruleSchema');
+const recipeSchema = require('../utils/recipeSchema');
+const imputation = require('../utils/imputation');
+const survivorship = require('../utils/survivorship');
+
+// Auto-fix issue types the cleaner acts on (proposed fixes, see proposeFixes)
+const FIX_OPERATIONS = {
+  [ISSUE_TYPES.AGGREGATE_ROW]: 'Move subtotal/total rows',
+  [ISSUE_TYPES.DUPLICATE_ROW]: 'Remove duplicate rows',
+  [ISSUE_TYPES.EMPTY_ROW]: 'Remove empty rows',
+  [ISSUE_TYPES.WHITESPACE]: 'Trim whitespace',
+  [ISSUE_TYPES.DATE_INCONSISTENT]: 'Standardize dates',
+  [ISSUE_TYPES.NUMBER_FORMAT]: 'Standardize numbers',
+  [ISSUE_TYPES.CURRENCY_FORMAT]: 'Standardize amounts',
+  [ISSUE_TYPES.PHONE_FORMAT]: 'Standardize phone numbers',
+  [ISSUE_TYPES.EMAIL_FORMAT]: 'Fix email formatting',
+  [ISSUE_TYPES.CALCULATION_ERROR]: 'Recalculate totals',
+  [ISSUE_TYPES.TAX_CALCULATION]: 'Recalculate tax',
+  [ISSUE_TYPES.PPH21_CALCULATION]: 'Recalculate PPh 21',
+  [ISSUE_TYPES.NPWP_INVALID]: 'Format NPWP',
+  [ISSUE_TYPES.BANK_ACCOUNT_FORMAT]: 'Restore account numbers',
+  [ISSUE_TYPES.TIMEZONE_MIXED]: 'Convert to one timezone',
+  [ISSUE_TYPES.CURRENCY_MIXED]: 'Convert to base currency',
+  [ISSUE_TYPES.MISSING_VALUE]: 'Fill missing values',
+  [ISSUE_TYPES.DUPLICATE_FUZZY]: 'Merge duplicate groups',
+};
+
+// Columns of the merge map sheet (see _mergeDuplicates)
+const MERGE_MAP_HEADERS = ['Row', 'Surviving Row', 'Group', 'Status', 'Similarity', 'Values Used'];
+
+// Patch format written by clean() / basicClean() (see PATCH section)
+const PATCH_VERSION = 1;
 
 class Cleaner {
   constructor() {
     this.changes = [];
+    this.operations = [];
+    this.imputedCells = [];
+    this.moneyColumns = {};
     this.stats = {
       totalChanges: 0,
       rowsAffected: 0,
@@ -24,24 +61,44 @@ class Cleaner {
    * @param {Object} parsedData - Data from FileParser
    * @param {Object} analysisResult - Result from Analyzer
    * @param {Object} options - Cleaning options
+   * @param {string} options.aggregateRows - Subtotal/total rows: 'sheet' (default), 'remove' or 'keep'
+   * @param {string} options.timezone - Zone to convert datetimes to (WIB / WITA / WIT / +07:00)
+   * @param {Object} options.rateTable - Exchange rates from rateTable.load(): money columns are converted to its base
+   * @param {string[]} options.fixes - Accepted fix ids / categories (see proposeFixes); omitted = apply all
    * @returns {Object} Cleaned data with change log
    */
   clean(parsedData, analysisResult, options = {}) {
     const startTime = Date.now();
     this.changes = [];
+    this.operations = [];
+    this.imputedCells = [];
+    this.moneyColumns = {};
     this.stats = { totalChanges: 0, rowsAffected: new Set(), cellsModified: 0 };
 
     // Deep clone data to avoid mutation
     let { headers, data } = JSON.parse(JSON.stringify(parsedData));
     const { columnTypes, categorizedIssues } = analysisResult;
 
-    // Get auto-fixable issues
-    const autoFixIssues = categorizedIssues?.autoFix || [];
+    // Get auto-fixable issues (only the accepted ones when the user reviewed the fixes)
+    const selection = options.fixes || null;
+    const autoFixIssues = (categorizedIssues?.autoFix || []).filter(issue => this.isFixSelected(issue, selection));
+
+    // Columns a fix may touch: all of them, or only those with an accepted issue of the types
+    const fixHeaders = (...types) => (selection
+      ? headers.filter(h => autoFixIssues.some(i => types.includes(i.type) && (!i.column || i.column === h)))
+      : headers);
 
     // ─────────────────────────────────────────────────────────────────────
     // Apply fixes based on issue types
     // ─────────────────────────────────────────────────────────────────────
 
+    // 0. Strip subtotal/total rows (kept aside for a separate sheet)
+    let aggregateRows = [];
+    const aggregateIssue = autoFixIssues.find(i => i.type === ISSUE_TYPES.AGGREGATE_ROW);
+    if (aggregateIssue?.fixInfo && options.aggregateRows !== 'keep') {
+      ({ data, aggregateRows } = this._removeAggregateRows(data, aggregateIssue.fixInfo, options.aggregateRows));
+    }
+
     // 1. Remove duplicate rows
     if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.DUPLICATE_ROW)) {
       data = this._removeDuplicates(headers, data);
@@ -54,28 +111,28 @@ class Cleaner {
 
     // 3. Fix whitespace issues
     if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.WHITESPACE)) {
-      data = this._fixWhitespace(headers, data);
+      data = this._fixWhitespace(fixHeaders(ISSUE_TYPES.WHITESPACE), data);
     }
 
     // 4. Standardize date formats
     if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.DATE_INCONSISTENT)) {
-      data = this._standardizeDates(headers, data, columnTypes, options.dateFormat);
+      data = this._standardizeDates(fixHeaders(ISSUE_TYPES.DATE_INCONSISTENT), data, columnTypes, options.dateFormat);
     }
 
     // 5. Standardize number/currency formats
     if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.NUMBER_FORMAT) ||
         this._hasIssueType(autoFixIssues, ISSUE_TYPES.CURRENCY_FORMAT)) {
-      data = this._standardizeNumbers(headers, data, columnTypes);
+      data = this._standardizeNumbers(fixHeaders(ISSUE_TYPES.NUMBER_FORMAT, ISSUE_TYPES.CURRENCY_FORMAT), data, columnTypes);
     }
 
     // 6. Standardize phone numbers
     if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.PHONE_FORMAT)) {
-      data = this._standardizePhones(headers, data, columnTypes);
+      data = this._standardizePhones(fixHeaders(ISSUE_TYPES.PHONE_FORMAT), data, columnTypes);
     }
 
     // 7. Fix email formatting
     if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.EMAIL_FORMAT)) {
-      data = this._standardizeEmails(headers, data, columnTypes);
+      data = this._standardizeEmails(fixHeaders(ISSUE_TYPES.EMAIL_FORMAT), data, columnTypes);
     }
 
     // 8. Fix calculation errors
@@ -94,9 +151,48 @@ class Cleaner {
       }
     }
 
-    // 10. Format NPWP
+    // 10. Fix PPh 21 calculations (payroll)
+    if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.PPH21_CALCULATION)) {
+      const pph21Issue = autoFixIssues.find(i => i.type === ISSUE_TYPES.PPH21_CALCULATION);
+      if (pph21Issue?.fixInfo) {
+        data = this._fixPPh21Calculations(data, pph21Issue.fixInfo);
+      }
+    }
+
+    // 11. Format NPWP
     if (this._hasIssueType(autoFixIssues, ISSUE_TYPES.NPWP_INVALID)) {
-      data = this._formatNPWP(headers, data, columnTypes);
+      data = this._formatNPWP(fixHeaders(ISSUE_TYPES.NPWP_INVALID), data, columnTypes);
+    }
+
+    // 12. Restore bank account numbers as text
+    autoFixIssues
+      .filter(i => i.type === ISSUE_TYPES.BANK_ACCOUNT_FORMAT && i.fixInfo)
+      .forEach(issue => {
+        data = this._restoreBankAccounts(data, issue.fixInfo);
+      });
+
+    // 13. Convert datetimes to one timezone (mixed WIB/WITA/WIT, or an explicitly chosen zone)
+    if (options.timezone || this._hasIssueType(autoFixIssues, ISSUE_TYPES.TIMEZONE_MIXED)) {
+      data = this._normalizeTimezones(fixHeaders(ISSUE_TYPES.TIMEZONE_MIXED), data, columnTypes, options.timezone, options.dateFormat);
+    }
+
+    // 14. Convert money columns to the rate table's base currency
+    if (options.rateTable) {
+      data = this._convertCurrencies(fixHeaders(ISSUE_TYPES.CURRENCY_MIXED), data, columnTypes, options.rateTable);
+    }
+
+    // 15. Merge fuzzy duplicate groups into golden records (survivorship rules per column)
+    let mergeMap = [];
+    const mergeIssue = autoFixIssues.find(i => i.type === ISSUE_TYPES.DUPLICATE_FUZZY && i.fixInfo);
+    if (mergeIssue) {
+      ({ data, mergeMap } = this._mergeDuplicates(headers, data, mergeIssue.fixInfo));
+    }
+
+    // 16. Fill missing values with the column's impute strategy
+    const imputeIssues = autoFixIssues.filter(i => i.type === ISSUE_TYPES.MISSING_VALUE && i.fixInfo);
+    if (imputeIssues.length > 0) {
+      const skipRows = new Set(analysisResult.issues?.find(i => i.type === ISSUE_TYPES.AGGREGATE_ROW)?.fixInfo?.rows || []);
+      data = this._imputeMissing(data, imputeIssues.map(i => i.fixInfo), columnTypes, skipRows);
     }
 
     // ─────────────────────────────────────────────────────────────────────
@@ -132,12 +228,236 @@ class Cleaner {
       
       // Change log
       changes: this.changes,
+
+      // Every cell change / row removal, replayable on the original (see applyPatch)
+      patch: this._buildPatch(headers, data, {
+        fileName: parsedData.fileName,
+        sheet: parsedData.activeSheet,
+        table: options.table,
+      }),
+
+      // Cells filled by imputation [{ row, column, strategy }] (marked in the report)
+      imputedCells: this.imputedCells,
+
+      // Columns converted to one currency { column: code }: numbers, written with that currency's format
+      moneyColumns: this.moneyColumns,
       
       // Summary by type
       changesByType: this._summarizeChangesByType(),
+
+      // Subtotal/total rows moved out of the data (for a separate sheet)
+      aggregateRows: aggregateRows.length > 0 ? { headers, data: aggregateRows } : null,
+
+      // Old row → surviving row of every merged duplicate group (for a separate sheet)
+      mergeMap: mergeMap.length > 0 ? { headers: MERGE_MAP_HEADERS, data: mergeMap } : null,
     };
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // FIX REVIEW (propose → accept / reject → clean)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Change set clean() would apply, one entry per fix type & column
+   * @param {Object} analysisResult - Result from Analyzer
+   * @param {string[]} selection - Accepted fix ids / categories (null = all)
+   * @returns {Object[]} [{ id, category, operation, column, message, suggestion, affectedRows, selected }]
+   */
+  proposeFixes(analysisResult, selection = null) {
+    const fixes = new Map();
+
+    (analysisResult?.categorizedIssues?.autoFix || []).forEach(issue => {
+      if (!FIX_OPERATIONS[issue.type]) return;
+
+      const id = this.fixId(issue);
+      const existing = fixes.get(id);
+      if (existing) {
+        existing.affectedRows += issue.affectedRows || 0;
+        return;
+      }
+
+      fixes.set(id, {
+        id,
+        category: issue.type,
+        operation: FIX_OPERATIONS[issue.type],
+        column: issue.column || null,
+        message: issue.message,
+        suggestion: issue.suggestion,
+        affectedRows: issue.affectedRows || 0,
+        selected: this.isFixSelected(issue, selection),
+      });
+    });
+
+    return [...fixes.values()];
+  }
+
+  /**
+   * Stable fix id from issue type + column ("whitespace-1a2b3c4d"): the same file gives
+   * the same ids on every analysis, so a selection can be applied in a later request
+   */
+  fixId(issue) {
+    const column = crypto.createHash('sha1').update(String(issue.column || '')).digest('hex').slice(0, 8);
+    return `${issue.type}-${column}`;
+  }
+
+  /**
+   * Whether the user accepted the fix for an issue (by fix id or by category)
+   */
+  isFixSelected(issue, selection) {
+    if (!selection) return true;
+    return selection.includes(this.fixId(issue)) || selection.includes(issue.type);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // PATCH (replay on the original, undo on the cleaned data)
+  // ─────────────────────────────────────────────────────────────────────────
+  //
+  // Every change is recorded as { op: 'update', row, column, oldValue, newValue, rule },
+  // { op: 'remove', row, values, rule } or (recipes) { op: 'dropColumn', column, index, values };
+  // row is the source row number (_rowIndex).
+
+  /**
+   * Replay a patch on a fresh parse of the original file.
+   * A cell is only changed when it still holds oldValue; anything else is a conflict.
+   * @param {string[]} headers - Headers from FileParser
+   * @param {Object[]} data - Rows from FileParser (changed in place)
+   * @param {Object} patch - Patch from clean() / basicClean() / runRecipe()
+   * @returns {Object} { headers, data, applied, conflicts: [{ op, row, column, rule, expected, found, reason }] }
+   */
+  applyPatch(headers, data, patch) {
+    this.validatePatch(patch);
+
+    const rows = new Map(data.map(row => [row._rowIndex, row]));
+    const removed = new Set();
+    const conflicts = [];
+    let applied = 0;
+
+    patch.operations.forEach(operation => {
+      if (operation.op === 'dropColumn') {
+        if (!headers.includes(operation.column)) {
+          conflicts.push(this._conflict(operation, null, null, 'Column not found'));
+          return;
+        }
+        headers = headers.filter(h => h !== operation.column);
+        data.forEach(row => { delete row[operation.column]; });
+        applied++;
+        return;
+      }
+
+      const row = removed.has(operation.row) ? null : rows.get(operation.row);
+      if (!row) {
+        conflicts.push(this._conflict(operation, null, null, 'Row not found'));
+        return;
+      }
+
+      if (operation.op === 'remove') {
+        const column = Object.keys(operation.values).find(h => !this._sameValue(row[h], operation.values[h]));
+        if (column !== undefined) {
+          conflicts.push(this._conflict({ ...operation, column }, operation.values[column], row[column], 'Row differs from the patch'));
+          return;
+        }
+        removed.add(operation.row);
+      } else {
+        if (!this._sameValue(row[operation.column], operation.oldValue)) {
+          conflicts.push(this._conflict(operation, operation.oldValue, row[operation.column], 'Cell differs from the old value'));
+          return;
+        }
+        row[operation.column] = operation.newValue;
+      }
+      applied++;
+    });
+
+    return { headers, data: data.filter(row => !removed.has(row._rowIndex)), applied, conflicts };
+  }
+
+  /**
+   * Undo a patch on the cleaned data: old values, removed rows and dropped columns go back
+   * and the rows return to their original order.
+   * @param {string[]} headers - Headers of the cleaned file
+   * @param {Object[]} data - Cleaned rows, in the order they were written (patch.rowKeys)
+   * @returns {Object} { headers, data, applied, conflicts }
+   */
+  revertPatch(headers, data, patch) {
+    this.validatePatch(patch);
+
+    if (data.length !== patch.rowKeys.length) {
+      throw new Error(`Cleaned data has ${data.length} rows, the patch expects ${patch.rowKeys.length}`);
+    }
+
+    const rows = new Map();
+    data.forEach((row, index) => {
+      row._rowIndex = patch.rowKeys[index];
+      rows.set(row._rowIndex, row);
+    });
+
+    const conflicts = [];
+    let applied = 0;
+
+    [...patch.operations].reverse().forEach(operation => {
+      if (operation.op === 'dropColumn') {
+        if (headers.includes(operation.column)) {
+          conflicts.push(this._conflict(operation, null, null, 'Column is already present'));
+          return;
+        }
+        headers = [...headers];
+        headers.splice(Math.max(0, Math.min(operation.index ?? headers.length, headers.length)), 0, operation.column);
+        rows.forEach((row, key) => { row[operation.column] = operation.values[key] ?? ''; });
+        applied++;
+        return;
+      }
+
+      if (operation.op === 'remove') {
+        if (rows.has(operation.row)) {
+          conflicts.push(this._conflict(operation, null, null, 'Row is already present'));
+          return;
+        }
+        rows.set(operation.row, { _rowIndex: operation.row, ...operation.values });
+        applied++;
+        return;
+      }
+
+      const row = rows.get(operation.row);
+      if (!row) {
+        conflicts.push(this._conflict(operation, operation.newValue, null, 'Row not found'));
+      } else if (!this._sameValue(row[operation.column], operation.newValue)) {
+        conflicts.push(this._conflict(operation, operation.newValue, row[operation.column], 'Cell was edited after cleaning'));
+      } else {
+        row[operation.column] = operation.oldValue;
+        applied++;
+      }
+    });
+
+    return {
+      headers,
+      data: [...rows.values()].sort((a, b) => a._rowIndex - b._rowIndex),
+      applied,
+      conflicts,
+    };
+  }
+
+  /**
+   * Check a patch (e.g. uploaded by the user) before it touches any data
+   */
+  validatePatch(patch) {
+    if (!patch || typeof patch !== 'object' || !Array.isArray(patch.operations) || !Array.isArray(patch.rowKeys)) {
+      throw new Error('Invalid patch: expected { version, rowKeys: [...], operations: [...] }');
+    }
+
+    if (patch.version !== PATCH_VERSION) {
+      throw new Error(`Unsupported patch version: ${patch.version}`);
+    }
+
+    const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const invalid = patch.operations.find(operation => !operation || !(
+      (operation.op === 'update' && typeof operation.row === 'number' && typeof operation.column === 'string') ||
+      (operation.op === 'remove' && typeof operation.row === 'number' && isMap(operation.values)) ||
+      (operation.op === 'dropColumn' && typeof operation.column === 'string' && isMap(operation.values))
+    ));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid patch operation: ${JSON.stringify(invalid)}`);
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // CLEANING OPERATIONS
   // ─────────────────────────────────────────────────────────────────────────
@@ -158,6 +478,7 @@ class Cleaner {
         uniqueData.push(row);
       } else {
         removed++;
+        this._removeRow(row, ISSUE_TYPES.DUPLICATE_ROW);
         this._logChange({
           type: 'REMOVE_DUPLICATE',
           row: row._rowIndex,
@@ -178,6 +499,102 @@ class Cleaner {
     return uniqueData;
   }
 
+  /**
+   * Merge each fuzzy duplicate group into its surviving row (see survivorship.merge)
+   * The other rows of a group are removed; the map links every old row to the survivor.
+   * @param {Object} fixInfo - { clusters: [{ rows, similarity }], rules } from the analyzer
+   * @returns {Object} { data, mergeMap: [{ Row, Surviving Row, Group, Status, Similarity, Values Used }] }
+   */
+  _mergeDuplicates(headers, data, fixInfo) {
+    const byIndex = new Map(data.map(row => [row._rowIndex, row]));
+    const removed = new Set();
+    const mergeMap = [];
+    let groups = 0;
+
+    fixInfo.clusters.forEach(cluster => {
+      // Rows may already be gone (exact duplicates, subtotal rows)
+      const rows = cluster.rows.map(index => byIndex.get(index)).filter(Boolean);
+      if (rows.length < 2) return;
+
+      groups++;
+      const { survivor, values, sources } = survivorship.merge(rows, headers, fixInfo.rules);
+
+      Object.entries(values).forEach(([header, value]) => {
+        if (value !== survivor[header]) {
+          this._setCell(survivor, header, value, ISSUE_TYPES.DUPLICATE_FUZZY);
+        }
+      });
+
+      rows.forEach(row => {
+        const isSurvivor = row === survivor;
+        mergeMap.push({
+          'Row': row._rowIndex,
+          'Surviving Row': survivor._rowIndex,
+          'Group': groups,
+          'Status': isSurvivor ? 'Survivor' : 'Merged',
+          'Similarity': cluster.similarity,
+          'Values Used': headers.filter(h => sources[h] === row._rowIndex).join(', '),
+        });
+
+        if (isSurvivor) return;
+        removed.add(row._rowIndex);
+        this._removeRow(row, ISSUE_TYPES.DUPLICATE_FUZZY);
+        this._logChange({
+          type: 'MERGE_DUPLICATE',
+          row: row._rowIndex,
+          message: `Merged into row ${survivor._rowIndex}`,
+        });
+      });
+    });
+
+    if (removed.size > 0) {
+      this.changes.push({
+        type: 'SUMMARY',
+        operation: 'Merge Duplicates',
+        count: removed.size,
+        message: `Merged ${removed.size + groups} rows into ${groups} records`,
+      });
+    }
+
+    return { data: data.filter(row => !removed.has(row._rowIndex)), mergeMap };
+  }
+
+  /**
+   * Take subtotal/total rows out of the data
+   * @param {string} mode - 'sheet' keeps them for a separate sheet, 'remove' drops them
+   */
+  _removeAggregateRows(data, fixInfo, mode = 'sheet') {
+    const rows = new Set(fixInfo.rows);
+    const kept = [];
+    const aggregateRows = [];
+
+    data.forEach(row => {
+      if (!rows.has(row._rowIndex)) {
+        kept.push(row);
+        return;
+      }
+
+      aggregateRows.push(row);
+      this._removeRow(row, ISSUE_TYPES.AGGREGATE_ROW);
+      this._logChange({
+        type: mode === 'remove' ? 'REMOVE_AGGREGATE' : 'MOVE_AGGREGATE',
+        row: row._rowIndex,
+        message: mode === 'remove' ? 'Removed subtotal/total row' : 'Moved subtotal/total row to "Totals" sheet',
+      });
+    });
+
+    if (aggregateRows.length > 0) {
+      this.changes.push({
+        type: 'SUMMARY',
+        operation: mode === 'remove' ? 'Remove Total Rows' : 'Move Total Rows',
+        count: aggregateRows.length,
+        message: `${mode === 'remove' ? 'Removed' : 'Moved'} ${aggregateRows.length} subtotal/total rows`,
+      });
+    }
+
+    return { data: kept, aggregateRows: mode === 'remove' ? [] : aggregateRows };
+  }
+
   /**
    * Remove empty rows
    */
@@ -195,6 +612,7 @@ class Cleaner {
         cleanedData.push(row);
       } else {
         removed++;
+        this._removeRow(row, ISSUE_TYPES.EMPTY_ROW);
         this._logChange({
           type: 'REMOVE_EMPTY',
           row: row._rowIndex,
@@ -227,10 +645,8 @@ class Cleaner {
         if (typeof val === 'string') {
           const cleaned = helpers.cleanString(val);
           if (cleaned !== val) {
-            row[header] = cleaned;
+            this._setCell(row, header, cleaned, ISSUE_TYPES.WHITESPACE);
             fixed++;
-            this.stats.cellsModified++;
-            this.stats.rowsAffected.add(row._rowIndex);
           }
         }
       });
@@ -256,15 +672,17 @@ class Cleaner {
 
     headers.forEach(header => {
       if (columnTypes[header]?.type === 'date') {
+        // Inferred day/month order; ambiguous a/b/yyyy values are left for review
+        const dateOrder = columnTypes[header].dateOrder || helpers.detectDateOrder(data.map(row => row[header]));
+
         data.forEach(row => {
           const val = row[header];
+          if (dateOrder.ambiguous && helpers.dateOrderEvidence(val) === 'either') return;
           if (val && val !== '') {
-            const formatted = helpers.formatDate(val, targetFormat);
+            const formatted = helpers.formatDate(val, targetFormat, { order: dateOrder.order });
             if (formatted !== val) {
-              row[header] = formatted;
+              this._setCell(row, header, formatted, ISSUE_TYPES.DATE_INCONSISTENT);
               fixed++;
-              this.stats.cellsModified++;
-              this.stats.rowsAffected.add(row._rowIndex);
             }
           }
         });
@@ -291,19 +709,28 @@ class Cleaner {
 
     headers.forEach(header => {
       const type = columnTypes[header]?.type;
+      if (type !== 'currency' && type !== 'number') return;
+
+      // Identifiers stay text: "001.234" / "0012345678" would lose their dots and leading zeros
+      if (helpers.isIdentifierHeader(header)) return;
+
+      // Column-wide separators so "1.234" reads the same in every row
+      const { locale } = columnTypes[header].numberLocale || helpers.detectNumberLocale(data.map(row => row[header]));
       
       if (type === 'currency') {
+        // Each value keeps its own currency; plain numbers take the column's most common one
+        const columnCurrency = columnTypes[header].currency?.code;
+
         data.forEach(row => {
           const val = row[header];
           if (val && val !== '') {
-            const num = helpers.parseNumber(val);
+            const num = helpers.parseNumber(val, { locale });
             if (!isNaN(num)) {
-              const formatted = helpers.formatCurrency(num);
+              const currency = helpers.detectCurrency(val) || columnCurrency;
+              const formatted = helpers.formatMoney(num, currency);
               if (formatted !== val) {
-                row[header] = formatted;
+                this._setCell(row, header, formatted, ISSUE_TYPES.CURRENCY_FORMAT);
                 fixed++;
-                this.stats.cellsModified++;
-                this.stats.rowsAffected.add(row._rowIndex);
               }
             }
           }
@@ -312,13 +739,11 @@ class Cleaner {
         data.forEach(row => {
           const val = row[header];
           if (val && val !== '' && typeof val === 'string') {
-            const num = helpers.parseNumber(val);
+            const num = helpers.parseNumber(val, { locale });
             if (!isNaN(num)) {
               // Keep as number, formatted with thousand separators
-              row[header] = num; // Store as actual number
+              this._setCell(row, header, num, ISSUE_TYPES.NUMBER_FORMAT);
               fixed++;
-              this.stats.cellsModified++;
-              this.stats.rowsAffected.add(row._rowIndex);
             }
           }
         });
@@ -337,6 +762,153 @@ class Cleaner {
     return data;
   }
 
+  /**
+   * Convert money values to the table's base currency: "US$ 10" → 158000 (shown as "Rp 158.000")
+   * Converted columns hold numbers so they can be summed; values without a rate are left as they are
+   * (the analyzer lists the missing rates).
+   */
+  _convertCurrencies(headers, data, columnTypes, table) {
+    let fixed = 0;
+
+    headers.forEach(header => {
+      const columnType = columnTypes[header];
+      if (columnType?.type !== 'currency' || !columnType.currency?.code) return;
+
+      const codes = Object.keys(columnType.currency.codes);
+      if (codes.every(code => code === table.base)) return;
+
+      // Read separators from the current values (step 5 may already have rewritten them as 1.234,50)
+      const { locale } = helpers.detectNumberLocale(data.map(row => row[header]));
+      data.forEach(row => {
+        const val = row[header];
+        if (val === '' || val === null || val === undefined) return;
+
+        const currency = helpers.detectCurrency(val) || columnType.currency.code;
+        const num = helpers.parseNumber(val, { locale });
+        const converted = isNaN(num) ? null : rateTable.convert(num, currency, table);
+        if (converted === null) return;
+
+        const amount = helpers.roundMoney(converted, table.base);
+        if (amount !== val) {
+          this._setCell(row, header, amount, ISSUE_TYPES.CURRENCY_MIXED);
+          if (currency !== table.base) fixed++;
+        }
+      });
+
+      this.moneyColumns[header] = table.base;
+    });
+
+    if (fixed > 0) {
+      this.changes.push({
+        type: 'SUMMARY',
+        operation: 'Convert Currencies',
+        count: fixed,
+        message: `Converted ${fixed} money values to ${table.base} using "${table.name}"`,
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Fill empty cells per impute rule (see imputation.plan), after every other fix so means and
+   * neighbours are read from standardized values
+   * @param {Set} skipRows - Subtotal/total rows (_rowIndex), never filled nor used as a source
+   */
+  _imputeMissing(data, rules, columnTypes, skipRows = new Set()) {
+    const rows = skipRows.size > 0 ? data.filter(row => !skipRows.has(row._rowIndex)) : data;
+    const filledPerColumn = {};
+    let fixed = 0;
+
+    rules.forEach(rule => {
+      const columnType = columnTypes[rule.column];
+      const method = imputation.describe(rule);
+
+      imputation.plan(rows, rule).forEach(({ row, value }) => {
+        // Converted money columns hold numbers (see _convertCurrencies)
+        const filled = columnType?.type === 'currency' && typeof value === 'number' && !this.moneyColumns[rule.column]
+          ? helpers.formatMoney(value, columnType.currency?.code || INDONESIA.CURRENCY)
+          : value;
+
+        this._setCell(row, rule.column, filled, ISSUE_TYPES.MISSING_VALUE);
+        this.imputedCells.push({ row: row._rowIndex, column: rule.column, strategy: rule.strategy });
+        this._logChange({
+          type: 'IMPUTE',
+          row: row._rowIndex,
+          column: rule.column,
+          oldValue: '',
+          newValue: filled,
+          message: `Filled with ${method}`,
+        });
+        filledPerColumn[rule.column] = (filledPerColumn[rule.column] || 0) + 1;
+        fixed++;
+      });
+    });
+
+    if (fixed > 0) {
+      // Only the columns that got values: "Harga (3), Stok (1)"
+      const columns = Object.entries(filledPerColumn).map(([column, count]) => `${column} (${count})`);
+      this.changes.push({
+        type: 'SUMMARY',
+        operation: 'Fill Missing Values',
+        count: fixed,
+        message: `Filled ${fixed} empty cells in ${columns.join(', ')}`,
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Convert zoned datetimes to the target zone: "05/01/2024 09:15 WITA" → "05-Jan-2024 08:15 WIB"
+   * Values without a suffix in a zoned column are read in the column's most common zone.
+   */
+  _normalizeTimezones(headers, data, columnTypes, timezone, dateFormat = 'DD-MMM-YYYY') {
+    const target = helpers.timezoneLabel(
+      helpers.timezoneOffset(timezone) ?? helpers.timezoneOffset(INDONESIA.DEFAULT_TIMEZONE),
+    );
+    let fixed = 0;
+
+    headers.forEach(header => {
+      const columnType = columnTypes[header];
+      if (columnType?.type !== 'datetime' || !columnType.timezone?.zone) return;
+
+      const zones = Object.keys(columnType.timezone.zones);
+      if (zones.length === 1 && zones[0] === target) return;
+
+      const order = columnType.dateOrder?.order;
+      data.forEach(row => {
+        const val = row[header];
+        const instant = helpers.parseDateTime(val, { order, timezone: columnType.timezone.zone });
+        if (!instant || typeof val !== 'string') return;
+
+        const parts = helpers.zonedParts(instant, target);
+        const date = new Date(parts.year, parts.month - 1, parts.day);
+        const time = [parts.hours, parts.minutes]
+          .concat(parts.seconds ? [parts.seconds] : [])
+          .map(n => String(n).padStart(2, '0'))
+          .join(':');
+
+        const formatted = `${helpers.formatDate(date, dateFormat)} ${time} ${target}`;
+        if (formatted !== val) {
+          this._setCell(row, header, formatted, ISSUE_TYPES.TIMEZONE_MIXED);
+          fixed++;
+        }
+      });
+    });
+
+    if (fixed > 0) {
+      this.changes.push({
+        type: 'SUMMARY',
+        operation: 'Normalize Timezones',
+        count: fixed,
+        message: `Converted ${fixed} date/time values to ${target}`,
+      });
+    }
+
+    return data;
+  }
+
   /**
    * Standardize phone numbers
    */
@@ -350,10 +922,8 @@ class Cleaner {
           if (val && val !== '') {
             const formatted = helpers.formatPhoneID(val);
             if (formatted !== val && formatted !== String(val)) {
-              row[header] = formatted;
+              this._setCell(row, header, formatted, ISSUE_TYPES.PHONE_FORMAT);
               fixed++;
-              this.stats.cellsModified++;
-              this.stats.rowsAffected.add(row._rowIndex);
             }
           }
         });
@@ -385,10 +955,8 @@ class Cleaner {
           if (val && val !== '') {
             const cleaned = helpers.fixEmail(val);
             if (cleaned !== val) {
-              row[header] = cleaned;
+              this._setCell(row, header, cleaned, ISSUE_TYPES.EMAIL_FORMAT);
               fixed++;
-              this.stats.cellsModified++;
-              this.stats.rowsAffected.add(row._rowIndex);
             }
           }
         });
@@ -424,10 +992,8 @@ class Cleaner {
         
         // Check if current total is wrong
         if (isNaN(currentTotal) || Math.abs(expectedTotal - currentTotal) > 1) {
-          row[totalCol] = expectedTotal;
+          this._setCell(row, totalCol, expectedTotal, ISSUE_TYPES.CALCULATION_ERROR);
           fixed++;
-          this.stats.cellsModified++;
-          this.stats.rowsAffected.add(row._rowIndex);
           
           this._logChange({
             type: 'FIX_CALCULATION',
@@ -468,10 +1034,8 @@ class Cleaner {
         const expectedPPN = Math.round(dpp * rate);
         
         if (isNaN(currentPPN) || Math.abs(expectedPPN - currentPPN) > 1) {
-          row[ppnCol] = expectedPPN;
+          this._setCell(row, ppnCol, expectedPPN, ISSUE_TYPES.TAX_CALCULATION);
           fixed++;
-          this.stats.cellsModified++;
-          this.stats.rowsAffected.add(row._rowIndex);
           
           this._logChange({
             type: 'FIX_TAX',
@@ -497,6 +1061,99 @@ class Cleaner {
     return data;
   }
 
+  /**
+   * Restore account numbers Excel stored as numbers (scientific notation, lost leading zeros)
+   */
+  _restoreBankAccounts(data, fixInfo) {
+    const { accountCol, bankCol, headerBank } = fixInfo;
+    let fixed = 0;
+
+    data.forEach(row => {
+      const value = row[accountCol];
+      if (helpers.isEmpty(value)) return;
+
+      const bank = (bankCol && helpers.normalizeBankName(row[bankCol])) || headerBank;
+      const result = helpers.validateBankAccount(value, bank, row._rawValues?.[accountCol]);
+
+      if (result.isValid && result.restored) {
+        this._setCell(row, accountCol, result.restored, ISSUE_TYPES.BANK_ACCOUNT_FORMAT);
+        fixed++;
+
+        this._logChange({
+          type: 'RESTORE_ACCOUNT',
+          row: row._rowIndex,
+          column: accountCol,
+          oldValue: value,
+          newValue: result.restored,
+          message: `Restored account number: ${value} → ${result.restored}`,
+        });
+      }
+    });
+
+    if (fixed > 0) {
+      this.changes.push({
+        type: 'SUMMARY',
+        operation: 'Restore Bank Accounts',
+        count: fixed,
+        message: `Restored ${fixed} account numbers in "${accountCol}" as text`,
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Fix PPh 21 (pasal 17 brackets, PTKP status per row)
+   */
+  _fixPPh21Calculations(data, fixInfo) {
+    const { pph21Col, incomeCols, pensionCols, statusCol, taxYearly, incomeYearly } = fixInfo;
+    const divisor = incomeYearly ? 12 : 1;
+    const sumOf = (row, cols) => cols
+      .map(col => helpers.parseNumber(row[col]))
+      .filter(v => !isNaN(v))
+      .reduce((sum, v) => sum + v, 0);
+    let fixed = 0;
+
+    data.forEach(row => {
+      const status = statusCol ? helpers.normalizePTKPStatus(row[statusCol]) : 'TK/0';
+      const grossMonthly = sumOf(row, incomeCols) / divisor;
+      if (!status || grossMonthly <= 0) return;
+
+      const calc = helpers.calculatePPh21({
+        grossMonthly,
+        pensionMonthly: sumOf(row, pensionCols) / divisor,
+        status,
+      });
+      const expected = taxYearly ? calc.yearly : calc.monthly;
+      const current = helpers.parseNumber(row[pph21Col]);
+
+      if (isNaN(current) || Math.abs(expected - current) > 1) {
+        this._setCell(row, pph21Col, expected, ISSUE_TYPES.PPH21_CALCULATION);
+        fixed++;
+
+        this._logChange({
+          type: 'FIX_TAX',
+          row: row._rowIndex,
+          column: pph21Col,
+          oldValue: current,
+          newValue: expected,
+          message: `Fixed PPh 21 (${status}, PKP ${calc.pkp}): ${expected}`,
+        });
+      }
+    });
+
+    if (fixed > 0) {
+      this.changes.push({
+        type: 'SUMMARY',
+        operation: 'Fix PPh 21 Calculations',
+        count: fixed,
+        message: `Recalculated ${fixed} PPh 21 values (${taxYearly ? 'yearly' : 'monthly'})`,
+      });
+    }
+
+    return data;
+  }
+
   /**
    * Format NPWP numbers
    */
@@ -511,10 +1168,8 @@ class Cleaner {
           if (val && val !== '') {
             const validation = helpers.validateNPWP(val);
             if (validation.isValid && validation.formatted !== val) {
-              row[header] = validation.formatted;
+              this._setCell(row, header, validation.formatted, ISSUE_TYPES.NPWP_INVALID);
               fixed++;
-              this.stats.cellsModified++;
-              this.stats.rowsAffected.add(row._rowIndex);
             }
           }
         });
@@ -564,10 +1219,8 @@ class Cleaner {
             }
             
             if (newVal !== val) {
-              row[header] = newVal;
+              this._setCell(row, header, newVal, ISSUE_TYPES.TEXT_CASE);
               fixed++;
-              this.stats.cellsModified++;
-              this.stats.rowsAffected.add(row._rowIndex);
             }
           }
         });
@@ -595,6 +1248,7 @@ class Cleaner {
    */
   basicClean(headers, data, options = {}) {
     this.changes = [];
+    this.operations = [];
     this.stats = { totalChanges: 0, rowsAffected: new Set(), cellsModified: 0 };
 
     let cleanedData = [...data];
@@ -636,9 +1290,139 @@ class Cleaner {
         rowsRemoved: data.length - cleanedData.length,
       },
       changes: this.changes,
+      patch: this._buildPatch(headers, cleanedData, { fileName: options.fileName, table: options.table }),
     };
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // RECIPES (ordered cleaning steps, see recipeSchema)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Run a recipe's steps in order
+   * @param {Object} parsedData - Data from FileParser
+   * @param {Object} recipe - Normalized recipe from recipeSchema.load()
+   * @returns {Object} Same shape as basicClean() + { recipe, steps: [{ op, description, changes }] }
+   */
+  runRecipe(parsedData, recipe, options = {}) {
+    const startTime = Date.now();
+    this.changes = [];
+    this.operations = [];
+    this.stats = { totalChanges: 0, rowsAffected: new Set(), cellsModified: 0 };
+
+    let { headers, data } = JSON.parse(JSON.stringify({ headers: parsedData.headers, data: parsedData.data }));
+    const columnTypes = parsedData.columnTypes || {};
+    const steps = [];
+
+    recipe.steps.forEach((step, index) => {
+      const columns = step.columns ? this._recipeColumns(headers, step, index) : headers;
+      // Listed columns are cleaned as the step's type, whatever type was detected
+      const typed = type => (step.columns ? this._withType(columnTypes, columns, type) : columnTypes);
+      const changeCount = this.changes.length;
+
+      switch (step.op) {
+        case 'trim':
+          data = this._fixWhitespace(columns, data);
+          break;
+        case 'removeEmpty':
+          data = this._removeEmptyRows(headers, data);
+          break;
+        case 'dedupe':
+          data = this._removeDuplicates(columns, data);
+          break;
+        case 'dates':
+          data = this._standardizeDates(columns, data, typed('date'), step.format);
+          break;
+        case 'numbers':
+          data = this._standardizeNumbers(columns, data, typed('number'));
+          break;
+        case 'phones':
+          data = this._standardizePhones(columns, data, typed('phone'));
+          break;
+        case 'emails':
+          data = this._standardizeEmails(columns, data, typed('email'));
+          break;
+        case 'textCase':
+          data = this._standardizeTextCase(columns, data, typed('string'), step.case);
+          break;
+        case 'dropColumns':
+          headers = this._dropColumns(headers, data, columns);
+          break;
+      }
+
+      const summary = this.changes.slice(changeCount).find(c => c.type === 'SUMMARY');
+      steps.push({ op: step.op, description: recipeSchema.describeStep(step), changes: summary?.count || 0 });
+    });
+
+    return {
+      success: true,
+      cleanTime: Date.now() - startTime,
+      headers,
+      data,
+      recipe: recipe.name,
+      steps,
+      stats: {
+        totalChanges: this.changes.length,
+        rowsAffected: this.stats.rowsAffected.size,
+        cellsModified: this.stats.cellsModified,
+        originalRowCount: parsedData.data.length,
+        cleanedRowCount: data.length,
+        rowsRemoved: parsedData.data.length - data.length,
+      },
+      changes: this.changes,
+      patch: this._buildPatch(headers, data, {
+        fileName: parsedData.fileName,
+        sheet: parsedData.activeSheet,
+        table: options.table,
+        recipe: recipe.name,
+      }),
+    };
+  }
+
+  /**
+   * Drop columns (values are kept in the patch so undo can restore them)
+   * @returns {string[]} Remaining headers
+   */
+  _dropColumns(headers, data, columns) {
+    columns.forEach(column => {
+      const values = {};
+      data.forEach(row => {
+        values[row._rowIndex] = row[column] ?? null;
+        delete row[column];
+      });
+
+      this.operations.push({ op: 'dropColumn', column, index: headers.indexOf(column), values, rule: 'drop_column' });
+    });
+
+    this.changes.push({
+      type: 'SUMMARY',
+      operation: 'Drop Columns',
+      count: columns.length,
+      message: `Dropped ${columns.length} column(s): ${columns.join(', ')}`,
+    });
+
+    return headers.filter(h => !columns.includes(h));
+  }
+
+  _recipeColumns(headers, step, index) {
+    return step.columns.map(name => {
+      const column = ruleSchema.resolveColumn(headers, name);
+      if (!column) throw new Error(`Recipe step ${index + 1} (${step.op}): column "${name}" not found`);
+      return column;
+    });
+  }
+
+  _withType(columnTypes, columns, type) {
+    const typed = { ...columnTypes };
+    columns.forEach(column => {
+      const current = columnTypes[column];
+      // Money columns stay money when a recipe asks for numbers
+      const keep = type === 'number' && current?.type === 'currency';
+      typed[column] = { ...current, type: keep ? current.type : type };
+    });
+    return typed;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // HELPER METHODS
   // ─────────────────────────────────────────────────────────────────────────
@@ -652,6 +1436,78 @@ class Cleaner {
     this.changes.push(change);
   }
 
+  /**
+   * Change one cell and record it as a patch operation
+   * @param {string} rule - Issue type (fix category) behind the change
+   */
+  _setCell(row, column, value, rule) {
+    this.operations.push({
+      op: 'update',
+      row: row._rowIndex,
+      column,
+      oldValue: row[column] ?? null,
+      newValue: value,
+      rule,
+    });
+
+    row[column] = value;
+    this.stats.cellsModified++;
+    this.stats.rowsAffected.add(row._rowIndex);
+  }
+
+  /**
+   * Record a removed row with its values (undo puts it back)
+   */
+  _removeRow(row, rule) {
+    const values = {};
+    Object.keys(row)
+      .filter(key => !key.startsWith('_'))
+      .forEach(key => { values[key] = row[key]; });
+
+    this.operations.push({ op: 'remove', row: row._rowIndex, values, rule });
+  }
+
+  _buildPatch(headers, data, source) {
+    return {
+      version: PATCH_VERSION,
+      rowKey: '_rowIndex',
+      source,
+      createdAt: new Date().toISOString(),
+      headers,
+      // Row key of every cleaned row in output order (undo maps the cleaned file back by position)
+      rowKeys: data.map(row => row._rowIndex),
+      operations: this.operations,
+    };
+  }
+
+  /**
+   * Cell comparison across a workbook round trip: numbers come back as text ("1234"), empty as ''
+   */
+  _sameValue(a, b) {
+    if (helpers.isEmpty(a) || helpers.isEmpty(b)) return helpers.isEmpty(a) && helpers.isEmpty(b);
+    if (String(a).trim() === String(b).trim()) return true;
+
+    if (typeof a === 'number' || typeof b === 'number') {
+      const x = helpers.parseNumber(a);
+      const y = helpers.parseNumber(b);
+      return !isNaN(x) && !isNaN(y) && Math.abs(x - y) <= 1e-6 * Math.max(1, Math.abs(x), Math.abs(y));
+    }
+
+    return false;
+  }
+
+  _conflict(operation, expected, found, reason) {
+    return {
+      op: operation.op,
+      row: operation.row,
+      column: operation.column || null,
+      rule: operation.rule,
+      expected: expected ?? null,
+      found: found ?? null,
+      reason,
+    };
+  }
+
   _summarizeChangesByType() {
     const summary = {};
     
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const engine = require('./index');
+const cleaner = require('./cleaner');
+const JsonStore = require('../utils/jsonStore');
+
+test('the imputation summary lists only the filled columns, with a count each', async () => {
+  const csv = [
+    'Produk,Harga,Stok,Kota',
+    'Buku,10000,5,Bandung',
+    'Pena,,7,',
+    'Tas,30000,2,Bandung',
+    'Map,,4,Jakarta',
+  ].join('\n');
+  const impute = engine.imputation.normalize('Harga: median; Stok: mean; Kota: mode');
+
+  const result = await engine.process(Buffer.from(csv), { fileName: 'stok.csv', impute });
+  assert.ok(result.success, result.error);
+
+  const summary = result.changes.find(c => c.type === 'SUMMARY' && c.operation === 'Fill Missing Values');
+  assert.strictEqual(summary.count, 3);
+  assert.strictEqual(summary.message, 'Filled 3 empty cells in Harga (2), Kota (1)');
+});
+
+test('number standardization leaves identifier columns as text', () => {
+  const parsed = {
+    headers: ['Nomor_Akun', 'Kode_Pelanggan', 'Gaji'],
+    data: [
+      { _rowIndex: 2, Nomor_Akun: '0012345678', Kode_Pelanggan: '00.123', Gaji: '5.000.000' },
+      { _rowIndex: 3, Nomor_Akun: '0087654321', Kode_Pelanggan: '00.124', Gaji: '6.000.000' },
+    ],
+  };
+  const analysis = {
+    columnTypes: { Nomor_Akun: { type: 'number' }, Kode_Pelanggan: { type: 'number' }, Gaji: { type: 'number' } },
+    categorizedIssues: {
+      autoFix: ['Nomor_Akun', 'Kode_Pelanggan', 'Gaji'].map(column => ({ type: 'number_format', column, autoFix: true })),
+    },
+  };
+
+  const result = cleaner.clean(parsed, analysis);
+
+  assert.deepStrictEqual(result.data.map(row => [row.Nomor_Akun, row.Kode_Pelanggan, row.Gaji]), [
+    ['0012345678', '00.123', 5000000],
+    ['0087654321', '00.124', 6000000],
+  ]);
+});
+
+const reviewCsv = [
+  'Nama,Kota,Harga',
+  ' Andi ,Bandung,"1.500.000"',
+  'Budi, Jakarta ,"2.000.000"',
+  'Budi, Jakarta ,"2.000.000"',
+  'Citra,Bogor,"750.000"',
+].join('\n');
+
+test('fix ids are stable across analyses of the same file', async () => {
+  const first = await engine.propose(Buffer.from(reviewCsv), { fileName: 'review.csv' });
+  const second = await engine.propose(Buffer.from(reviewCsv), { fileName: 'review.csv' });
+  assert.ok(first.success && second.success);
+
+  const ids = first.fixes.map(f => f.id);
+  assert.ok(ids.length > 1);
+  assert.deepStrictEqual(second.fixes.map(f => f.id), ids);
+  assert.strictEqual(new Set(ids).size, ids.length);
+  assert.strictEqual(cleaner.fixId({ type: 'whitespace', column: 'Nama', id: 'a' }), cleaner.fixId({ type: 'whitespace', column: 'Nama', id: 'b' }));
+});
+
+test('only the selected fixes are applied', async () => {
+  const { fixes } = await engine.propose(Buffer.from(reviewCsv), { fileName: 'review.csv' });
+  const trimNama = fixes.find(f => f.category === 'whitespace' && f.column === 'Nama');
+
+  const result = await engine.process(Buffer.from(reviewCsv), { fileName: 'review.csv', fixes: [trimNama.id] });
+  assert.ok(result.success, result.error);
+
+  assert.deepStrictEqual(result.fixes.filter(f => f.selected).map(f => f.id), [trimNama.id]);
+  assert.strictEqual(result.data.data.length, 4);
+  assert.strictEqual(result.data.data[0].Nama, 'Andi');
+  assert.strictEqual(result.data.data[1].Kota, ' Jakarta ');
+});
+
+test('a patch replays on the original and reverts the cleaned data', async () => {
+  const parse = () => engine.fileParser.parse(Buffer.from(reviewCsv), { fileName: 'review.csv' });
+
+  const result = await engine.process(Buffer.from(reviewCsv), { fileName: 'review.csv' });
+  assert.ok(result.success, result.error);
+  const cleaned = result.data.data;
+  assert.ok(result.patch.operations.some(o => o.op === 'remove'));
+
+  const original = parse();
+  const replayed = cleaner.applyPatch(original.headers, original.data, result.patch);
+  assert.deepStrictEqual(replayed.conflicts, []);
+  assert.deepStrictEqual(replayed.data, cleaned);
+
+  const reverted = cleaner.revertPatch(result.data.headers, JSON.parse(JSON.stringify(cleaned)), result.patch);
+  assert.deepStrictEqual(reverted.conflicts, []);
+  assert.deepStrictEqual(reverted.data, parse().data);
+});
+
+test('replaying a patch reports cells that changed since cleaning', async () => {
+  const result = await engine.process(Buffer.from(reviewCsv), { fileName: 'review.csv' });
+  const edited = engine.fileParser.parse(Buffer.from(reviewCsv.replace(' Andi ', ' Andika ')), { fileName: 'review.csv' });
+
+  const replayed = cleaner.applyPatch(edited.headers, edited.data, result.patch);
+
+  assert.deepStrictEqual(replayed.conflicts.map(c => [c.row, c.column, c.found]), [[2, 'Nama', ' Andika ']]);
+  assert.strictEqual(replayed.data[0].Nama, ' Andika ');
+});
+
+test('subtotal and total rows move to their own sheet, or are removed or kept', async () => {
+  const csv = [
+    'Produk,Kategori,Jumlah',
+    'Buku,ATK,10000',
+    'Pena,ATK,5000',
+    'Subtotal ATK,,15000',
+    'Tas,Fashion,150000',
+    'Grand Total,,165000',
+  ].join('\n');
+  const run = aggregateRows => engine.process(Buffer.from(csv), { fileName: 'penjualan.csv', aggregateRows });
+
+  const moved = await run();
+  assert.deepStrictEqual(moved.analysis.issues.find(i => i.type === 'aggregate_row').fixInfo.rows, [4, 6]);
+  assert.deepStrictEqual(moved.data.data.map(row => row.Produk), ['Buku', 'Pena', 'Tas']);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(moved.output.buffer);
+  const totals = [];
+  workbook.getWorksheet('Totals').eachRow((row, rowNumber) => {
+    if (rowNumber > 1) totals.push(row.getCell(1).value);
+  });
+  assert.deepStrictEqual(totals, ['Subtotal ATK', 'Grand Total']);
+
+  const removed = await run('remove');
+  assert.deepStrictEqual(removed.data.data.map(row => row.Produk), ['Buku', 'Pena', 'Tas']);
+  assert.ok(removed.changes.some(c => c.message === 'Removed 2 subtotal/total rows'));
+
+  const kept = await run('keep');
+  assert.strictEqual(kept.data.data.length, 5);
+});
+
+test('a saved recipe runs its steps in order and exports as stored', async (t) => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'recipes-'));
+  t.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+  engine.recipeStore = new JsonStore('recipes');
+
+  const yaml = 'name: Supplier mingguan\nsteps:\n  - trim\n  - op: dedupe\n    columns: [Kode]\n' +
+    '  - op: textCase\n    case: title\n    columns: [Nama]\n  - op: dropColumns\n    columns: [Catatan]\n';
+  engine.saveRecipe('gudang', null, yaml, 'supplier.yml');
+  assert.deepStrictEqual(engine.exportRecipe('gudang', 'Supplier mingguan'), {
+    name: 'Supplier mingguan',
+    steps: [{ op: 'trim' }, { op: 'dedupe', columns: ['Kode'] }, { op: 'textCase', columns: ['Nama'], case: 'title' }, { op: 'dropColumns', columns: ['Catatan'] }],
+  });
+  assert.throws(() => engine.loadRecipe({ recipeName: 'Harian', team: 'gudang' }), /Recipe "Harian" not found/);
+
+  const recipe = engine.loadRecipe({ recipeName: 'Supplier mingguan', team: 'gudang' });
+  const csv = 'Kode,Nama,Catatan\nA1, andi wijaya ,x\nA1,andi wijaya,y\nB2,BUDI santoso,z\n';
+  const result = await engine.quickClean(Buffer.from(csv), { fileName: 'supplier.csv', recipe });
+  assert.ok(result.success, result.error);
+  assert.deepStrictEqual(result.steps.map(step => [step.op, step.changes]), [['trim', 1], ['dedupe', 1], ['textCase', 2], ['dropColumns', 1]]);
+  assert.strictEqual(result.stats.rowsRemoved, 1);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(result.buffer);
+  const rows = [];
+  workbook.worksheets[0].eachRow(row => rows.push(row.values.slice(1)));
+  assert.deepStrictEqual(rows, [['Kode', 'Nama'], ['A1', 'Andi Wijaya'], ['B2', 'Budi Santoso']]);
+});
+
+test('merging a fuzzy duplicate group keeps one record and writes the merge map', async () => {
+  const csv = [
+    'Nama,Email,Telepon,Kota,Sumber,Diperbarui',
+    'Andi Wijaya,andi@lama.com,,Bandung,ERP,01/01/2024',
+    'Andi Wijayaa,andi@baru.com,081234567890,Jakarta,CRM,15/03/2024',
+    'Andy Wijaya,,081234567890,Bandung,ERP,10/02/2024',
+    'Budi Santoso,budi@x.com,0811111111,Bogor,CRM,01/01/2024',
+  ].join('\n');
+  const merge = engine.survivorship.normalize('*: complete; Email: recent by Diperbarui; Kota: frequent');
+
+  const result = await engine.process(Buffer.from(csv), { fileName: 'pelanggan.csv', merge, fuzzyColumns: { Nama: 0.85 } });
+  assert.ok(result.success, result.error);
+  assert.deepStrictEqual(result.data.data.map(row => [row._rowIndex, row.Nama, row.Email, row.Kota]), [
+    [3, 'Andi Wijayaa', 'andi@baru.com', 'Bandung'],
+    [5, 'Budi Santoso', 'budi@x.com', 'Bogor'],
+  ]);
+  assert.ok(result.changes.some(c => c.message === 'Merged 3 rows into 1 records'));
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(result.output.buffer);
+  const map = [];
+  workbook.getWorksheet('Merge Map').eachRow(row => map.push(row.values.slice(1)));
+  assert.deepStrictEqual(map, [
+    ['Row', 'Surviving Row', 'Group', 'Status', 'Similarity', 'Values Used'],
+    [2, 3, 1, 'Merged', 0.91, 'Kota'],
+    [3, 3, 1, 'Survivor', 0.91, 'Nama, Email, Telepon, Sumber, Diperbarui'],
+    [4, 3, 1, 'Merged', 0.91, ''],
+  ]);
+});
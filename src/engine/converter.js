@@ -21,17 +21,7 @@ class Converter {
     const rows = [headers.join(delimiter)];
     
     data.forEach(row => {
-      const values = headers.map(h => {
-        let val = row[h];
-        if (val === null || val === undefined) return '';
-        val = String(val);
-        // Escape quotes and wrap if contains delimiter
-        if (val.includes(delimiter) || val.includes('"') || val.includes('\n')) {
-          val = '"' + val.replace(/"/g, '""') + '"';
-        }
-        return val;
-      });
-      rows.push(values.join(delimiter));
+      rows.push(this._csvRow(headers, row, delimiter));
     });
     
     return rows.join(lineEnding);
@@ -41,15 +31,7 @@ class Converter {
    * Convert data to JSON
    */
   toJSON(headers, data, options = {}) {
-    const formatted = data.map(row => {
-      const obj = {};
-      headers.forEach(h => {
-        obj[h] = row[h];
-      });
-      // Remove internal properties
-      delete obj._rowIndex;
-      return obj;
-    });
+    const formatted = data.map(row => this._jsonRecord(headers, row));
     
     return options.pretty 
       ? JSON.stringify(formatted, null, 2)
@@ -85,10 +67,7 @@ class Converter {
       </tr>
     </thead>
     <tbody>
-      ${data.map((row, i) => `
-      <tr class="${i % 2 === 0 ? 'even' : 'odd'}">
-        ${headers.map(h => `<td>${this._escapeHTML(String(row[h] || ''))}</td>`).join('')}
-      </tr>`).join('')}
+      ${data.map((row, i) => this._htmlRow(headers, row, i)).join('')}
     </tbody>
   </table>
 </body>
@@ -115,12 +94,7 @@ class Converter {
     
     // Data rows
     data.forEach(row => {
-      const values = headers.map(h => {
-        const val = row[h];
-        if (val === null || val === undefined) return '';
-        return String(val).replace(/\|/g, '\\|');
-      });
-      md += '| ' + values.join(' | ') + ' |\n';
+      md += this._markdownRow(headers, row);
     });
     
     return md;
@@ -150,19 +124,7 @@ class Converter {
     const columnList = safeHeaders.join(', ');
     
     for (let i = 0; i < data.length; i += batchSize) {
-      const batch = data.slice(i, i + batchSize);
-      
-      const values = batch.map(row => {
-        const rowValues = headers.map(h => {
-          const val = row[h];
-          if (val === null || val === undefined) return 'NULL';
-          if (typeof val === 'number') return val;
-          return `'${String(val).replace(/'/g, "''")}'`;
-        });
-        return `(${rowValues.join(', ')})`;
-      }).join(',\n  ');
-      
-      statements.push(`INSERT INTO ${tableName} (${columnList})\nVALUES\n  ${values};`);
+      statements.push(this._sqlInsert(tableName, columnList, headers, data.slice(i, i + batchSize)));
     }
     
     return statements.join('\n\n');
@@ -179,13 +141,7 @@ class Converter {
     xml += `<${rootElement}>\n`;
     
     data.forEach(row => {
-      xml += `  <${rowElement}>\n`;
-      headers.forEach(h => {
-        const safeName = h.replace(/[^a-zA-Z0-9_]/g, '_');
-        const val = this._escapeXML(String(row[h] || ''));
-        xml += `    <${safeName}>${val}</${safeName}>\n`;
-      });
-      xml += `  </${rowElement}>\n`;
+      xml += this._xmlRow(headers, row, rowElement);
     });
     
     xml += `</${rootElement}>`;
@@ -193,6 +149,126 @@ class Converter {
     return xml;
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // CHUNKED OUTPUT (large files)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Writer that renders a format piece by piece: head, then rows per chunk, then tail.
+   * Output matches the to*() methods, except HTML puts the row count after the table.
+   * @returns {Object} { head, rows(data) → string, tail(rowCount) → string }
+   */
+  createChunkWriter(format, headers, options = {}) {
+    let first = true;
+    const next = () => {
+      const wasFirst = first;
+      first = false;
+      return wasFirst;
+    };
+
+    switch (format.toLowerCase()) {
+      case 'csv': {
+        const delimiter = options.delimiter || ',';
+        const lineEnding = options.lineEnding || '\n';
+        return {
+          head: headers.join(delimiter),
+          rows: data => data.map(row => lineEnding + this._csvRow(headers, row, delimiter)).join(''),
+          tail: () => '',
+        };
+      }
+
+      case 'json':
+        return {
+          head: '[',
+          rows: data => data.map(row => {
+            const separator = next() ? '' : ',';
+            const record = this._jsonRecord(headers, row);
+            return options.pretty
+              ? `${separator}\n  ${JSON.stringify(record, null, 2).replace(/\n/g, '\n  ')}`
+              : `${separator}${JSON.stringify(record)}`;
+          }).join(''),
+          tail: rowCount => (options.pretty && rowCount > 0 ? '\n]' : ']'),
+        };
+
+      case 'markdown':
+      case 'md':
+        return {
+          head: (options.title ? `# ${options.title}\n\n` : '') +
+            '| ' + headers.join(' | ') + ' |\n' +
+            '| ' + headers.map(() => '---').join(' | ') + ' |\n',
+          rows: data => data.map(row => this._markdownRow(headers, row)).join(''),
+          tail: () => '',
+        };
+
+      case 'sql': {
+        const tableName = options.tableName || 'data_table';
+        const batchSize = options.batchSize || 100;
+        const columnList = headers.map(h => h.replace(/[^a-zA-Z0-9_]/g, '_')).join(', ');
+        const create = this.toSQL(headers, [], options);
+
+        if (create) next();
+        return {
+          head: create,
+          rows: data => {
+            let sql = '';
+            for (let i = 0; i < data.length; i += batchSize) {
+              sql += (next() ? '' : '\n\n') + this._sqlInsert(tableName, columnList, headers, data.slice(i, i + batchSize));
+            }
+            return sql;
+          },
+          tail: () => '',
+        };
+      }
+
+      case 'xml': {
+        const rootElement = options.rootElement || 'data';
+        const rowElement = options.rowElement || 'row';
+        return {
+          head: `<?xml version="1.0" encoding="UTF-8"?>\n<${rootElement}>\n`,
+          rows: data => data.map(row => this._xmlRow(headers, row, rowElement)).join(''),
+          tail: () => `</${rootElement}>`,
+        };
+      }
+
+      case 'html': {
+        const title = options.title || 'Data Export';
+        let index = 0;
+        return {
+          head: `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>${this._getHTMLStyles(options.theme || 'default')}</style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p>Generated: ${new Date().toLocaleString()}</p>
+  
+  <table>
+    <thead>
+      <tr>
+        ${headers.map(h => `<th>${this._escapeHTML(h)}</th>`).join('')}
+      </tr>
+    </thead>
+    <tbody>
+      `,
+          rows: data => data.map(row => this._htmlRow(headers, row, index++)).join(''),
+          tail: rowCount => `
+    </tbody>
+  </table>
+  <p>Total Rows: ${rowCount}</p>
+</body>
+</html>`,
+        };
+      }
+
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // OTHER FORMATS TO EXCEL
   // ─────────────────────────────────────────────────────────────────────────
@@ -297,6 +373,69 @@ class Converter {
     return result;
   }
 
+  _csvRow(headers, row, delimiter) {
+    return headers.map(h => {
+      let val = row[h];
+      if (val === null || val === undefined) return '';
+      val = String(val);
+      // Escape quotes and wrap if contains delimiter
+      if (val.includes(delimiter) || val.includes('"') || val.includes('\n')) {
+        val = '"' + val.replace(/"/g, '""') + '"';
+      }
+      return val;
+    }).join(delimiter);
+  }
+
+  _jsonRecord(headers, row) {
+    const obj = {};
+    headers.forEach(h => {
+      obj[h] = row[h];
+    });
+    // Remove internal properties
+    delete obj._rowIndex;
+    return obj;
+  }
+
+  _htmlRow(headers, row, index) {
+    return `
+      <tr class="${index % 2 === 0 ? 'even' : 'odd'}">
+        ${headers.map(h => `<td>${this._escapeHTML(String(row[h] || ''))}</td>`).join('')}
+      </tr>`;
+  }
+
+  _markdownRow(headers, row) {
+    const values = headers.map(h => {
+      const val = row[h];
+      if (val === null || val === undefined) return '';
+      return String(val).replace(/\|/g, '\\|');
+    });
+    return '| ' + values.join(' | ') + ' |\n';
+  }
+
+  _sqlInsert(tableName, columnList, headers, batch) {
+    const values = batch.map(row => {
+      const rowValues = headers.map(h => {
+        const val = row[h];
+        if (val === null || val === undefined) return 'NULL';
+        if (typeof val === 'number') return val;
+        return `'${String(val).replace(/'/g, "''")}'`;
+      });
+      return `(${rowValues.join(', ')})`;
+    }).join(',\n  ');
+
+    return `INSERT INTO ${tableName} (${columnList})\nVALUES\n  ${values};`;
+  }
+
+  _xmlRow(headers, row, rowElement) {
+    let xml = `  <${rowElement}>\n`;
+    headers.forEach(h => {
+      const safeName = h.replace(/[^a-zA-Z0-9_]/g, '_');
+      const val = this._escapeXML(String(row[h] || ''));
+      xml += `    <${safeName}>${val}</${safeName}>\n`;
+    });
+    return xml + `  </${rowElement}>\n`;
+  }
+
   _escapeHTML(str) {
     return str
       .replace(/&/g, '&amp;')
@@ -3,7 +3,7 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 const ExcelJS = require('exceljs');
-const { FORMATTING, COLUMN_TYPES } = require('../utils/constants');
+const { FORMATTING, COLUMN_TYPES, INDONESIA } = require('../utils/constants');
 const helpers = require('../utils/helpers');
 
 class Formatter {
@@ -144,10 +144,23 @@ class Formatter {
 
       // Apply number format based on type
       switch (type) {
-        case 'currency':
-          column.numFmt = '"Rp "#,##0';
+        // Amounts become numbers; each cell gets the format of its own currency
+        case 'currency': {
+          const columnCurrency = columnTypes[header]?.currency?.code || INDONESIA.CURRENCY;
+          const { locale } = helpers.detectNumberLocale(column.values.slice(2));
+
+          column.numFmt = helpers.moneyFormat(columnCurrency);
+          column.eachCell((cell, rowNumber) => {
+            if (rowNumber === 1 || typeof cell.value !== 'string') return;
+            const num = helpers.parseNumber(cell.value, { locale });
+            if (isNaN(num)) return;
+
+            cell.numFmt = helpers.moneyFormat(helpers.detectCurrency(cell.value) || columnCurrency);
+            cell.value = num;
+          });
           column.alignment = { horizontal: 'right' };
           break;
+        }
           
         case 'number':
           column.numFmt = '#,##0';
@@ -163,11 +176,61 @@ class Formatter {
           column.numFmt = 'DD-MMM-YYYY';
           column.alignment = { horizontal: 'center' };
           break;
+
+        // Real Excel times (fraction of a day) so they can be summed / subtracted
+        case 'time':
+          this._convertColumnValues(column, value => {
+            const time = helpers.parseTime(value);
+            return time ? (time.hours * 3600 + time.minutes * 60 + time.seconds) / 86400 : null;
+          });
+          column.numFmt = 'hh:mm';
+          column.alignment = { horizontal: 'center' };
+          break;
+
+        case 'datetime': {
+          const order = columnTypes[header]?.dateOrder?.order;
+
+          // Excel dates have no zone: a zoned column is written in one zone (options.timezone, default WIB)
+          // named in the format, so WIB / WITA / WIT rows compare. Values without a suffix are read in the
+          // column's most common zone; a column without zones keeps the wall clock as written.
+          const columnZone = columnTypes[header]?.timezone?.zone || null;
+          const zoned = columnZone !== null || column.values.slice(2)
+            .some(value => typeof value === 'string' && helpers.splitTimezone(value).zone !== null);
+          const target = zoned
+            ? helpers.timezoneLabel(helpers.timezoneOffset(options.timezone) ?? helpers.timezoneOffset(INDONESIA.DEFAULT_TIMEZONE))
+            : null;
+
+          this._convertColumnValues(column, value => {
+            const date = helpers.parseDateTime(value, { order, timezone: columnZone });
+            if (!date) return null;
+
+            // ExcelJS writes dates as UTC
+            const p = helpers.zonedParts(date, target);
+            return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds));
+          });
+          column.numFmt = target ? `dd-mmm-yyyy hh:mm "${target}"` : 'dd-mmm-yyyy hh:mm';
+          column.alignment = { horizontal: 'center' };
+          break;
+        }
+
+        case 'duration':
+          this._convertColumnValues(column, value => {
+            const seconds = typeof value === 'string' ? helpers.parseDuration(value) : null;
+            return seconds !== null ? seconds / 86400 : null;
+          });
+          column.numFmt = '[h]:mm';
+          column.alignment = { horizontal: 'right' };
+          break;
           
         case 'email':
         case 'phone':
           column.alignment = { horizontal: 'left' };
           break;
+
+        case 'bank_account':
+          column.numFmt = '@'; // Keep account numbers as text (leading zeros)
+          column.alignment = { horizontal: 'left' };
+          break;
           
         default:
           column.alignment = { horizontal: 'left' };
@@ -175,6 +238,17 @@ class Formatter {
     });
   }
 
+  /**
+   * Replace data cells with convert(value); values it cannot read (null) stay as-is
+   */
+  _convertColumnValues(column, convert) {
+    column.eachCell((cell, rowNumber) => {
+      if (rowNumber === 1) return;
+      const value = convert(cell.value);
+      if (value !== null) cell.value = value;
+    });
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // ZEBRA STRIPES
   // ─────────────────────────────────────────────────────────────────────────
@@ -327,6 +401,7 @@ class Formatter {
       
       if (['number', 'currency'].includes(type)) {
         const values = rows.map(r => helpers.parseNumber(r[header])).filter(v => !isNaN(v));
+        const moneyFormat = helpers.moneyFormat(columnTypes[header]?.currency?.code || INDONESIA.CURRENCY);
         
         if (values.length > 0) {
           const stats = helpers.calculateStats(values);
@@ -337,12 +412,12 @@ class Formatter {
           
           summarySheet.getCell(`A${currentRow}`).value = '  Sum:';
           summarySheet.getCell(`B${currentRow}`).value = stats.sum;
-          summarySheet.getCell(`B${currentRow}`).numFmt = type === 'currency' ? '"Rp "#,##0' : '#,##0';
+          summarySheet.getCell(`B${currentRow}`).numFmt = type === 'currency' ? moneyFormat : '#,##0';
           currentRow++;
           
           summarySheet.getCell(`A${currentRow}`).value = '  Average:';
           summarySheet.getCell(`B${currentRow}`).value = stats.average;
-          summarySheet.getCell(`B${currentRow}`).numFmt = type === 'currency' ? '"Rp "#,##0' : '#,##0.00';
+          summarySheet.getCell(`B${currentRow}`).numFmt = type === 'currency' ? moneyFormat : '#,##0.00';
           currentRow++;
           
           summarySheet.getCell(`A${currentRow}`).value = '  Min:';
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const formatter = require('./formatter');
+
+test('zoned datetimes are written in one zone so mixed WIB / WITA rows compare', async () => {
+  const workbook = await formatter.format({
+    headers: ['Waktu'],
+    data: [{ Waktu: '05/01/2024 09:15 WITA' }, { Waktu: '05/01/2024 08:30 WIB' }],
+    columnTypes: { Waktu: { type: 'datetime', timezone: { zone: 'WIB', zones: { WIB: 1, WITA: 1 }, mixed: true } } },
+  }, { timezone: 'WIB' });
+
+  const column = workbook.getWorksheet('Data').getColumn(1);
+  assert.strictEqual(column.numFmt, 'dd-mmm-yyyy hh:mm "WIB"');
+  assert.deepStrictEqual(
+    column.values.slice(2).map(d => d.toISOString()),
+    ['2024-01-05T08:15:00.000Z', '2024-01-05T08:30:00.000Z'],
+  );
+});
+
+test('datetimes without a zone keep the wall clock as written', async () => {
+  const workbook = await formatter.format({
+    headers: ['Waktu'],
+    data: [{ Waktu: '05/01/2024 09:15' }],
+    columnTypes: { Waktu: { type: 'datetime' } },
+  });
+
+  const column = workbook.getWorksheet('Data').getColumn(1);
+  assert.strictEqual(column.numFmt, 'dd-mmm-yyyy hh:mm');
+  assert.strictEqual(column.values[2].toISOString(), '2024-01-05T09:15:00.000Z');
+});
@@ -2,8 +2,16 @@
 // ENGINE ORCHESTRATOR - Main entry point for all engine operations
 // ═══════════════════════════════════════════════════════════════════════════
 
+const fs = require('fs');
 const fileParser = require('../utils/fileParser');
+const ruleSchema = require('../utils/ruleSchema');
+const rateTable = require('../utils/rateTable');
+const imputation = require('../utils/imputation');
+const survivorship = require('../utils/survivorship');
+const recipeSchema = require('../utils/recipeSchema');
+const JsonStore = require('../utils/jsonStore');
 const helpers = require('../utils/helpers');
+const { FILE, INPUT_FORMATS } = require('../utils/constants');
 
 // Lazy load modules to prevent startup errors
 let analyzer = null;
@@ -15,6 +23,7 @@ let textToExcel = null;
 let instructionParser = null;
 let templateEngine = null;
 let imageToExcel = null;
+let streamProcessor = null;
 
 // Safe require function
 function safeRequire(modulePath, moduleName) {
@@ -38,12 +47,21 @@ function initModules() {
     instructionParser = safeRequire('./generators/instructionParser', 'instructionParser');
     templateEngine = safeRequire('./generators/templateEngine', 'templateEngine');
     imageToExcel = safeRequire('./generators/imageToExcel', 'imageToExcel');
+    streamProcessor = safeRequire('./streamProcessor', 'streamProcessor');
   }
 }
 
 class ExcelEngine {
   constructor() {
     this.fileParser = fileParser;
+    this.ruleSchema = ruleSchema;
+    this.ruleStore = new JsonStore('rules');
+    this.rateTable = rateTable;
+    this.rateStore = new JsonStore('rates');
+    this.imputation = imputation;
+    this.survivorship = survivorship;
+    this.recipeSchema = recipeSchema;
+    this.recipeStore = new JsonStore('recipes');
     initModules();
   }
 
@@ -60,11 +78,17 @@ class ExcelEngine {
   get instructionParser() { initModules(); return instructionParser; }
   get templateEngine() { initModules(); return templateEngine; }
   get imageToExcel() { initModules(); return imageToExcel; }
+  get streamProcessor() { initModules(); return streamProcessor; }
 
   // ─────────────────────────────────────────────────────────────────────────
   // FULL ANALYSIS & CLEANING PIPELINE
   // ─────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Parse → analyze → clean → verify → report
+   * @param {Object} options - Parser / analyzer / cleaner options; options.fixes limits cleaning
+   *   to the accepted fix ids or categories from propose()
+   */
   async process(input, options = {}) {
     const startTime = Date.now();
     const result = {
@@ -73,6 +97,19 @@ class ExcelEngine {
     };
 
     try {
+      if (this.shouldStream(input, options)) {
+        this._requireInMemory(options);
+        console.log('[Engine] Large file: processing in chunks...');
+        const streamed = await this.streamProcessor.process(
+          input,
+          options,
+          (before, after) => this._compareIssues(before, after)
+        );
+        streamed.fixes = this.cleaner.proposeFixes(streamed.analysis, options.fixes);
+        console.log(`[Engine] Process complete in ${streamed.totalTimeFormatted}`);
+        return streamed;
+      }
+
       console.log('[Engine] Starting process...');
 
       // Stage 1: Parse file
@@ -130,10 +167,30 @@ class ExcelEngine {
 
       console.log(`[Engine] Cleaning complete: ${cleaned.stats.totalChanges} changes`);
 
-      // Stage 4: Format
-      console.log('[Engine] Stage 4: Formatting output...');
+      // Stage 4: Verify (re-analyze cleaned data for the real after-score)
+      console.log('[Engine] Stage 4: Re-analyzing cleaned data...');
+      const afterAnalysis = this.analyzer.analyze(
+        this.fileParser.withData(parsed, cleaned.headers, cleaned.data),
+        options
+      );
+      const issueDiff = this._compareIssues(analysis.issues || [], afterAnalysis.issues || []);
+
+      result.stages.verify = {
+        success: true,
+        time: afterAnalysis.analysisTime,
+        qualityScore: afterAnalysis.qualityScore,
+        issuesResolved: issueDiff.resolved.length,
+        issuesRemaining: issueDiff.remaining.length,
+        issuesPartial: issueDiff.partial.length,
+        issuesIntroduced: issueDiff.introduced.length,
+      };
+
+      console.log(`[Engine] Verify complete: ${issueDiff.resolved.length} resolved, ${issueDiff.remaining.length} remaining (${issueDiff.partial.length} partly fixed), ${issueDiff.introduced.length} introduced`);
+
+      // Stage 5: Format
+      console.log('[Engine] Stage 5: Formatting output...');
       
-      let formatOptions = options.formatOptions || {};
+      let formatOptions = { timezone: options.timezone, ...options.formatOptions };
       if (options.instructions && this.instructionParser) {
         const instructionResult = this.instructionParser.parse(options.instructions);
         formatOptions = {
@@ -142,8 +199,8 @@ class ExcelEngine {
         };
       }
 
-      // Stage 5: Generate report
-      console.log('[Engine] Stage 5: Generating report...');
+      // Stage 6: Generate report
+      console.log('[Engine] Stage 6: Generating report...');
       
       let buffer;
       if (this.reporter) {
@@ -152,6 +209,8 @@ class ExcelEngine {
           cleanedData: cleaned,
           analysisResult: analysis,
           cleaningResult: cleaned,
+          afterAnalysis,
+          issueDiff,
           options: formatOptions,
         });
         buffer = await this.reporter.toBuffer();
@@ -184,10 +243,14 @@ class ExcelEngine {
         originalRows: parsed.rowCount,
         cleanedRows: cleaned.data.length,
         rowsRemoved: cleaned.stats.rowsRemoved,
-        issuesFixed: analysis.autoFixCount,
+        issuesFixed: analysis.categorizedIssues.autoFix.filter(i => this.cleaner.isFixSelected(i, options.fixes)).length,
         issuesNeedReview: analysis.needsReviewCount,
         qualityBefore: analysis.qualityScore?.score || 0,
-        qualityAfter: this._calculateAfterQuality(analysis.qualityScore?.score || 0, cleaned),
+        qualityAfter: afterAnalysis.qualityScore?.score || 0,
+        issuesResolved: issueDiff.resolved.length,
+        issuesRemaining: issueDiff.remaining.length,
+        issuesPartial: issueDiff.partial.length,
+        issuesIntroduced: issueDiff.introduced.length,
       };
 
       result.data = {
@@ -196,7 +259,11 @@ class ExcelEngine {
       };
 
       result.analysis = analysis;
+      result.afterAnalysis = afterAnalysis;
+      result.issueDiff = issueDiff;
       result.changes = cleaned.changes;
+      result.patch = cleaned.patch;
+      result.fixes = this.cleaner.proposeFixes(analysis, options.fixes);
 
       console.log(`[Engine] Process complete in ${result.totalTimeFormatted}`);
       return result;
@@ -210,12 +277,118 @@ class ExcelEngine {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // FIX REVIEW
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Phase 1 of the reviewed flow: analyze only and return the proposed fixes.
+   * Phase 2 is process(input, { ...options, fixes: [accepted ids / categories] }).
+   * @returns {Object} { success, fixes, analysis, summary, totalTimeFormatted }
+   */
+  async propose(input, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      let analysis;
+      if (this.shouldStream(input, options)) {
+        this._requireInMemory(options);
+        analysis = await this.streamProcessor.analyze(input, options);
+      } else {
+        const parsed = this.fileParser.parse(input, options);
+        if (!parsed.success) throw new Error(parsed.error || 'Failed to parse file');
+        if (!this.analyzer) throw new Error('Analyzer module not available');
+        analysis = this.analyzer.analyze(parsed, options);
+      }
+
+      const fixes = this.cleaner.proposeFixes(analysis);
+      return {
+        success: true,
+        fixes,
+        analysis,
+        summary: {
+          rows: analysis.summary?.totalRows || 0,
+          qualityScore: analysis.qualityScore?.score || 0,
+          issuesFound: analysis.totalIssues,
+          fixesProposed: fixes.length,
+          issuesNeedReview: analysis.needsReviewCount,
+        },
+        totalTimeFormatted: helpers.formatDuration(Date.now() - startTime),
+      };
+    } catch (error) {
+      console.error('[Engine] Propose error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // PATCH (replay / undo a cleaning run)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Replay the patch of a process() / quickClean() run on a fresh copy of the original file.
+   * Large files cleaned in chunks have no patch (the per-cell log would grow with the file).
+   * @returns {Object} { success, buffer, applied, conflicts, stats }
+   */
+  async applyPatch(input, patch, options = {}) {
+    this._requireSmallFile(input, 'Replaying a patch');
+    const parsed = this.fileParser.parse(input, { table: patch?.source?.table, ...options });
+    if (!parsed.success) throw new Error(parsed.error);
+
+    const replayed = this.cleaner.applyPatch(parsed.headers, parsed.data, patch);
+    return this._patchOutput(parsed, replayed, patch, options);
+  }
+
+  /**
+   * Undo a patch on the cleaned file: restores old values and removed rows, in the original row order
+   * @returns {Object} { success, buffer, applied, conflicts, stats }
+   */
+  async undoPatch(input, patch, options = {}) {
+    this._requireSmallFile(input, 'Undoing a patch');
+    const parsed = this.fileParser.parse(input, options);
+    if (!parsed.success) throw new Error(parsed.error);
+
+    // process() writes a report workbook with the data on the "Cleaned Data" sheet
+    const sheet = parsed.sheets['Cleaned Data'] || parsed;
+    const reverted = this.cleaner.revertPatch(sheet.headers, sheet.data, patch);
+    return this._patchOutput(sheet, reverted, patch, options);
+  }
+
+  /**
+   * Write patched rows with the column types of the sheet they came from
+   */
+  async _patchOutput(sheet, result, patch, options) {
+    if (!this.formatter) throw new Error('Formatter not available');
+    const workbook = await this.formatter.format({
+      headers: result.headers,
+      data: result.data,
+      columnTypes: sheet.columnTypes,
+    }, options);
+
+    return {
+      success: true,
+      buffer: await this.formatter.toBuffer(workbook),
+      applied: result.applied,
+      conflicts: result.conflicts,
+      stats: {
+        operations: patch.operations.length,
+        applied: result.applied,
+        conflicts: result.conflicts.length,
+        rows: result.data.length,
+      },
+    };
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // QUICK OPERATIONS
   // ─────────────────────────────────────────────────────────────────────────
 
   async analyze(input, options = {}) {
     try {
+      if (this.shouldStream(input, options)) {
+        return await this.streamProcessor.analyze(input, options);
+      }
+
       const parsed = this.fileParser.parse(input, options);
       if (!parsed.success) throw new Error(parsed.error);
       
@@ -227,13 +400,25 @@ class ExcelEngine {
     }
   }
 
+  /**
+   * Basic cleaning, or the steps of options.recipe (from loadRecipe) in order
+   */
   async quickClean(input, options = {}) {
     try {
+      if (this.shouldStream(input, options)) {
+        if (options.recipe) {
+          throw new Error(`Recipes need the whole file in memory (files up to ${helpers.formatBytes(FILE.STREAM_THRESHOLD)})`);
+        }
+        return await this.streamProcessor.quickClean(input, options);
+      }
+
       const parsed = this.fileParser.parse(input, options);
       if (!parsed.success) throw new Error(parsed.error);
       
       if (!this.cleaner) throw new Error('Cleaner not available');
-      const cleaned = this.cleaner.basicClean(parsed.headers, parsed.data, options);
+      const cleaned = options.recipe
+        ? this.cleaner.runRecipe(parsed, options.recipe, options)
+        : this.cleaner.basicClean(parsed.headers, parsed.data, options);
       
       if (!this.formatter) throw new Error('Formatter not available');
       const workbook = await this.formatter.format({
@@ -247,6 +432,9 @@ class ExcelEngine {
         buffer: await this.formatter.toBuffer(workbook),
         stats: cleaned.stats,
         changes: cleaned.changes,
+        patch: cleaned.patch,
+        recipe: cleaned.recipe,
+        steps: cleaned.steps,
       };
     } catch (error) {
       console.error('[Engine] QuickClean error:', error);
@@ -256,6 +444,10 @@ class ExcelEngine {
 
   async convert(input, targetFormat, options = {}) {
     try {
+      if (this.shouldStream(input, options)) {
+        return await this.streamProcessor.convert(input, targetFormat, options);
+      }
+
       const parsed = this.fileParser.parse(input, options);
       if (!parsed.success) throw new Error(parsed.error);
 
@@ -295,6 +487,55 @@ class ExcelEngine {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // STREAMING (large files)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Decide whether process / quickClean / convert read the file in chunks
+   * @param {Object} options - { fileName, streaming: true (force) | false (never) }
+   * @returns {boolean} True above FILE.STREAM_THRESHOLD or when forced
+   */
+  shouldStream(input, options = {}) {
+    if (options.streaming === false) return false;
+
+    const size = Buffer.isBuffer(input) ? input.length : fs.statSync(input).size;
+    if (!options.streaming && size <= FILE.STREAM_THRESHOLD) return false;
+
+    const fileName = options.fileName || (typeof input === 'string' ? input : '');
+    if (!this.fileParser.isStreamable(fileName)) {
+      const streamable = Object.keys(INPUT_FORMATS).filter(ext => INPUT_FORMATS[ext].stream);
+      throw new Error(
+        `Files over ${helpers.formatBytes(FILE.STREAM_THRESHOLD)} must be ${streamable.join(', ')} (got ${helpers.formatBytes(size)})`
+      );
+    }
+
+    if (!this.streamProcessor) throw new Error('StreamProcessor not available');
+    return true;
+  }
+
+  /**
+   * Imputation and golden-record merge look across all rows: refuse them for chunked files
+   */
+  _requireInMemory(options) {
+    const features = [options.impute && 'Imputation', options.merge && 'Duplicate merging'].filter(Boolean);
+    if (features.length > 0) {
+      throw new Error(`${features.join(' and ')} need the whole file in memory (files up to ${helpers.formatBytes(FILE.STREAM_THRESHOLD)})`);
+    }
+  }
+
+  /**
+   * Operations without a chunked path (formatting, patches) refuse files above FILE.STREAM_THRESHOLD
+   */
+  _requireSmallFile(input, action) {
+    const size = Buffer.isBuffer(input) ? input.length : fs.statSync(input).size;
+    if (size > FILE.STREAM_THRESHOLD) {
+      throw new Error(
+        `${action} needs the whole file in memory (files up to ${helpers.formatBytes(FILE.STREAM_THRESHOLD)}, got ${helpers.formatBytes(size)})`
+      );
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // GENERATION OPERATIONS
   // ─────────────────────────────────────────────────────────────────────────
@@ -377,6 +618,7 @@ class ExcelEngine {
 
   async applyFormat(input, instructions, options = {}) {
     try {
+      this._requireSmallFile(input, 'Formatting');
       const parsed = this.fileParser.parse(input, options);
       if (!parsed.success) throw new Error(parsed.error);
 
@@ -384,7 +626,7 @@ class ExcelEngine {
       if (!this.formatter) throw new Error('Formatter not available');
 
       const instructionResult = this.instructionParser.parse(instructions);
-      const formatOptions = this.instructionParser.toFormatOptions(instructionResult);
+      const formatOptions = { timezone: options.timezone, ...this.instructionParser.toFormatOptions(instructionResult) };
 
       const workbook = await this.formatter.format({
         headers: parsed.headers,
@@ -426,14 +668,157 @@ class ExcelEngine {
     return this.templateEngine.listTemplates();
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // VALIDATION RULES
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Resolve validation rules for analysis
+   * @param {Object} source - { rules (text/object), fileName, ruleSet, team }
+   * @returns {Object|null} Schema for options.validationRules
+   */
+  loadValidationRules(source = {}) {
+    if (source.rules) {
+      return this.ruleSchema.load(source.rules, { fileName: source.fileName });
+    }
+
+    if (source.ruleSet) {
+      const stored = this.ruleStore.get(source.team || 'default', source.ruleSet);
+      if (!stored) throw new Error(`Rule set "${source.ruleSet}" not found`);
+      return this.ruleSchema.load(stored.value, { fileName: stored.name });
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate and store a rule set for a team
+   */
+  saveRuleSet(team, name, rules, fileName) {
+    const schema = this.ruleSchema.load(rules, { fileName });
+    return this.ruleStore.save(team || 'default', name, schema.source);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // EXCHANGE RATES
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Resolve the exchange-rate table for currency conversion
+   * @param {Object} source - { rates (text/object), fileName, rateTable (stored name), team }
+   * @returns {Object|null} Table for options.rateTable
+   */
+  loadRateTable(source = {}) {
+    if (source.rates) {
+      return this.rateTable.load(source.rates, { fileName: source.fileName });
+    }
+
+    if (source.rateTable) {
+      const stored = this.rateStore.get(source.team || 'default', source.rateTable);
+      if (!stored) throw new Error(`Rate table "${source.rateTable}" not found`);
+      return this.rateTable.load(stored.value, { fileName: stored.name });
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate and store a rate table for a team
+   */
+  saveRateTable(team, name, rates, fileName) {
+    const table = this.rateTable.load(rates, { fileName });
+    return this.rateStore.save(team || 'default', name, table.source);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CLEANING RECIPES
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Resolve a cleaning recipe for quickClean
+   * @param {Object} source - { recipe (text/object), fileName, recipeName (stored name), team }
+   * @returns {Object|null} Recipe for options.recipe
+   */
+  loadRecipe(source = {}) {
+    if (source.recipe) {
+      return this.recipeSchema.load(source.recipe, { fileName: source.fileName });
+    }
+
+    if (source.recipeName) {
+      const stored = this.recipeStore.get(source.team || 'default', source.recipeName);
+      if (!stored) throw new Error(`Recipe "${source.recipeName}" not found`);
+      return this.recipeSchema.load(stored.value, { name: stored.name });
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate and store a recipe for a user / team (name defaults to the recipe's own name)
+   */
+  saveRecipe(team, name, recipe, fileName) {
+    const loaded = this.recipeSchema.load(recipe, { fileName, name });
+    return this.recipeStore.save(team || 'default', name || loaded.name, { ...loaded.source, name: name || loaded.name });
+  }
+
+  /**
+   * Stored recipe as importable JSON ({ name, description, steps })
+   */
+  exportRecipe(team, name) {
+    const stored = this.recipeStore.get(team || 'default', name);
+    if (!stored) throw new Error(`Recipe "${name}" not found`);
+    return stored.value;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // HELPER METHODS
   // ─────────────────────────────────────────────────────────────────────────
 
-  _calculateAfterQuality(beforeScore, cleanedResult) {
-    const fixes = cleanedResult?.stats?.totalChanges || 0;
-    const improvement = Math.min(50, fixes * 0.5);
-    return Math.min(100, Math.round(beforeScore + improvement));
+  /**
+   * Match issues before and after cleaning by type + location
+   * remaining: after-issues that match a before-issue (with affectedRowsBefore),
+   * partial: the remaining ones with fewer affected rows than before,
+   * introduced: after-issues without a match
+   * @returns {Object} { resolved, remaining, partial, introduced } - compact issue lists
+   */
+  _compareIssues(beforeIssues, afterIssues) {
+    const key = issue => [issue.type, issue.sheet || '', issue.column || '', issue.row || ''].join('|');
+    const compact = issue => ({
+      id: issue.id,
+      type: issue.type,
+      severity: issue.severity,
+      sheet: issue.sheet,
+      column: issue.column,
+      row: issue.row,
+      message: issue.message,
+      affectedRows: issue.affectedRows,
+    });
+
+    const unmatched = new Map();
+    beforeIssues.forEach(issue => {
+      if (!unmatched.has(key(issue))) unmatched.set(key(issue), []);
+      unmatched.get(key(issue)).push(issue);
+    });
+
+    const matched = new Set();
+    const remaining = [];
+    const introduced = [];
+    afterIssues.forEach(issue => {
+      const before = unmatched.get(key(issue))?.shift();
+      if (!before) {
+        introduced.push(compact(issue));
+        return;
+      }
+      matched.add(before);
+      remaining.push({ ...compact(issue), beforeId: before.id, affectedRowsBefore: before.affectedRows });
+    });
+
+    return {
+      resolved: beforeIssues.filter(issue => !matched.has(issue)).map(compact),
+      remaining,
+      partial: remaining.filter(issue => (issue.affectedRows || 0) < (issue.affectedRowsBefore || 0)),
+      introduced,
+    };
   }
 
   async cleanup() {
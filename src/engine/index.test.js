@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('./index');
+const { FILE } = require('../utils/constants');
+
+const csv = [
+  'Nama,Kota,Harga',
+  ' Andi ,Bandung,"1.500.000"',
+  'Budi, Jakarta ,"2.000.000"',
+  'Budi, Jakarta ,"2.000.000"',
+  'Citra,Bogor,"750.000"',
+].join('\n');
+
+const issueKeys = issues => issues.map(i => `${i.type}:${i.column || ''}`).sort();
+
+test('the after score and issue diff come from re-analysing the cleaned data', async () => {
+  const result = await engine.process(Buffer.from(csv), { fileName: 'toko.csv' });
+  assert.ok(result.success, result.error);
+
+  assert.deepStrictEqual(issueKeys(result.issueDiff.resolved), issueKeys(result.analysis.issues));
+  assert.deepStrictEqual(result.issueDiff.remaining, []);
+  assert.strictEqual(result.summary.qualityAfter, result.afterAnalysis.qualityScore.score);
+  assert.ok(result.summary.qualityAfter > result.summary.qualityBefore);
+});
+
+test('issues whose fixes were not selected stay remaining', async () => {
+  const result = await engine.process(Buffer.from(csv), { fileName: 'toko.csv', fixes: [] });
+  assert.ok(result.success, result.error);
+
+  assert.deepStrictEqual(result.issueDiff.resolved, []);
+  assert.deepStrictEqual(issueKeys(result.issueDiff.remaining), issueKeys(result.analysis.issues));
+  assert.strictEqual(result.summary.issuesRemaining, result.analysis.issues.length);
+  assert.strictEqual(result.summary.qualityAfter, result.summary.qualityBefore);
+});
+
+test('the issue diff separates remaining, partly fixed and introduced issues', () => {
+  const before = [
+    { id: 'a', type: 'whitespace', column: 'Nama', affectedRows: 5 },
+    { id: 'b', type: 'number_format', column: 'Harga', affectedRows: 3 },
+    { id: 'c', type: 'duplicate_row', affectedRows: 1 },
+  ];
+  const after = [
+    { id: 'x', type: 'whitespace', column: 'Nama', affectedRows: 2 },
+    { id: 'y', type: 'number_format', column: 'Harga', affectedRows: 3 },
+    { id: 'z', type: 'email_format', column: 'Email', affectedRows: 1 },
+  ];
+
+  const diff = engine._compareIssues(before, after);
+
+  assert.deepStrictEqual(diff.resolved.map(i => i.id), ['c']);
+  assert.deepStrictEqual(diff.remaining.map(i => [i.id, i.beforeId, i.affectedRowsBefore]), [['x', 'a', 5], ['y', 'b', 3]]);
+  assert.deepStrictEqual(diff.partial.map(i => i.id), ['x']);
+  assert.deepStrictEqual(diff.introduced.map(i => i.id), ['z']);
+});
+
+test('operations without a chunked path refuse files above the streaming threshold', async () => {
+  const large = Buffer.alloc(FILE.STREAM_THRESHOLD + 1, 'a\n');
+
+  await assert.rejects(engine.applyFormat(large, 'bold header', { fileName: 'besar.csv' }), /^Error: Formatting needs the whole file in memory/);
+  await assert.rejects(engine.applyPatch(large, { operations: [] }, { fileName: 'besar.csv' }), /^Error: Replaying a patch needs/);
+  await assert.rejects(engine.undoPatch(large, { operations: [] }, { fileName: 'besar.xlsx' }), /^Error: Undoing a patch needs/);
+});
+
+test('analyze reads large files in chunks', async () => {
+  const analysis = await engine.analyze(Buffer.from(csv), { fileName: 'toko.csv', streaming: true });
+
+  assert.strictEqual(analysis.summary.totalRows, 4);
+  assert.ok(analysis.columnStats);
+});
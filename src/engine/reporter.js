@@ -26,6 +26,7 @@ class Reporter {
       cleanedData,
       analysisResult,
       cleaningResult,
+      issueDiff,
       options = {},
     } = params;
 
@@ -43,11 +44,21 @@ class Reporter {
     // ─────────────────────────────────────────────────────────────────────
     await this._createDataSheet(cleanedData, 'Cleaned Data', '00B050');
 
+    // Subtotal/total rows taken out of the data
+    if (cleaningResult?.aggregateRows) {
+      await this._createDataSheet(cleaningResult.aggregateRows, 'Totals', '7F7F7F');
+    }
+
+    // Merged duplicate groups: old row → surviving record
+    if (cleaningResult?.mergeMap) {
+      await this._createDataSheet(cleaningResult.mergeMap, 'Merge Map', '7030A0');
+    }
+
     // ─────────────────────────────────────────────────────────────────────
     // Sheet 3: Issues Found
     // ─────────────────────────────────────────────────────────────────────
     if (analysisResult?.issues?.length > 0) {
-      await this._createIssuesSheet(analysisResult);
+      await this._createIssuesSheet(analysisResult, issueDiff);
     }
 
     // ─────────────────────────────────────────────────────────────────────
@@ -74,12 +85,39 @@ class Reporter {
     return this.workbook;
   }
 
+  /**
+   * Add Summary, Issues, Changes and Statistics sheets to a workbook whose data
+   * sheet is written elsewhere (streaming WorkbookWriter for large files)
+   * @param {ExcelJS.stream.xlsx.WorkbookWriter} workbook
+   * @param {Object} params - Same as generateReport (cleanedData needs headers only)
+   */
+  async appendReportSheets(workbook, params) {
+    const { cleanedData, analysisResult, cleaningResult, issueDiff, options = {} } = params;
+    this.workbook = workbook;
+
+    await this._createSummarySheet(params);
+
+    if (analysisResult?.issues?.length > 0) {
+      await this._createIssuesSheet(analysisResult, issueDiff);
+    }
+
+    if (cleaningResult?.changes?.length > 0) {
+      await this._createChangesSheet(cleaningResult);
+    }
+
+    if (options.includeStats !== false) {
+      await this._createStatsSheet(cleanedData, analysisResult);
+    }
+
+    return workbook;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // SUMMARY SHEET
   // ─────────────────────────────────────────────────────────────────────────
 
   async _createSummarySheet(params) {
-    const { originalData, cleanedData, analysisResult, cleaningResult, options } = params;
+    const { originalData, cleanedData, analysisResult, cleaningResult, afterAnalysis, issueDiff, options } = params;
     
     const ws = this.workbook.addWorksheet('Summary', {
       properties: { tabColor: { argb: '2B579A' } },
@@ -107,6 +145,11 @@ class Reporter {
 
     ws.getCell(`A${row}`).value = 'Source File:';
     ws.getCell(`B${row}`).value = originalData.fileName || 'Unknown';
+    row++;
+
+    ws.getCell(`A${row}`).value = 'Analysis Mode:';
+    ws.getCell(`B${row}`).value = analysisResult?.mode || 'auto';
+    ws.getCell(`C${row}`).value = (analysisResult?.rulesRun || []).map(r => r.name).join(', ');
     row += 2;
 
     // ─────────────────────────────────────────────────────────────────────
@@ -123,7 +166,7 @@ class Reporter {
     row += 2;
 
     const beforeScore = analysisResult?.qualityScore?.score || 0;
-    const afterScore = this._calculateAfterScore(beforeScore, cleaningResult);
+    const afterScore = afterAnalysis?.qualityScore?.score ?? beforeScore;
 
     // Before score
     ws.getCell(`A${row}`).value = 'Before Analysis:';
@@ -144,10 +187,71 @@ class Reporter {
     // Improvement
     const improvement = afterScore - beforeScore;
     ws.getCell(`A${row}`).value = 'Improvement:';
-    ws.getCell(`B${row}`).value = `+${improvement}%`;
-    ws.getCell(`B${row}`).font = { bold: true, color: { argb: 'FF00B050' } };
+    ws.getCell(`B${row}`).value = `${improvement >= 0 ? '+' : ''}${improvement}%`;
+    ws.getCell(`B${row}`).font = { bold: true, color: { argb: improvement >= 0 ? 'FF00B050' : 'FFFF0000' } };
+    ws.getCell(`C${row}`).value = afterAnalysis ? 'measured by re-analyzing the cleaned data' : '';
     row += 2;
 
+    // ─────────────────────────────────────────────────────────────────────
+    // Quality Scorecard Section
+    // ─────────────────────────────────────────────────────────────────────
+    const scorecard = analysisResult?.qualityScore;
+    if (scorecard?.dimensions) {
+      const afterCard = afterAnalysis?.qualityScore;
+
+      ws.mergeCells(`A${row}:F${row}`);
+      ws.getCell(`A${row}`).value = '🧭 QUALITY SCORECARD';
+      ws.getCell(`A${row}`).font = { size: 16, bold: true };
+      ws.getCell(`A${row}`).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE2EFDA' },
+      };
+      row += 2;
+
+      ['Dimension', 'Before', 'After', 'Weight'].forEach((label, i) => {
+        const cell = ws.getRow(row).getCell(i + 1);
+        cell.value = label;
+        cell.font = { bold: true };
+      });
+      row++;
+
+      Object.entries(scorecard.dimensions).forEach(([dim, score]) => {
+        const after = afterCard?.dimensions?.[dim] ?? score;
+        ws.getCell(`A${row}`).value = dim.charAt(0).toUpperCase() + dim.slice(1);
+        ws.getCell(`B${row}`).value = `${score}%`;
+        ws.getCell(`C${row}`).value = `${after}%`;
+        ws.getCell(`D${row}`).value = scorecard.weights?.[dim];
+        this._styleScoreCell(ws.getCell(`B${row}`), score);
+        this._styleScoreCell(ws.getCell(`C${row}`), after);
+        row++;
+      });
+      row++;
+
+      // Per-column sub-scores (after cleaning when available)
+      const columnScores = (afterCard || scorecard).columns || {};
+      const dims = Object.keys(scorecard.dimensions);
+      if (Object.keys(columnScores).length > 0) {
+        ['Column', ...dims].forEach((label, i) => {
+          const cell = ws.getRow(row).getCell(i + 1);
+          cell.value = label;
+          cell.font = { bold: true };
+        });
+        row++;
+
+        Object.entries(columnScores).forEach(([column, scores]) => {
+          ws.getRow(row).getCell(1).value = column;
+          dims.forEach((dim, i) => {
+            const cell = ws.getRow(row).getCell(i + 2);
+            cell.value = scores[dim];
+            if (scores[dim] < 100) this._styleScoreCell(cell, scores[dim]);
+          });
+          row++;
+        });
+        row++;
+      }
+    }
+
     // ─────────────────────────────────────────────────────────────────────
     // Data Overview Section
     // ─────────────────────────────────────────────────────────────────────
@@ -161,10 +265,13 @@ class Reporter {
     };
     row += 2;
 
+    // Streamed reports only carry row counts, not the rows
+    const originalRows = originalData.rowCount ?? originalData.data?.length ?? 0;
+    const cleanedRows = cleaningResult?.stats?.cleanedRowCount ?? cleanedData.data?.length ?? 0;
     const stats = [
-      ['Original Rows', originalData.data?.length || 0],
-      ['Cleaned Rows', cleanedData.data?.length || 0],
-      ['Rows Removed', (originalData.data?.length || 0) - (cleanedData.data?.length || 0)],
+      ['Original Rows', originalRows],
+      ['Cleaned Rows', cleanedRows],
+      ['Rows Removed', originalRows - cleanedRows],
       ['Columns', cleanedData.headers?.length || 0],
     ];
 
@@ -212,6 +319,59 @@ class Reporter {
     ws.getCell(`A${row}`).font = { color: { argb: 'FFFF0000' } };
     row += 2;
 
+    // ─────────────────────────────────────────────────────────────────────
+    // Resolved / Remaining Issues Section
+    // ─────────────────────────────────────────────────────────────────────
+    if (issueDiff) {
+      ws.mergeCells(`A${row}:F${row}`);
+      ws.getCell(`A${row}`).value = '🔁 AFTER CLEANING';
+      ws.getCell(`A${row}`).font = { size: 16, bold: true };
+      ws.getCell(`A${row}`).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFDCE6F1' },
+      };
+      row += 2;
+
+      ws.getCell(`A${row}`).value = '✅ Resolved:';
+      ws.getCell(`B${row}`).value = issueDiff.resolved.length;
+      ws.getCell(`C${row}`).value = 'issues no longer found';
+      row++;
+
+      ws.getCell(`A${row}`).value = '📌 Remaining:';
+      ws.getCell(`B${row}`).value = issueDiff.remaining.length;
+      ws.getCell(`C${row}`).value = 'issues still found in the cleaned data';
+      row++;
+
+      issueDiff.remaining.slice(0, 20).forEach(issue => {
+        const partly = issue.affectedRows < issue.affectedRowsBefore;
+        ws.getCell(`B${row}`).value = issue.severity;
+        ws.getCell(`C${row}`).value = partly
+          ? `${issue.message} (partly fixed: ${issue.affectedRowsBefore} → ${issue.affectedRows} rows)`
+          : issue.message;
+        ws.getCell(`C${row}`).alignment = { wrapText: true };
+        row++;
+      });
+      if (issueDiff.remaining.length > 20) {
+        ws.getCell(`C${row}`).value = `... and ${issueDiff.remaining.length - 20} more`;
+        row++;
+      }
+
+      ws.getCell(`A${row}`).value = '🆕 Introduced:';
+      ws.getCell(`B${row}`).value = issueDiff.introduced.length;
+      ws.getCell(`C${row}`).value = 'new issues found only in the cleaned data';
+      if (issueDiff.introduced.length > 0) ws.getCell(`A${row}`).font = { color: { argb: 'FFFF0000' } };
+      row++;
+
+      issueDiff.introduced.slice(0, 20).forEach(issue => {
+        ws.getCell(`B${row}`).value = issue.severity;
+        ws.getCell(`C${row}`).value = issue.message;
+        ws.getCell(`C${row}`).alignment = { wrapText: true };
+        row++;
+      });
+      row++;
+    }
+
     // ─────────────────────────────────────────────────────────────────────
     // Changes Summary Section
     // ─────────────────────────────────────────────────────────────────────
@@ -249,8 +409,26 @@ class Reporter {
   // DATA SHEET
   // ─────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Currency format on the number cells of converted money columns (cleaner moneyColumns: { column: code });
+   * also used for the streamed data sheet
+   */
+  applyMoneyFormats(row, headers, moneyColumns) {
+    headers.forEach((header, i) => {
+      const cell = row.getCell(i + 1);
+      if (!moneyColumns[header] || typeof cell.value !== 'number') return;
+
+      cell.numFmt = helpers.moneyFormat(moneyColumns[header]);
+      cell.alignment = { horizontal: 'right' };
+    });
+  }
+
   async _createDataSheet(data, sheetName, tabColor) {
     const { headers, data: rows } = data;
+
+    // Cells filled by imputation (cleaner), keyed "rowIndex|column"
+    const imputed = new Map((data.imputedCells || []).map(cell => [`${cell.row}|${cell.column}`, cell]));
+    const moneyColumns = data.moneyColumns || {};
     
     const ws = this.workbook.addWorksheet(sheetName, {
       properties: { tabColor: { argb: tabColor } },
@@ -280,6 +458,7 @@ class Reporter {
     rows.forEach((row, index) => {
       const rowData = headers.map(h => row[h]);
       const addedRow = ws.addRow(rowData);
+      this.applyMoneyFormats(addedRow, headers, moneyColumns);
       
       // Zebra stripes
       if (index % 2 === 0) {
@@ -291,6 +470,18 @@ class Reporter {
           };
         });
       }
+
+      // Mark imputed cells
+      if (imputed.size > 0) {
+        headers.forEach((header, i) => {
+          const fill = imputed.get(`${row._rowIndex}|${header}`);
+          if (!fill) return;
+
+          const cell = addedRow.getCell(i + 1);
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+          cell.note = `Imputed (${fill.strategy})`;
+        });
+      }
     });
 
     // Auto-fit columns
@@ -324,7 +515,7 @@ class Reporter {
   // ISSUES SHEET
   // ─────────────────────────────────────────────────────────────────────────
 
-  async _createIssuesSheet(analysisResult) {
+  async _createIssuesSheet(analysisResult, issueDiff) {
     const ws = this.workbook.addWorksheet('Issues Found', {
       properties: { tabColor: { argb: 'FFFF0000' } },
     });
@@ -345,18 +536,26 @@ class Reporter {
 
     // Add issues
     const issues = analysisResult.issues || [];
+    const resolvedIds = issueDiff ? new Set(issueDiff.resolved.map(i => i.id)) : null;
+    const partialIds = new Set((issueDiff?.partial || []).map(i => i.beforeId));
     issues.forEach(issue => {
-      const location = issue.row 
+      let location = issue.row 
         ? `Row ${issue.row}${issue.column ? `, Column: ${issue.column}` : ''}`
         : issue.column 
           ? `Column: ${issue.column}` 
           : 'Multiple';
+      if (issue.sheet) location = `Sheet: ${issue.sheet}, ${location}`;
 
-      const status = issue.severity === SEVERITY.AUTO_FIX 
+      const fixed = resolvedIds ? resolvedIds.has(issue.id) : issue.severity === SEVERITY.AUTO_FIX;
+      const status = fixed
         ? '✅ Fixed' 
-        : issue.severity === SEVERITY.NEEDS_REVIEW 
-          ? '⚠️ Review' 
-          : '❌ Manual';
+        : partialIds.has(issue.id)
+          ? '🔻 Partly fixed'
+          : issue.severity === SEVERITY.AUTO_FIX 
+            ? '⚠️ Still present' 
+            : issue.severity === SEVERITY.NEEDS_REVIEW 
+              ? '⚠️ Review' 
+              : '❌ Manual';
 
       const severityIcon = issue.severity === SEVERITY.AUTO_FIX 
         ? '🟢' 
@@ -549,16 +748,6 @@ class Reporter {
   // HELPER METHODS
   // ─────────────────────────────────────────────────────────────────────────
 
-  _calculateAfterScore(beforeScore, cleaningResult) {
-    if (!cleaningResult) return beforeScore;
-    
-    // Improvement based on fixes applied
-    const fixes = cleaningResult.stats?.totalChanges || 0;
-    const improvement = Math.min(50, fixes * 0.5);
-    
-    return Math.min(100, Math.round(beforeScore + improvement));
-  }
-
   _getScoreBar(score) {
     const filled = Math.round(score / 5);
     const empty = 20 - filled;
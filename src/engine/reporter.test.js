@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const engine = require('./index');
+
+test('converted amounts are written as numbers with the base currency format', async () => {
+  const csv = [
+    'Nama,Harga',
+    'A,US$ 10',
+    'B,S$ 200',
+    'C,Rp 1.500.000',
+    'D,Rp 250.000',
+  ].join('\n');
+  const rateTable = engine.loadRateTable({ rates: { base: 'IDR', rates: { USD: 15800, SGD: 11700 } } });
+
+  const result = await engine.process(Buffer.from(csv), { fileName: 'harga.csv', rateTable });
+  assert.ok(result.success, result.error);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(result.output.buffer);
+  const cells = [];
+  workbook.getWorksheet('Cleaned Data').getColumn(2).eachCell((cell, rowNumber) => {
+    if (rowNumber > 1) cells.push([cell.value, cell.numFmt]);
+  });
+
+  assert.deepStrictEqual(cells, [
+    [158000, '"Rp "#,##0'],
+    [2340000, '"Rp "#,##0'],
+    [1500000, '"Rp "#,##0'],
+    [250000, '"Rp "#,##0'],
+  ]);
+});
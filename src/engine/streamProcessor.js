@@ -0,0 +1,768 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// STREAM PROCESSOR - Chunked analyze, clean & convert for very large files
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Files above FILE.STREAM_THRESHOLD are never loaded whole. Rows are read in
+// chunks of FILE.STREAM_CHUNK_ROWS, every chunk goes through the normal analyzer
+// and cleaner, and the output is written to disk while it is produced.
+//
+// Whole-file checks are done incrementally: exact duplicates (row hashes) and
+// column types & stats (ColumnProfiler). Rules that compare rows with each other
+// (fuzzy duplicates, outliers, sequences) only see one chunk at a time, and
+// cross-sheet relations are skipped (only the first sheet is read).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { v4: uuidv4 } = require('uuid');
+const fileParser = require('../utils/fileParser');
+const ColumnProfiler = require('../utils/columnProfiler');
+const helpers = require('../utils/helpers');
+const { ISSUE_TYPES, SEVERITY, MODE_PROFILES, QUALITY_DIMENSIONS } = require('../utils/constants');
+const analyzer = require('./analyzer');
+const cleaner = require('./cleaner');
+const converter = require('./converter');
+const reporter = require('./reporter');
+
+const OUTPUT_DIR = path.join(process.cwd(), 'temp');
+
+class StreamProcessor {
+  // ─────────────────────────────────────────────────────────────────────────
+  // FULL PIPELINE (analyze → clean → verify → report)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Run the engine pipeline chunk by chunk and stream the report to disk
+   * @param {string|Buffer} input - File path or buffer
+   * @param {Object} options - Engine options + { fileName, chunkRows, outputPath }
+   * @param {Function} compareIssues - (before, after) → issueDiff, see ExcelEngine._compareIssues
+   * @returns {Object} Same shape as ExcelEngine.process, output is { path, filename }
+   */
+  async process(input, options = {}, compareIssues = null) {
+    const startTime = Date.now();
+    const outputPath = options.outputPath || this._outputPath('xlsx');
+    const workbook = this._createWorkbook(outputPath);
+    const dataSheet = this._addDataSheet(workbook, 'Cleaned Data', '00B050');
+    let totalsSheet = null;
+
+    const { duplicateSeverity, checkDuplicates, removeDuplicates } = this._duplicateSettings(options);
+
+    const state = this._createState();
+    const before = this._createAccumulator();
+    const after = this._createAccumulator();
+    const cleaning = { stats: { totalChanges: 0, rowsAffected: 0, cellsModified: 0 }, summaries: new Map() };
+    let columnTypes = null;
+    let chunkCount = 0;
+
+    try {
+      for await (const chunk of fileParser.parseStream(input, options)) {
+        chunkCount++;
+        if (!state.headers) {
+          this._startState(state, chunk, input, options);
+          this._writeHeader(dataSheet, chunk.headers, chunk.data);
+        }
+
+        state.profiler.add(chunk.data);
+        state.rowCount += chunk.data.length;
+        // Types are fixed after the first chunk so every chunk is cleaned the same way
+        columnTypes = columnTypes || state.profiler.columnTypes();
+
+        const rows = checkDuplicates ? this._trackDuplicates(state, chunk.data, removeDuplicates) : chunk.data;
+        if (rows.length === 0) continue;
+
+        const parsed = this._chunkParsed(state, rows, columnTypes);
+        const chunkOptions = { ...options, skipRules: [...(options.skipRules || []), 'relations'] };
+
+        const analysis = analyzer.analyze(parsed, chunkOptions);
+        if (!analysis.success) continue;
+        this._accumulate(before, analysis, rows.length, chunkCount);
+
+        const cleaned = cleaner.clean(parsed, analysis, options);
+        this._accumulateChanges(cleaning, cleaned);
+
+        const afterAnalysis = cleaned.data.length > 0
+          ? analyzer.analyze(fileParser.withData(parsed, cleaned.headers, cleaned.data), chunkOptions)
+          : null;
+        if (afterAnalysis?.success) this._accumulate(after, afterAnalysis, cleaned.data.length, chunkCount);
+
+        this._writeRows(dataSheet, cleaned.headers, cleaned.data, cleaned.moneyColumns);
+        state.cleanedRowCount += cleaned.data.length;
+
+        if (cleaned.aggregateRows) {
+          if (!totalsSheet) {
+            totalsSheet = this._addDataSheet(workbook, 'Totals', '7F7F7F');
+            this._writeHeader(totalsSheet, cleaned.headers, cleaned.aggregateRows.data);
+          }
+          this._writeRows(totalsSheet, cleaned.headers, cleaned.aggregateRows.data);
+        }
+      }
+
+      if (!state.headers) throw new Error('No data found in file');
+      dataSheet.commit();
+      if (totalsSheet) totalsSheet.commit();
+
+      // ─────────────────────────────────────────────────────────────────────
+      // Merge chunk results into one analysis
+      // ─────────────────────────────────────────────────────────────────────
+
+      if (removeDuplicates && state.duplicates.count > 0) {
+        cleaning.stats.totalChanges += state.duplicates.count;
+        this._addSummaryChange(cleaning, {
+          type: 'SUMMARY',
+          operation: 'Remove Duplicates',
+          count: state.duplicates.count,
+          message: `Removed ${state.duplicates.count} duplicate rows`,
+        });
+      }
+
+      const duplicateIssue = checkDuplicates && state.duplicates.count > 0
+        ? this._duplicateIssue(state.duplicates, duplicateSeverity)
+        : null;
+
+      const columnStats = state.profiler.columnStats(state.profiler.columnTypes());
+      const analysis = this._mergedAnalysis(state, before, {
+        extraIssues: duplicateIssue ? [duplicateIssue] : [],
+        duplicatePenalty: state.duplicates.count / Math.max(1, state.rowCount),
+        rowCount: state.rowCount,
+        columnTypes: state.profiler.columnTypes(),
+        columnStats,
+      });
+      const afterAnalysis = this._mergedAnalysis(state, after, {
+        extraIssues: duplicateIssue && !removeDuplicates ? [{ ...duplicateIssue, id: helpers.generateId() }] : [],
+        duplicatePenalty: removeDuplicates ? 0 : state.duplicates.count / Math.max(1, state.cleanedRowCount),
+        rowCount: state.cleanedRowCount,
+        columnTypes: state.profiler.columnTypes(),
+      });
+      const issueDiff = compareIssues ? compareIssues(analysis.issues, afterAnalysis.issues) : null;
+
+      const changes = [...cleaning.summaries.values()];
+      const cleaningResult = {
+        stats: {
+          ...cleaning.stats,
+          originalRowCount: state.rowCount,
+          cleanedRowCount: state.cleanedRowCount,
+          rowsRemoved: state.rowCount - state.cleanedRowCount,
+        },
+        changes,
+        changesByType: Object.fromEntries(changes.map(c => [c.operation, c.count])),
+      };
+
+      // Report sheets come after the data sheet (ExcelJS streams sheets in creation order)
+      await reporter.appendReportSheets(workbook, {
+        originalData: { fileName: state.fileName, rowCount: state.rowCount },
+        cleanedData: { headers: state.headers },
+        analysisResult: analysis,
+        cleaningResult,
+        afterAnalysis,
+        issueDiff,
+        options: options.formatOptions || {},
+      });
+      await workbook.commit();
+
+      const totalTime = Date.now() - startTime;
+      return {
+        success: true,
+        streaming: true,
+        stages: {
+          parse: { success: true, rows: state.rowCount, columns: state.headers.length, chunks: chunkCount },
+          analyze: {
+            success: true,
+            time: analysis.analysisTime,
+            qualityScore: analysis.qualityScore,
+            issuesFound: analysis.totalIssues,
+            autoFixable: analysis.autoFixCount,
+            needsReview: analysis.needsReviewCount,
+            critical: analysis.criticalCount,
+          },
+          clean: {
+            success: true,
+            changes: cleaningResult.stats.totalChanges,
+            rowsRemoved: cleaningResult.stats.rowsRemoved,
+            cellsModified: cleaningResult.stats.cellsModified,
+          },
+          verify: {
+            success: true,
+            time: afterAnalysis.analysisTime,
+            qualityScore: afterAnalysis.qualityScore,
+            issuesResolved: issueDiff?.resolved.length,
+            issuesRemaining: issueDiff?.remaining.length,
+            issuesPartial: issueDiff?.partial.length,
+            issuesIntroduced: issueDiff?.introduced.length,
+          },
+          report: { success: true },
+        },
+        totalTime,
+        totalTimeFormatted: helpers.formatDuration(totalTime),
+        output: {
+          path: outputPath,
+          filename: `analyzed_${state.fileName || 'data'}.xlsx`,
+        },
+        summary: {
+          originalRows: state.rowCount,
+          cleanedRows: state.cleanedRowCount,
+          rowsRemoved: state.rowCount - state.cleanedRowCount,
+          issuesFixed: analysis.categorizedIssues.autoFix.filter(i => cleaner.isFixSelected(i, options.fixes)).length,
+          issuesNeedReview: analysis.needsReviewCount,
+          qualityBefore: analysis.qualityScore?.score || 0,
+          qualityAfter: afterAnalysis.qualityScore?.score || 0,
+          issuesResolved: issueDiff?.resolved.length,
+          issuesRemaining: issueDiff?.remaining.length,
+          issuesPartial: issueDiff?.partial.length,
+          issuesIntroduced: issueDiff?.introduced.length,
+        },
+        analysis,
+        afterAnalysis,
+        issueDiff,
+        changes,
+      };
+    } catch (error) {
+      await this._discard(workbook, outputPath);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // ANALYZE ONLY
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Chunked analysis without cleaning or output (fix review of a large file)
+   * @returns {Object} Merged analysis (Analyzer.analyze shape)
+   */
+  async analyze(input, options = {}) {
+    const { duplicateSeverity, checkDuplicates } = this._duplicateSettings(options);
+
+    const state = this._createState();
+    const before = this._createAccumulator();
+    let columnTypes = null;
+    let chunkCount = 0;
+
+    for await (const chunk of fileParser.parseStream(input, options)) {
+      chunkCount++;
+      if (!state.headers) this._startState(state, chunk, input, options);
+
+      state.profiler.add(chunk.data);
+      state.rowCount += chunk.data.length;
+      columnTypes = columnTypes || state.profiler.columnTypes();
+
+      // Duplicates are left out of the chunks as they would be when removed
+      const rows = checkDuplicates ? this._trackDuplicates(state, chunk.data, true) : chunk.data;
+      if (rows.length === 0) continue;
+
+      const chunkOptions = { ...options, skipRules: [...(options.skipRules || []), 'relations'] };
+      const analysis = analyzer.analyze(this._chunkParsed(state, rows, columnTypes), chunkOptions);
+      if (analysis.success) this._accumulate(before, analysis, rows.length, chunkCount);
+    }
+
+    if (!state.headers) throw new Error('No data found in file');
+
+    const duplicateIssue = checkDuplicates && state.duplicates.count > 0
+      ? this._duplicateIssue(state.duplicates, duplicateSeverity)
+      : null;
+
+    return this._mergedAnalysis(state, before, {
+      extraIssues: duplicateIssue ? [duplicateIssue] : [],
+      duplicatePenalty: state.duplicates.count / Math.max(1, state.rowCount),
+      rowCount: state.rowCount,
+      columnTypes: state.profiler.columnTypes(),
+      columnStats: state.profiler.columnStats(state.profiler.columnTypes()),
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // QUICK CLEAN
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * basicClean per chunk (duplicates removed across the whole file), streamed to xlsx
+   * @returns {Object} { success, path, stats, changes, streaming }
+   */
+  async quickClean(input, options = {}) {
+    const outputPath = options.outputPath || this._outputPath('xlsx');
+    const workbook = this._createWorkbook(outputPath);
+    const sheet = this._addDataSheet(workbook, 'Cleaned Data', '00B050');
+
+    const state = this._createState();
+    const cleaning = { stats: { totalChanges: 0, rowsAffected: 0, cellsModified: 0 }, summaries: new Map() };
+    const removeDuplicates = options.removeDuplicates !== false;
+
+    try {
+      for await (const chunk of fileParser.parseStream(input, options)) {
+        if (!state.headers) {
+          this._startState(state, chunk, input, options);
+          this._writeHeader(sheet, chunk.headers, chunk.data);
+        }
+        state.rowCount += chunk.data.length;
+
+        const rows = removeDuplicates ? this._trackDuplicates(state, chunk.data, true) : chunk.data;
+        const cleaned = cleaner.basicClean(state.headers, rows, { ...options, removeDuplicates: false });
+        this._accumulateChanges(cleaning, cleaned);
+
+        this._writeRows(sheet, state.headers, cleaned.data);
+        state.cleanedRowCount += cleaned.data.length;
+      }
+
+      if (!state.headers) throw new Error('No data found in file');
+
+      if (state.duplicates.count > 0) {
+        cleaning.stats.totalChanges += state.duplicates.count;
+        this._addSummaryChange(cleaning, {
+          type: 'SUMMARY',
+          operation: 'Remove Duplicates',
+          count: state.duplicates.count,
+          message: `Removed ${state.duplicates.count} duplicate rows`,
+        });
+      }
+
+      sheet.commit();
+      await workbook.commit();
+
+      return {
+        success: true,
+        streaming: true,
+        path: outputPath,
+        stats: {
+          ...cleaning.stats,
+          originalRowCount: state.rowCount,
+          cleanedRowCount: state.cleanedRowCount,
+          rowsRemoved: state.rowCount - state.cleanedRowCount,
+        },
+        changes: [...cleaning.summaries.values()],
+      };
+    } catch (error) {
+      await this._discard(workbook, outputPath);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CONVERT
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Convert chunk by chunk with converter.createChunkWriter, written to disk
+   * @returns {Object} { success, format, path, preview, rowCount, streaming }
+   */
+  async convert(input, targetFormat, options = {}) {
+    const extension = { markdown: 'md' }[targetFormat.toLowerCase()] || targetFormat.toLowerCase();
+    const outputPath = options.outputPath || this._outputPath(extension);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    const stream = fs.createWriteStream(outputPath, { encoding: 'utf-8' });
+
+    let writer = null;
+    let preview = '';
+    let rowCount = 0;
+
+    const write = async (text) => {
+      if (!text) return;
+      if (preview.length < 500) preview += text.slice(0, 500 - preview.length);
+      if (!stream.write(text)) await new Promise(resolve => stream.once('drain', resolve));
+    };
+
+    try {
+      for await (const chunk of fileParser.parseStream(input, options)) {
+        if (!writer) {
+          writer = converter.createChunkWriter(targetFormat, chunk.headers, options);
+          await write(writer.head);
+        }
+        await write(writer.rows(chunk.data));
+        rowCount += chunk.data.length;
+      }
+
+      if (!writer) throw new Error('No data found in file');
+      await write(writer.tail(rowCount));
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+      });
+
+      return { success: true, streaming: true, format: targetFormat, path: outputPath, preview, rowCount };
+    } catch (error) {
+      stream.destroy();
+      this._removeFile(outputPath);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DUPLICATES (across chunks)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Same row key as Analyzer._analyzeDuplicates, kept as a hash to bound memory
+   * @returns {Object[]} Rows without duplicates when remove = true, else all rows
+   */
+  _trackDuplicates(state, rows, remove) {
+    const { seen, duplicates } = state;
+
+    return rows.filter(row => {
+      const key = state.headers.map(h => String(row[h] || '').toLowerCase().trim()).join('|');
+      const hash = crypto.createHash('md5').update(key).digest('base64');
+
+      if (!seen.has(hash)) {
+        seen.set(hash, row._rowIndex);
+        return true;
+      }
+
+      duplicates.count++;
+      if (duplicates.details.length < 10) {
+        duplicates.details.push({ row: row._rowIndex, duplicateOf: seen.get(hash) });
+      }
+      return !remove;
+    });
+  }
+
+  /**
+   * Whether duplicates are checked / removed across chunks for the mode and the accepted fixes
+   */
+  _duplicateSettings(options) {
+    const profile = MODE_PROFILES[options.mode] || MODE_PROFILES.auto;
+    const duplicateSeverity = profile.severity?.[ISSUE_TYPES.DUPLICATE_ROW] || SEVERITY.AUTO_FIX;
+    const checkDuplicates = profile.rules.includes('duplicates') && !(options.skipRules || []).includes('duplicates');
+    const removeDuplicates = checkDuplicates && duplicateSeverity === SEVERITY.AUTO_FIX &&
+      cleaner.isFixSelected({ type: ISSUE_TYPES.DUPLICATE_ROW }, options.fixes);
+
+    return { duplicateSeverity, checkDuplicates, removeDuplicates };
+  }
+
+  _duplicateIssue(duplicates, severity) {
+    return {
+      type: ISSUE_TYPES.DUPLICATE_ROW,
+      severity,
+      message: `Found ${duplicates.count} exact duplicate rows`,
+      suggestion: 'Remove duplicate rows',
+      autoFix: severity === SEVERITY.AUTO_FIX,
+      affectedRows: duplicates.count,
+      details: duplicates.details,
+      id: helpers.generateId(),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // MERGING CHUNK RESULTS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _createAccumulator() {
+    return {
+      rows: 0,
+      analysisTime: 0,
+      issues: new Map(),
+      rulesRun: new Map(),
+      dimensions: {},
+      columns: {},
+      weights: null,
+      emptyRows: 0,
+      emptyCells: 0,
+      mode: null,
+      thresholds: null,
+    };
+  }
+
+  /**
+   * Add one chunk analysis; issues of the same type & column are merged
+   */
+  _accumulate(acc, analysis, rowCount, chunkNumber) {
+    acc.rows += rowCount;
+    acc.analysisTime += analysis.analysisTime;
+    acc.emptyRows += analysis.summary.emptyRows;
+    acc.emptyCells += analysis.summary.emptyCells;
+    acc.mode = analysis.mode;
+    acc.thresholds = analysis.thresholds;
+
+    // Exact duplicates are counted over the whole file instead (see _trackDuplicates)
+    const issues = analysis.issues.filter(issue => issue.type !== ISSUE_TYPES.DUPLICATE_ROW);
+
+    analysis.rulesRun.forEach(rule => {
+      const found = rule.id === 'duplicates' ? rule.issuesFound - (analysis.issues.length - issues.length) : rule.issuesFound;
+      const merged = acc.rulesRun.get(rule.id);
+      if (merged) merged.issuesFound += found;
+      else acc.rulesRun.set(rule.id, { ...rule, issuesFound: found });
+    });
+
+    issues.forEach(issue => {
+      const key = [issue.type, issue.sheet || '', issue.column || ''].join('|');
+      const merged = acc.issues.get(key);
+      if (!merged) {
+        acc.issues.set(key, { ...issue, chunks: 1, lastChunk: chunkNumber, merged: false });
+        return;
+      }
+
+      merged.merged = true;
+      if (merged.lastChunk !== chunkNumber) {
+        merged.chunks++;
+        merged.lastChunk = chunkNumber;
+      }
+      merged.affectedRows = (merged.affectedRows || 1) + (issue.affectedRows || 1);
+      if (merged.row !== issue.row) delete merged.row;
+      if (Array.isArray(merged.details) && Array.isArray(issue.details) && merged.details.length < 10) {
+        merged.details = [...merged.details, ...issue.details].slice(0, 10);
+      }
+    });
+
+    // Scores weighted by the rows each chunk contributed
+    const { qualityScore } = analysis;
+    acc.weights = qualityScore.weights;
+    Object.entries(qualityScore.dimensions).forEach(([dim, score]) => {
+      acc.dimensions[dim] = (acc.dimensions[dim] || 0) + score * rowCount;
+    });
+    Object.entries(qualityScore.columns).forEach(([column, scores]) => {
+      acc.columns[column] = acc.columns[column] || {};
+      Object.entries(scores).forEach(([dim, score]) => {
+        acc.columns[column][dim] = (acc.columns[column][dim] || 0) + score * rowCount;
+      });
+    });
+  }
+
+  /**
+   * Accumulated chunks → one analysis result (Analyzer.analyze shape)
+   */
+  _mergedAnalysis(state, acc, { extraIssues, duplicatePenalty, rowCount, columnTypes, columnStats }) {
+    const issues = [...extraIssues];
+    acc.issues.forEach(issue => {
+      if (issue.merged) {
+        issue.message = `${issue.message} (${issue.affectedRows} rows in ${issue.chunks} chunk${issue.chunks > 1 ? 's' : ''})`;
+      }
+      delete issue.chunks;
+      delete issue.lastChunk;
+      delete issue.merged;
+      issues.push(issue);
+    });
+
+    const rulesRun = [...acc.rulesRun.values()];
+    const duplicateRule = rulesRun.find(r => r.id === 'duplicates');
+    if (duplicateRule) duplicateRule.issuesFound += extraIssues.length;
+
+    const categorizedIssues = {
+      autoFix: issues.filter(i => i.severity === SEVERITY.AUTO_FIX),
+      needsReview: issues.filter(i => i.severity === SEVERITY.NEEDS_REVIEW),
+      critical: issues.filter(i => i.severity === SEVERITY.CRITICAL),
+    };
+
+    return {
+      success: true,
+      streaming: true,
+      analysisTime: acc.analysisTime,
+      analysisTimeFormatted: helpers.formatDuration(acc.analysisTime),
+      mode: acc.mode,
+      rulesRun,
+      thresholds: acc.thresholds,
+      relations: [],
+      summary: {
+        totalRows: rowCount,
+        totalColumns: state.headers.length,
+        totalCells: rowCount * state.headers.length,
+        emptyRows: acc.emptyRows,
+        emptyCells: acc.emptyCells,
+        fileName: state.fileName,
+        fileSize: state.fileSizeFormatted,
+        sheetCount: 1,
+      },
+      qualityScore: this._mergedScore(acc, duplicatePenalty),
+      totalIssues: issues.length,
+      issues,
+      categorizedIssues,
+      autoFixCount: categorizedIssues.autoFix.length,
+      needsReviewCount: categorizedIssues.needsReview.length,
+      criticalCount: categorizedIssues.critical.length,
+      columnTypes,
+      columnStats,
+    };
+  }
+
+  /**
+   * Row-weighted chunk scores; duplicates across chunks lower the uniqueness
+   * dimension like a table-level defect in Analyzer._calculateQualityScore
+   */
+  _mergedScore(acc, duplicatePenalty) {
+    const rows = Math.max(1, acc.rows);
+    const dimensions = {};
+    Object.keys(QUALITY_DIMENSIONS).forEach(dim => {
+      dimensions[dim] = acc.dimensions[dim] !== undefined ? Math.round(acc.dimensions[dim] / rows) : 100;
+    });
+
+    const duplicateDim = Object.keys(QUALITY_DIMENSIONS)
+      .find(dim => QUALITY_DIMENSIONS[dim].issueTypes.includes(ISSUE_TYPES.DUPLICATE_ROW));
+    if (duplicateDim && duplicatePenalty > 0) {
+      dimensions[duplicateDim] = Math.round(dimensions[duplicateDim] * (1 - Math.min(1, duplicatePenalty)));
+    }
+
+    const columns = {};
+    Object.entries(acc.columns).forEach(([column, scores]) => {
+      columns[column] = {};
+      Object.entries(scores).forEach(([dim, total]) => {
+        columns[column][dim] = Math.round(total / rows);
+      });
+    });
+
+    const weights = acc.weights || Object.fromEntries(Object.entries(QUALITY_DIMENSIONS).map(([dim, def]) => [dim, def.weight]));
+    const totalWeight = Object.keys(dimensions).reduce((sum, dim) => sum + (weights[dim] || 0), 0);
+    const score = totalWeight > 0
+      ? Object.keys(dimensions).reduce((sum, dim) => sum + dimensions[dim] * (weights[dim] || 0), 0) / totalWeight
+      : 100;
+
+    return {
+      score: Math.max(0, Math.round(score)),
+      ...analyzer.gradeScore(score),
+      dimensions,
+      weights,
+      columns,
+    };
+  }
+
+  /**
+   * Keep cleaning stats and SUMMARY changes only (the per-cell log would grow with the file)
+   */
+  _accumulateChanges(cleaning, cleaned) {
+    cleaning.stats.totalChanges += cleaned.stats.totalChanges;
+    cleaning.stats.rowsAffected += cleaned.stats.rowsAffected;
+    cleaning.stats.cellsModified += cleaned.stats.cellsModified;
+
+    cleaned.changes
+      .filter(change => change.type === 'SUMMARY')
+      .forEach(change => this._addSummaryChange(cleaning, change));
+  }
+
+  _addSummaryChange(cleaning, change) {
+    const merged = cleaning.summaries.get(change.operation);
+    if (!merged) {
+      cleaning.summaries.set(change.operation, { ...change });
+      return;
+    }
+
+    merged.count += change.count;
+    merged.message = merged.message.replace(/\d+/, merged.count);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // WORKBOOK WRITER
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _createWorkbook(outputPath) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      filename: outputPath,
+      useStyles: true,
+      useSharedStrings: false,
+    });
+    workbook.creator = 'Excel Intelligent Bot';
+    workbook.created = new Date();
+    return workbook;
+  }
+
+  _addDataSheet(workbook, sheetName, tabColor) {
+    return workbook.addWorksheet(sheetName, {
+      properties: { tabColor: { argb: tabColor } },
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+  }
+
+  /**
+   * Header row styled like Reporter._createDataSheet, widths from the first rows
+   */
+  _writeHeader(sheet, headers, sampleRows) {
+    headers.forEach((header, i) => {
+      let maxLen = header.length;
+      sampleRows.slice(0, 100).forEach(row => {
+        const val = String(row[header] || '');
+        if (val.length > maxLen) maxLen = val.length;
+      });
+      sheet.getColumn(i + 1).width = Math.min(50, Math.max(10, maxLen + 2));
+    });
+
+    const headerRow = sheet.addRow(headers);
+    headerRow.eachCell((cell) => {
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FF2B579A' },
+      };
+      cell.font = {
+        bold: true,
+        color: { argb: 'FFFFFFFF' },
+      };
+      cell.alignment = { horizontal: 'center' };
+    });
+    headerRow.height = 25;
+    headerRow.commit();
+  }
+
+  _writeRows(sheet, headers, rows, moneyColumns = {}) {
+    rows.forEach(row => {
+      const added = sheet.addRow(headers.map(h => row[h]));
+      reporter.applyMoneyFormats(added, headers, moneyColumns);
+      added.commit();
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _createState() {
+    return {
+      headers: null,
+      fileName: null,
+      fileSizeFormatted: null,
+      sheetName: null,
+      profiler: null,
+      seen: new Map(),
+      duplicates: { count: 0, details: [] },
+      rowCount: 0,
+      cleanedRowCount: 0,
+    };
+  }
+
+  _startState(state, chunk, input, options) {
+    state.headers = chunk.headers;
+    state.sheetName = chunk.sheetName;
+    state.profiler = new ColumnProfiler(chunk.headers, { numberLocale: fileParser.dialectLocale(chunk.dialect) });
+    state.fileName = options.fileName || (typeof input === 'string' ? path.basename(input) : 'data');
+    state.fileSizeFormatted = helpers.formatBytes(Buffer.isBuffer(input) ? input.length : fs.statSync(input).size);
+  }
+
+  /**
+   * Chunk as a parse()-like object for the analyzer and cleaner
+   */
+  _chunkParsed(state, rows, columnTypes) {
+    return {
+      success: true,
+      fileName: state.fileName,
+      fileSizeFormatted: state.fileSizeFormatted,
+      headers: state.headers,
+      data: rows,
+      rowCount: rows.length,
+      columnCount: state.headers.length,
+      columnTypes,
+      columnStats: {},
+      sheets: {},
+      activeSheet: state.sheetName,
+      sheetNames: [state.sheetName],
+      sheetCount: 1,
+    };
+  }
+
+  _outputPath(extension) {
+    return path.join(OUTPUT_DIR, `${uuidv4()}.${extension}`);
+  }
+
+  async _discard(workbook, outputPath) {
+    try {
+      await workbook.commit();
+    } catch (error) {
+      // Writer may already be broken; the file is removed anyway
+    }
+    this._removeFile(outputPath);
+  }
+
+  _removeFile(filePath) {
+    try {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (error) {
+      console.error('[StreamProcessor] Failed to delete output:', error.message);
+    }
+  }
+}
+
+module.exports = new StreamProcessor();
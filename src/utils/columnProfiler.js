@@ -0,0 +1,163 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// COLUMN PROFILER - Incremental column types & stats for streamed data
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Produces the same columnTypes / columnStats shape as FileParser, but rows are
+// added chunk by chunk. Memory per column is bounded: distinct values are
+// counted up to DISTINCT_LIMIT and the median comes from a reservoir sample.
+
+const fileParser = require('./fileParser');
+const helpers = require('./helpers');
+const { COLUMN_TYPES } = require('./constants');
+
+const DISTINCT_LIMIT = 100000;
+const RESERVOIR_SIZE = 10000;
+
+class ColumnProfiler {
+  /**
+   * @param {string[]} headers - Column names
+   * @param {Object} options - { numberLocale } for columns whose values do not decide it
+   */
+  constructor(headers, options = {}) {
+    this.headers = headers;
+    this.numberLocale = options.numberLocale || null;
+    this.rowCount = 0;
+    this.columns = {};
+
+    headers.forEach(header => {
+      this.columns[header] = {
+        nonEmptyCount: 0,
+        typeCounts: fileParser.emptyTypeCounts(),
+        evidenceCounts: fileParser.emptyEvidenceCounts(),
+        distinct: new Map(),
+        distinctCapped: false,
+        numeric: { count: 0, sum: 0, min: Infinity, max: -Infinity, mean: 0, m2: 0, sample: [] },
+      };
+    });
+  }
+
+  /**
+   * Add a chunk of row objects
+   */
+  add(rows) {
+    rows.forEach(row => {
+      this.rowCount++;
+
+      this.headers.forEach(header => {
+        const value = row[header];
+        if (value === '' || value === null || value === undefined) return;
+
+        const column = this.columns[header];
+        column.nonEmptyCount++;
+        column.typeCounts[fileParser.detectValueType(value)]++;
+
+        fileParser.addValueEvidence(column.evidenceCounts, value);
+
+        const key = String(value).toLowerCase().trim();
+        if (column.distinct.has(key)) {
+          column.distinct.set(key, column.distinct.get(key) + 1);
+        } else if (column.distinct.size < DISTINCT_LIMIT) {
+          column.distinct.set(key, 1);
+        } else {
+          column.distinctCapped = true;
+        }
+
+        const number = helpers.parseNumber(value);
+        if (!isNaN(number)) this._addNumber(column.numeric, number);
+      });
+    });
+  }
+
+  /**
+   * Column types over all rows added so far
+   */
+  columnTypes() {
+    const types = {};
+
+    this.headers.forEach(header => {
+      const column = this.columns[header];
+      types[header] = column.nonEmptyCount === 0
+        ? { type: COLUMN_TYPES.EMPTY, confidence: 1 }
+        : fileParser.resolveColumnType(header, column.typeCounts, column.nonEmptyCount, column.evidenceCounts, { numberLocale: this.numberLocale });
+    });
+
+    return types;
+  }
+
+  /**
+   * Column stats over all rows added so far (uniqueCount is a lower bound when capped)
+   */
+  columnStats(columnTypes = this.columnTypes()) {
+    const stats = {};
+
+    this.headers.forEach(header => {
+      const column = this.columns[header];
+      const emptyCount = this.rowCount - column.nonEmptyCount;
+
+      const columnStat = {
+        totalCount: this.rowCount,
+        nonEmptyCount: column.nonEmptyCount,
+        emptyCount,
+        emptyPercentage: this.rowCount > 0 ? (emptyCount / this.rowCount * 100).toFixed(1) : '0.0',
+        uniqueCount: column.distinct.size,
+        uniqueCountCapped: column.distinctCapped,
+      };
+
+      if (['number', 'currency', 'percentage'].includes(columnTypes[header]?.type) && column.numeric.count > 0) {
+        columnStat.numeric = this._numericStats(column.numeric);
+      }
+
+      columnStat.mostCommon = [...column.distinct.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([value, count]) => ({ value, count }));
+
+      stats[header] = columnStat;
+    });
+
+    return stats;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Welford running mean / variance + reservoir sample for the median
+   */
+  _addNumber(numeric, number) {
+    numeric.count++;
+    numeric.sum += number;
+    numeric.min = Math.min(numeric.min, number);
+    numeric.max = Math.max(numeric.max, number);
+
+    const delta = number - numeric.mean;
+    numeric.mean += delta / numeric.count;
+    numeric.m2 += delta * (number - numeric.mean);
+
+    if (numeric.sample.length < RESERVOIR_SIZE) {
+      numeric.sample.push(number);
+    } else {
+      const slot = Math.floor(Math.random() * numeric.count);
+      if (slot < RESERVOIR_SIZE) numeric.sample[slot] = number;
+    }
+  }
+
+  _numericStats(numeric) {
+    const sorted = [...numeric.sample].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+
+    return {
+      count: numeric.count,
+      sum: numeric.sum,
+      average: numeric.mean,
+      min: numeric.min,
+      max: numeric.max,
+      median: sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+      stdDev: Math.sqrt(numeric.m2 / numeric.count),
+      approximate: numeric.count > RESERVOIR_SIZE,
+    };
+  }
+}
+
+module.exports = ColumnProfiler;
@@ -2,16 +2,35 @@
 // CONSTANTS - Semua konstanta yang digunakan di seluruh aplikasi
 // ═══════════════════════════════════════════════════════════════════════════
 
+// ─────────────────────────────────────────────────────────────────────────
+// INPUT FORMATS - Satu registry untuk semua format input (parser, API, bot)
+// stream: bisa dibaca per chunk untuk file besar (lihat FILE.STREAM_THRESHOLD)
+// ─────────────────────────────────────────────────────────────────────────
+const INPUT_FORMATS = {
+  '.xlsx': { name: 'Excel Workbook', reader: 'workbook', stream: true },
+  '.xls': { name: 'Excel 97-2003', reader: 'workbook' },
+  '.ods': { name: 'OpenDocument Spreadsheet', reader: 'workbook' },
+  '.csv': { name: 'CSV', reader: 'delimited', stream: true },
+  '.tsv': { name: 'Tab-separated values', reader: 'delimited', delimiter: '\t', stream: true },
+  '.json': { name: 'JSON', reader: 'json' },
+  '.ndjson': { name: 'Newline-delimited JSON', reader: 'ndjson', stream: true },
+  '.xml': { name: 'XML', reader: 'xml' },
+};
+
 module.exports = {
   // ─────────────────────────────────────────────────────────────────────────
   // FILE SETTINGS
   // ─────────────────────────────────────────────────────────────────────────
   FILE: {
-    MAX_SIZE: 10 * 1024 * 1024, // 10MB
-    ALLOWED_EXTENSIONS: ['.xlsx', '.xls', '.csv'],
+    MAX_SIZE: 500 * 1024 * 1024, // 500MB
+    STREAM_THRESHOLD: 25 * 1024 * 1024, // File lebih besar dari ini diproses per chunk
+    STREAM_CHUNK_ROWS: 5000, // Baris per chunk (analisis & cleaning)
+    ALLOWED_EXTENSIONS: Object.keys(INPUT_FORMATS),
     TEMP_TTL: 60 * 60 * 1000, // 1 hour
   },
 
+  INPUT_FORMATS,
+
   // ─────────────────────────────────────────────────────────────────────────
   // ANALYSIS MODES
   // ─────────────────────────────────────────────────────────────────────────
@@ -23,6 +42,137 @@ module.exports = {
     STRICT: 'strict',       // Maximum detection
   },
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // MODE PROFILES - Rule pack, thresholds & severity mapping per mode
+  // ─────────────────────────────────────────────────────────────────────────
+  // severity menaikkan issue needs_review saja; issue auto_fix tetap diperbaiki di semua mode
+  MODE_PROFILES: {
+    auto: {
+      rules: ['structure', 'format', 'currency', 'quality', 'duplicates', 'outliers', 'logic', 'indonesia', 'relations', 'formulas'],
+      thresholds: {
+        emptyCellPercent: 20,     // Flag column jika kosong > X%
+        outlierIQR: 1.5,          // IQR multiplier untuk outlier
+        calcTolerancePercent: 1,  // Toleransi Qty × Price = Total
+        taxTolerance: 1,          // Toleransi PPN (rupiah)
+        pph21Tolerance: 1000,     // Toleransi PPh 21 per baris (rupiah)
+        maxSequenceGaps: 10,      // Abaikan gap jika lebih dari ini (0 = laporkan semua gap)
+        fuzzySimilarity: 0.85,    // Kemiripan minimum per kolom untuk duplikat fuzzy
+      },
+      severity: {},
+    },
+    data: {
+      rules: ['structure', 'format', 'currency', 'quality', 'duplicates', 'outliers', 'relations', 'formulas'],
+      thresholds: {
+        emptyCellPercent: 20,
+        outlierIQR: 1.5,
+      },
+      severity: {},
+    },
+    finance: {
+      rules: ['structure', 'format', 'currency', 'quality', 'duplicates', 'outliers', 'logic', 'indonesia', 'sequenceOrder', 'relations', 'formulas'],
+      thresholds: {
+        emptyCellPercent: 10,
+        outlierIQR: 1.5,
+        calcTolerancePercent: 0,
+        taxTolerance: 0.5,
+        pph21Tolerance: 100,
+        maxSequenceGaps: 0,
+      },
+      severity: {
+        sequence_gap: 'critical',
+        sequence_order: 'critical',
+        negative_invalid: 'critical',
+        missing_required: 'critical',
+        currency_mixed: 'critical',  // Kecuali ada rate table untuk konversi
+      },
+      weights: {
+        accuracy: 0.3,
+      },
+    },
+    sales: {
+      rules: ['structure', 'format', 'currency', 'quality', 'duplicates', 'outliers', 'logic', 'customer', 'product', 'relations', 'formulas'],
+      thresholds: {
+        emptyCellPercent: 20,
+        outlierIQR: 1.5,
+        calcTolerancePercent: 1,
+        maxSequenceGaps: 10,
+        priceDeviationPercent: 20, // Harga produk menyimpang dari median
+      },
+      severity: {},
+    },
+    strict: {
+      rules: ['structure', 'format', 'currency', 'quality', 'duplicates', 'outliers', 'logic', 'indonesia', 'sequenceOrder', 'customer', 'product', 'relations', 'formulas'],
+      thresholds: {
+        emptyCellPercent: 5,
+        outlierIQR: 1.0,
+        fuzzySimilarity: 0.8,
+        calcTolerancePercent: 0,
+        taxTolerance: 0.5,
+        pph21Tolerance: 100,
+        maxSequenceGaps: 0,
+        priceDeviationPercent: 10,
+      },
+      severity: {
+        text_case: 'critical',
+        empty_cell: 'critical',
+        duplicate_fuzzy: 'critical',
+        numeric_outlier: 'critical',
+        negative_invalid: 'critical',
+        future_date: 'critical',
+        sequence_gap: 'critical',
+        sequence_order: 'critical',
+        no_header: 'critical',
+        price_inconsistent: 'critical',
+        customer_inconsistent: 'critical',
+        reference_mismatch: 'critical',
+        currency_mixed: 'critical',
+      },
+    },
+  },
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // QUALITY DIMENSIONS - Scorecard weights & issue types per dimension
+  // ─────────────────────────────────────────────────────────────────────────
+  // Completeness dihitung langsung dari sel kosong, bukan dari issue
+  QUALITY_DIMENSIONS: {
+    completeness: {
+      weight: 0.2,
+      issueTypes: [],
+    },
+    validity: {
+      weight: 0.25,
+      issueTypes: [
+        'number_format', 'number_parse_failed', 'currency_format', 'phone_format', 'email_format', 'mixed_data_type',
+        'negative_invalid', 'pattern_mismatch', 'out_of_range', 'invalid_value', 'rule_violation',
+        'nik_invalid', 'npwp_invalid', 'ptkp_status_invalid', 'bank_account_invalid', 'bank_account_format',
+        'no_header', 'duplicate_header', 'formula_error', 'time_invalid', 'duration_invalid',
+      ],
+    },
+    uniqueness: {
+      weight: 0.15,
+      issueTypes: ['duplicate_row', 'duplicate_fuzzy', 'duplicate_value'],
+    },
+    consistency: {
+      weight: 0.15,
+      issueTypes: [
+        'date_inconsistent', 'date_order_conflict', 'number_locale_conflict', 'timezone_mixed', 'currency_mixed',
+        'text_case', 'whitespace', 'sequence_gap', 'sequence_order', 'aggregate_row',
+        'price_inconsistent', 'customer_inconsistent', 'orphan_reference', 'reference_mismatch',
+      ],
+    },
+    accuracy: {
+      weight: 0.15,
+      issueTypes: [
+        'calculation_error', 'tax_calculation', 'pph21_calculation', 'numeric_outlier', 'time_order',
+        'formula_inconsistent', 'formula_override',
+      ],
+    },
+    timeliness: {
+      weight: 0.1,
+      issueTypes: ['future_date', 'past_date_invalid', 'date_out_of_range'],
+    },
+  },
+
   // ─────────────────────────────────────────────────────────────────────────
   // ISSUE SEVERITY
   // ─────────────────────────────────────────────────────────────────────────
@@ -38,8 +188,13 @@ module.exports = {
   ISSUE_TYPES: {
     // Format Issues
     DATE_INCONSISTENT: 'date_inconsistent',
+    DATE_ORDER_AMBIGUOUS: 'date_order_ambiguous',
+    DATE_ORDER_CONFLICT: 'date_order_conflict',
     NUMBER_FORMAT: 'number_format',
+    NUMBER_LOCALE_CONFLICT: 'number_locale_conflict',
+    NUMBER_PARSE_FAILED: 'number_parse_failed',
     CURRENCY_FORMAT: 'currency_format',
+    CURRENCY_MIXED: 'currency_mixed',
     PHONE_FORMAT: 'phone_format',
     EMAIL_FORMAT: 'email_format',
     TEXT_CASE: 'text_case',
@@ -50,23 +205,55 @@ module.exports = {
     DUPLICATE_FUZZY: 'duplicate_fuzzy',
     EMPTY_ROW: 'empty_row',
     EMPTY_CELL: 'empty_cell',
+    MISSING_VALUE: 'missing_value',
     MISSING_REQUIRED: 'missing_required',
+    AGGREGATE_ROW: 'aggregate_row',
     
     // Outliers & Anomalies
     NUMERIC_OUTLIER: 'numeric_outlier',
     NEGATIVE_INVALID: 'negative_invalid',
     FUTURE_DATE: 'future_date',
     PAST_DATE_INVALID: 'past_date_invalid',
+    TIME_INVALID: 'time_invalid',
+    TIMEZONE_MIXED: 'timezone_mixed',
+    DURATION_INVALID: 'duration_invalid',
     
     // Logic Issues
     CALCULATION_ERROR: 'calculation_error',
     SEQUENCE_GAP: 'sequence_gap',
     SEQUENCE_ORDER: 'sequence_order',
+    TIME_ORDER: 'time_order',
+
+    // Validation Rules (declarative rule schema)
+    DUPLICATE_VALUE: 'duplicate_value',
+    PATTERN_MISMATCH: 'pattern_mismatch',
+    OUT_OF_RANGE: 'out_of_range',
+    INVALID_VALUE: 'invalid_value',
+    DATE_OUT_OF_RANGE: 'date_out_of_range',
+    RULE_VIOLATION: 'rule_violation',
+
+    // Formula Issues
+    FORMULA_ERROR: 'formula_error',
+    FORMULA_INCONSISTENT: 'formula_inconsistent',
+    FORMULA_OVERRIDE: 'formula_override',
+
+    // Cross-Sheet (referential integrity)
+    ORPHAN_REFERENCE: 'orphan_reference',
+    UNUSED_MASTER: 'unused_master',
+    REFERENCE_MISMATCH: 'reference_mismatch',
+
+    // Sales Specific
+    PRICE_INCONSISTENT: 'price_inconsistent',
+    CUSTOMER_INCONSISTENT: 'customer_inconsistent',
     
     // Indonesia Specific
     NIK_INVALID: 'nik_invalid',
     NPWP_INVALID: 'npwp_invalid',
     TAX_CALCULATION: 'tax_calculation',
+    PPH21_CALCULATION: 'pph21_calculation',
+    PTKP_STATUS_INVALID: 'ptkp_status_invalid',
+    BANK_ACCOUNT_INVALID: 'bank_account_invalid',
+    BANK_ACCOUNT_FORMAT: 'bank_account_format',
     
     // Structure Issues
     NO_HEADER: 'no_header',
@@ -110,11 +297,56 @@ module.exports = {
       'TK/0': 54000000, 'TK/1': 58500000, 'TK/2': 63000000, 'TK/3': 67500000,
       'K/0': 58500000, 'K/1': 63000000, 'K/2': 67500000, 'K/3': 72000000,
     },
+
+    // Pengurang penghasilan bruto PPh 21 (per bulan)
+    PPH21_DEDUCTIONS: {
+      BIAYA_JABATAN_RATE: 0.05,     // 5% dari bruto
+      BIAYA_JABATAN_MAX: 500000,    // Maks Rp 500.000/bulan
+      PENSION_MAX: 200000,          // Iuran JHT/JP/pensiun maks Rp 200.000/bulan
+    },
     
     // Bank Account Length
     BANK_ACCOUNT_LENGTH: {
       'BCA': 10, 'MANDIRI': 13, 'BNI': 10, 'BRI': 15, 'CIMB': 13,
     },
+
+    // Nama lengkap bank → kode di BANK_ACCOUNT_LENGTH
+    BANK_ALIASES: {
+      'CENTRAL ASIA': 'BCA',
+      'NEGARA INDONESIA': 'BNI',
+      'RAKYAT INDONESIA': 'BRI',
+      'NIAGA': 'CIMB',
+    },
+
+    // Zona waktu (offset menit dari UTC); data tanpa zona dianggap DEFAULT_TIMEZONE
+    TIMEZONES: { WIB: 420, WITA: 480, WIT: 540 },
+    DEFAULT_TIMEZONE: 'WIB',
+
+    // Singkatan nominal: "500rb", "2,5 jt", "1,2 M" (M = miliar, bukan juta)
+    NUMBER_SUFFIXES: {
+      'k': 1e3, 'K': 1e3, 'rb': 1e3, 'ribu': 1e3,
+      'jt': 1e6, 'juta': 1e6,
+      'M': 1e9, 'miliar': 1e9, 'milyar': 1e9,
+      'T': 1e12, 'triliun': 1e12,
+    },
+
+    // Mata uang dasar (kolom tanpa simbol, basis tabel kurs)
+    CURRENCY: 'IDR',
+  },
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CURRENCIES - Symbols / ISO codes per currency (first symbol is displayed)
+  // ─────────────────────────────────────────────────────────────────────────
+  CURRENCIES: {
+    IDR: { symbols: ['Rp', 'IDR'], decimals: 0, numFmt: '"Rp "#,##0' },
+    USD: { symbols: ['US$', '$', 'USD'], decimals: 2, numFmt: '"US$ "#,##0.00' },
+    SGD: { symbols: ['S$', 'SGD'], decimals: 2, numFmt: '"S$ "#,##0.00' },
+    MYR: { symbols: ['RM', 'MYR'], decimals: 2, numFmt: '"RM "#,##0.00' },
+    AUD: { symbols: ['A$', 'AUD'], decimals: 2, numFmt: '"A$ "#,##0.00' },
+    EUR: { symbols: ['€', 'EUR'], decimals: 2, numFmt: '"€ "#,##0.00' },
+    GBP: { symbols: ['£', 'GBP'], decimals: 2, numFmt: '"£ "#,##0.00' },
+    JPY: { symbols: ['¥', 'JPY'], decimals: 0, numFmt: '"¥ "#,##0' },
+    CNY: { symbols: ['CN¥', 'CNY', 'RMB'], decimals: 2, numFmt: '"CN¥ "#,##0.00' },
   },
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -127,8 +359,18 @@ module.exports = {
     NPWP: /^\d{15}$/,
     CURRENCY_ID: /^[Rr][Pp]\.?\s?[\d.,]+$/,
     DATE_ISO: /^\d{4}-\d{2}-\d{2}$/,
-    DATE_DMY: /^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/,
-    DATE_MDY: /^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/,
+    DATE_DMY: /^(0?[1-9]|[12]\d|3[01])[\/\-](0?[1-9]|1[0-2])[\/\-](\d{2}|\d{4})$/,
+    DATE_MDY: /^(0?[1-9]|1[0-2])[\/\-](0?[1-9]|[12]\d|3[01])[\/\-](\d{2}|\d{4})$/,
+    // Jam: 08:15, 8:15:30, 8:15 PM, 08.15 (titik hanya dengan nol di depan atau detik)
+    TIME: /^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AaPp])\.?[Mm]\.?)?$/,
+    TIME_DOT: /^(0\d|\d{1,2}(?=\.\d{2}\.))\.(\d{2})(?:\.(\d{2}))?$/,
+    // Time part at the end of a datetime: "2024-01-05 08:15", "05/01/2024T08:15:00"
+    DATETIME_TIME: /[T\s]+(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?(?:\.\d+)?(?:\s*[AaPp]\.?[Mm]\.?)?)$/,
+    // Zona di akhir jam: WIB/WITA/WIT, UTC/GMT(+7), Z, +07:00 / +0700
+    TIMEZONE_SUFFIX: /\s*(?:\b(WITA|WIB|WIT)|\b(UTC|GMT)\s*([+-]\d{1,2}(?::?\d{2})?)?|(Z)|([+-]\d{2}:?\d{2}))$/i,
+    // Durasi: 2j 30m, 1 jam 15 menit, 1h 30m, 45 menit, 1,5 jam
+    DURATION_PART: /(\d+(?:[.,]\d+)?)\s*(jam|j|hours?|hrs?|h|menit|mnt|minutes?|mins?|m|detik|dtk|seconds?|secs?|s)(?![a-z])/gi,
+    AGGREGATE_LABEL: /^\s*(grand\s*total|sub\s*-?\s*total|total|sub\s*jumlah|jumlah|total\s+keseluruhan|sum)\b/i,
   },
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -155,10 +397,14 @@ module.exports = {
     NUMBER: 'number',
     CURRENCY: 'currency',
     DATE: 'date',
+    TIME: 'time',
+    DATETIME: 'datetime',
+    DURATION: 'duration',
     EMAIL: 'email',
     PHONE: 'phone',
     NIK: 'nik',
     NPWP: 'npwp',
+    BANK_ACCOUNT: 'bank_account',
     PERCENTAGE: 'percentage',
     BOOLEAN: 'boolean',
     MIXED: 'mixed',
@@ -0,0 +1,312 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// CSV READER - Encoding, delimiter, quote & decimal sniffing for CSV / TSV
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Exports from Indonesian accounting software are often Windows-1252 or
+// UTF-16, use ";" as delimiter and "," as decimal separator (1.234,56).
+// Every detected setting can be overridden through parse options. Cell text is
+// kept as written; the decimal separator only decides how numbers are read.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+const SAMPLE_LINES = 50;
+const SAMPLE_BYTES = 64 * 1024;
+
+// Numbers that only fit one decimal convention
+const DECIMAL_EVIDENCE = {
+  ',': [
+    /^-?\d{1,3}(\.\d{3})+,\d+$/,    // 1.234,56
+    /^-?\d{1,3}(\.\d{3}){2,}$/,     // 1.234.567
+    /^-?\d+,(\d{1,2}|\d{4,})$/,     // 2,5 / 0,1234
+  ],
+  '.': [
+    /^-?\d{1,3}(,\d{3})+\.\d+$/,    // 1,234.56
+    /^-?\d{1,3}(,\d{3}){2,}$/,      // 1,234,567
+    /^-?\d+\.(\d{1,2}|\d{4,})$/,    // 2.5 / 0.1234
+  ],
+};
+
+class CsvReader {
+  /**
+   * Decode and split a CSV buffer
+   * @param {Buffer} buffer - Raw file content
+   * @param {Object} options - Overrides: { encoding, delimiter, quote, decimal }
+   * @returns {Object} { rows: string[][], dialect }
+   */
+  read(buffer, options = {}) {
+    const reader = this.createReader(buffer, options);
+    return {
+      rows: [...reader.push(buffer), ...reader.end()],
+      dialect: reader.dialect,
+    };
+  }
+
+  /**
+   * Incremental reader for large files: the dialect is sniffed from the first
+   * bytes, then every pushed buffer returns the rows completed so far
+   * @param {Buffer} sample - Start of the file (used for sniffing only)
+   * @param {Object} options - Overrides: { encoding, delimiter, quote, decimal }
+   * @returns {Object} { dialect, push(buffer) → rows, end() → rows }
+   */
+  createReader(sample, options = {}) {
+    const { encoding, bom } = this._resolveEncoding(sample, options);
+    const head = new TextDecoder(encoding).decode(sample.subarray(0, SAMPLE_BYTES), { stream: true });
+    const dialect = { encoding, bom, ...this.sniff(head, options) };
+
+    const decoder = new TextDecoder(encoding);
+    const splitter = this.createSplitter(dialect.delimiter, dialect.quote);
+
+    return {
+      dialect,
+      push: buffer => splitter.push(decoder.decode(buffer, { stream: true })),
+      end: () => [...splitter.push(decoder.decode()), ...splitter.end()],
+    };
+  }
+
+  /**
+   * Decode a text file with the given or detected encoding (BOM removed)
+   * @param {Object} options - { encoding }
+   * @returns {Object} { text, encoding, bom }
+   */
+  decode(buffer, options = {}) {
+    const { encoding, bom } = this._resolveEncoding(buffer, options);
+    return { text: new TextDecoder(encoding).decode(buffer), encoding, bom };
+  }
+
+  /**
+   * Delimiter, quote and decimal separator from the start of the text
+   */
+  sniff(text, options = {}) {
+    const sample = text.slice(0, SAMPLE_BYTES);
+    const lines = this._sampleLines(sample);
+    const delimiter = options.delimiter || this.detectDelimiter(lines);
+    const quote = options.quote || this.detectQuote(lines, delimiter);
+    const decimal = options.decimal || this.detectDecimal(this.split(sample, delimiter, quote));
+
+    return {
+      delimiter,
+      quote,
+      decimal,
+      thousands: decimal === ',' ? '.' : ',',
+      lineEnding: /\r\n/.test(sample) ? 'CRLF' : 'LF',
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DETECTION
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * BOM first, then UTF-16 zero-byte pattern, then strict UTF-8, else Windows-1252
+   */
+  detectEncoding(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return { encoding: 'utf-8', bom: true };
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return { encoding: 'utf-16le', bom: true };
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return { encoding: 'utf-16be', bom: true };
+
+    // ASCII text in UTF-16 has a zero in every other byte
+    const sample = buffer.subarray(0, 4096);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] !== 0) continue;
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+    const half = sample.length / 2;
+    if (half > 0 && oddZeros > half * 0.3 && evenZeros < half * 0.05) return { encoding: 'utf-16le', bom: false };
+    if (half > 0 && evenZeros > half * 0.3 && oddZeros < half * 0.05) return { encoding: 'utf-16be', bom: false };
+
+    try {
+      // stream: a multi-byte character cut off at the end of a sample is not an error
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+      return { encoding: 'utf-8', bom: false };
+    } catch (error) {
+      return { encoding: 'windows-1252', bom: false };
+    }
+  }
+
+  /**
+   * Delimiter with the most consistent (non-zero) count per line
+   */
+  detectDelimiter(lines) {
+    let best = { delimiter: ',', consistency: 0, count: 0 };
+
+    DELIMITERS.forEach(delimiter => {
+      const counts = lines.map(line => this._countOutsideQuotes(line, delimiter));
+      const frequency = {};
+      counts.filter(c => c > 0).forEach(c => { frequency[c] = (frequency[c] || 0) + 1; });
+
+      const [count, lineCount] = Object.entries(frequency).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [0, 0];
+      const consistency = lines.length > 0 ? lineCount / lines.length : 0;
+
+      if (consistency > best.consistency || (consistency === best.consistency && Number(count) > best.count)) {
+        best = { delimiter, consistency, count: Number(count) };
+      }
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * Quote char that wraps fields (right after a delimiter / line start)
+   */
+  detectQuote(lines, delimiter) {
+    const escaped = delimiter.replace(/[|\\]/g, '\\$&');
+    const scores = QUOTES.map(quote => {
+      const pattern = new RegExp(`(^|${escaped})${quote}[^${quote}]*${quote}(?=${escaped}|$)`, 'g');
+      return lines.reduce((sum, line) => sum + (line.match(pattern) || []).length, 0);
+    });
+
+    return scores[1] > scores[0] ? QUOTES[1] : QUOTES[0];
+  }
+
+  /**
+   * Decimal separator by numbers that only fit one convention
+   */
+  detectDecimal(rows) {
+    const votes = { ',': 0, '.': 0 };
+    let checked = 0;
+
+    for (const row of rows) {
+      for (const cell of row) {
+        const value = String(cell).trim();
+        if (!/^-?[\d.,]+$/.test(value)) continue;
+
+        Object.keys(DECIMAL_EVIDENCE).forEach(decimal => {
+          if (DECIMAL_EVIDENCE[decimal].some(pattern => pattern.test(value))) votes[decimal]++;
+        });
+        if (++checked >= 5000) break;
+      }
+      if (checked >= 5000) break;
+    }
+
+    return votes[','] > votes['.'] ? ',' : '.';
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // PARSING
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Split CSV text into rows (quoted fields may contain delimiters, quotes and newlines)
+   */
+  split(text, delimiter = ',', quote = '"') {
+    const splitter = this.createSplitter(delimiter, quote);
+    return [...splitter.push(text), ...splitter.end()];
+  }
+
+  /**
+   * Stateful splitter: text may be pushed in pieces cut anywhere (even inside quotes)
+   * @returns {Object} { push(text) → completed rows, end() → last row }
+   */
+  createSplitter(delimiter = ',', quote = '"') {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quotePending = false; // quote inside quotes: closing or first half of ""
+    let skipLF = false;       // \r seen, a following \n belongs to the same line break
+
+    const push = text => {
+      const rows = [];
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (skipLF) {
+          skipLF = false;
+          if (char === '\n') continue;
+        }
+
+        if (quotePending) {
+          quotePending = false;
+          if (char === quote) {
+            field += quote;
+            continue;
+          }
+          inQuotes = false;
+        }
+
+        if (inQuotes) {
+          if (char === quote) quotePending = true;
+          else field += char;
+          continue;
+        }
+
+        if (char === quote && field === '') {
+          inQuotes = true;
+        } else if (char === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (char === '\n' || char === '\r') {
+          skipLF = char === '\r';
+          row.push(field);
+          rows.push(row);
+          row = [];
+          field = '';
+        } else {
+          field += char;
+        }
+      }
+
+      return rows;
+    };
+
+    const end = () => {
+      if (field === '' && row.length === 0) return [];
+      row.push(field);
+      const last = row;
+      row = [];
+      field = '';
+      return [last];
+    };
+
+    return { push, end };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _sampleLines(text) {
+    const lines = [];
+    let start = 0;
+    while (lines.length < SAMPLE_LINES && start < text.length) {
+      let end = text.indexOf('\n', start);
+      if (end === -1) end = text.length;
+      const line = text.slice(start, end).replace(/\r$/, '');
+      if (line.trim()) lines.push(line);
+      start = end + 1;
+    }
+    return lines;
+  }
+
+  _resolveEncoding(buffer, options) {
+    return options.encoding
+      ? { encoding: this._normalizeEncoding(options.encoding), bom: false }
+      : this.detectEncoding(buffer);
+  }
+
+  _countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of line) {
+      if (char === '"') inQuotes = !inQuotes;
+      else if (char === delimiter && !inQuotes) count++;
+    }
+    return count;
+  }
+
+  _normalizeEncoding(encoding) {
+    const value = String(encoding).toLowerCase().replace(/_/g, '-');
+    const aliases = { utf8: 'utf-8', 'utf-16': 'utf-16le', utf16: 'utf-16le', cp1252: 'windows-1252', latin1: 'windows-1252', 'iso-8859-1': 'windows-1252' };
+    const normalized = aliases[value] || value;
+    if (!ENCODINGS.includes(normalized)) {
+      throw new Error(`Unsupported encoding "${encoding}". Use: ${ENCODINGS.join(', ')}`);
+    }
+    return normalized;
+  }
+}
+
+module.exports = new CsvReader();
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csvReader = require('./csvReader');
+
+test('semicolon files with decimal commas are split and keep their cell text', () => {
+  const { rows, dialect } = csvReader.read(Buffer.from('Nama;Harga;Kota\nAndi;1.234,56;Bandung\nBudi;2.500,00;"Jakarta; Pusat"\n'));
+
+  assert.strictEqual(dialect.delimiter, ';');
+  assert.strictEqual(dialect.decimal, ',');
+  assert.deepStrictEqual(rows, [
+    ['Nama', 'Harga', 'Kota'],
+    ['Andi', '1.234,56', 'Bandung'],
+    ['Budi', '2.500,00', 'Jakarta; Pusat'],
+  ]);
+});
+
+test('encodings are detected from the BOM, UTF-16 bytes or invalid UTF-8', () => {
+  const utf16 = csvReader.read(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Nama\tHarga\r\nCafé\t1,234.50\r\n', 'utf16le')]));
+  assert.deepStrictEqual(
+    { encoding: utf16.dialect.encoding, bom: utf16.dialect.bom, delimiter: utf16.dialect.delimiter, lineEnding: utf16.dialect.lineEnding },
+    { encoding: 'utf-16le', bom: true, delimiter: '\t', lineEnding: 'CRLF' },
+  );
+  assert.deepStrictEqual(utf16.rows[1], ['Café', '1,234.50']);
+
+  const noBom = csvReader.detectEncoding(Buffer.from('Nama,Kota\nAndi,Bandung\n', 'utf16le'));
+  assert.deepStrictEqual(noBom, { encoding: 'utf-16le', bom: false });
+
+  const windows = csvReader.read(Buffer.from('Nama\nJos\xe9\n', 'latin1'));
+  assert.strictEqual(windows.dialect.encoding, 'windows-1252');
+  assert.deepStrictEqual(windows.rows[1], ['José']);
+});
+
+test('quoted fields keep delimiters and newlines', () => {
+  const { rows, dialect } = csvReader.read(Buffer.from('a|b\n"x\ny"|2\n"p|q"|3\n'));
+
+  assert.strictEqual(dialect.delimiter, '|');
+  assert.deepStrictEqual(rows, [['a', 'b'], ['x\ny', '2'], ['p|q', '3']]);
+});
+
+test('options override the sniffed dialect', () => {
+  const { rows, dialect } = csvReader.read(Buffer.from('a;b\n1,5;2\n'), { delimiter: ',', decimal: '.' });
+
+  assert.strictEqual(dialect.delimiter, ',');
+  assert.deepStrictEqual(rows, [['a;b'], ['1', '5;2']]);
+});
@@ -0,0 +1,286 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPRESSION - Safe evaluator for cross-column rule expressions
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Grammar (no eval / Function is used):
+//   or       := and (("or" | "||") and)*
+//   and      := not (("and" | "&&") not)*
+//   not      := ("not" | "!") not | compare
+//   compare  := sum (("==" | "!=" | "<" | "<=" | ">" | ">=") sum)?
+//   sum      := product (("+" | "-") product)*
+//   product  := unary (("*" | "/" | "%") unary)*
+//   unary    := "-" unary | primary
+//   primary  := number | string | true | false | null
+//             | identifier | [Column Name] | fn(args) | "(" or ")"
+
+const helpers = require('./helpers');
+
+const FUNCTIONS = {
+  abs: (x) => Math.abs(toNumber(x)),
+  round: (x, digits = 0) => {
+    const factor = Math.pow(10, toNumber(digits));
+    return Math.round(toNumber(x) * factor) / factor;
+  },
+  min: (...args) => Math.min(...args.map(toNumber)),
+  max: (...args) => Math.max(...args.map(toNumber)),
+  empty: (x) => x === '' || x === null || x === undefined,
+  len: (x) => String(x ?? '').length,
+  lower: (x) => String(x ?? '').toLowerCase(),
+  upper: (x) => String(x ?? '').toUpperCase(),
+  date: (x) => {
+    const date = helpers.parseDate(x);
+    return date ? date.getTime() : NaN;
+  },
+  today: () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  },
+};
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return helpers.parseNumber(value);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// TOKENIZER
+// ─────────────────────────────────────────────────────────────────────────
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) { i++; continue; }
+
+    // Number
+    const numMatch = source.slice(i).match(/^\d+(\.\d+)?/);
+    if (numMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numMatch[0]) });
+      i += numMatch[0].length;
+      continue;
+    }
+
+    // String literal
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      let value = '';
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j++];
+      }
+      if (j >= source.length) throw new Error(`Unterminated string in expression: ${source}`);
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+      continue;
+    }
+
+    // Bracketed column name: [Unit Price]
+    if (char === '[') {
+      const end = source.indexOf(']', i);
+      if (end === -1) throw new Error(`Unterminated column reference in expression: ${source}`);
+      tokens.push({ type: 'column', value: source.slice(i + 1, end).trim() });
+      i = end + 1;
+      continue;
+    }
+
+    // Identifier / keyword
+    const idMatch = source.slice(i).match(/^[A-Za-z_][\w]*/);
+    if (idMatch) {
+      const word = idMatch[0];
+      const lower = word.toLowerCase();
+      if (KEYWORDS[lower]) tokens.push({ type: 'op', value: KEYWORDS[lower] });
+      else if (lower === 'true' || lower === 'false') tokens.push({ type: 'literal', value: lower === 'true' });
+      else if (lower === 'null') tokens.push({ type: 'literal', value: null });
+      else tokens.push({ type: 'identifier', value: word });
+      i += word.length;
+      continue;
+    }
+
+    // Operators
+    const opMatch = source.slice(i).match(/^(==|!=|<=|>=|&&|\|\||[<>+\-*/%!(),])/);
+    if (opMatch) {
+      tokens.push({ type: 'op', value: opMatch[0] });
+      i += opMatch[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" in expression: ${source}`);
+  }
+
+  return tokens;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// PARSER (recursive descent → AST)
+// ─────────────────────────────────────────────────────────────────────────
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...values) => peek()?.type === 'op' && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" in expression: ${source}`);
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Unexpected end of expression: ${source}`);
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'literal', value: token.value };
+      case 'column':
+        return { type: 'column', name: token.value };
+      case 'identifier':
+        if (isOp('(')) {
+          const fn = token.value.toLowerCase();
+          if (!FUNCTIONS[fn]) throw new Error(`Unknown function "${token.value}" in expression: ${source}`);
+          pos++;
+          const args = [];
+          if (!isOp(')')) {
+            args.push(parseOr());
+            while (isOp(',')) { pos++; args.push(parseOr()); }
+          }
+          expect(')');
+          return { type: 'call', fn, args };
+        }
+        return { type: 'column', name: token.value };
+      case 'op':
+        if (token.value === '(') {
+          const inner = parseOr();
+          expect(')');
+          return inner;
+        }
+    }
+    throw new Error(`Unexpected "${token.value}" in expression: ${source}`);
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) { pos++; return { type: 'negate', operand: parseUnary() }; }
+    return parsePrimary();
+  };
+
+  const parseProduct = binary(parseUnary, ['*', '/', '%']);
+  const parseSum = binary(parseProduct, ['+', '-']);
+
+  const parseCompare = () => {
+    const left = parseSum();
+    if (isOp('==', '!=', '<', '<=', '>', '>=')) {
+      const op = tokens[pos++].value;
+      return { type: 'binary', op, left, right: parseSum() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOp('!')) { pos++; return { type: 'not', operand: parseNot() }; }
+    return parseCompare();
+  };
+
+  const parseAnd = binary(parseNot, ['&&']);
+  parseOr = binary(parseAnd, ['||']);
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}" in expression: ${source}`);
+  return ast;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// EVALUATION
+// ─────────────────────────────────────────────────────────────────────────
+
+function compare(op, a, b) {
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  const numeric = !isNaN(numA) && !isNaN(numB);
+  const left = numeric ? numA : String(a ?? '').toLowerCase().trim();
+  const right = numeric ? numB : String(b ?? '').toLowerCase().trim();
+
+  switch (op) {
+    // Numeric equality allows a tiny epsilon for floating point rounding
+    case '==': return numeric ? Math.abs(left - right) < 1e-9 : left === right;
+    case '!=': return numeric ? Math.abs(left - right) >= 1e-9 : left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+}
+
+function evaluate(node, resolve) {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'column': return resolve(node.name);
+    case 'negate': return -toNumber(evaluate(node.operand, resolve));
+    case 'not': return !evaluate(node.operand, resolve);
+    case 'call': return FUNCTIONS[node.fn](...node.args.map(arg => evaluate(arg, resolve)));
+    case 'binary': {
+      if (node.op === '&&') return Boolean(evaluate(node.left, resolve)) && Boolean(evaluate(node.right, resolve));
+      if (node.op === '||') return Boolean(evaluate(node.left, resolve)) || Boolean(evaluate(node.right, resolve));
+
+      const a = evaluate(node.left, resolve);
+      const b = evaluate(node.right, resolve);
+
+      switch (node.op) {
+        case '+': return toNumber(a) + toNumber(b);
+        case '-': return toNumber(a) - toNumber(b);
+        case '*': return toNumber(a) * toNumber(b);
+        case '/': return toNumber(a) / toNumber(b);
+        case '%': return toNumber(a) % toNumber(b);
+        default: return compare(node.op, a, b);
+      }
+    }
+  }
+  throw new Error(`Invalid expression node: ${node.type}`);
+}
+
+function collectColumns(node, columns = new Set()) {
+  if (node.type === 'column') columns.add(node.name);
+  if (node.left) collectColumns(node.left, columns);
+  if (node.right) collectColumns(node.right, columns);
+  if (node.operand) collectColumns(node.operand, columns);
+  if (node.args) node.args.forEach(arg => collectColumns(arg, columns));
+  return columns;
+}
+
+module.exports = {
+  /**
+   * Compile an expression string
+   * @param {string} source - e.g. "Total == Qty * [Unit Price]"
+   * @returns {Object} { source, columns, evaluate(resolve) }
+   */
+  compile(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error('Expression must be a non-empty string');
+    }
+
+    const ast = parse(source);
+
+    return {
+      source,
+      columns: Array.from(collectColumns(ast)),
+      evaluate: (resolve) => evaluate(ast, resolve),
+    };
+  },
+};
@@ -1,12 +1,17 @@
 // ═══════════════════════════════════════════════════════════════════════════
-// FILE PARSER - Parse XLSX, XLS, CSV files
+// FILE PARSER - Parse spreadsheets & data files (see INPUT_FORMATS)
 // ═══════════════════════════════════════════════════════════════════════════
 
 const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs');
-const { FILE, COLUMN_TYPES, PATTERNS } = require('./constants');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { FILE, INPUT_FORMATS, COLUMN_TYPES, PATTERNS } = require('./constants');
 const helpers = require('./helpers');
+const csvReader = require('./csvReader');
+const recordReader = require('./recordReader');
 
 class FileParser {
   constructor() {
@@ -27,26 +32,28 @@ class FileParser {
     const startTime = Date.now();
     
     try {
-      let workbook;
+      let buffer;
       let fileName = options.fileName || 'unknown';
-      let fileSize = 0;
 
       // Handle buffer or file path
       if (Buffer.isBuffer(input)) {
-        workbook = XLSX.read(input, { type: 'buffer', cellDates: true });
-        fileSize = input.length;
+        buffer = input;
       } else if (typeof input === 'string') {
         if (!fs.existsSync(input)) {
           throw new Error(`File not found: ${input}`);
         }
-        const stats = fs.statSync(input);
-        fileSize = stats.size;
-        fileName = path.basename(input);
-        workbook = XLSX.readFile(input, { cellDates: true });
+        fileName = options.fileName || path.basename(input);
+        buffer = fs.readFileSync(input);
       } else {
         throw new Error('Invalid input: expected file path or buffer');
       }
 
+      const fileSize = buffer.length;
+
+      // Every input format becomes a workbook, then shares one parse path
+      const format = this._resolveFormat(buffer, fileName);
+      const { workbook, dialect = null } = this._readInput(buffer, format, options);
+
       // Get sheet names
       const sheetNames = workbook.SheetNames;
       if (sheetNames.length === 0) {
@@ -60,7 +67,9 @@ class FileParser {
 
       for (const sheetName of sheetNames) {
         const sheet = workbook.Sheets[sheetName];
-        const parsed = this._parseSheet(sheet, options);
+        // Table choice applies to the primary sheet only
+        const sheetOptions = { ...options, numberLocale: this.dialectLocale(dialect) };
+        const parsed = this._parseSheet(sheet, sheetName === sheetNames[0] ? sheetOptions : { ...sheetOptions, table: undefined });
         sheets[sheetName] = parsed;
         totalRows += parsed.rowCount;
         totalCols = Math.max(totalCols, parsed.columnCount);
@@ -92,10 +101,20 @@ class FileParser {
         columnCount: primarySheet.columnCount,
         cellCount: primarySheet.rowCount * primarySheet.columnCount,
         
+        // Table region of the primary sheet (Excel addresses)
+        tableBounds: primarySheet.tableBounds,
+        tables: this.describeTables(primarySheet),
+        activeTable: primarySheet.activeTable,
+        
         // Column analysis
         columnTypes: primarySheet.columnTypes,
         columnStats: primarySheet.columnStats,
         
+        // Input format & CSV encoding / delimiter / decimal (null for non-CSV)
+        format: format.extension,
+        formatName: format.name,
+        dialect,
+        
         // All sheets (for multi-sheet files)
         sheets,
       };
@@ -112,10 +131,333 @@ class FileParser {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // READ INPUT (see INPUT_FORMATS)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Registry entry by extension; unknown extensions are sniffed from content
+   */
+  _resolveFormat(buffer, fileName) {
+    const ext = path.extname(fileName || '').toLowerCase();
+    if (INPUT_FORMATS[ext]) return { extension: ext, ...INPUT_FORMATS[ext] };
+
+    const isZip = buffer[0] === 0x50 && buffer[1] === 0x4B;
+    const isOle = buffer[0] === 0xD0 && buffer[1] === 0xCF && buffer[2] === 0x11 && buffer[3] === 0xE0;
+    if (isZip || isOle) return { extension: isZip ? '.xlsx' : '.xls', ...INPUT_FORMATS[isZip ? '.xlsx' : '.xls'] };
+
+    const head = buffer.subarray(0, 512).toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('<')) return { extension: '.xml', ...INPUT_FORMATS['.xml'] };
+    if (head.startsWith('[') || head.startsWith('{')) {
+      const firstLine = head.split(/\r?\n/)[0].trim();
+      const ndjson = head.startsWith('{') && firstLine.endsWith('}') && head.length > firstLine.length;
+      const ext = ndjson ? '.ndjson' : '.json';
+      return { extension: ext, ...INPUT_FORMATS[ext] };
+    }
+
+    return { extension: '.csv', ...INPUT_FORMATS['.csv'] };
+  }
+
+  /**
+   * Load any supported input as a workbook
+   * @returns {Object} { workbook, dialect? }
+   */
+  _readInput(buffer, format, options = {}) {
+    switch (format.reader) {
+      case 'delimited':
+        return this._readDelimited(buffer, { delimiter: format.delimiter, ...options });
+
+      case 'json':
+      case 'ndjson':
+      case 'xml': {
+        const { text } = csvReader.decode(buffer, options);
+
+        // Excel 2003 XML (SpreadsheetML) is a real workbook
+        if (format.reader === 'xml' && /urn:schemas-microsoft-com:office:spreadsheet/.test(text.slice(0, 2000))) {
+          return { workbook: XLSX.read(buffer, { type: 'buffer', cellDates: true }) };
+        }
+
+        const rows = format.reader === 'json' ? recordReader.readJSON(text)
+          : format.reader === 'ndjson' ? recordReader.readNDJSON(text)
+          : recordReader.readXML(text);
+        return { workbook: this._rowsToWorkbook(rows) };
+      }
+
+      default:
+        return { workbook: XLSX.read(buffer, { type: 'buffer', cellDates: true }) };
+    }
+  }
+
+  /**
+   * Sniff the CSV dialect and load the rows as a single-sheet workbook
+   * @param {Object} options - Overrides: { encoding, delimiter, quote, decimal }
+   */
+  _readDelimited(buffer, options = {}) {
+    const { rows, dialect } = csvReader.read(buffer, options);
+    return { workbook: this._rowsToWorkbook(rows), dialect };
+  }
+
+  /**
+   * Number locale a CSV dialect implies for ambiguous values like "1.234" or "2,500":
+   * 'ID' for a decimal comma, otherwise null (the values decide)
+   */
+  dialectLocale(dialect) {
+    return dialect?.decimal === ',' ? 'ID' : null;
+  }
+
+  _rowsToWorkbook(rows) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+    return workbook;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // STREAMING (large files)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Check whether a file can be read in chunks (INPUT_FORMATS[ext].stream)
+   */
+  isStreamable(fileName) {
+    return Boolean(INPUT_FORMATS[path.extname(fileName || '').toLowerCase()]?.stream);
+  }
+
+  /**
+   * Read a large file in chunks of row objects without building the workbook.
+   * Uses the first sheet; the header is the first non-empty row (no table detection).
+   * @param {string|Buffer} input - File path or buffer
+   * @param {Object} options - { fileName, chunkRows, encoding, delimiter, quote, decimal }
+   * @returns {AsyncGenerator<Object>} { headers, data, sheetName, dialect } per chunk
+   */
+  async *parseStream(input, options = {}) {
+    const fileName = options.fileName || (typeof input === 'string' ? path.basename(input) : 'unknown');
+    if (!this.isStreamable(fileName)) {
+      throw new Error(`${path.extname(fileName) || fileName} files cannot be streamed`);
+    }
+
+    const format = INPUT_FORMATS[path.extname(fileName).toLowerCase()];
+    const chunkRows = options.chunkRows || FILE.STREAM_CHUNK_ROWS;
+    const context = { sheetName: 'Sheet1', dialect: null };
+
+    const source = format.reader === 'workbook' ? this._streamWorkbookRows(input, context)
+      : format.reader === 'ndjson' ? this._streamNdjsonRows(input, chunkRows)
+      : this._streamDelimitedRows(input, { delimiter: format.delimiter, ...options }, context);
+
+    let headers = null;
+    let data = [];
+    let full = null; // last full chunk, held back so a short tail (e.g. a total row) joins it
+
+    for await (const { rowNumber, values } of source) {
+      if (!headers) {
+        if (values.every(v => this._isBlank(v))) continue;
+        headers = this._cleanHeaders(values);
+        continue;
+      }
+
+      const row = { _rowIndex: rowNumber };
+      headers.forEach((header, i) => {
+        row[header] = values[i] !== undefined ? values[i] : '';
+      });
+      data.push(row);
+
+      if (data.length >= chunkRows) {
+        if (full) yield { headers, data: full, sheetName: context.sheetName, dialect: context.dialect };
+        full = data;
+        data = [];
+      }
+    }
+
+    if (!headers) throw new Error('No data found in file');
+    if (full && data.length < chunkRows / 2) {
+      full = full.concat(data);
+      data = [];
+    }
+    if (full) yield { headers, data: full, sheetName: context.sheetName, dialect: context.dialect };
+    if (data.length > 0) yield { headers, data, sheetName: context.sheetName, dialect: context.dialect };
+  }
+
+  /**
+   * First chunk of a large file as a parse()-like preview (rowCount unknown)
+   */
+  async peek(input, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      for await (const chunk of this.parseStream(input, options)) {
+        const columnTypes = this._analyzeColumnTypes(chunk.headers, chunk.data, { numberLocale: this.dialectLocale(chunk.dialect) });
+        const fileSize = Buffer.isBuffer(input) ? input.length : fs.statSync(input).size;
+
+        return {
+          success: true,
+          streaming: true,
+          fileName: options.fileName || path.basename(String(input)),
+          fileSize,
+          fileSizeFormatted: helpers.formatBytes(fileSize),
+          parseTime: Date.now() - startTime,
+          sheetNames: [chunk.sheetName],
+          activeSheet: chunk.sheetName,
+          headers: chunk.headers,
+          data: chunk.data,
+          rowCount: null,
+          columnCount: chunk.headers.length,
+          tableBounds: null,
+          tables: [],
+          activeTable: 1,
+          columnTypes,
+          columnStats: this._calculateColumnStats(chunk.headers, chunk.data, columnTypes),
+          format: path.extname(options.fileName || String(input)).toLowerCase(),
+          dialect: chunk.dialect,
+        };
+      }
+      throw new Error('No data found in file');
+    } catch (error) {
+      return { success: false, error: error.message, fileName: options.fileName || 'unknown' };
+    }
+  }
+
+  _openStream(input) {
+    return typeof input === 'string'
+      ? fs.createReadStream(input, { highWaterMark: 1024 * 1024 })
+      : Readable.from([input]);
+  }
+
+  /**
+   * Rows of the first worksheet via the ExcelJS streaming reader
+   */
+  async *_streamWorkbookRows(input, context) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(this._openStream(input), {
+      sharedStrings: 'cache',
+      styles: 'cache', // number formats tell dates apart from numbers
+      hyperlinks: 'ignore',
+      worksheets: 'emit',
+      entries: 'emit',
+    });
+
+    for await (const worksheet of reader) {
+      context.sheetName = worksheet.name || context.sheetName;
+      for await (const row of worksheet) {
+        yield {
+          rowNumber: row.number,
+          values: row.values.slice(1).map(value => this._streamCellValue(value)),
+        };
+      }
+      break;
+    }
+  }
+
+  /**
+   * Rows of a CSV / TSV file, dialect sniffed from the first 64KB
+   */
+  async *_streamDelimitedRows(input, options, context) {
+    let reader = null;
+    let pending = [];
+    let pendingSize = 0;
+    let rowNumber = 0;
+
+    for await (const chunk of this._openStream(input)) {
+      let rows;
+      if (reader) {
+        rows = reader.push(chunk);
+      } else {
+        pending.push(chunk);
+        pendingSize += chunk.length;
+        if (pendingSize < 64 * 1024) continue;
+
+        const head = Buffer.concat(pending);
+        reader = csvReader.createReader(head, options);
+        context.dialect = reader.dialect;
+        rows = reader.push(head);
+        pending = null;
+      }
+
+      for (const values of rows) yield { rowNumber: ++rowNumber, values };
+    }
+
+    if (!reader) {
+      const head = Buffer.concat(pending);
+      reader = csvReader.createReader(head, options);
+      context.dialect = reader.dialect;
+      for (const values of reader.push(head)) yield { rowNumber: ++rowNumber, values };
+    }
+
+    for (const values of reader.end()) yield { rowNumber: ++rowNumber, values };
+  }
+
+  /**
+   * Rows of an NDJSON file; headers are the keys seen in the first chunk of records
+   */
+  async *_streamNdjsonRows(input, chunkRows) {
+    const lines = readline.createInterface({ input: this._openStream(input), crlfDelay: Infinity });
+    const buffered = [];
+    let headers = null;
+    let lineNumber = 0;
+    let recordCount = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+      }
+      recordCount++;
+
+      if (headers) {
+        yield { rowNumber: recordCount + 1, values: recordReader.recordValues(record, headers) };
+        continue;
+      }
+
+      buffered.push(record);
+      if (buffered.length >= chunkRows) {
+        headers = recordReader.toRows(buffered)[0];
+        yield* this._ndjsonRows(buffered, headers);
+        buffered.length = 0;
+      }
+    }
+
+    if (!headers) {
+      yield* this._ndjsonRows(buffered, recordReader.toRows(buffered)[0]);
+    }
+  }
+
+  *_ndjsonRows(records, headers) {
+    yield { rowNumber: 1, values: headers };
+    for (let i = 0; i < records.length; i++) {
+      yield { rowNumber: i + 2, values: recordReader.recordValues(records[i], headers) };
+    }
+  }
+
+  /**
+   * ExcelJS cell value → text (same shape as the in-memory path)
+   */
+  _streamCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+      const iso = value.toISOString();
+      // Time-only cells are dates on Excel's day zero
+      if (iso.startsWith('1899-12-30T')) return iso.slice(11, 19);
+      return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+    }
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value !== 'object') return String(value);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.error) return value.error;
+    if ('result' in value) return this._streamCellValue(value.result);
+    if (value.text !== undefined) return this._streamCellValue(value.text);
+    return '';
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // PARSE SINGLE SHEET
   // ─────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Parse a sheet into its logical tables; the selected table fills the sheet fields
+   * @param {Object} options.table - 1-based table number (default: the largest table)
+   */
   _parseSheet(sheet, options = {}) {
     // Convert to JSON (array of arrays)
     const rawData = XLSX.utils.sheet_to_json(sheet, { 
@@ -133,60 +475,303 @@ class FileParser {
         columnCount: 0,
         columnTypes: {},
         columnStats: {},
+        tables: [],
       };
     }
 
-    // Detect header row
-    const headerRowIndex = this._detectHeaderRow(rawData);
-    const headers = rawData[headerRowIndex] || [];
+    const context = {
+      range: XLSX.utils.decode_range(sheet['!ref']),
+      merges: null,
+      // Numbers Excel displays in scientific notation (keep exact value for restore)
+      scientificCells: this._findScientificCells(sheet),
+      // Formulas and error values (#REF!, #DIV/0!, #N/A, ...)
+      formulaCells: this._findFormulaCells(sheet),
+      // Fallback for ambiguous numbers (see dialectLocale)
+      numberLocale: options.numberLocale || null,
+    };
+    context.merges = this._relativeMerges(sheet, context.range);
+
+    // Blocks separated by blank rows / columns are separate tables
+    const tables = this._findTableBlocks(rawData)
+      .map(block => this._parseTable(rawData, block, context))
+      .filter(table => table.headers.length > 0)
+      .map((table, i) => ({ index: i + 1, ...table }));
+
+    const selected = this._selectTable(tables, options.table);
+
+    return {
+      ...selected,
+      rawData,
+      tables,
+      activeTable: selected.index,
+    };
+  }
+
+  /**
+   * Parse one block of the sheet grid as a table
+   */
+  _parseTable(rawData, block, context) {
+    const { range, scientificCells, formulaCells } = context;
+
+    // Sub-grid and merges relative to the block
+    const grid = rawData
+      .slice(block.startRow, block.endRow + 1)
+      .map(row => row.slice(block.startCol, block.endCol + 1));
+    const merges = context.merges
+      .filter(m => m.s.r >= block.startRow && m.e.r <= block.endRow && m.s.c >= block.startCol && m.e.c <= block.endCol)
+      .map(m => ({
+        s: { r: m.s.r - block.startRow, c: m.s.c - block.startCol },
+        e: { r: m.e.r - block.startRow, c: m.e.c - block.startCol },
+      }));
+
+    // Find the table region (skips title rows, flattens multi-row headers)
+    const table = this._detectTable(grid, merges);
+    const { headerRowIndex, startCol, headers } = table;
     
     // Clean headers
     const cleanedHeaders = this._cleanHeaders(headers);
     
     // Extract data rows (after header)
-    const dataRows = rawData.slice(headerRowIndex + 1);
+    const dataRows = grid.slice(headerRowIndex + 1, table.endRow + 1);
     
     // Convert to array of objects
     const data = dataRows.map((row, rowIndex) => {
-      const obj = { _rowIndex: headerRowIndex + rowIndex + 2 }; // Excel row number
+      const sheetRow = block.startRow + headerRowIndex + 1 + rowIndex;
+      const obj = { _rowIndex: range.s.r + sheetRow + 1 }; // Excel row number
       cleanedHeaders.forEach((header, colIndex) => {
-        obj[header] = row[colIndex] !== undefined ? row[colIndex] : '';
+        const cellKey = `${sheetRow}:${block.startCol + startCol + colIndex}`;
+        const value = row[startCol + colIndex];
+        obj[header] = value !== undefined ? value : '';
+
+        const rawValue = scientificCells.get(cellKey);
+        if (rawValue !== undefined) {
+          obj._rawValues = { ...obj._rawValues, [header]: rawValue };
+        }
+
+        const formulaCell = formulaCells.get(cellKey);
+        if (formulaCell?.formula) {
+          obj._formulas = { ...obj._formulas, [header]: formulaCell.formula };
+        }
+        if (formulaCell?.error) {
+          obj._errors = { ...obj._errors, [header]: formulaCell.error };
+        }
       });
       return obj;
     });
 
     // Analyze column types
-    const columnTypes = this._analyzeColumnTypes(cleanedHeaders, data);
+    const columnTypes = this._analyzeColumnTypes(cleanedHeaders, data, { numberLocale: context.numberLocale });
     
     // Calculate column statistics
     const columnStats = this._calculateColumnStats(cleanedHeaders, data, columnTypes);
 
+    const origin = { s: { r: range.s.r + block.startRow, c: range.s.c + block.startCol } };
+
     return {
       headers: cleanedHeaders,
       originalHeaders: headers,
       data,
-      rawData,
       rowCount: data.length,
       columnCount: cleanedHeaders.length,
-      headerRowIndex,
+      headerRowIndex: block.startRow + headerRowIndex,
+      tableBounds: this._tableBounds(table, origin, cleanedHeaders),
       columnTypes,
       columnStats,
     };
   }
 
+  /**
+   * Pick a table by 1-based number, or the one with the most rows
+   */
+  _selectTable(tables, tableNumber) {
+    if (tableNumber !== undefined && tableNumber !== null && tableNumber !== '') {
+      const table = tables.find(t => t.index === Number(tableNumber));
+      if (!table) {
+        throw new Error(`Table ${tableNumber} not found (sheet has ${tables.length} table${tables.length === 1 ? '' : 's'})`);
+      }
+      return table;
+    }
+
+    return tables.reduce((best, table) => (!best || table.rowCount > best.rowCount ? table : best), null) || {
+      headers: [],
+      data: [],
+      rowCount: 0,
+      columnCount: 0,
+      columnTypes: {},
+      columnStats: {},
+    };
+  }
+
+  /**
+   * Summary of the tables of a sheet (for pickers / API responses)
+   */
+  describeTables(sheet) {
+    return (sheet?.tables || []).map(table => ({
+      index: table.index,
+      range: table.tableBounds.range,
+      title: table.tableBounds.title,
+      headers: table.headers,
+      rowCount: table.rowCount,
+      columnCount: table.columnCount,
+    }));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // TABLE BLOCKS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Split the sheet grid into blocks separated by blank rows or blank columns.
+   * One blank row only splits when a new header starts below it (a table may
+   * contain empty rows); two or more always split.
+   * @returns {Array} [{ startRow, endRow, startCol, endCol }]
+   */
+  _findTableBlocks(rawData) {
+    const isBlankRow = row => !row || !row.some(cell => !this._isBlank(cell));
+
+    const bands = [];
+    let start = null;
+    let lastFilled = null;
+    let blankRun = 0;
+
+    rawData.forEach((row, r) => {
+      if (isBlankRow(row)) {
+        if (start !== null) blankRun++;
+        return;
+      }
+
+      if (start === null) {
+        start = r;
+      } else if (blankRun >= 2 || (blankRun === 1 && this._startsNewTable(rawData, r))) {
+        bands.push({ startRow: start, endRow: lastFilled });
+        start = r;
+      }
+      lastFilled = r;
+      blankRun = 0;
+    });
+    if (start !== null) bands.push({ startRow: start, endRow: lastFilled });
+
+    // Title lines (one cell per row) belong to the block below them
+    const isTitleBand = band => rawData
+      .slice(band.startRow, band.endRow + 1)
+      .every(row => row.filter(cell => !this._isBlank(cell)).length <= 1);
+
+    const merged = [];
+    let carry = null;
+    bands.forEach((band, i) => {
+      const startRow = carry ?? band.startRow;
+      if (i < bands.length - 1 && (band.startRow === band.endRow || isTitleBand(band))) {
+        carry = startRow;
+        return;
+      }
+      merged.push({ startRow, endRow: band.endRow });
+      carry = null;
+    });
+
+    // Side-by-side tables: split each band at fully blank columns
+    const blocks = [];
+    merged.forEach(({ startRow, endRow }) => {
+      const rows = rawData.slice(startRow, endRow + 1);
+      const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+      let startCol = null;
+      for (let c = 0; c <= width; c++) {
+        const used = c < width && rows.some(row => !this._isBlank(row[c]));
+        if (used && startCol === null) startCol = c;
+        if (!used && startCol !== null) {
+          blocks.push({ startRow, endRow, startCol, endCol: c - 1 });
+          startCol = null;
+        }
+      }
+    });
+
+    // Blocks with a single filled row (a note, a stray title) are not tables
+    const tables = blocks.filter(block => rawData
+      .slice(block.startRow, block.endRow + 1)
+      .filter(row => row.slice(block.startCol, block.endCol + 1).some(cell => !this._isBlank(cell)))
+      .length >= 2);
+
+    return tables.length > 0 ? tables : blocks.slice(0, 1);
+  }
+
+  /**
+   * After a blank row: does row r look like a header with data below it?
+   */
+  _startsNewTable(rawData, r) {
+    const isNumeric = cell => !this._isBlank(cell) && !isNaN(parseFloat(cell));
+    const cells = rawData[r].filter(cell => !this._isBlank(cell));
+    const next = rawData[r + 1];
+
+    return cells.length >= 2 &&
+      !cells.some(isNumeric) &&
+      Boolean(next) && next.some(isNumeric);
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // HEADER DETECTION
   // ─────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Find the table region of a sheet
+   * @param {Array} rawData - Rows from sheet_to_json (header: 1)
+   * @param {Array} merges - Merged ranges relative to rawData
+   * @returns {Object} { titleRows, headerStartRow, headerRowIndex, endRow, startCol, endCol, headers }
+   */
+  _detectTable(rawData, merges = []) {
+    const headerStartRow = this._detectHeaderRow(rawData);
+
+    // Multi-level headers: "Penjualan" (merged) over "Q1 | Q2" (max 3 levels)
+    let headerRowIndex = headerStartRow;
+    while (headerRowIndex - headerStartRow < 2 && this._continuesHeader(rawData, headerRowIndex, merges)) {
+      headerRowIndex++;
+    }
+
+    const headerRows = rawData.slice(headerStartRow, headerRowIndex + 1);
+    const width = rawData.slice(headerStartRow).reduce((max, row) => Math.max(max, row.length), 0);
+    const flattened = this._flattenHeaders(headerRows, merges, headerStartRow, width);
+
+    // Column bounds: headers or data present; row bounds: last non-empty row
+    const used = (row, c) => !this._isBlank(row?.[c]);
+    const dataRows = rawData.slice(headerRowIndex + 1);
+    const usedCols = [];
+    for (let c = 0; c < width; c++) {
+      if (flattened[c] || dataRows.some(row => used(row, c))) usedCols.push(c);
+    }
+    const startCol = usedCols.length > 0 ? usedCols[0] : 0;
+    const endCol = usedCols.length > 0 ? usedCols[usedCols.length - 1] : width - 1;
+
+    let endRow = rawData.length - 1;
+    while (endRow > headerRowIndex && !rawData[endRow].some(cell => !this._isBlank(cell))) endRow--;
+
+    const titleRows = rawData.slice(0, headerStartRow)
+      .map(row => row.filter(cell => !this._isBlank(cell)).join(' ').trim())
+      .filter(Boolean);
+
+    return {
+      titleRows,
+      headerStartRow,
+      headerRowIndex,
+      endRow,
+      startCol,
+      endCol,
+      headers: flattened.slice(startCol, endCol + 1),
+    };
+  }
+
   _detectHeaderRow(rawData) {
-    // Simple heuristic: first non-empty row with mostly string values
-    for (let i = 0; i < Math.min(10, rawData.length); i++) {
+    // Title rows ("LAPORAN PENJUALAN 2024") fill far fewer cells than the table
+    const widest = Math.max(...rawData.slice(0, 30).map(row =>
+      row.filter(cell => !this._isBlank(cell)).length), 0);
+    const minCells = widest <= 1 ? 1 : Math.max(2, Math.ceil(widest * 0.5));
+
+    // Heuristic: first row wide enough with mostly string values
+    for (let i = 0; i < Math.min(20, rawData.length); i++) {
       const row = rawData[i];
       if (!row || row.length === 0) continue;
       
       // Count non-empty cells
-      const nonEmpty = row.filter(cell => cell !== '' && cell !== null && cell !== undefined);
-      if (nonEmpty.length === 0) continue;
+      const nonEmpty = row.filter(cell => !this._isBlank(cell));
+      if (nonEmpty.length < minCells) continue;
       
       // Check if most cells are strings (headers are usually strings)
       const stringCells = nonEmpty.filter(cell => 
@@ -201,6 +786,161 @@ class FileParser {
     return 0; // Default to first row
   }
 
+  /**
+   * Is the row below header row `index` another header level?
+   * Needs a horizontal merge (or a blank parent cell above a label) and an all-text row
+   * that leaves some column empty under a parent (e.g. "Region" spanning both levels)
+   */
+  _continuesHeader(rawData, index, merges) {
+    const row = rawData[index];
+    const next = rawData[index + 1];
+    if (!next || !rawData[index + 2]) return false;
+
+    const nextCells = next.filter(cell => !this._isBlank(cell));
+    if (nextCells.length === 0) return false;
+    if (nextCells.some(cell => typeof cell !== 'string' || !isNaN(parseFloat(cell)))) return false;
+
+    const hasHorizontalMerge = merges.some(m => m.s.r <= index && m.e.r >= index && m.e.c > m.s.c);
+    const filledBelowGap = next.some((cell, c) => !this._isBlank(cell) && this._isBlank(row[c]));
+    const gapBelowLabel = row.some((cell, c) => !this._isBlank(cell) && this._isBlank(next[c]));
+
+    return (hasHorizontalMerge || filledBelowGap) && gapBelowLabel;
+  }
+
+  /**
+   * Combine header levels per column: "Penjualan" + "Q1" → "Penjualan Q1"
+   */
+  _flattenHeaders(headerRows, merges, headerStartRow, width) {
+    const levels = headerRows.map((row, level) => {
+      const filled = Array.from({ length: width }, (_, c) => this._isBlank(row[c]) ? '' : String(row[c]).trim());
+
+      // Spread merged labels across their columns
+      merges
+        .filter(m => m.s.r === headerStartRow + level && m.e.c > m.s.c)
+        .forEach(m => {
+          for (let c = m.s.c + 1; c <= Math.min(m.e.c, width - 1); c++) filled[c] = filled[m.s.c];
+        });
+
+      return filled;
+    });
+
+    // Without merge info (CSV): a blank parent above a run of sub-labels belongs to the left parent
+    levels.slice(0, -1).forEach((parent, level) => {
+      const child = levels[level + 1];
+      for (let c = 1; c < width; c++) {
+        if (!parent[c] && parent[c - 1] && child[c] && child[c - 1]) parent[c] = parent[c - 1];
+      }
+    });
+
+    return Array.from({ length: width }, (_, c) => {
+      const parts = [];
+      levels.forEach(level => {
+        if (level[c] && parts[parts.length - 1] !== level[c]) parts.push(level[c]);
+      });
+      return parts.join(' ');
+    });
+  }
+
+  /**
+   * Merged ranges relative to the rawData grid
+   */
+  _relativeMerges(sheet, range) {
+    return (sheet['!merges'] || []).map(m => ({
+      s: { r: m.s.r - range.s.r, c: m.s.c - range.s.c },
+      e: { r: m.e.r - range.s.r, c: m.e.c - range.s.c },
+    }));
+  }
+
+  /**
+   * Table position in Excel addresses, so output can point back to original cells
+   */
+  _tableBounds(table, range, headers) {
+    const col = c => XLSX.utils.encode_col(range.s.c + c);
+    const row = r => range.s.r + r + 1;
+
+    const columns = {};
+    headers.forEach((header, i) => { columns[header] = col(table.startCol + i); });
+
+    return {
+      range: `${col(table.startCol)}${row(table.headerStartRow)}:${col(table.endCol)}${row(table.endRow)}`,
+      headerRange: `${col(table.startCol)}${row(table.headerStartRow)}:${col(table.endCol)}${row(table.headerRowIndex)}`,
+      headerRows: table.headerRowIndex - table.headerStartRow + 1,
+      dataStartRow: row(table.headerRowIndex + 1),
+      dataEndRow: row(table.endRow),
+      title: table.titleRows[0] || null,
+      columns,
+    };
+  }
+
+  _isBlank(cell) {
+    return cell === '' || cell === null || cell === undefined;
+  }
+
+  /**
+   * Map "row:col" (relative to sheet range) → numeric value for cells shown as "1.23E+15"
+   */
+  _findScientificCells(sheet) {
+    const cells = new Map();
+    if (!sheet['!ref']) return cells;
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+
+    Object.keys(sheet).forEach(address => {
+      if (address[0] === '!') return;
+      const cell = sheet[address];
+      if (cell.t !== 'n' || !/e[+-]?\d+$/i.test(cell.w || '')) return;
+
+      const { r, c } = XLSX.utils.decode_cell(address);
+      cells.set(`${r - range.s.r}:${c - range.s.c}`, cell.v);
+    });
+
+    return cells;
+  }
+
+  /**
+   * Map "row:col" (relative to sheet range) → { formula: { text, shape }, error }
+   * shape is the formula in relative R1C1 form, equal for a formula copied down a column
+   */
+  _findFormulaCells(sheet) {
+    const cells = new Map();
+    if (!sheet['!ref']) return cells;
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+
+    Object.keys(sheet).forEach(address => {
+      if (address[0] === '!') return;
+      const cell = sheet[address];
+      if (!cell.f && cell.t !== 'e') return;
+
+      const { r, c } = XLSX.utils.decode_cell(address);
+      cells.set(`${r - range.s.r}:${c - range.s.c}`, {
+        formula: cell.f ? { text: `=${cell.f}`, shape: this._formulaShape(cell.f, r, c) } : null,
+        error: cell.t === 'e' ? (cell.w || XLSX.utils.format_cell(cell)) : null,
+      });
+    });
+
+    return cells;
+  }
+
+  /**
+   * Rewrite A1 references relative to the formula cell: at D5, "B5*$C$1" → "RC[-2]*R1C3"
+   */
+  _formulaShape(formula, row, col) {
+    // Split out string literals so "A1" inside quotes is left alone
+    return formula.split(/("(?:[^"]|"")*")/).map((part, i) => {
+      if (i % 2 === 1) return part;
+
+      return part.replace(/(^|[^A-Za-z0-9_.$])(\$?)([A-Z]{1,3})(\$?)(\d+)(?![A-Za-z0-9_(!])/g,
+        (match, prefix, colAbs, letters, rowAbs, digits) => {
+          const refCol = XLSX.utils.decode_col(letters);
+          const refRow = parseInt(digits, 10) - 1;
+          const rowPart = rowAbs ? `R${refRow + 1}` : refRow === row ? 'R' : `R[${refRow - row}]`;
+          const colPart = colAbs ? `C${refCol + 1}` : refCol === col ? 'C' : `C[${refCol - col}]`;
+          return `${prefix}${rowPart}${colPart}`;
+        });
+    }).join('');
+  }
+
   _cleanHeaders(headers) {
     const cleaned = [];
     const seen = {};
@@ -236,7 +976,10 @@ class FileParser {
   // COLUMN TYPE ANALYSIS
   // ─────────────────────────────────────────────────────────────────────────
 
-  _analyzeColumnTypes(headers, data) {
+  /**
+   * @param {Object} options - { numberLocale } for columns whose values do not decide it
+   */
+  _analyzeColumnTypes(headers, data, options = {}) {
     const types = {};
     
     headers.forEach(header => {
@@ -247,68 +990,166 @@ class FileParser {
         return;
       }
 
-      // Count each type
-      const typeCounts = {
-        number: 0,
-        currency: 0,
-        date: 0,
-        email: 0,
-        phone: 0,
-        nik: 0,
-        npwp: 0,
-        percentage: 0,
-        boolean: 0,
-        string: 0,
-      };
-
+      // Count each type (+ day/month order and number locale evidence)
+      const typeCounts = this.emptyTypeCounts();
+      const evidenceCounts = this.emptyEvidenceCounts();
       values.forEach(value => {
-        const strValue = String(value).trim();
-        
-        // Check each type
-        if (PATTERNS.EMAIL.test(strValue)) {
-          typeCounts.email++;
-        } else if (PATTERNS.NIK.test(strValue.replace(/\D/g, ''))) {
-          typeCounts.nik++;
-        } else if (PATTERNS.NPWP.test(strValue.replace(/\D/g, ''))) {
-          typeCounts.npwp++;
-        } else if (PATTERNS.CURRENCY_ID.test(strValue) || /^[Rr]p/i.test(strValue)) {
-          typeCounts.currency++;
-        } else if (PATTERNS.PHONE_ID.test(strValue) || /^(\+62|62|08)\d+/.test(strValue.replace(/\D/g, ''))) {
-          typeCounts.phone++;
-        } else if (/%$/.test(strValue) || (parseFloat(strValue) >= 0 && parseFloat(strValue) <= 1 && strValue.includes('.'))) {
-          typeCounts.percentage++;
-        } else if (helpers.parseDate(value) !== null) {
-          typeCounts.date++;
-        } else if (!isNaN(helpers.parseNumber(strValue))) {
-          typeCounts.number++;
-        } else if (['true', 'false', 'yes', 'no', 'ya', 'tidak', '1', '0'].includes(strValue.toLowerCase())) {
-          typeCounts.boolean++;
-        } else {
-          typeCounts.string++;
-        }
+        typeCounts[this.detectValueType(value)]++;
+        this.addValueEvidence(evidenceCounts, value);
       });
 
-      // Determine primary type
-      const total = values.length;
-      let maxType = 'string';
-      let maxCount = 0;
+      types[header] = this.resolveColumnType(header, typeCounts, values.length, evidenceCounts, options);
+    });
 
-      Object.entries(typeCounts).forEach(([type, count]) => {
-        if (count > maxCount) {
-          maxCount = count;
-          maxType = type;
-        }
-      });
+    return types;
+  }
 
-      types[header] = {
-        type: maxType,
-        confidence: maxCount / total,
-        distribution: typeCounts,
-        sampleSize: total,
-      };
+  emptyTypeCounts() {
+    return {
+      number: 0,
+      currency: 0,
+      date: 0,
+      time: 0,
+      datetime: 0,
+      duration: 0,
+      email: 0,
+      phone: 0,
+      nik: 0,
+      npwp: 0,
+      percentage: 0,
+      boolean: 0,
+      string: 0,
+    };
+  }
+
+  emptyEvidenceCounts() {
+    return { dateOrder: {}, numberLocale: {}, timezone: {}, currency: {} };
+  }
+
+  /**
+   * Count how a value reads: DD/MM vs MM/DD, 1.234,5 vs 1,234.5, the timezone of times
+   * and the currency of money values
+   */
+  addValueEvidence(counts, value) {
+    const dateOrder = helpers.dateOrderEvidence(value);
+    if (dateOrder) counts.dateOrder[dateOrder] = (counts.dateOrder[dateOrder] || 0) + 1;
+
+    const numberLocale = helpers.numberLocaleEvidence(value);
+    if (numberLocale) counts.numberLocale[numberLocale] = (counts.numberLocale[numberLocale] || 0) + 1;
+
+    if (typeof value === 'string' && /\d[:.]\d{2}/.test(value)) {
+      const { text, zone } = helpers.splitTimezone(value);
+      if (zone || helpers.isTimeLike(text) || helpers.splitDateTime(text)) {
+        const key = zone || 'none';
+        counts.timezone[key] = (counts.timezone[key] || 0) + 1;
+      }
+    }
+
+    const currency = helpers.detectCurrency(value);
+    if (currency) counts.currency[currency] = (counts.currency[currency] || 0) + 1;
+  }
+
+  /**
+   * Type of a single non-empty value (key of emptyTypeCounts())
+   */
+  detectValueType(value) {
+    const strValue = String(value).trim();
+    
+    // Check each type
+    if (PATTERNS.EMAIL.test(strValue)) {
+      return 'email';
+    } else if (PATTERNS.NIK.test(strValue.replace(/\D/g, ''))) {
+      return 'nik';
+    } else if (PATTERNS.NPWP.test(strValue.replace(/\D/g, ''))) {
+      return 'npwp';
+    } else if (helpers.isTimeLike(strValue)) {
+      return 'time';
+    } else if (this._isDateTimeLike(strValue)) {
+      return 'datetime';
+    } else if (PATTERNS.CURRENCY_ID.test(strValue) || /^[Rr]p/i.test(strValue) ||
+      (helpers.detectCurrency(strValue) && !isNaN(helpers.parseNumber(strValue)))) {
+      return 'currency';
+    } else if (PATTERNS.PHONE_ID.test(strValue) || /^(\+62|62|08)\d+/.test(strValue.replace(/\D/g, ''))) {
+      return 'phone';
+    } else if (/%$/.test(strValue) || (parseFloat(strValue) >= 0 && parseFloat(strValue) <= 1 && strValue.includes('.'))) {
+      return 'percentage';
+    } else if (typeof value !== 'number' && (helpers.dateOrderEvidence(value) || helpers.parseDate(value) !== null)) {
+      // JS numbers come from cleaned data (standardized amounts), not Excel serial dates
+      return 'date';
+    } else if (!isNaN(helpers.parseNumber(strValue))) {
+      return 'number';
+    } else if (helpers.parseDuration(strValue) !== null) {
+      return 'duration';
+    } else if (['true', 'false', 'yes', 'no', 'ya', 'tidak', '1', '0'].includes(strValue.toLowerCase())) {
+      return 'boolean';
+    }
+    return 'string';
+  }
+
+  /**
+   * "05/01/2024 08:15", "2024-01-05T08:15:00" (the time part may still be impossible)
+   */
+  _isDateTimeLike(value) {
+    const parts = helpers.splitDateTime(value);
+    return !!parts && (!!helpers.dateOrderEvidence(parts.date) || helpers.parseDate(parts.date) !== null);
+  }
+
+  /**
+   * Primary column type from the counted value types
+   * @param {Object} evidenceCounts - { dateOrder, numberLocale, timezone, currency } counts, see addValueEvidence
+   * @param {Object} options - { numberLocale } fallback, see dialectLocale
+   */
+  resolveColumnType(header, typeCounts, total, evidenceCounts = null, options = {}) {
+    let maxType = 'string';
+    let maxCount = 0;
+
+    Object.entries(typeCounts).forEach(([type, count]) => {
+      if (count > maxCount) {
+        maxCount = count;
+        maxType = type;
+      }
     });
 
-    return types;
+    // Account numbers look like plain numbers / NIK / NPWP; the header decides
+    if (helpers.isBankAccountHeader(header) && typeCounts.email === 0 && typeCounts.string < total * 0.5) {
+      maxType = COLUMN_TYPES.BANK_ACCOUNT;
+      maxCount = total - typeCounts.string;
+    }
+
+    // "2:30" in a Durasi / Lama Kerja column is a duration, not a clock time
+    if (maxType === COLUMN_TYPES.TIME && (typeCounts.duration > 0 || helpers.isDurationHeader(header))) {
+      maxType = COLUMN_TYPES.DURATION;
+      maxCount += typeCounts.duration;
+    }
+
+    const columnType = {
+      type: maxType,
+      confidence: maxCount / total,
+      distribution: typeCounts,
+      sampleSize: total,
+    };
+
+    // Day/month order of the whole column (used to read and standardize its dates)
+    if ([COLUMN_TYPES.DATE, COLUMN_TYPES.DATETIME].includes(maxType) && evidenceCounts) {
+      columnType.dateOrder = helpers.inferDateOrder(evidenceCounts.dateOrder);
+    }
+
+    // WIB / WITA / WIT suffixes (mixed zones are flagged, the cleaner converts them)
+    if ([COLUMN_TYPES.TIME, COLUMN_TYPES.DATETIME].includes(maxType) && evidenceCounts) {
+      columnType.timezone = helpers.inferTimezone(evidenceCounts.timezone);
+    }
+
+    // Thousand/decimal separators of the whole column (used to parse its numbers)
+    if ([COLUMN_TYPES.NUMBER, COLUMN_TYPES.CURRENCY].includes(maxType) && evidenceCounts) {
+      columnType.numberLocale = helpers.inferNumberLocale(evidenceCounts.numberLocale, options.numberLocale);
+    }
+
+    // Rp / US$ / S$ ... per cell (mixed currencies are flagged, a rate table converts them)
+    if (maxType === COLUMN_TYPES.CURRENCY && evidenceCounts) {
+      columnType.currency = helpers.inferCurrency(evidenceCounts.currency);
+    }
+
+    return columnType;
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -333,7 +1174,8 @@ class FileParser {
 
       // Add numeric stats if applicable
       if (['number', 'currency', 'percentage'].includes(type)) {
-        const numbers = nonEmpty.map(v => helpers.parseNumber(v)).filter(n => !isNaN(n));
+        const locale = columnTypes[header]?.numberLocale?.locale;
+        const numbers = nonEmpty.map(v => helpers.parseNumber(v, { locale })).filter(n => !isNaN(n));
         if (numbers.length > 0) {
           const numStats = helpers.calculateStats(numbers);
           columnStat.numeric = numStats;
@@ -363,6 +1205,39 @@ class FileParser {
   // UTILITY METHODS
   // ─────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Build a parse result for new data of the active sheet (e.g. cleaned data),
+   * keeping the other sheets so cross-sheet checks still apply
+   * @param {Object} parsed - Original result of parse()
+   * @param {Array} headers - New headers
+   * @param {Array} data - New data rows
+   */
+  withData(parsed, headers, data) {
+    const columnTypes = this._analyzeColumnTypes(headers, data, { numberLocale: this.dialectLocale(parsed.dialect) });
+    const columnStats = this._calculateColumnStats(headers, data, columnTypes);
+    const activeSheet = {
+      ...parsed.sheets?.[parsed.activeSheet],
+      headers,
+      data,
+      rowCount: data.length,
+      columnCount: headers.length,
+      columnTypes,
+      columnStats,
+    };
+
+    return {
+      ...parsed,
+      headers,
+      data,
+      rowCount: data.length,
+      columnCount: headers.length,
+      cellCount: data.length * headers.length,
+      columnTypes,
+      columnStats,
+      sheets: { ...parsed.sheets, [parsed.activeSheet]: activeSheet },
+    };
+  }
+
   /**
    * Validate file extension
    */
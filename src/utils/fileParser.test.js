@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const fileParser = require('./fileParser');
+const engine = require('../engine');
+
+const workbookBuffer = (sheet) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Data');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+test('JS numbers from cleaned data are numbers, not Excel serial dates', () => {
+  assert.strictEqual(fileParser.detectValueType(75000), 'number');
+  assert.strictEqual(fileParser.detectValueType(10000000), 'number');
+  assert.strictEqual(fileParser.detectValueType('2024-01-05'), 'date');
+});
+
+test('re-analysing cleaned numeric columns adds no new issues', async () => {
+  const csv = [
+    'Nama,Gaji Pokok,Tunjangan,Total',
+    'Andi,"5.000.000","1.000.000","6.000.000"',
+    'Budi,"8.000.000","1.000.000","9.000.000"',
+    'Citra,"11.000.000","1.500.000","12.500.000"',
+    'Dewi,"14.000.000","2.000.000","16.000.000"',
+  ].join('\n');
+
+  const result = await engine.process(Buffer.from(csv), { fileName: 'gaji.csv' });
+
+  assert.ok(result.success, result.error);
+  assert.deepStrictEqual(result.issueDiff.introduced, []);
+  Object.entries(result.afterAnalysis.columnTypes).forEach(([header, type]) => {
+    assert.strictEqual(type.type, result.analysis.columnTypes[header].type, header);
+  });
+});
+
+test('decimal-comma CSV cells keep their text and undo restores it', async () => {
+  const csv = 'Nama;Harga;Berat\nAndi;1.500.000;2,500\nBudi;750.000;1,250\n';
+
+  const parsed = fileParser.parse(Buffer.from(csv), { fileName: 'harga.csv' });
+  assert.deepStrictEqual(parsed.data.map(row => [row.Harga, row.Berat]), [['1.500.000', '2,500'], ['750.000', '1,250']]);
+  assert.strictEqual(parsed.columnTypes.Berat.numberLocale.locale, 'ID');
+
+  const result = await engine.process(Buffer.from(csv), { fileName: 'harga.csv' });
+  assert.deepStrictEqual(result.data.data.map(row => [row.Harga, row.Berat]), [[1500000, 2.5], [750000, 1.25]]);
+
+  const undone = await engine.undoPatch(result.output.buffer, result.patch, { fileName: 'analyzed_harga.xlsx' });
+  const restored = fileParser.parse(undone.buffer, { fileName: 'restored.xlsx' });
+  assert.deepStrictEqual(restored.data.map(row => [row.Harga, row.Berat]), [['1.500.000', '2,500'], ['750.000', '1,250']]);
+});
+
+test('offset and merged multi-row headers are flattened into one header row', () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Laporan Penjualan Q1 2024'],
+    [],
+    [null, 'Nama', 'Januari', null, 'Februari', null],
+    [null, null, 'Qty', 'Nilai', 'Qty', 'Nilai'],
+    [null, 'Andi', 2, 20000, 3, 30000],
+    [null, 'Budi', 1, 10000, 4, 40000],
+  ]);
+  sheet['!merges'] = [
+    { s: { r: 2, c: 1 }, e: { r: 3, c: 1 } },
+    { s: { r: 2, c: 2 }, e: { r: 2, c: 3 } },
+    { s: { r: 2, c: 4 }, e: { r: 2, c: 5 } },
+  ];
+
+  const parsed = fileParser.parse(workbookBuffer(sheet), { fileName: 'penjualan.xlsx' });
+
+  assert.deepStrictEqual(parsed.headers, ['Nama', 'Januari_Qty', 'Januari_Nilai', 'Februari_Qty', 'Februari_Nilai']);
+  assert.deepStrictEqual(parsed.data.map(row => [row._rowIndex, row.Nama, row.Februari_Nilai]), [[5, 'Andi', '30000'], [6, 'Budi', '40000']]);
+  assert.deepStrictEqual(
+    [parsed.tableBounds.range, parsed.tableBounds.headerRows, parsed.tableBounds.title],
+    ['B3:F6', 2, 'Laporan Penjualan Q1 2024'],
+  );
+});
+
+test('tables separated by blank rows are split and can be selected', () => {
+  const buffer = workbookBuffer(XLSX.utils.aoa_to_sheet([
+    ['Penjualan'], ['Produk', 'Qty'], ['Buku', 2], ['Pena', 3],
+    [], [],
+    ['Stok'], ['Produk', 'Gudang', 'Stok'], ['Buku', 'A', 10], ['Tas', 'B', 4],
+  ]));
+
+  const first = fileParser.parse(buffer, { fileName: 'toko.xlsx' });
+  assert.deepStrictEqual(first.tables.map(t => [t.index, t.range, t.title]), [[1, 'A2:B4', 'Penjualan'], [2, 'A8:C10', 'Stok']]);
+  assert.deepStrictEqual([first.activeTable, first.headers], [1, ['Produk', 'Qty']]);
+
+  const second = fileParser.parse(buffer, { fileName: 'toko.xlsx', table: 2 });
+  assert.deepStrictEqual([second.activeTable, second.headers], [2, ['Produk', 'Gudang', 'Stok']]);
+  assert.deepStrictEqual(second.data.map(row => [row._rowIndex, row.Produk]), [[9, 'Buku'], [10, 'Tas']]);
+
+  assert.strictEqual(fileParser.parse(buffer, { fileName: 'toko.xlsx', table: 5 }).error, 'Table 5 not found (sheet has 2 tables)');
+});
+
+test('ODS, TSV, JSON, NDJSON and XML inputs parse into the same rows', () => {
+  const rows = input => {
+    const parsed = fileParser.parse(Buffer.from(input.content), { fileName: input.fileName });
+    assert.ok(parsed.success, parsed.error);
+    return [parsed.formatName, parsed.headers, parsed.data.map(({ _rowIndex, ...row }) => row)];
+  };
+  const people = [{ Nama: 'Andi', Kota: 'Bandung' }, { Nama: 'Budi', Kota: 'Jakarta' }];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Nama', 'Kota'], ['Andi', 'Bandung'], ['Budi', 'Jakarta']]), 'Data');
+  assert.deepStrictEqual(
+    rows({ fileName: 'pelanggan.ods', content: XLSX.write(workbook, { type: 'buffer', bookType: 'ods' }) }),
+    ['OpenDocument Spreadsheet', ['Nama', 'Kota'], people],
+  );
+  assert.deepStrictEqual(
+    rows({ fileName: 'pelanggan.tsv', content: 'Nama\tKota\nAndi\tBandung\nBudi\tJakarta\n' }),
+    ['Tab-separated values', ['Nama', 'Kota'], people],
+  );
+  assert.deepStrictEqual(
+    rows({ fileName: 'pelanggan.ndjson', content: '{"Nama":"Andi","Kota":"Bandung"}\n\n{"Nama":"Budi","Kota":"Jakarta"}\n' }),
+    ['Newline-delimited JSON', ['Nama', 'Kota'], people],
+  );
+
+  // Nested objects flatten into Parent_Child columns, arrays join with "; "
+  const json = { data: [{ Nama: 'Andi', Alamat: { Kota: 'Bandung' } }, { Nama: 'Budi', Alamat: { Kota: 'Jakarta' }, Tags: ['a', 'b'] }] };
+  assert.deepStrictEqual(rows({ fileName: 'pelanggan.json', content: JSON.stringify(json) }), ['JSON', ['Nama', 'Alamat_Kota', 'Tags'], [
+    { Nama: 'Andi', Alamat_Kota: 'Bandung', Tags: '' },
+    { Nama: 'Budi', Alamat_Kota: 'Jakarta', Tags: 'a; b' },
+  ]]);
+
+  // Attributes are fields too, entities are decoded
+  const xml = '<?xml version="1.0"?><pelanggan><row id="1"><Nama>Andi</Nama><Kota>Bandung</Kota></row>' +
+    '<row id="2"><Nama>Budi &amp; Co</Nama><Kota>Jakarta</Kota></row></pelanggan>';
+  assert.deepStrictEqual(rows({ fileName: 'pelanggan.xml', content: xml }), ['XML', ['id', 'Nama', 'Kota'], [
+    { id: '1', Nama: 'Andi', Kota: 'Bandung' },
+    { id: '2', Nama: 'Budi & Co', Kota: 'Jakarta' },
+  ]]);
+
+  assert.match(fileParser.parse(Buffer.from('{ "data": '), { fileName: 'rusak.json' }).error, /^Invalid JSON: /);
+});
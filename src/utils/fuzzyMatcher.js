@@ -0,0 +1,375 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// FUZZY MATCHER - Scalable near-duplicate clustering (blocking + indexing)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Instead of comparing every row pair (O(n²)), each key column is indexed by
+// distinct value and candidate value pairs come from:
+//   1. Phonetic blocks     - values with the same phonetic key
+//   2. Sorted neighborhood - values that are close when sorted, forward and
+//                            reversed (catches typos at either end)
+// Similar value pairs are expanded to row pairs, verified on every key column
+// with a bounded Levenshtein and merged into clusters with union-find.
+
+const helpers = require('./helpers');
+
+const DEFAULTS = {
+  threshold: 0.85,   // Minimum similarity per text column (0-1)
+  window: 10,        // Sorted neighborhood window size
+  maxBlockSize: 100, // Skip phonetic blocks bigger than this (not selective)
+};
+
+// Identifiers differ by one digit for different people: compare strictly by default
+const KIND_THRESHOLDS = {
+  email: 0.95,
+  phone: 1,
+  id: 1,
+};
+
+// Column kinds: how values are normalized before comparing
+const KIND_KEYWORDS = {
+  email: ['email', 'e_mail', 'surel'],
+  phone: ['phone', 'telepon', 'telp', 'hp', 'handphone', 'whatsapp', 'wa'],
+  id: ['id', 'nik', 'npwp', 'kode', 'code', 'sku'],
+};
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const sortWords = (value) => value.split(' ').sort().join(' ');
+
+class FuzzyMatcher {
+  // ─────────────────────────────────────────────────────────────────────────
+  // MAIN METHOD
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Find clusters of likely duplicate rows
+   * @param {Array} data - Rows (objects with _rowIndex)
+   * @param {Array} columns - [{ column, kind?, threshold? }]
+   * @param {Object} options - { threshold, window, maxBlockSize, skipRows: Set<_rowIndex> }
+   * @returns {Array} Clusters [{ rows, size, similarity, columns, sample }], largest first
+   */
+  findClusters(data, columns, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const skipRows = settings.skipRows || new Set();
+
+    const fields = columns.map(col => {
+      const kind = col.kind || 'text';
+      const values = data.map(row => skipRows.has(row._rowIndex) ? '' : this.normalize(row[col.column], kind));
+
+      return {
+        column: col.column,
+        kind,
+        threshold: col.threshold ?? KIND_THRESHOLDS[kind] ?? settings.threshold,
+        values,
+        sortedWords: new Map(), // cache: value → words sorted
+      };
+    });
+
+    if (fields.length === 0 || data.length < 2) return [];
+
+    // Verify strict (cheap) columns first so most candidates are rejected early
+    const verifyOrder = [...fields].sort((a, b) => b.threshold - a.threshold);
+
+    const parent = new Int32Array(data.length).map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    const scores = new Map(); // root → { total, count }
+    const rejectedMerges = new Set(); // cluster root pairs whose representatives differ
+
+    const tryPair = (i, j) => {
+      const rootI = find(i);
+      const rootJ = find(j);
+      if (rootI === rootJ) return;
+
+      const bothClusters = scores.has(rootI) && scores.has(rootJ);
+      const mergeKey = rootI < rootJ ? rootI * data.length + rootJ : rootJ * data.length + rootI;
+      if (bothClusters && rejectedMerges.has(mergeKey)) return;
+
+      const similarity = this._compareRows(verifyOrder, i, j);
+      if (similarity === null) return;
+
+      // Joining two existing clusters: their representatives must match too (limits chaining)
+      if (bothClusters && this._compareRows(verifyOrder, rootI, rootJ) === null) {
+        rejectedMerges.add(mergeKey);
+        return;
+      }
+
+      parent[rootJ] = rootI;
+      const merged = scores.get(rootI) || { total: 0, count: 0 };
+      const other = scores.get(rootJ);
+      if (other) {
+        merged.total += other.total;
+        merged.count += other.count;
+        scores.delete(rootJ);
+      }
+      merged.total += similarity;
+      merged.count++;
+      scores.set(rootI, merged);
+    };
+
+    const compositeKeys = data.map((_, index) => fields.map(f => f.values[index]).join('\u0001'));
+
+    fields.forEach(field => {
+      const groups = this._groupByValue(field);
+
+      // Rows with the same value in this column
+      groups.forEach(indexes => this._pairsWithin(indexes, compositeKeys, settings, tryPair));
+
+      // Rows with similar values (skipped when the threshold allows no edit at all)
+      let maxLength = 0;
+      groups.forEach((_, value) => { maxLength = Math.max(maxLength, value.length); });
+      if (Math.floor((1 - field.threshold) * maxLength + 1e-9) >= 1) {
+        this._similarValuePairs(field, groups, settings).forEach(([valueA, valueB]) => {
+          this._pairsAcross(groups.get(valueA), groups.get(valueB), settings.maxBlockSize, tryPair);
+        });
+      }
+    });
+
+    // Collect clusters
+    const members = new Map();
+    data.forEach((row, index) => {
+      const root = find(index);
+      if (!scores.has(root)) return;
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(index);
+    });
+
+    return Array.from(members.entries())
+      .map(([root, indexes]) => {
+        const { total, count } = scores.get(root);
+        return {
+          rows: indexes.map(i => data[i]._rowIndex),
+          size: indexes.length,
+          similarity: Math.round((total / count) * 100) / 100,
+          columns: fields.map(f => f.column),
+          sample: indexes.slice(0, 3).map(i =>
+            Object.fromEntries(fields.map(f => [f.column, data[i][f.column]]))),
+        };
+      })
+      .sort((a, b) => b.size - a.size || a.rows[0] - b.rows[0]);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // NORMALIZATION
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Guess column kind from header / detected type
+   */
+  detectKind(header, type) {
+    const lower = String(header).toLowerCase();
+    const words = lower.split(/[^a-z0-9]+/);
+
+    if (type === 'email' || KIND_KEYWORDS.email.some(k => lower.includes(k))) return 'email';
+    if (type === 'phone' || KIND_KEYWORDS.phone.some(k => words.includes(k) || lower.includes(`${k}_`))) return 'phone';
+    if (['nik', 'npwp'].includes(type) || KIND_KEYWORDS.id.some(k => words.includes(k))) return 'id';
+    return 'text';
+  }
+
+  normalize(value, kind = 'text') {
+    if (value === null || value === undefined || value === '') return '';
+    const str = String(value).toLowerCase().trim();
+
+    switch (kind) {
+      case 'email':
+        return str.replace(/\s/g, '');
+      case 'phone': {
+        const digits = str.replace(/\D/g, '');
+        return digits.startsWith('62') ? '0' + digits.slice(2) : digits;
+      }
+      case 'id':
+        return str.replace(/[^a-z0-9]/g, '');
+      default:
+        // Punctuation & spacing-insensitive ("Budi  Santoso," = "budi santoso")
+        return str.replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean).join(' ');
+    }
+  }
+
+  /**
+   * Phonetic key tuned for Indonesian names (old spelling, common variants):
+   * "Muhammad" / "Mohamad" → "mhmd", "Djoko" / "Joko" → "jk"
+   */
+  phoneticKey(value) {
+    return value.split(' ').map(word => {
+      const base = word
+        .replace(/dj/g, 'j').replace(/tj/g, 'c').replace(/oe/g, 'u').replace(/sj/g, 'sy')
+        .replace(/ph/g, 'f').replace(/kh/g, 'k').replace(/ch/g, 'k').replace(/q/g, 'k')
+        .replace(/x/g, 'ks').replace(/z/g, 's').replace(/v/g, 'f').replace(/y/g, 'i')
+        .replace(/[^a-z0-9]/g, '');
+      if (!base) return '';
+
+      const skeleton = base[0] + base.slice(1).replace(/[aeiouh]/g, '');
+      return skeleton.replace(/(.)\1+/g, '$1');
+    }).filter(Boolean).join(' ');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CANDIDATE GENERATION (blocking)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _groupByValue(field) {
+    const groups = new Map();
+    field.values.forEach((value, index) => {
+      if (!value) return;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(index);
+    });
+    return groups;
+  }
+
+  /**
+   * Rows sharing a value: all pairs for small groups, otherwise neighbours
+   * ordered by all key columns (rows that also match elsewhere end up adjacent)
+   */
+  _pairsWithin(indexes, compositeKeys, settings, tryPair) {
+    if (indexes.length < 2) return;
+
+    if (indexes.length <= settings.maxBlockSize) {
+      this._pairsAcross(indexes, null, settings.maxBlockSize, tryPair);
+      return;
+    }
+
+    const sorted = [...indexes].sort((a, b) => compare(compositeKeys[a], compositeKeys[b]));
+    for (let p = 0; p < sorted.length; p++) {
+      for (let q = p + 1; q <= p + settings.window && q < sorted.length; q++) {
+        tryPair(sorted[p], sorted[q]);
+      }
+    }
+  }
+
+  /**
+   * All row pairs between two groups (or within one group when groupB is null),
+   * capped to the first maxBlockSize rows of each side
+   */
+  _pairsAcross(groupA, groupB, maxBlockSize, tryPair) {
+    const left = groupA.slice(0, maxBlockSize);
+    const right = groupB ? groupB.slice(0, maxBlockSize) : left;
+
+    for (let a = 0; a < left.length; a++) {
+      for (let b = groupB ? 0 : a + 1; b < right.length; b++) {
+        tryPair(left[a], right[b]);
+      }
+    }
+  }
+
+  /**
+   * Candidate distinct-value pairs (phonetic blocks + sorted neighborhood),
+   * kept only when the values themselves reach the column threshold
+   */
+  _similarValuePairs(field, groups, settings) {
+    const values = Array.from(groups.keys());
+    const seen = new Set();
+    const pairs = [];
+    const addCandidate = (a, b) => {
+      const key = a < b ? a * values.length + b : b * values.length + a;
+      if (a === b || seen.has(key)) return;
+      seen.add(key);
+      if (this._valueSimilarity(field, values[a], values[b]) !== null) pairs.push([values[a], values[b]]);
+    };
+
+    // 1. Phonetic blocks (text) - skip blocks too large to be selective
+    if (field.kind === 'text') {
+      const blocks = new Map();
+      values.forEach((value, id) => {
+        const key = this.phoneticKey(sortWords(value));
+        if (!key) return;
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(id);
+      });
+
+      blocks.forEach(members => {
+        if (members.length < 2 || members.length > settings.maxBlockSize) return;
+        for (let a = 0; a < members.length; a++) {
+          for (let b = a + 1; b < members.length; b++) addCandidate(members[a], members[b]);
+        }
+      });
+    }
+
+    // 2. Sorted neighborhood over several sort keys: forward, reversed and,
+    //    for multi-word values, each word rotated to the front
+    const sortKeys = [v => v, v => v.split('').reverse().join('')];
+    if (field.kind === 'text') {
+      const maxWords = Math.min(4, values.reduce((max, v) => Math.max(max, v.split(' ').length), 0));
+      for (let w = 1; w < maxWords; w++) {
+        sortKeys.push(v => {
+          const words = v.split(' ');
+          return [...words.slice(w), ...words.slice(0, w)].join(' ');
+        });
+      }
+    }
+
+    sortKeys.forEach(toKey => {
+      const keys = values.map(toKey);
+      const sorted = values.map((_, id) => id).sort((a, b) => compare(keys[a], keys[b]));
+      for (let p = 0; p < sorted.length; p++) {
+        for (let q = p + 1; q <= p + settings.window && q < sorted.length; q++) {
+          addCandidate(sorted[p], sorted[q]);
+        }
+      }
+    });
+
+    return pairs;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // VERIFICATION
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Rows match when every column filled in both rows reaches its threshold.
+   * @returns {number|null} Average similarity, or null if not a match
+   */
+  _compareRows(fields, i, j) {
+    let total = 0;
+    let compared = 0;
+
+    for (const field of fields) {
+      const a = field.values[i];
+      const b = field.values[j];
+      if (!a || !b) continue;
+
+      const similarity = this._valueSimilarity(field, a, b);
+      if (similarity === null) return null;
+
+      total += similarity;
+      compared++;
+    }
+
+    return compared > 0 ? total / compared : null;
+  }
+
+  /**
+   * Similarity of two normalized values, or null if below the column threshold.
+   * Names are also compared word order-insensitive ("Santoso Budi" = "Budi Santoso").
+   */
+  _valueSimilarity(field, a, b) {
+    if (a === b) return 1;
+    if (field.threshold >= 1) return null;
+
+    const maxLength = Math.max(a.length, b.length);
+    const maxDistance = Math.floor((1 - field.threshold) * maxLength + 1e-9);
+    let distance = helpers.levenshteinWithin(a, b, maxDistance);
+
+    if (distance > maxDistance && field.kind === 'text') {
+      distance = helpers.levenshteinWithin(this._sortedWords(field, a), this._sortedWords(field, b), maxDistance);
+    }
+
+    return distance > maxDistance ? null : 1 - distance / maxLength;
+  }
+
+  _sortedWords(field, value) {
+    let sorted = field.sortedWords.get(value);
+    if (sorted === undefined) {
+      sorted = sortWords(value);
+      field.sortedWords.set(value, sorted);
+    }
+    return sorted;
+  }
+}
+
+module.exports = new FuzzyMatcher();
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fuzzyMatcher = require('./fuzzyMatcher');
+
+const customers = [
+  { _rowIndex: 2, Nama: 'Andi Wijaya', Kota: 'Bandung', Telepon: '081234567890' },
+  { _rowIndex: 3, Nama: 'Budi Santoso', Kota: 'Jakarta', Telepon: '081298765432' },
+  { _rowIndex: 4, Nama: 'Andi Wijaja', Kota: 'Bandung', Telepon: '0812-3456-7890' },
+  { _rowIndex: 5, Nama: 'Wijaya Andi', Kota: 'Bandung', Telepon: '081234567890' },
+  { _rowIndex: 6, Nama: 'Citra Lestari', Kota: 'Bogor', Telepon: '081377788899' },
+  { _rowIndex: 7, Nama: 'Budi Santosa', Kota: 'Jakarta', Telepon: '081298765433' },
+  { _rowIndex: 8, Nama: 'Budi Santoso', Kota: 'Surabaya', Telepon: '081298765432' },
+];
+
+test('typos and swapped words cluster, a different city does not', () => {
+  const clusters = fuzzyMatcher.findClusters(customers, [{ column: 'Nama' }, { column: 'Kota' }]);
+
+  assert.deepStrictEqual(clusters.map(c => [c.rows, c.size]), [[[2, 4, 5], 3], [[3, 7], 2]]);
+  assert.deepStrictEqual(clusters[0].columns, ['Nama', 'Kota']);
+  assert.deepStrictEqual(clusters[0].sample.map(s => s.Nama), ['Andi Wijaya', 'Andi Wijaja', 'Wijaya Andi']);
+  assert.ok(clusters.every(c => c.similarity >= 0.85 && c.similarity <= 1));
+});
+
+test('phone columns compare strictly after normalization', () => {
+  const columns = [{ column: 'Nama' }, { column: 'Telepon', kind: fuzzyMatcher.detectKind('Telepon') }];
+  const clusters = fuzzyMatcher.findClusters(customers, columns);
+
+  // 081298765433 is one digit off: Budi Santosa (row 7) stays out
+  assert.deepStrictEqual(clusters.map(c => c.rows), [[2, 4, 5], [3, 8]]);
+});
+
+test('skipped rows and a higher threshold leave rows out', () => {
+  const columns = [{ column: 'Nama' }, { column: 'Kota' }];
+
+  assert.deepStrictEqual(fuzzyMatcher.findClusters(customers, columns, { skipRows: new Set([4, 5]) }).map(c => c.rows), [[3, 7]]);
+  assert.deepStrictEqual(fuzzyMatcher.findClusters(customers, columns, { threshold: 0.99 }).map(c => c.rows), [[2, 5]]);
+});
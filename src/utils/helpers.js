@@ -2,7 +2,18 @@
 // HELPERS - Utility functions used across the application
 // ═══════════════════════════════════════════════════════════════════════════
 
-const { PATTERNS, INDONESIA } = require('./constants');
+const path = require('path');
+const yaml = require('js-yaml');
+const { PATTERNS, INDONESIA, CURRENCIES } = require('./constants');
+
+// Currency symbols / codes, longest first so "S$" wins over "$"
+const CURRENCY_TOKENS = Object.values(CURRENCIES)
+  .flatMap(currency => currency.symbols)
+  .sort((a, b) => b.length - a.length)
+  .map(symbol => symbol.replace(/[$.*+?^()|[\]\\{}]/g, '\\$&'))
+  .join('|');
+const CURRENCY_PREFIX = new RegExp(`^([-+]?)\\s*(${CURRENCY_TOKENS})\\.?\\s*`, 'i');
+const CURRENCY_SUFFIX = new RegExp(`\\s*(${CURRENCY_TOKENS})$`, 'i');
 
 module.exports = {
   // ─────────────────────────────────────────────────────────────────────────
@@ -48,34 +59,146 @@ module.exports = {
   
   /**
    * Parse number from various formats
+   * Handles "Rp 1.234.567,89", "1,234.56", "(1.500)" (accounting negative),
+   * "2,5 jt" / "500rb" / "1,2 M" shorthands and trailing ",-".
+   * @param {Object} options - { locale: 'ID' | 'US' } decides ambiguous values like "1.234"
    */
-  parseNumber(value) {
+  parseNumber(value, options = {}) {
     if (typeof value === 'number') return value;
     if (typeof value !== 'string') return NaN;
-    
-    // Remove currency symbols and spaces
-    let cleaned = value.replace(/[Rr][Pp]\.?\s?/g, '')
-                       .replace(/[IDR\s]/g, '')
-                       .trim();
-    
-    // Handle Indonesian format (1.234.567,89)
-    if (/^\d{1,3}(\.\d{3})*,\d+$/.test(cleaned)) {
-      cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+
+    const parts = this.splitNumber(value);
+    if (!parts) return NaN;
+
+    let { digits } = parts;
+    if (!/^\d+$/.test(digits)) {
+      const style = this.separatorStyle(digits);
+      if (!style) return NaN;
+
+      // "1.234" / "1,234" without a column locale: read as thousands
+      const locale = style === 'either' ? options.locale : style;
+      if (locale === 'ID') digits = digits.replace(/\./g, '').replace(',', '.');
+      else if (locale === 'US') digits = digits.replace(/,/g, '');
+      else digits = digits.replace(/[.,]/g, '');
     }
-    // Handle US format (1,234,567.89)
-    else if (/^\d{1,3}(,\d{3})*\.\d+$/.test(cleaned)) {
-      cleaned = cleaned.replace(/,/g, '');
+
+    let num = Number(digits);
+    if (parts.multiplier !== 1) num = Number((num * parts.multiplier).toPrecision(15));
+    return parts.negative && num !== 0 ? -num : num;
+  },
+
+  /**
+   * Split a number string into sign, shorthand multiplier, currency and the digits with separators
+   * @returns {Object|null} { digits, negative, multiplier, currency (ISO code or null) }
+   */
+  splitNumber(value) {
+    let str = String(value).trim();
+    let negative = false;
+    let multiplier = 1;
+    let currency = null;
+
+    const stripCurrency = text => text
+      .replace(CURRENCY_PREFIX, (match, sign, token) => {
+        currency = this.currencyCode(token);
+        return sign;
+      })
+      .replace(CURRENCY_SUFFIX, (match, token) => {
+        currency = this.currencyCode(token);
+        return '';
+      });
+
+    str = stripCurrency(str.replace(/[.,]-?$/, '').replace(/%$/, ''));
+
+    // Accounting negative: (1.500), (Rp 1.500)
+    const paren = str.match(/^\((.+)\)$/);
+    if (paren) {
+      negative = true;
+      str = stripCurrency(paren[1].trim());
     }
-    // Handle simple comma as decimal
-    else if (/^\d+,\d+$/.test(cleaned)) {
-      cleaned = cleaned.replace(',', '.');
+
+    if (/^[-+]/.test(str)) {
+      negative = negative !== (str[0] === '-');
+      str = str.slice(1);
     }
-    // Remove any remaining commas/dots except last one for decimal
-    else {
-      cleaned = cleaned.replace(/,/g, '');
+
+    // 2,5 jt / 500rb / 1,2 M
+    const suffix = str.match(/^(.*\d)\s*([a-z]+)\.?$/i);
+    if (suffix) {
+      const key = suffix[2].length > 1 ? suffix[2].toLowerCase() : suffix[2];
+      if (!INDONESIA.NUMBER_SUFFIXES[key]) return null;
+      multiplier = INDONESIA.NUMBER_SUFFIXES[key];
+      str = suffix[1];
     }
-    
-    return parseFloat(cleaned);
+
+    const digits = str.replace(/\s/g, '');
+    return /^[\d.,]*\d[\d.,]*$/.test(digits) ? { digits, negative, multiplier, currency } : null;
+  },
+
+  /**
+   * Separator style of digits: 'ID' (1.234,5), 'US' (1,234.5), 'either' (1.234 / 1,234)
+   * or null when there is no separator / the grouping is invalid
+   */
+  separatorStyle(digits) {
+    const hasDot = digits.includes('.');
+    const hasComma = digits.includes(',');
+
+    if (hasDot && hasComma) {
+      if (/^\d{1,3}(\.\d{3})+,\d+$/.test(digits)) return 'ID';
+      if (/^\d{1,3}(,\d{3})+\.\d+$/.test(digits)) return 'US';
+      return null;
+    }
+    if (hasComma) {
+      if (/^\d{1,3}(,\d{3}){2,}$/.test(digits)) return 'US';
+      if (/^[1-9]\d{0,2},\d{3}$/.test(digits)) return 'either';
+      return /^\d*,\d+$/.test(digits) ? 'ID' : null;
+    }
+    if (hasDot) {
+      if (/^\d{1,3}(\.\d{3}){2,}$/.test(digits)) return 'ID';
+      if (/^[1-9]\d{0,2}\.\d{3}$/.test(digits)) return 'either';
+      return /^\d*\.\d+$/.test(digits) ? 'US' : null;
+    }
+    return null;
+  },
+
+  /**
+   * Locale evidence of a single value: 'ID', 'US', 'either' or null (no separators)
+   */
+  numberLocaleEvidence(value) {
+    if (typeof value !== 'string') return null;
+    const parts = this.splitNumber(value);
+    return parts ? this.separatorStyle(parts.digits) : null;
+  },
+
+  /**
+   * Number locale of a column from evidence counts
+   * @param {Object} counts - { ID, US, either } (see numberLocaleEvidence)
+   * @param {string|null} fallback - Locale when the values do not decide (e.g. the decimal separator of a CSV file)
+   * @returns {Object} { locale ('ID' | 'US' | fallback when nothing decides), conflicting, evidence }
+   */
+  inferNumberLocale(counts = {}, fallback = null) {
+    const evidence = { ID: counts.ID || 0, US: counts.US || 0, either: counts.either || 0 };
+
+    let locale = fallback;
+    if (evidence.US > evidence.ID) locale = 'US';
+    else if (evidence.ID > 0) locale = 'ID';
+
+    return {
+      locale,
+      conflicting: evidence.ID > 0 && evidence.US > 0,
+      evidence,
+    };
+  },
+
+  /**
+   * Number locale of a whole column
+   */
+  detectNumberLocale(values) {
+    const counts = {};
+    values.forEach(value => {
+      const evidence = this.numberLocaleEvidence(value);
+      if (evidence) counts[evidence] = (counts[evidence] || 0) + 1;
+    });
+    return this.inferNumberLocale(counts);
   },
 
   /**
@@ -89,6 +212,66 @@ module.exports = {
     return withSymbol ? `Rp ${formatted}` : formatted;
   },
 
+  /**
+   * Format an amount in its currency: IDR as "Rp 1.234", others as "US$ 1.234,50"
+   */
+  formatMoney(value, currency = INDONESIA.CURRENCY) {
+    if (!currency || currency === 'IDR') return this.formatCurrency(value);
+
+    const num = typeof value === 'number' ? value : this.parseNumber(value);
+    if (isNaN(num)) return value;
+
+    // Codes outside CURRENCIES (from a rate table) print as "CHF 1.234,50"
+    const { symbols, decimals } = CURRENCIES[currency] || { symbols: [currency], decimals: 2 };
+    return `${symbols[0]} ${this.formatNumber(num, decimals)}`;
+  },
+
+  /**
+   * Excel number format for a currency code ('"US$ "#,##0.00'); codes only known from a rate table show the code
+   */
+  moneyFormat(code = INDONESIA.CURRENCY) {
+    return CURRENCIES[code]?.numFmt || `"${code} "#,##0.00`;
+  },
+
+  /**
+   * Amount rounded to the decimals of its currency (IDR / JPY whole, others cents)
+   */
+  roundMoney(value, code = INDONESIA.CURRENCY) {
+    const factor = 10 ** (CURRENCIES[code]?.decimals ?? 2);
+    return Math.round(value * factor) / factor;
+  },
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CURRENCY HELPERS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Currency of a money value from its symbol / ISO code ("$ 12.50" → 'USD'), null without one
+   */
+  detectCurrency(value) {
+    if (typeof value !== 'string') return null;
+    const parts = this.splitNumber(value);
+    return parts ? parts.currency : null;
+  },
+
+  /**
+   * Symbol or code → ISO code ('S$' → 'SGD', 'rp' → 'IDR'), null when unknown
+   */
+  currencyCode(token) {
+    const lower = String(token || '').trim().toLowerCase();
+    return Object.keys(CURRENCIES).find(code => CURRENCIES[code].symbols.some(s => s.toLowerCase() === lower)) || null;
+  },
+
+  /**
+   * Currency of a column from per-cell counts
+   * @param {Object} counts - { IDR: 10, USD: 2 } (see fileParser.addValueEvidence)
+   * @returns {Object} { code (most common, null without symbols), codes, mixed }
+   */
+  inferCurrency(counts = {}) {
+    const codes = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return { code: codes[0] || null, codes: { ...counts }, mixed: codes.length > 1 };
+  },
+
   /**
    * Format number with thousand separator
    */
@@ -104,16 +287,26 @@ module.exports = {
 
   /**
    * Check if number is outlier using IQR method
+   * @param {number} multiplier - IQR multiplier (lower = more sensitive)
    */
-  isOutlier(value, values) {
+  isOutlier(value, values, multiplier = 1.5) {
+    const { lowerBound, upperBound } = this.outlierBounds(values, multiplier);
+    return value < lowerBound || value > upperBound;
+  },
+
+  /**
+   * IQR bounds (compute once when checking many values of one column)
+   */
+  outlierBounds(values, multiplier = 1.5) {
     const sorted = values.filter(v => !isNaN(v)).sort((a, b) => a - b);
     const q1 = sorted[Math.floor(sorted.length * 0.25)];
     const q3 = sorted[Math.floor(sorted.length * 0.75)];
     const iqr = q3 - q1;
-    const lowerBound = q1 - 1.5 * iqr;
-    const upperBound = q3 + 1.5 * iqr;
-    
-    return value < lowerBound || value > upperBound;
+
+    return {
+      lowerBound: q1 - multiplier * iqr,
+      upperBound: q3 + multiplier * iqr,
+    };
   },
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -122,8 +315,9 @@ module.exports = {
   
   /**
    * Parse date from various formats
+   * @param {Object} options - { order: 'DMY' (default) | 'MDY' } for a/b/yyyy values
    */
-  parseDate(value) {
+  parseDate(value, options = {}) {
     if (value instanceof Date) return value;
     if (typeof value === 'number') {
       // Excel serial date
@@ -132,15 +326,20 @@ module.exports = {
     if (typeof value !== 'string') return null;
     
     const str = value.trim();
+
+    // DD/MM/YYYY, MM/DD/YYYY (options.order) - also with "-" and 2-digit years
+    const dayMonth = str.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2}|\d{4})$/);
+    if (dayMonth) {
+      const [first, second] = [parseInt(dayMonth[1]), parseInt(dayMonth[2])];
+      const [day, month] = options.order === 'MDY' ? [second, first] : [first, second];
+      const year = dayMonth[3].length === 2 ? 2000 + parseInt(dayMonth[3]) : parseInt(dayMonth[3]);
+      return this.validDate(year, month, day);
+    }
     
     // Try various formats
     const formats = [
       // ISO
       { regex: /^(\d{4})-(\d{2})-(\d{2})$/, parse: (m) => new Date(m[1], m[2] - 1, m[3]) },
-      // DD/MM/YYYY or DD-MM-YYYY
-      { regex: /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/, parse: (m) => new Date(m[3], m[2] - 1, m[1]) },
-      // DD/MM/YY
-      { regex: /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2})$/, parse: (m) => new Date(2000 + parseInt(m[3]), m[2] - 1, m[1]) },
       // DD MMM YYYY
       { regex: /^(\d{1,2})\s+(\w{3,})\s+(\d{4})$/i, parse: (m) => new Date(`${m[2]} ${m[1]}, ${m[3]}`) },
     ];
@@ -153,16 +352,78 @@ module.exports = {
       }
     }
     
-    // Fallback to native parsing
+    // Fallback to native parsing, only for text that reads as a date ("Jan 5, 2024",
+    // ISO with time). new Date('32') or new Date('Nama 32') would make any value a date.
+    const isoDateTime = /^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}/.test(str);
+    const monthName = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\b/i.test(str) && /\b\d{4}\b/.test(str);
+    if (!isoDateTime && !monthName) return null;
+
     const date = new Date(str);
     return isNaN(date.getTime()) ? null : date;
   },
 
+  /**
+   * Date from parts, null when the parts do not exist (31/02, month 13)
+   */
+  validDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  },
+
+  /**
+   * Day-month order evidence of one value: 'DMY' (first part above 12), 'MDY'
+   * (second part above 12), 'either' (both 12 or less), 'same' (equal parts)
+   * or null (not a numeric a/b/yyyy date)
+   */
+  dateOrderEvidence(value) {
+    const str = this.splitTimezone(value).text.replace(PATTERNS.DATETIME_TIME, '');
+    const dmy = PATTERNS.DATE_DMY.test(str);
+    const mdy = PATTERNS.DATE_MDY.test(str);
+
+    if (dmy && mdy) {
+      const [first, second] = str.split(/[\/\-]/).map(Number);
+      return first === second ? 'same' : 'either';
+    }
+    if (dmy) return 'DMY';
+    if (mdy) return 'MDY';
+    return null;
+  },
+
+  /**
+   * Most consistent day-month order of a column from evidence counts
+   * @param {Object} counts - { DMY, MDY, either } (see dateOrderEvidence)
+   * @returns {Object} { order, ambiguous, conflicting, evidence }
+   */
+  inferDateOrder(counts = {}) {
+    const evidence = { DMY: counts.DMY || 0, MDY: counts.MDY || 0, either: counts.either || 0 };
+
+    return {
+      // Indonesian files are day-first; month-first needs more evidence
+      order: evidence.MDY > evidence.DMY ? 'MDY' : 'DMY',
+      ambiguous: evidence.DMY === 0 && evidence.MDY === 0 && evidence.either > 0,
+      conflicting: evidence.DMY > 0 && evidence.MDY > 0,
+      evidence,
+    };
+  },
+
+  /**
+   * Day-month order of a whole column (values above 12 decide)
+   */
+  detectDateOrder(values) {
+    const counts = {};
+    values.forEach(value => {
+      const evidence = this.dateOrderEvidence(value);
+      if (evidence) counts[evidence] = (counts[evidence] || 0) + 1;
+    });
+    return this.inferDateOrder(counts);
+  },
+
   /**
    * Format date to standard format
+   * @param {Object} options - Passed to parseDate ({ order })
    */
-  formatDate(value, format = 'DD-MMM-YYYY') {
-    const date = this.parseDate(value);
+  formatDate(value, format = 'DD-MMM-YYYY', options = {}) {
+    const date = this.parseDate(value, options);
     if (!date) return value;
     
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
@@ -187,11 +448,248 @@ module.exports = {
 
   /**
    * Check if date is in future
+   * "Today" is taken in the data's timezone (options.timezone, default WIB), not the server's
+   * @param {Object} options - { order, timezone }
    */
-  isFutureDate(value) {
-    const date = this.parseDate(value);
+  isFutureDate(value, options = {}) {
+    const timezone = options.timezone || INDONESIA.DEFAULT_TIMEZONE;
+
+    const dateTime = this.parseDateTime(value, { ...options, timezone });
+    if (dateTime) return dateTime.getTime() > Date.now();
+
+    const date = this.parseDate(value, options);
     if (!date) return false;
-    return date > new Date();
+
+    const today = this.zonedParts(new Date(), timezone);
+    const day = date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+    return day > today.year * 10000 + today.month * 100 + today.day;
+  },
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // TIME & DURATION HELPERS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Looks like a clock time ("08:15", "8:15 PM", "08.15") - may still be impossible ("25:10")
+   */
+  isTimeLike(value) {
+    const str = this.splitTimezone(value).text;
+    return PATTERNS.TIME.test(str) || PATTERNS.TIME_DOT.test(str);
+  },
+
+  /**
+   * Parse clock time
+   * @returns {Object|null} { hours, minutes, seconds }, null when not a time or impossible
+   */
+  parseTime(value) {
+    if (value instanceof Date) {
+      return { hours: value.getHours(), minutes: value.getMinutes(), seconds: value.getSeconds() };
+    }
+    if (typeof value === 'number') {
+      // Excel time = fraction of a day
+      if (value < 0 || value >= 1) return null;
+      const total = Math.round(value * 86400);
+      return { hours: Math.floor(total / 3600), minutes: Math.floor(total / 60) % 60, seconds: total % 60 };
+    }
+    if (typeof value !== 'string') return null;
+
+    const str = this.splitTimezone(value).text;
+    const match = str.match(PATTERNS.TIME) || str.match(PATTERNS.TIME_DOT);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const seconds = match[3] ? parseInt(match[3]) : 0;
+    const meridiem = match[4] ? match[4].toUpperCase() : null;
+
+    if (minutes > 59 || seconds > 59) return null;
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem === 'P' ? 12 : 0);
+    } else if (hours > 23) {
+      return null;
+    }
+
+    return { hours, minutes, seconds };
+  },
+
+  /**
+   * Header of a duration column (Durasi, Lama Kerja, Jam Lembur, Overtime...)
+   */
+  isDurationHeader(header) {
+    const lower = String(header || '').toLowerCase();
+    return ['durasi', 'duration', 'lama', 'lembur', 'overtime', 'total jam', 'jam kerja', 'working hours']
+      .some(k => lower.includes(k));
+  },
+
+  /**
+   * Seconds since midnight (for comparing check-in / check-out)
+   */
+  timeToSeconds(value) {
+    const time = this.parseTime(value);
+    return time ? time.hours * 3600 + time.minutes * 60 + time.seconds : null;
+  },
+
+  /**
+   * Split "05/01/2024 08:15 WITA" → { date: '05/01/2024', time: '08:15', zone: 'WITA', offset: 480 }
+   * @returns {Object|null} null without a time part (zone / offset are null without a suffix)
+   */
+  splitDateTime(value) {
+    if (typeof value !== 'string') return null;
+    const { text, zone, offset } = this.splitTimezone(value);
+    const match = text.match(PATTERNS.DATETIME_TIME);
+    if (!match || match.index === 0) return null;
+    return { date: text.slice(0, match.index), time: match[1].replace(/\.\d+$/, ''), zone, offset };
+  },
+
+  /**
+   * Parse date + time to an instant
+   * The value's own zone wins; otherwise it is read in options.timezone, or server time without one
+   * @param {Object} options - { order, timezone }
+   * @returns {Date|null} null when either part is missing or impossible
+   */
+  parseDateTime(value, options = {}) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'number') return this.parseDate(value);
+
+    const parts = this.splitDateTime(value);
+    if (!parts) return null;
+
+    const date = this.parseDate(parts.date, options);
+    const time = this.parseTime(parts.time);
+    if (!date || !time) return null;
+
+    const offset = parts.offset !== null ? parts.offset : this.timezoneOffset(options.timezone);
+    if (offset === null) {
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes, time.seconds);
+    }
+
+    const wallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes, time.seconds);
+    return new Date(wallClock - offset * 60000);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // TIMEZONE HELPERS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Strip a timezone suffix: "08:15 WIB", "2024-01-05T08:15:00Z", "08:15 +08:00", "08:15 GMT+9"
+   * @returns {Object} { text, zone (label, see timezoneLabel), offset (minutes) } - zone null without suffix
+   */
+  splitTimezone(value) {
+    const str = String(value).trim();
+    const match = str.match(PATTERNS.TIMEZONE_SUFFIX);
+    const text = match ? str.slice(0, match.index).trim() : str;
+
+    // Numeric offsets only count after a clock time ("05-01-2024" does not end in -20:24)
+    if (!match || !/\d[:.]\d{2}/.test(text)) return { text: str, zone: null, offset: null };
+
+    const [, local, utc, utcOffset, zulu, numeric] = match;
+    let offset;
+    if (local) offset = INDONESIA.TIMEZONES[local.toUpperCase()];
+    else if (utc) offset = utcOffset ? this.timezoneOffset(utcOffset) : 0;
+    else if (zulu) offset = 0;
+    else offset = this.timezoneOffset(numeric);
+
+    return { text, zone: this.timezoneLabel(offset), offset };
+  },
+
+  /**
+   * Zone name / offset text → minutes from UTC: 'WITA' → 480, '+07:00' → 420, 'UTC+9' → 540
+   * @returns {number|null}
+   */
+  timezoneOffset(zone) {
+    if (zone === null || zone === undefined || zone === '') return null;
+    if (typeof zone === 'number') return zone;
+
+    const name = String(zone).trim().toUpperCase();
+    if (INDONESIA.TIMEZONES[name] !== undefined) return INDONESIA.TIMEZONES[name];
+    if (['UTC', 'GMT', 'Z'].includes(name)) return 0;
+
+    const match = name.replace(/^(UTC|GMT)\s*/, '').match(/^([+-])(\d{1,2})(?::?(\d{2}))?$/);
+    if (!match) return null;
+    const minutes = parseInt(match[2]) * 60 + (match[3] ? parseInt(match[3]) : 0);
+    return match[1] === '-' ? -minutes : minutes;
+  },
+
+  /**
+   * Minutes from UTC → 'WIB' / 'WITA' / 'WIT', 'UTC' or 'UTC+05:30'
+   */
+  timezoneLabel(offset) {
+    const local = Object.keys(INDONESIA.TIMEZONES).find(name => INDONESIA.TIMEZONES[name] === offset);
+    if (local) return local;
+    if (offset === 0) return 'UTC';
+
+    const abs = Math.abs(offset);
+    const hhmm = `${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    return `UTC${offset < 0 ? '-' : '+'}${hhmm}`;
+  },
+
+  /**
+   * Wall-clock parts of an instant in a zone (server time without one)
+   * @returns {Object} { year, month (1-12), day, hours, minutes, seconds }
+   */
+  zonedParts(date, timezone = null) {
+    const offset = this.timezoneOffset(timezone);
+    if (offset === null) {
+      return {
+        year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+        hours: date.getHours(), minutes: date.getMinutes(), seconds: date.getSeconds(),
+      };
+    }
+
+    const shifted = new Date(date.getTime() + offset * 60000);
+    return {
+      year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate(),
+      hours: shifted.getUTCHours(), minutes: shifted.getUTCMinutes(), seconds: shifted.getUTCSeconds(),
+    };
+  },
+
+  /**
+   * Most common zone of a column from suffix counts
+   * @param {Object} counts - { WIB: 3, WITA: 1, none: 2 } (see fileParser.addValueEvidence)
+   * @returns {Object} { zone (null when no value has a suffix), zones, unzoned, mixed }
+   */
+  inferTimezone(counts = {}) {
+    const zones = { ...counts };
+    const unzoned = zones.none || 0;
+    delete zones.none;
+
+    const names = Object.keys(zones).sort((a, b) => zones[b] - zones[a]);
+    return {
+      zone: names[0] || null,
+      zones,
+      unzoned,
+      mixed: names.length > 1,
+    };
+  },
+
+  /**
+   * Parse a duration to seconds: "2j 30m", "1 jam 15 menit", "1h 30m", "1,5 jam", "26:30"
+   * @returns {number|null}
+   */
+  parseDuration(value) {
+    if (typeof value !== 'string') return null;
+    const str = value.trim();
+
+    // h:mm(:ss) - hours may exceed 23
+    const clock = str.match(/^(\d+):([0-5]\d)(?::([0-5]\d))?$/);
+    if (clock) {
+      return parseInt(clock[1]) * 3600 + parseInt(clock[2]) * 60 + (clock[3] ? parseInt(clock[3]) : 0);
+    }
+
+    const units = { j: 3600, h: 3600, m: 60, d: 1, s: 1 };
+    let seconds = 0;
+    let parts = 0;
+    const rest = str.replace(PATTERNS.DURATION_PART, (match, amount, unit) => {
+      const lower = unit.toLowerCase();
+      const key = /^(menit|mnt|min)/.test(lower) ? 'm' : /^(detik|dtk)/.test(lower) ? 'd' : lower[0];
+      seconds += parseFloat(amount.replace(',', '.')) * units[key];
+      parts++;
+      return '';
+    });
+
+    return parts > 0 && rest.trim() === '' ? Math.round(seconds) : null;
   },
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -384,6 +882,125 @@ module.exports = {
                           '$1.$2.$3.$4-$5.$6');
   },
 
+  /**
+   * Check if a header looks like a bank account number column
+   */
+  isBankAccountHeader(header) {
+    const lower = String(header || '').toLowerCase();
+    return ['rekening', 'norek', 'no_rek', 'account_no', 'account_number', 'acc_no', 'bank_account']
+      .some(k => lower.includes(k));
+  },
+
+  /**
+   * Check if a header names identifiers that only look numeric (account, NIK, phone numbers, codes)
+   */
+  isIdentifierHeader(header) {
+    if (this.isBankAccountHeader(header)) return true;
+    const words = String(header || '').toLowerCase().split(/[^a-z0-9]+/);
+    return ['id', 'kode', 'code', 'sku', 'nik', 'npwp', 'ktp', 'nip', 'no', 'nomor', 'telp', 'telepon', 'phone', 'hp']
+      .some(k => words.includes(k));
+  },
+
+  /**
+   * Normalize bank name ("Bank Mandiri", "PT Bank Central Asia Tbk") to a BANK_ACCOUNT_LENGTH key
+   * @returns {string|null} Bank code or null if unknown
+   */
+  normalizeBankName(value) {
+    const upper = String(value ?? '').toUpperCase();
+    const words = upper.split(/[^A-Z0-9]+/);
+
+    const code = Object.keys(INDONESIA.BANK_ACCOUNT_LENGTH).find(bank => words.includes(bank));
+    if (code) return code;
+
+    const alias = Object.keys(INDONESIA.BANK_ALIASES).find(name => upper.includes(name));
+    return alias ? INDONESIA.BANK_ALIASES[alias] : null;
+  },
+
+  /**
+   * Validate bank account number, restoring values Excel turned into numbers
+   * @param {*} value - Cell value (e.g. "1234567890", "1.23457E+14", "123456789")
+   * @param {string} bank - Bank code from normalizeBankName (optional)
+   * @param {number} rawValue - Underlying numeric cell value, if known
+   * @returns {Object} { isValid, digits, restored, errors }
+   */
+  validateBankAccount(value, bank = null, rawValue = undefined) {
+    const str = String(value ?? '').trim();
+    const expected = INDONESIA.BANK_ACCOUNT_LENGTH[bank] || null;
+    const result = { isValid: false, digits: null, restored: null, errors: [] };
+    let digits;
+
+    if (/^\d+(\.\d+)?e\+?\d+$/i.test(str)) {
+      // Scientific notation: only the underlying cell value still holds the digits,
+      // and Excel keeps no more than 15 significant digits
+      if (!Number.isSafeInteger(rawValue) || String(rawValue).length > 15) {
+        result.errors.push('Stored in scientific notation, digits are lost');
+        return result;
+      }
+      digits = String(rawValue);
+      result.restored = digits;
+    } else {
+      digits = str.replace(/[\s.-]/g, '');
+      if (!/^\d+$/.test(digits)) {
+        result.errors.push('Contains non-digit characters');
+        return result;
+      }
+    }
+
+    // Leading zeros stripped when the account was stored as a number
+    if (expected && digits.length < expected && expected - digits.length <= 3 && digits[0] !== '0') {
+      digits = digits.padStart(expected, '0');
+      result.restored = digits;
+    }
+
+    if (expected && digits.length !== expected) {
+      result.errors.push(`Should be ${expected} digits for ${bank}, found ${digits.length}`);
+    }
+
+    result.digits = digits;
+    result.isValid = result.errors.length === 0;
+    return result;
+  },
+
+  /**
+   * Normalize PTKP status ("tk0", "K-1", "TK / 2") to table key ("TK/0", "K/1", ...)
+   * @returns {string|null} Normalized status or null if unknown
+   */
+  normalizePTKPStatus(value) {
+    const match = String(value ?? '').toUpperCase().replace(/\s/g, '').match(/^(TK|K)[/\-_]?([0-3])$/);
+    return match ? `${match[1]}/${match[2]}` : null;
+  },
+
+  /**
+   * Calculate PPh 21 (pasal 17) from monthly gross income
+   * @param {Object} input - { grossMonthly, pensionMonthly, status }
+   * @returns {Object} { ptkp, biayaJabatan, nettoYearly, pkp, yearly, monthly }
+   */
+  calculatePPh21({ grossMonthly, pensionMonthly = 0, status = 'TK/0' }) {
+    const { PTKP, PPH21_BRACKETS, PPH21_DEDUCTIONS } = INDONESIA;
+    const ptkp = PTKP[status] ?? PTKP['TK/0'];
+
+    const biayaJabatan = Math.min(grossMonthly * PPH21_DEDUCTIONS.BIAYA_JABATAN_RATE, PPH21_DEDUCTIONS.BIAYA_JABATAN_MAX);
+    const pension = Math.min(Math.max(pensionMonthly, 0), PPH21_DEDUCTIONS.PENSION_MAX);
+    const nettoYearly = (grossMonthly - biayaJabatan - pension) * 12;
+
+    // PKP dibulatkan ke bawah ke ribuan penuh
+    const pkp = Math.max(0, Math.floor((nettoYearly - ptkp) / 1000) * 1000);
+
+    const yearly = PPH21_BRACKETS.reduce((tax, bracket) => {
+      if (pkp <= bracket.min) return tax;
+      return tax + (Math.min(pkp, bracket.max) - bracket.min) * bracket.rate;
+    }, 0);
+
+    return {
+      ptkp,
+      biayaJabatan,
+      nettoYearly,
+      pkp,
+      yearly: Math.round(yearly),
+      monthly: Math.round(yearly / 12),
+    };
+  },
+
   // ─────────────────────────────────────────────────────────────────────────
   // STATISTICS HELPERS
   // ─────────────────────────────────────────────────────────────────────────
@@ -477,6 +1094,69 @@ module.exports = {
     return 1 - (distance / maxLength);
   },
 
+  /**
+   * Levenshtein distance with early exit: returns maxDistance + 1 as soon as
+   * the distance is known to exceed maxDistance (banded, O(n × maxDistance))
+   */
+  levenshteinWithin(str1, str2, maxDistance) {
+    if (Math.abs(str1.length - str2.length) > maxDistance) return maxDistance + 1;
+    if (str1 === str2) return 0;
+
+    const n = str2.length;
+    let prev = new Array(n + 1);
+    let curr = new Array(n + 1);
+    for (let j = 0; j <= n; j++) prev[j] = j;
+
+    for (let i = 1; i <= str1.length; i++) {
+      const from = Math.max(1, i - maxDistance);
+      const to = Math.min(n, i + maxDistance);
+      curr[0] = i;
+      if (from > 1) curr[from - 1] = maxDistance + 1;
+      let rowMin = curr[0];
+
+      for (let j = from; j <= to; j++) {
+        const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+        curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        if (curr[j] < rowMin) rowMin = curr[j];
+      }
+      if (to < n) curr[to + 1] = maxDistance + 1;
+
+      if (rowMin > maxDistance) return maxDistance + 1;
+      [prev, curr] = [curr, prev];
+    }
+
+    return Math.min(prev[n], maxDistance + 1);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CONFIG FILE HELPERS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Parse a JSON / YAML config (rule, rate and recipe files)
+   * Format from options.format or the .yaml / .yml extension; otherwise text starting with { or [ is JSON,
+   * anything else YAML (JSON is valid YAML anyway).
+   * @param {string|Buffer|Object} input - Text, UTF-8 Buffer, or an already parsed value (returned as is)
+   * @param {Object} options - { fileName, format: 'json' | 'yaml', label: file kind for errors ('rule file') }
+   */
+  parseConfig(input, options = {}) {
+    const text = Buffer.isBuffer(input) ? input.toString('utf-8') : input;
+    if (typeof text !== 'string') return text;
+
+    const ext = path.extname(options.fileName || '').toLowerCase();
+    const format = options.format || (ext === '.yaml' || ext === '.yml' ? 'yaml' : null);
+
+    try {
+      if (format === 'json') return JSON.parse(text);
+      if (format === 'yaml') return yaml.load(text);
+
+      const trimmed = text.trim();
+      return trimmed.startsWith('{') || trimmed.startsWith('[') ? JSON.parse(trimmed) : yaml.load(text);
+    } catch (error) {
+      throw new Error(`Invalid ${options.label || 'config file'}: ${error.message}`);
+    }
+  },
+
   // ─────────────────────────────────────────────────────────────────────────
   // UTILITY HELPERS
   // ─────────────────────────────────────────────────────────────────────────
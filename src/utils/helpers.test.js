@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+test('parseConfig reads JSON and YAML text, Buffers and parsed objects', () => {
+  assert.deepStrictEqual(helpers.parseConfig('{ "a": 1 }'), { a: 1 });
+  assert.deepStrictEqual(helpers.parseConfig('[1, 2]'), [1, 2]);
+  assert.deepStrictEqual(helpers.parseConfig('a: 1\nb: [x, y]'), { a: 1, b: ['x', 'y'] });
+  assert.deepStrictEqual(helpers.parseConfig(Buffer.from('a: 1'), { fileName: 'rules.yml' }), { a: 1 });
+
+  const parsed = { a: 1 };
+  assert.strictEqual(helpers.parseConfig(parsed), parsed);
+});
+
+test('parseConfig names the file kind in errors', () => {
+  assert.throws(() => helpers.parseConfig('{ oops', { label: 'rule file' }), /^Error: Invalid rule file: /);
+  assert.throws(() => helpers.parseConfig('a: [', { format: 'yaml', label: 'recipe file' }), /^Error: Invalid recipe file: /);
+});
+
+test('parseNumber reads Indonesian and US separators, shorthands and accounting negatives', () => {
+  const cases = {
+    '2,5 jt': 2500000,
+    '500rb': 500000,
+    '1,5 M': 1500000000,
+    '(1.250.000)': -1250000,
+    '-Rp 2.000': -2000,
+    'Rp 1.234.567,89': 1234567.89,
+    'Rp 15.000,-': 15000,
+    '1,234.56': 1234.56,
+    'US$ 120.00': 120,
+  };
+  Object.entries(cases).forEach(([value, expected]) => assert.strictEqual(helpers.parseNumber(value), expected, value));
+
+  assert.ok(Number.isNaN(helpers.parseNumber('12abc')));
+  assert.ok(Number.isNaN(helpers.parseNumber('1.23.4')));
+});
+
+test('the column locale decides values like "1.234" that fit both styles', () => {
+  assert.strictEqual(helpers.parseNumber('1.234'), 1234);
+  assert.strictEqual(helpers.parseNumber('1.234', { locale: 'ID' }), 1234);
+  assert.strictEqual(helpers.parseNumber('1.234', { locale: 'US' }), 1.234);
+  assert.strictEqual(helpers.parseNumber('1.234,5', { locale: 'US' }), 1234.5);
+
+  assert.strictEqual(helpers.detectNumberLocale(['1.234', '2.500.000', '3.000']).locale, 'ID');
+  assert.strictEqual(helpers.detectNumberLocale(['1,234', '2,500.75']).locale, 'US');
+  assert.deepStrictEqual(helpers.inferNumberLocale({ either: 2 }), { locale: null, conflicting: false, evidence: { ID: 0, US: 0, either: 2 } });
+  assert.strictEqual(helpers.inferNumberLocale({ either: 2 }, 'ID').locale, 'ID');
+  assert.strictEqual(helpers.inferNumberLocale({ ID: 1, US: 2 }).conflicting, true);
+});
+
+test('parseTime rejects impossible clock times and parseDuration reads Indonesian units', () => {
+  assert.deepStrictEqual(helpers.parseTime('8:15 PM'), { hours: 20, minutes: 15, seconds: 0 });
+  assert.deepStrictEqual(helpers.parseTime('08.15 WITA'), { hours: 8, minutes: 15, seconds: 0 });
+  ['25:10', '08:75', '13:00 PM'].forEach(value => assert.strictEqual(helpers.parseTime(value), null, value));
+
+  assert.strictEqual(helpers.parseDuration('2j 30m'), 9000);
+  assert.strictEqual(helpers.parseDuration('1 jam 15 menit'), 4500);
+  assert.strictEqual(helpers.parseDuration('1,5 jam'), 5400);
+  assert.strictEqual(helpers.parseDuration('26:30'), 95400);
+  assert.strictEqual(helpers.parseDuration('2 jam lebih'), null);
+});
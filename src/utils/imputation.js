@@ -0,0 +1,329 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// IMPUTATION - Fill strategies for missing values, per column
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Spec (JSON), column → strategy name or { strategy, value, groupBy, orderBy }:
+//   {
+//     "Kota":  { "strategy": "constant", "value": "Tidak diketahui" },
+//     "Harga": "median",
+//     "Stok":  { "strategy": "ffill", "groupBy": "Gudang", "orderBy": "Tanggal" },
+//     "Suhu":  { "strategy": "interpolate", "orderBy": "Tanggal" }
+//   }
+//
+// Text form (bot / web): "Kota: constant Tidak diketahui; Harga: median; Stok: ffill group Gudang order Tanggal"
+//
+// groupBy fills within each group (ffill never carries a value into another group),
+// orderBy sorts the rows of a group first (dates / times / numbers).
+
+const helpers = require('./helpers');
+const ruleSchema = require('./ruleSchema');
+
+const STRATEGIES = {
+  constant: 'a fixed value',
+  mean: 'the column mean',
+  median: 'the column median',
+  mode: 'the most frequent value',
+  ffill: 'the previous value',
+  bfill: 'the next value',
+  interpolate: 'linear interpolation',
+};
+
+// Strategies that need numbers
+const NUMERIC = ['mean', 'median', 'interpolate'];
+
+class Imputation {
+  constructor() {
+    this.strategies = Object.keys(STRATEGIES);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // SPEC
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Validate an imputation spec
+   * @param {string|Object} spec - JSON / text form or parsed object (see top of file)
+   * @returns {Object|null} { column: { strategy, value?, groupBy: [], orderBy } }
+   */
+  normalize(spec) {
+    if (spec === undefined || spec === null || spec === '') return null;
+
+    let raw = spec;
+    if (typeof raw === 'string') {
+      raw = raw.trim().startsWith('{') ? this._parseJson(raw) : this._parseText(raw);
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw) || Object.keys(raw).length === 0) {
+      throw new Error('impute must map column names to a strategy, e.g. { "Harga": "median" }');
+    }
+
+    const normalized = {};
+    Object.entries(raw).forEach(([column, def]) => {
+      const config = typeof def === 'string' ? { strategy: def } : def;
+      if (!config || typeof config !== 'object') {
+        throw new Error(`impute for "${column}" must be a strategy name or { strategy, ... }`);
+      }
+
+      const strategy = String(config.strategy || '').toLowerCase();
+      if (!STRATEGIES[strategy]) {
+        throw new Error(`Unknown impute strategy "${config.strategy}" for "${column}". Use: ${this.strategies.join(', ')}`);
+      }
+
+      if (strategy === 'constant' && (config.value === undefined || config.value === null || config.value === '')) {
+        throw new Error(`impute "constant" for "${column}" needs a value`);
+      }
+
+      const groupBy = config.groupBy === undefined ? [] : [].concat(config.groupBy);
+      if (groupBy.some(g => typeof g !== 'string' || !g.trim())) {
+        throw new Error(`impute groupBy for "${column}" must be column names`);
+      }
+
+      if (config.orderBy !== undefined && (typeof config.orderBy !== 'string' || !config.orderBy.trim())) {
+        throw new Error(`impute orderBy for "${column}" must be a column name`);
+      }
+
+      normalized[column] = {
+        strategy,
+        ...(strategy === 'constant' ? { value: config.value } : {}),
+        groupBy: groupBy.map(g => g.trim()),
+        orderBy: config.orderBy ? config.orderBy.trim() : null,
+      };
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Match spec columns to data headers
+   * @returns {Object[]} [{ column, strategy, value, groupBy, orderBy }] with real header names
+   */
+  resolve(spec, headers) {
+    const find = name => {
+      const header = ruleSchema.resolveColumn(headers, name);
+      if (!header) throw new Error(`impute: column "${name}" not found`);
+      return header;
+    };
+
+    return Object.entries(spec).map(([column, config]) => ({
+      ...config,
+      column: find(column),
+      groupBy: config.groupBy.map(find),
+      orderBy: config.orderBy ? find(config.orderBy) : null,
+    }));
+  }
+
+  /**
+   * "the column median (per Gudang, by Tanggal)"
+   */
+  describe(rule) {
+    const base = rule.strategy === 'constant' ? `"${rule.value}"` : STRATEGIES[rule.strategy];
+    const scope = [
+      rule.groupBy?.length ? `per ${rule.groupBy.join(' + ')}` : null,
+      rule.orderBy ? `by ${rule.orderBy}` : null,
+    ].filter(Boolean);
+    return scope.length > 0 ? `${base} (${scope.join(', ')})` : base;
+  }
+
+  isNumeric(strategy) {
+    return NUMERIC.includes(strategy);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // FILL
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Values for the empty cells of rule.column (cells without a usable value are left out)
+   * Numeric results are rounded to the decimals the column already uses.
+   * @param {Object[]} data - Row objects
+   * @returns {Object[]} [{ row, value }]
+   */
+  plan(data, rule) {
+    const { locale } = helpers.detectNumberLocale(data.map(row => row[rule.column]));
+    const toNumber = value => helpers.parseNumber(value, { locale });
+    const fills = [];
+
+    this._groups(data, rule.groupBy).forEach(rows => {
+      const ordered = rule.orderBy ? this._ordered(rows, rule.orderBy) : rows;
+      const known = ordered.filter(row => !helpers.isEmpty(row[rule.column]));
+      const empty = ordered.filter(row => helpers.isEmpty(row[rule.column]));
+      if (empty.length === 0) return;
+
+      const numbers = this.isNumeric(rule.strategy)
+        ? known.map(row => toNumber(row[rule.column])).filter(n => !isNaN(n))
+        : [];
+      const round = value => this._round(value, numbers);
+
+      switch (rule.strategy) {
+        case 'constant':
+          empty.forEach(row => fills.push({ row, value: rule.value }));
+          break;
+
+        case 'mean':
+        case 'median': {
+          if (numbers.length === 0) return;
+          const value = rule.strategy === 'mean'
+            ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length
+            : this._median(numbers);
+          empty.forEach(row => fills.push({ row, value: round(value) }));
+          break;
+        }
+
+        case 'mode': {
+          const value = this._mode(known.map(row => row[rule.column]));
+          if (value !== undefined) empty.forEach(row => fills.push({ row, value }));
+          break;
+        }
+
+        case 'ffill':
+        case 'bfill': {
+          const sequence = rule.strategy === 'ffill' ? ordered : [...ordered].reverse();
+          let last;
+          sequence.forEach(row => {
+            if (!helpers.isEmpty(row[rule.column])) last = row[rule.column];
+            else if (last !== undefined) fills.push({ row, value: last });
+          });
+          break;
+        }
+
+        case 'interpolate':
+          this._interpolate(ordered, rule, toNumber).forEach(fill => fills.push({ ...fill, value: round(fill.value) }));
+          break;
+      }
+    });
+
+    return fills;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid impute JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * "Harga: median; Stok: ffill group Gudang order Tanggal; Kota: constant N/A"
+   */
+  _parseText(text) {
+    const spec = {};
+
+    text.split(/[;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+      const match = part.match(/^(.+?)\s*[:=]\s*(\w+)\s*(.*)$/);
+      if (!match) throw new Error(`Invalid impute entry "${part}". Use "Column: strategy"`);
+
+      const [, column, strategy, rest] = match;
+      if (strategy.toLowerCase() === 'constant') {
+        spec[column.trim()] = { strategy, value: rest.trim() };
+        return;
+      }
+
+      const groupBy = rest.match(/\bgroup\s+(.+?)(?=\s+order\s|$)/i);
+      const orderBy = rest.match(/\border\s+(.+?)(?=\s+group\s|$)/i);
+      spec[column.trim()] = {
+        strategy,
+        ...(groupBy ? { groupBy: groupBy[1].split(',').map(g => g.trim()) } : {}),
+        ...(orderBy ? { orderBy: orderBy[1].trim() } : {}),
+      };
+    });
+
+    return spec;
+  }
+
+  _groups(data, groupBy) {
+    if (!groupBy || groupBy.length === 0) return [data];
+
+    const groups = new Map();
+    data.forEach(row => {
+      const key = groupBy.map(g => String(row[g] ?? '').toLowerCase().trim()).join('|');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Rows sorted by the order column; rows without a readable key keep their place at the end
+   */
+  _ordered(rows, orderBy) {
+    const keyed = rows.map((row, index) => ({ row, index, key: this._orderKey(row[orderBy]) }));
+    return keyed
+      .sort((a, b) => {
+        if (isNaN(a.key) || isNaN(b.key)) return (isNaN(a.key) - isNaN(b.key)) || a.index - b.index;
+        return a.key - b.key || a.index - b.index;
+      })
+      .map(({ row }) => row);
+  }
+
+  _orderKey(value) {
+    if (helpers.isEmpty(value)) return NaN;
+    if (value instanceof Date) return value.getTime();
+
+    const dateTime = helpers.parseDateTime(value) || helpers.parseDate(value);
+    if (dateTime) return dateTime.getTime();
+
+    return helpers.parseNumber(value);
+  }
+
+  /**
+   * Linear interpolation between the nearest known values; x is the order key (time) or the position
+   */
+  _interpolate(ordered, rule, toNumber) {
+    const points = ordered.map((row, index) => {
+      const key = rule.orderBy ? this._orderKey(row[rule.orderBy]) : NaN;
+      return { row, x: isNaN(key) ? index : key, y: toNumber(row[rule.column]) };
+    });
+    const fills = [];
+
+    points.forEach((point, i) => {
+      if (!helpers.isEmpty(point.row[rule.column])) return;
+
+      const before = points.slice(0, i).reverse().find(p => !isNaN(p.y));
+      const after = points.slice(i + 1).find(p => !isNaN(p.y));
+      if (!before || !after) return;
+
+      const ratio = after.x === before.x ? 0.5 : (point.x - before.x) / (after.x - before.x);
+      fills.push({ row: point.row, value: before.y + (after.y - before.y) * ratio });
+    });
+
+    return fills;
+  }
+
+  _median(numbers) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Most frequent value (case / spacing insensitive), first seen wins a tie
+   */
+  _mode(values) {
+    const counts = new Map();
+    values.forEach(value => {
+      const key = String(value).toLowerCase().trim();
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+
+    let best;
+    counts.forEach(entry => {
+      if (!best || entry.count > best.count) best = entry;
+    });
+    return best?.value;
+  }
+
+  _round(value, numbers) {
+    const decimals = Math.min(4, Math.max(0, ...numbers.map(n => (String(n).split('.')[1] || '').length)));
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new Imputation();
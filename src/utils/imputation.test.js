@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const imputation = require('./imputation');
+
+const fill = (data, spec) => {
+  const [rule] = imputation.resolve(imputation.normalize(spec), Object.keys(data[0]));
+  return imputation.plan(data, rule).map(({ row, value }) => [row.No, value]);
+};
+
+const stok = [
+  { No: 1, Gudang: 'A', Tanggal: '03/01/2024', Harga: '1.000', Stok: '' },
+  { No: 2, Gudang: 'B', Tanggal: '01/01/2024', Harga: '', Stok: '20' },
+  { No: 3, Gudang: 'A', Tanggal: '01/01/2024', Harga: '2.000', Stok: '10' },
+  { No: 4, Gudang: 'B', Tanggal: '02/01/2024', Harga: '6.000', Stok: '' },
+  { No: 5, Gudang: 'A', Tanggal: '02/01/2024', Harga: '', Stok: '' },
+];
+
+test('constant, mean, median and mode fill every empty cell', () => {
+  const kota = [{ No: 1, Kota: 'Bandung' }, { No: 2, Kota: '' }, { No: 3, Kota: ' bandung' }, { No: 4, Kota: 'Bogor' }];
+
+  assert.deepStrictEqual(fill(kota, 'Kota: constant Tidak diketahui'), [[2, 'Tidak diketahui']]);
+  assert.deepStrictEqual(fill(kota, { Kota: 'mode' }), [[2, 'Bandung']]);
+  assert.deepStrictEqual(fill(stok, { Harga: 'mean' }), [[2, 3000], [5, 3000]]);
+  assert.deepStrictEqual(fill(stok, { Harga: 'median' }), [[2, 2000], [5, 2000]]);
+});
+
+test('ffill and bfill stay inside their group and follow the order column', () => {
+  assert.deepStrictEqual(fill(stok, 'Stok: ffill group Gudang order Tanggal'), [[5, '10'], [1, '10'], [4, '20']]);
+  assert.deepStrictEqual(fill(stok, 'Stok: bfill group Gudang order Tanggal'), []);
+  assert.deepStrictEqual(fill(stok, { Stok: 'bfill' }), [[1, '20']]);
+});
+
+test('interpolate uses the order column as x and skips open ends', () => {
+  const suhu = [
+    { No: 1, Tanggal: '01/01/2024', Suhu: '20.5' },
+    { No: 2, Tanggal: '02/01/2024', Suhu: '' },
+    { No: 3, Tanggal: '04/01/2024', Suhu: '26.5' },
+    { No: 4, Tanggal: '05/01/2024', Suhu: '' },
+  ];
+
+  assert.deepStrictEqual(fill(suhu, { Suhu: { strategy: 'interpolate', orderBy: 'Tanggal' } }), [[2, 22.5]]);
+  assert.deepStrictEqual(fill(suhu, { Suhu: 'interpolate' }), [[2, 23.5]]);
+});
+
+test('normalize rejects unusable specs with a message naming the column', () => {
+  assert.strictEqual(imputation.normalize(''), null);
+  assert.throws(() => imputation.normalize('{ "Harga": '), /^Error: Invalid impute JSON/);
+  assert.throws(() => imputation.normalize('Harga median'), /Invalid impute entry "Harga median"/);
+  assert.throws(() => imputation.normalize({ Harga: 'average' }), /Unknown impute strategy "average" for "Harga"/);
+  assert.throws(() => imputation.normalize({ Kota: 'constant' }), /impute "constant" for "Kota" needs a value/);
+  assert.throws(() => imputation.normalize({ Stok: { strategy: 'ffill', groupBy: [''] } }), /groupBy for "Stok"/);
+  assert.throws(() => imputation.resolve(imputation.normalize('Gaji: mean'), ['Nama']), /column "Gaji" not found/);
+});
@@ -0,0 +1,90 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// JSON STORE - Simple file-based storage per owner (user / team)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+const fs = require('fs');
+
+class JsonStore {
+  /**
+   * @param {string} namespace - Sub-folder under DATA_DIR (e.g. 'rules')
+   */
+  constructor(namespace) {
+    const baseDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    this.dir = path.join(baseDir, namespace);
+  }
+
+  /**
+   * Save item for owner (overwrites existing item with same name)
+   */
+  save(owner, name, value) {
+    const ownerDir = this._ownerDir(owner);
+    if (!fs.existsSync(ownerDir)) {
+      fs.mkdirSync(ownerDir, { recursive: true });
+    }
+
+    const item = {
+      name,
+      owner,
+      updatedAt: new Date().toISOString(),
+      value,
+    };
+
+    fs.writeFileSync(this._itemPath(owner, name), JSON.stringify(item, null, 2));
+    return item;
+  }
+
+  /**
+   * Get item by name, or null if not found
+   */
+  get(owner, name) {
+    const itemPath = this._itemPath(owner, name);
+    if (!fs.existsSync(itemPath)) return null;
+    return JSON.parse(fs.readFileSync(itemPath, 'utf-8'));
+  }
+
+  /**
+   * List all items of an owner (without values)
+   */
+  list(owner) {
+    const ownerDir = this._ownerDir(owner);
+    if (!fs.existsSync(ownerDir)) return [];
+
+    return fs.readdirSync(ownerDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        const { name, updatedAt } = JSON.parse(fs.readFileSync(path.join(ownerDir, f), 'utf-8'));
+        return { name, updatedAt };
+      });
+  }
+
+  /**
+   * Delete item, returns true if it existed
+   */
+  delete(owner, name) {
+    const itemPath = this._itemPath(owner, name);
+    if (!fs.existsSync(itemPath)) return false;
+    fs.unlinkSync(itemPath);
+    return true;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _safeName(value) {
+    const safe = String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+    if (!safe) throw new Error('Name must contain letters or numbers');
+    return safe;
+  }
+
+  _ownerDir(owner) {
+    return path.join(this.dir, this._safeName(owner));
+  }
+
+  _itemPath(owner, name) {
+    return path.join(this._ownerDir(owner), `${this._safeName(name)}.json`);
+  }
+}
+
+module.exports = JsonStore;
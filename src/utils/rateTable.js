@@ -0,0 +1,144 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// RATE TABLE - Exchange rates for converting money columns to one currency
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Rates are base-currency units per 1 unit of the currency.
+//
+// Example (YAML):
+//   name: Kurs Mei 2024
+//   base: IDR
+//   rates:
+//     USD: 15800
+//     SGD: 11700
+//     EUR: 17100
+//
+// CSV: one "currency,rate" pair per line (header row optional, "base,IDR" sets the base)
+
+const path = require('path');
+const { INDONESIA } = require('./constants');
+const helpers = require('./helpers');
+
+class RateTable {
+  // ─────────────────────────────────────────────────────────────────────────
+  // LOAD
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Load and validate a rate table
+   * @param {string|Buffer|Object} input - Raw JSON/YAML/CSV text or parsed object
+   * @param {Object} options - { fileName, format: 'json' | 'yaml' | 'csv' }
+   * @returns {Object} Normalized table { name, base, rates: { USD: 15800, IDR: 1 }, source }
+   */
+  load(input, options = {}) {
+    let raw = Buffer.isBuffer(input) ? input.toString('utf-8') : input;
+
+    if (typeof raw === 'string') {
+      raw = this._isCsv(raw, options) ? this._parseCsv(raw) : helpers.parseConfig(raw, { ...options, label: 'rate file' });
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Rate table must be an object with "rates"');
+    }
+
+    const base = this._code(raw.base || INDONESIA.CURRENCY, 'base');
+    const rates = { [base]: 1 };
+
+    if (!raw.rates || typeof raw.rates !== 'object' || Array.isArray(raw.rates)) {
+      throw new Error('Rate table needs a "rates" map, e.g. { USD: 15800 }');
+    }
+
+    Object.entries(raw.rates).forEach(([currency, value]) => {
+      const code = this._code(currency, 'rates');
+      const rate = typeof value === 'number' ? value : helpers.parseNumber(value);
+      if (!(rate > 0)) throw new Error(`Rate for ${code} must be a positive number`);
+      if (code !== base) rates[code] = rate;
+    });
+
+    if (Object.keys(rates).length < 2) {
+      throw new Error('Rate table defines no rates besides the base currency');
+    }
+
+    return {
+      name: raw.name || options.fileName || `Rates to ${base}`,
+      base,
+      rates,
+      source: { ...(raw.name ? { name: raw.name } : {}), base, rates: { ...raw.rates } },
+    };
+  }
+
+  /**
+   * Check whether a file name looks like a rate file
+   */
+  isRateFile(fileName) {
+    return ['.json', '.yaml', '.yml', '.csv'].includes(path.extname(fileName || '').toLowerCase());
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CONVERSION
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Convert an amount to the table's base currency
+   * @returns {number|null} null when the table has no rate for the currency
+   */
+  convert(amount, currency, table) {
+    if (currency === table.base) return amount;
+    const rate = table.rates[currency];
+    return rate ? amount * rate : null;
+  }
+
+  /**
+   * Currencies (ISO codes) the table cannot convert
+   */
+  missingRates(codes, table) {
+    return codes.filter(code => !table.rates[code]);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * CSV by format / extension; text of unknown format is CSV unless it is a JSON object or a YAML map
+   */
+  _isCsv(text, options) {
+    const ext = path.extname(options.fileName || '').toLowerCase();
+    const format = options.format || (ext === '.csv' ? 'csv' : ext === '.yaml' || ext === '.yml' ? 'yaml' : null);
+    if (format) return format === 'csv';
+
+    const trimmed = text.trim();
+    return !trimmed.startsWith('{') && !trimmed.includes(':');
+  }
+
+  /**
+   * "USD,15800" lines → { base, rates }
+   */
+  _parseCsv(text) {
+    const table = { rates: {} };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+      const [key, value] = line.split(/[,;\t]/).map(part => (part || '').trim().replace(/^"|"$/g, ''));
+      if (!key || value === undefined || value === '') return;
+
+      if (key.toLowerCase() === 'base') {
+        table.base = value;
+      } else if (helpers.currencyCode(key) || /^[A-Za-z]{3}$/.test(key)) {
+        // Header rows ("currency,rate") have no numeric rate and are skipped
+        if (!isNaN(helpers.parseNumber(value))) table.rates[key] = value;
+      }
+    });
+
+    return table;
+  }
+
+  /**
+   * Symbol or ISO code → ISO code ('US$' → 'USD', 'chf' → 'CHF')
+   */
+  _code(value, field) {
+    const code = helpers.currencyCode(value) || (/^[A-Za-z]{3}$/.test(String(value).trim()) ? String(value).trim().toUpperCase() : null);
+    if (!code) throw new Error(`Unknown currency "${value}" in ${field}`);
+    return code;
+  }
+}
+
+module.exports = new RateTable();
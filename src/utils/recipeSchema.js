@@ -0,0 +1,152 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// RECIPE SCHEMA - Load & validate cleaning recipes (JSON / YAML)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// A recipe is an ordered list of cleaner steps, run top to bottom.
+//
+// Example (JSON):
+//   {
+//     "name": "Supplier mingguan",
+//     "steps": [
+//       "trim",
+//       { "op": "dedupe", "columns": ["Kode", "Tanggal"] },
+//       { "op": "dates", "format": "YYYY-MM-DD", "columns": ["Tanggal"] },
+//       { "op": "textCase", "case": "title", "columns": ["Nama"] },
+//       { "op": "dropColumns", "columns": ["Catatan"] }
+//     ]
+//   }
+
+const path = require('path');
+const helpers = require('./helpers');
+
+const DATE_FORMATS = ['DD-MMM-YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD', 'DD MMMM YYYY'];
+const TEXT_CASES = ['title', 'upper', 'lower', 'sentence'];
+
+// Step operations → allowed parameters (columns omitted = every column of the right type)
+const OPERATIONS = {
+  trim: { params: ['columns'], description: 'Trim whitespace' },
+  removeEmpty: { params: [], description: 'Remove empty rows' },
+  dedupe: { params: ['columns'], description: 'Remove duplicate rows (on key columns)' },
+  dates: { params: ['columns', 'format'], description: 'Standardize dates' },
+  numbers: { params: ['columns'], description: 'Standardize numbers' },
+  phones: { params: ['columns'], description: 'Standardize phone numbers' },
+  emails: { params: ['columns'], description: 'Fix email formatting' },
+  textCase: { params: ['columns', 'case'], required: ['case'], description: 'Change text case' },
+  dropColumns: { params: ['columns'], required: ['columns'], description: 'Drop columns' },
+};
+
+class RecipeSchema {
+  constructor() {
+    this.operations = OPERATIONS;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // LOAD
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Load and validate a recipe
+   * @param {string|Buffer|Object} input - Raw JSON/YAML text or parsed object
+   * @param {Object} options - { fileName, format: 'json' | 'yaml' }
+   * @returns {Object} Normalized recipe { name, description, steps: [{ op, ... }], source }
+   */
+  load(input, options = {}) {
+    let raw = helpers.parseConfig(input, { ...options, label: 'recipe file' });
+
+    // A bare list of steps is a recipe too
+    if (Array.isArray(raw)) raw = { steps: raw };
+
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('Recipe must be an object with "steps"');
+    }
+
+    if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+      throw new Error('Recipe needs a non-empty "steps" list');
+    }
+
+    const name = String(raw.name || options.name || path.basename(options.fileName || '', path.extname(options.fileName || '')) || 'Custom recipe');
+    const steps = raw.steps.map((step, index) => this._normalizeStep(step, index));
+    const description = raw.description ? String(raw.description) : undefined;
+
+    return {
+      name,
+      description,
+      steps,
+      // Serializable form for storage / export
+      source: { name, ...(description ? { description } : {}), steps },
+    };
+  }
+
+  /**
+   * Check whether a file name looks like a recipe file
+   */
+  isRecipeFile(fileName) {
+    return ['.json', '.yaml', '.yml'].includes(path.extname(fileName || '').toLowerCase());
+  }
+
+  /**
+   * One-line description of a step ("Change text case (title): Nama")
+   */
+  describeStep(step) {
+    const detail = step.format || step.case;
+    return `${OPERATIONS[step.op].description}${detail ? ` (${detail})` : ''}${step.columns ? `: ${step.columns.join(', ')}` : ''}`;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // NORMALIZATION
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _normalizeStep(def, index) {
+    const label = `Step ${index + 1}`;
+    const raw = typeof def === 'string' ? { op: def } : def;
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`${label} must be an operation name or { op, ... }`);
+    }
+
+    const operation = OPERATIONS[raw.op];
+    if (!operation) {
+      throw new Error(`${label}: unknown operation "${raw.op}". Use: ${Object.keys(OPERATIONS).join(', ')}`);
+    }
+
+    const unknown = Object.keys(raw).filter(k => k !== 'op' && !operation.params.includes(k));
+    if (unknown.length > 0) {
+      throw new Error(`${label} (${raw.op}): unknown parameter(s) ${unknown.join(', ')}`);
+    }
+
+    const missing = (operation.required || []).filter(k => raw[k] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${label} (${raw.op}): "${missing.join('", "')}" is required`);
+    }
+
+    const step = { op: raw.op };
+
+    if (raw.columns !== undefined) {
+      const columns = Array.isArray(raw.columns) ? raw.columns : [raw.columns];
+      if (columns.length === 0 || columns.some(c => typeof c !== 'string' || !c.trim())) {
+        throw new Error(`${label} (${raw.op}): "columns" must be a list of column names`);
+      }
+      step.columns = columns.map(c => c.trim());
+    }
+
+    if (raw.format !== undefined) {
+      const format = String(raw.format).toUpperCase();
+      if (!DATE_FORMATS.includes(format)) {
+        throw new Error(`${label} (${raw.op}): date format must be one of ${DATE_FORMATS.join(', ')}`);
+      }
+      step.format = format;
+    }
+
+    if (raw.case !== undefined) {
+      const textCase = String(raw.case).toLowerCase();
+      if (!TEXT_CASES.includes(textCase)) {
+        throw new Error(`${label} (${raw.op}): case must be one of ${TEXT_CASES.join(', ')}`);
+      }
+      step.case = textCase;
+    }
+
+    return step;
+  }
+}
+
+module.exports = new RecipeSchema();
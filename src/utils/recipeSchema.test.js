@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const recipeSchema = require('./recipeSchema');
+
+test('recipes load from YAML or a bare step list and normalize string steps', () => {
+  const recipe = recipeSchema.load('name: Supplier mingguan\nsteps:\n  - trim\n  - op: dates\n    format: YYYY-MM-DD\n    columns: [Tanggal]\n');
+
+  assert.strictEqual(recipe.name, 'Supplier mingguan');
+  assert.deepStrictEqual(recipe.steps, [{ op: 'trim' }, { op: 'dates', format: 'YYYY-MM-DD', columns: ['Tanggal'] }]);
+  assert.deepStrictEqual(recipe.source, { name: 'Supplier mingguan', steps: recipe.steps });
+  assert.strictEqual(recipeSchema.describeStep(recipe.steps[1]), 'Standardize dates (YYYY-MM-DD): Tanggal');
+
+  assert.strictEqual(recipeSchema.load(['trim', 'removeEmpty'], { fileName: 'harian.json' }).name, 'harian');
+});
+
+test('invalid steps are rejected with the step number', () => {
+  assert.throws(() => recipeSchema.load({ steps: [] }), /^Error: Recipe needs a non-empty "steps" list/);
+  assert.throws(() => recipeSchema.load({ steps: ['sort'] }), /^Error: Step 1: unknown operation "sort". Use: trim, /);
+  assert.throws(() => recipeSchema.load({ steps: ['trim', { op: 'textCase' }] }), /Step 2 \(textCase\): "case" is required/);
+  assert.throws(() => recipeSchema.load({ steps: [{ op: 'removeEmpty', columns: ['Nama'] }] }), /Step 1 \(removeEmpty\): unknown parameter\(s\) columns/);
+});
@@ -0,0 +1,249 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// RECORD READER - JSON, NDJSON & row-based XML to spreadsheet rows
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Every reader returns an array of arrays (header row first) so the result
+// goes through the same table detection, type detection and stats as Excel.
+//
+//   JSON:   [{...}, {...}]  or  { "data": [{...}] }  or  [[header...], [row...]]
+//   NDJSON: one object per line
+//   XML:    <rows><row><Nama>Budi</Nama>...</row>...</rows>  (attributes count as fields)
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class RecordReader {
+  // ─────────────────────────────────────────────────────────────────────────
+  // READERS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Read a JSON document (array of objects / arrays, or object holding one)
+   */
+  readJSON(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(this._stripBom(text));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (parsed && !Array.isArray(parsed) && typeof parsed === 'object') {
+      // { "data": [...] } - use the first list of records
+      const list = Object.values(parsed).find(v => Array.isArray(v) && v.length > 0 && typeof v[0] === 'object');
+      parsed = list || [parsed];
+    }
+
+    if (!Array.isArray(parsed)) {
+      throw new Error('JSON must contain a list of records');
+    }
+
+    // Already rows: [["Nama", "Kota"], ["Budi", "Bogor"]]
+    if (parsed.length > 0 && parsed.every(Array.isArray)) {
+      return parsed.map(row => row.map(v => this._cellValue(v)));
+    }
+
+    return this.toRows(parsed);
+  }
+
+  /**
+   * Read newline-delimited JSON (one record per line)
+   */
+  readNDJSON(text) {
+    const records = [];
+
+    this._stripBom(text).split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return this.toRows(records);
+  }
+
+  /**
+   * Read row-based XML: the repeated child elements of the root are the rows
+   */
+  readXML(text) {
+    const root = this._parseXml(this._stripBom(text));
+    if (!root) throw new Error('XML has no root element');
+
+    // Descend through wrappers (<export><rows><row/>...</rows></export>)
+    let container = root;
+    while (container.children.length === 1 && container.children[0].children.length > 0) {
+      container = container.children[0];
+    }
+
+    // Rows = most common child element name
+    const counts = {};
+    container.children.forEach(c => { counts[c.name] = (counts[c.name] || 0) + 1; });
+    const rowName = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    if (!rowName) throw new Error('XML has no row elements');
+
+    const records = container.children
+      .filter(c => c.name === rowName)
+      .map(node => this._xmlRecord(node));
+
+    return this.toRows(records);
+  }
+
+  /**
+   * Records → rows; headers are the union of keys in first-seen order
+   */
+  toRows(records) {
+    const flat = records
+      .filter(r => r !== null && r !== undefined)
+      .map(r => this._flatRecord(r));
+
+    const headers = [];
+    const seen = new Set();
+    flat.forEach(record => Object.keys(record).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    }));
+
+    return [headers, ...flat.map(record => headers.map(h => this._cellValue(record[h])))];
+  }
+
+  /**
+   * One record as a row for known headers (keys outside the headers are dropped)
+   */
+  recordValues(record, headers) {
+    const flat = this._flatRecord(record);
+    return headers.map(h => this._cellValue(flat[h]));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // XML
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _parseXml(text) {
+    const body = text
+      .replace(/<\?[\s\S]*?\?>/g, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '');
+
+    const document = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [document];
+    const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = token.exec(body)) !== null) {
+      const [, cdata, closing, name, attrText, selfClosing, text] = match;
+      const current = stack[stack.length - 1];
+
+      if (cdata !== undefined) {
+        current.text += cdata;
+      } else if (text !== undefined) {
+        current.text += this._decodeEntities(text);
+      } else if (closing) {
+        if (current.name !== name) throw new Error(`Invalid XML: unexpected </${name}>`);
+        stack.pop();
+      } else {
+        const node = { name, attrs: this._xmlAttributes(attrText), children: [], text: '' };
+        current.children.push(node);
+        if (!selfClosing) stack.push(node);
+      }
+    }
+
+    if (stack.length > 1) throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+    return document.children[0] || null;
+  }
+
+  _xmlAttributes(attrText) {
+    const attrs = {};
+    const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(attrText || '')) !== null) {
+      attrs[match[1]] = this._decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attrs;
+  }
+
+  /**
+   * Row element → record (attributes + child elements, nested children as "Parent.Child")
+   */
+  _xmlRecord(node, prefix = '', record = {}) {
+    Object.entries(node.attrs).forEach(([key, value]) => {
+      record[`${prefix}${key}`] = value;
+    });
+
+    // <item>Budi</item> - text-only rows
+    if (node.children.length === 0) {
+      if (node.text.trim()) record[node.name] = node.text.trim();
+      return record;
+    }
+
+    node.children.forEach(child => {
+      const key = `${prefix}${child.name}`;
+      if (child.children.length > 0) {
+        this._xmlRecord(child, `${key}.`, record);
+        return;
+      }
+
+      Object.entries(child.attrs).forEach(([attr, value]) => {
+        record[`${key}.${attr}`] = value;
+      });
+
+      // Repeated elements (<Tag>a</Tag><Tag>b</Tag>) are joined
+      const text = child.text.trim();
+      record[key] = record[key] !== undefined && record[key] !== '' ? `${record[key]}; ${text}` : text;
+    });
+
+    return record;
+  }
+
+  _decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(point);
+      }
+      return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * { alamat: { kota: 'Bogor' } } → { 'alamat.kota': 'Bogor' }
+   */
+  _flatten(obj, prefix = '', out = {}) {
+    Object.entries(obj).forEach(([key, value]) => {
+      const name = `${prefix}${key}`;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        this._flatten(value, `${name}.`, out);
+      } else {
+        out[name] = value;
+      }
+    });
+    return out;
+  }
+
+  _flatRecord(record) {
+    return record && typeof record === 'object' && !Array.isArray(record) ? this._flatten(record) : { value: record };
+  }
+
+  _cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+      return value.every(v => v === null || typeof v !== 'object')
+        ? value.filter(v => v !== null).join('; ')
+        : JSON.stringify(value);
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  _stripBom(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  }
+}
+
+module.exports = new RecordReader();
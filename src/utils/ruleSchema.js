@@ -0,0 +1,190 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// RULE SCHEMA - Load & validate declarative validation rules (JSON / YAML)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Example (YAML):
+//   name: Customer master
+//   columns:
+//     Email:    { required: true, unique: true, regex: '^[^@]+@corp\.co\.id$' }
+//     Qty:      { min: 0, max: 1000 }
+//     Status:   { allowed: [Active, Inactive] }
+//     Tanggal:  { dateMin: '2020-01-01', dateMax: today }
+//   rules:
+//     - name: Total matches
+//       expression: Total == Qty * [Unit Price]
+//       severity: critical
+
+const path = require('path');
+const { SEVERITY } = require('./constants');
+const helpers = require('./helpers');
+const expression = require('./expression');
+
+const COLUMN_KEYS = ['required', 'unique', 'regex', 'min', 'max', 'allowed', 'dateMin', 'dateMax', 'severity', 'message'];
+
+class RuleSchema {
+  // ─────────────────────────────────────────────────────────────────────────
+  // LOAD
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Load and validate a rule schema
+   * @param {string|Buffer|Object} input - Raw JSON/YAML text or parsed object
+   * @param {Object} options - { fileName, format: 'json' | 'yaml' }
+   * @returns {Object} Normalized schema { name, source, columns: [], rules: [] }
+   */
+  load(input, options = {}) {
+    const raw = helpers.parseConfig(input, { ...options, label: 'rule file' });
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Rule schema must be an object with "columns" and/or "rules"');
+    }
+
+    const schema = {
+      name: raw.name || options.fileName || 'Custom rules',
+      source: raw,
+      columns: this._normalizeColumns(raw.columns),
+      rules: this._normalizeRules(raw.rules),
+    };
+
+    if (schema.columns.length === 0 && schema.rules.length === 0) {
+      throw new Error('Rule schema defines no column rules or expressions');
+    }
+
+    return schema;
+  }
+
+  /**
+   * Check whether a file name looks like a rule file
+   */
+  isRuleFile(fileName) {
+    return ['.json', '.yaml', '.yml'].includes(path.extname(fileName || '').toLowerCase());
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // RESOLUTION HELPERS (used by Analyzer)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Find the data header for a rule column name.
+   * Matches exact, case-insensitive, or the FileParser-cleaned form ("Unit Price" → "Unit_Price").
+   */
+  resolveColumn(headers, name) {
+    if (headers.includes(name)) return name;
+
+    const cleaned = this._cleanName(name);
+    return headers.find(h => h.toLowerCase() === String(name).toLowerCase()) ||
+           headers.find(h => this._cleanName(h) === cleaned) ||
+           null;
+  }
+
+  /**
+   * Resolve a date bound ('today', ISO string, Excel serial) to a Date
+   */
+  resolveDateBound(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (String(value).toLowerCase() === 'today') {
+      const now = new Date();
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
+    }
+    return helpers.parseDate(value instanceof Date ? value : String(value));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // NORMALIZATION
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _normalizeColumns(columns) {
+    if (!columns) return [];
+
+    // Accept map { Column: {...} } or array [{ column: 'Column', ... }]
+    const entries = Array.isArray(columns)
+      ? columns.map(c => [c?.column, c])
+      : Object.entries(columns);
+
+    return entries.map(([column, def]) => {
+      if (!column) throw new Error('Every column rule needs a column name');
+      if (!def || typeof def !== 'object') throw new Error(`Rules for column "${column}" must be an object`);
+
+      const unknown = Object.keys(def).filter(k => k !== 'column' && !COLUMN_KEYS.includes(k));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown rule(s) for column "${column}": ${unknown.join(', ')}`);
+      }
+
+      const rule = { column: String(column) };
+
+      if (def.required !== undefined) rule.required = Boolean(def.required);
+      if (def.unique !== undefined) rule.unique = Boolean(def.unique);
+
+      if (def.regex !== undefined) {
+        try {
+          rule.regex = new RegExp(def.regex);
+        } catch (error) {
+          throw new Error(`Invalid regex for column "${column}": ${error.message}`);
+        }
+      }
+
+      ['min', 'max'].forEach(key => {
+        if (def[key] === undefined) return;
+        const num = helpers.parseNumber(def[key]);
+        if (isNaN(num)) throw new Error(`"${key}" for column "${column}" must be a number`);
+        rule[key] = num;
+      });
+
+      if (def.allowed !== undefined) {
+        if (!Array.isArray(def.allowed)) throw new Error(`"allowed" for column "${column}" must be a list`);
+        rule.allowed = def.allowed.map(v => String(v));
+      }
+
+      ['dateMin', 'dateMax'].forEach(key => {
+        if (def[key] === undefined) return;
+        if (!this.resolveDateBound(def[key])) throw new Error(`"${key}" for column "${column}" is not a valid date`);
+        rule[key] = def[key] instanceof Date ? def[key].toISOString().slice(0, 10) : def[key];
+      });
+
+      if (def.severity !== undefined) rule.severity = this._normalizeSeverity(def.severity, `column "${column}"`);
+      if (def.message !== undefined) rule.message = String(def.message);
+
+      return rule;
+    });
+  }
+
+  _normalizeRules(rules) {
+    if (!rules) return [];
+    if (!Array.isArray(rules)) throw new Error('"rules" must be a list of expressions');
+
+    return rules.map((def, index) => {
+      const source = typeof def === 'string' ? def : def?.expression;
+      const name = def?.name || `Rule ${index + 1}`;
+
+      let compiled;
+      try {
+        compiled = expression.compile(source);
+      } catch (error) {
+        throw new Error(`Invalid expression in "${name}": ${error.message}`);
+      }
+
+      return {
+        name,
+        expression: source,
+        compiled,
+        message: def?.message,
+        severity: def?.severity ? this._normalizeSeverity(def.severity, `"${name}"`) : undefined,
+        skipEmpty: def?.skipEmpty !== false,
+      };
+    });
+  }
+
+  _normalizeSeverity(value, context) {
+    const severity = String(value).toLowerCase();
+    if (!Object.values(SEVERITY).includes(severity)) {
+      throw new Error(`Invalid severity "${value}" for ${context}. Use: ${Object.values(SEVERITY).join(', ')}`);
+    }
+    return severity;
+  }
+
+  _cleanName(name) {
+    return String(name).trim().replace(/[^\w\s]/g, '_').replace(/\s+/g, '_').toLowerCase();
+  }
+}
+
+module.exports = new RuleSchema();
@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SURVIVORSHIP - Merge a group of duplicate rows into one golden record
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Each column takes its value from the group by a rule:
+//   complete - the most complete row (most filled cells) that has a value
+//   recent   - the row with the latest date in the "by" column
+//   frequent - the most frequent value in the group
+//   source   - the row whose "by" column (source system) comes first in "prefer"
+// When a rule cannot decide (no dates, no preferred source) the most complete row wins.
+//
+// Spec (JSON):
+//   {
+//     "default": "complete",
+//     "columns": {
+//       "Email":  { "rule": "recent", "by": "Diperbarui" },
+//       "Alamat": { "rule": "source", "by": "Sumber", "prefer": ["CRM", "ERP"] },
+//       "Segmen": "frequent"
+//     }
+//   }
+//
+// Text form (bot / web): "*: complete; Email: recent by Diperbarui; Alamat: source by Sumber prefer CRM, ERP"
+
+const helpers = require('./helpers');
+const ruleSchema = require('./ruleSchema');
+
+const RULES = {
+  complete: 'most complete',
+  recent: 'most recent',
+  frequent: 'most frequent',
+  source: 'preferred source',
+};
+
+class Survivorship {
+  constructor() {
+    this.rules = Object.keys(RULES);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // SPEC
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Validate a survivorship spec
+   * @param {string|Object|boolean} spec - JSON / text form, parsed object, or true (most complete everywhere)
+   * @returns {Object|null} { default: { rule, by, prefer }, columns: { column: { rule, by, prefer } } }
+   */
+  normalize(spec) {
+    if (spec === undefined || spec === null || spec === '' || spec === false) return null;
+    if (spec === true) return { default: { rule: 'complete', by: null, prefer: [] }, columns: {} };
+
+    let raw = spec;
+    if (typeof raw === 'string') {
+      raw = raw.trim().startsWith('{') ? this._parseJson(raw) : this._parseText(raw);
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('merge must be { default, columns: { column: rule } }, e.g. { "default": "complete" }');
+    }
+
+    if (raw.columns !== undefined && (!raw.columns || typeof raw.columns !== 'object' || Array.isArray(raw.columns))) {
+      throw new Error('merge columns must map column names to a rule');
+    }
+
+    const columns = {};
+    Object.entries(raw.columns || {}).forEach(([column, def]) => {
+      columns[column] = this._normalizeRule(def, column);
+    });
+
+    return {
+      default: this._normalizeRule(raw.default || 'complete', 'default'),
+      columns,
+    };
+  }
+
+  /**
+   * Match spec columns to data headers
+   * @returns {Object} { default, columns } with real header names
+   */
+  resolve(spec, headers) {
+    const find = name => {
+      const header = ruleSchema.resolveColumn(headers, name);
+      if (!header) throw new Error(`merge: column "${name}" not found`);
+      return header;
+    };
+    const resolveRule = rule => ({ ...rule, by: rule.by ? find(rule.by) : null });
+
+    const columns = {};
+    Object.entries(spec.columns).forEach(([column, rule]) => {
+      columns[find(column)] = resolveRule(rule);
+    });
+
+    return { default: resolveRule(spec.default), columns };
+  }
+
+  /**
+   * "most complete; Email: most recent (Diperbarui); Alamat: preferred source (CRM > ERP)"
+   */
+  describe(spec) {
+    const label = rule => {
+      const detail = rule.rule === 'source' ? rule.prefer.join(' > ') : rule.by;
+      return detail ? `${RULES[rule.rule]} (${detail})` : RULES[rule.rule];
+    };
+
+    return [
+      label(spec.default),
+      ...Object.entries(spec.columns).map(([column, rule]) => `${column}: ${label(rule)}`),
+    ].join('; ');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // MERGE
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Golden record of a group of rows
+   * @param {Object[]} rows - Rows of one duplicate group
+   * @param {string[]} headers - Columns to merge
+   * @param {Object} spec - Resolved spec (see resolve)
+   * @returns {Object} { survivor (row kept, ranked first by the default rule), values: { column: value },
+   *   sources: { column: _rowIndex the value came from } }
+   */
+  merge(rows, headers, spec) {
+    const survivor = this._rank(rows, headers, spec.default)[0];
+    const values = {};
+    const sources = {};
+
+    headers.forEach(header => {
+      const rule = spec.columns[header] || spec.default;
+      const withValue = rows.filter(row => !helpers.isEmpty(row[header]));
+      if (withValue.length === 0) return;
+
+      const source = rule.rule === 'frequent'
+        ? this._mostFrequent(withValue, header, headers)
+        : this._rank(withValue, headers, rule)[0];
+
+      values[header] = source[header];
+      sources[header] = source._rowIndex;
+    });
+
+    return { survivor, values, sources };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  _normalizeRule(def, column) {
+    const config = typeof def === 'string' ? { rule: def } : def;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`merge rule for "${column}" must be a rule name or { rule, ... }`);
+    }
+
+    const rule = String(config.rule || '').toLowerCase();
+    if (!RULES[rule]) {
+      throw new Error(`Unknown merge rule "${config.rule}" for "${column}". Use: ${this.rules.join(', ')}`);
+    }
+
+    if (['recent', 'source'].includes(rule) && (typeof config.by !== 'string' || !config.by.trim())) {
+      throw new Error(`merge rule "${rule}" for "${column}" needs "by" (the ${rule === 'recent' ? 'date' : 'source'} column)`);
+    }
+
+    const prefer = config.prefer === undefined ? [] : [].concat(config.prefer).map(p => String(p).trim()).filter(Boolean);
+    if (rule === 'source' && prefer.length === 0) {
+      throw new Error(`merge rule "source" for "${column}" needs "prefer" (source names, best first)`);
+    }
+
+    return {
+      rule,
+      by: ['recent', 'source'].includes(rule) ? config.by.trim() : null,
+      prefer: rule === 'source' ? prefer : [],
+    };
+  }
+
+  _parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid merge JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * "*: complete; Email: recent by Diperbarui; Alamat: source by Sumber prefer CRM, ERP"
+   */
+  _parseText(text) {
+    const spec = { columns: {} };
+
+    text.split(/[;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+      const match = part.match(/^(.+?)\s*[:=]\s*(\w+)\s*(.*)$/);
+      if (!match) throw new Error(`Invalid merge entry "${part}". Use "Column: rule"`);
+
+      const [, column, rule, rest] = match;
+      const by = rest.match(/\bby\s+(.+?)(?=\s+prefer\s|$)/i);
+      const prefer = rest.match(/\bprefer\s+(.+?)(?=\s+by\s|$)/i);
+      const def = {
+        rule,
+        ...(by ? { by: by[1].trim() } : {}),
+        ...(prefer ? { prefer: prefer[1].split(',').map(p => p.trim()) } : {}),
+      };
+
+      if (['*', 'default'].includes(column.trim().toLowerCase())) spec.default = def;
+      else spec.columns[column.trim()] = def;
+    });
+
+    return spec;
+  }
+
+  /**
+   * Rows best first for a rule; ties go to the most complete row, then the earliest
+   */
+  _rank(rows, headers, rule) {
+    const keyed = rows.map(row => ({
+      row,
+      filled: headers.filter(h => !helpers.isEmpty(row[h])).length,
+      key: this._ruleKey(row, rule),
+    }));
+
+    return keyed
+      .sort((a, b) => (a.key - b.key) || (b.filled - a.filled) || (a.row._rowIndex - b.row._rowIndex))
+      .map(({ row }) => row);
+  }
+
+  /**
+   * Sort key of a row for a rule (lower is better)
+   */
+  _ruleKey(row, rule) {
+    if (rule.rule === 'recent') {
+      const time = this._time(row[rule.by]);
+      return isNaN(time) ? Infinity : -time;
+    }
+
+    if (rule.rule === 'source') {
+      const source = String(row[rule.by] ?? '').toLowerCase().trim();
+      const index = rule.prefer.findIndex(p => p.toLowerCase() === source);
+      return index === -1 ? rule.prefer.length : index;
+    }
+
+    return 0;
+  }
+
+  _time(value) {
+    if (helpers.isEmpty(value)) return NaN;
+
+    const date = helpers.parseDateTime(value) || helpers.parseDate(value);
+    return date ? date.getTime() : helpers.parseNumber(value);
+  }
+
+  /**
+   * Row holding the most frequent value (case / spacing insensitive); a tie goes to the most complete row
+   */
+  _mostFrequent(rows, header, headers) {
+    const normalize = value => String(value).toLowerCase().trim();
+    const counts = new Map();
+    rows.forEach(row => {
+      const key = normalize(row[header]);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const best = Math.max(...counts.values());
+    const candidates = rows.filter(row => counts.get(normalize(row[header])) === best);
+    return this._rank(candidates, headers, { rule: 'complete' })[0];
+  }
+}
+
+module.exports = new Survivorship();
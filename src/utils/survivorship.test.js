@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const survivorship = require('./survivorship');
+
+const headers = ['Nama', 'Email', 'Kota', 'Sumber', 'Diperbarui'];
+const group = [
+  { _rowIndex: 2, Nama: 'Andi Wijaya', Email: 'andi@lama.com', Kota: 'Bandung', Sumber: 'ERP', Diperbarui: '01/01/2024' },
+  { _rowIndex: 3, Nama: 'Andi W.', Email: 'andi@baru.com', Kota: 'Jakarta', Sumber: 'CRM', Diperbarui: '15/03/2024' },
+  { _rowIndex: 4, Nama: 'Andy Wijaya', Email: '', Kota: ' bandung', Sumber: 'Excel', Diperbarui: '10/02/2024' },
+];
+
+const merge = spec => survivorship.merge(group, headers, survivorship.resolve(survivorship.normalize(spec), headers));
+
+test('text and JSON specs normalize to the same rules', () => {
+  const text = survivorship.normalize('*: complete; Email: recent by Diperbarui; Kota: frequent; Alamat: source by Sumber prefer CRM, ERP');
+  const json = survivorship.normalize(JSON.stringify({
+    default: 'complete',
+    columns: { Email: { rule: 'recent', by: 'Diperbarui' }, Kota: 'frequent', Alamat: { rule: 'source', by: 'Sumber', prefer: ['CRM', 'ERP'] } },
+  }));
+
+  assert.deepStrictEqual(text, json);
+  assert.strictEqual(survivorship.describe(text), 'most complete; Email: most recent (Diperbarui); Kota: most frequent; Alamat: preferred source (CRM > ERP)');
+  assert.deepStrictEqual(survivorship.normalize(true), { default: { rule: 'complete', by: null, prefer: [] }, columns: {} });
+  assert.strictEqual(survivorship.normalize(''), null);
+});
+
+test('each column takes its value from the row its rule picks', () => {
+  const { survivor, values, sources } = merge('*: complete; Email: recent by Diperbarui; Kota: frequent; Nama: source by Sumber prefer CRM, ERP');
+
+  // Rows 2 and 3 are equally complete: the earliest survives
+  assert.strictEqual(survivor._rowIndex, 2);
+  assert.deepStrictEqual(values, {
+    Nama: 'Andi W.', Email: 'andi@baru.com', Kota: 'Bandung', Sumber: 'ERP', Diperbarui: '01/01/2024',
+  });
+  assert.deepStrictEqual(sources, { Nama: 3, Email: 3, Kota: 2, Sumber: 2, Diperbarui: 2 });
+});
+
+test('a recent survivor with no value falls back to the latest row that has one', () => {
+  const { survivor, values, sources } = merge('*: recent by Diperbarui');
+
+  assert.strictEqual(survivor._rowIndex, 3);
+  assert.strictEqual(values.Email, 'andi@baru.com');
+  assert.deepStrictEqual(Object.values(sources), [3, 3, 3, 3, 3]);
+});
+
+test('invalid specs and unknown columns are rejected', () => {
+  assert.throws(() => survivorship.normalize('Email: newest'), /Unknown merge rule "newest" for "Email". Use: complete, recent, frequent, source/);
+  assert.throws(() => survivorship.normalize('Email: recent'), /merge rule "recent" for "Email" needs "by" \(the date column\)/);
+  assert.throws(() => survivorship.normalize('Alamat: source by Sumber'), /merge rule "source" for "Alamat" needs "prefer"/);
+  assert.throws(() => survivorship.normalize('{ "default": '), /^Error: Invalid merge JSON/);
+  assert.throws(() => survivorship.resolve(survivorship.normalize('Gaji: frequent'), headers), /merge: column "Gaji" not found/);
+});
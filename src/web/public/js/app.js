@@ -20,8 +20,15 @@ const state = {
     clean: null,
     convert: null,
   },
+  tables: {
+    analyze: undefined,
+    clean: undefined,
+    convert: undefined,
+  },
   selectedTemplate: null,
   selectedFormat: null,
+  // Analysis request of the fix review (sent again with the accepted fixes)
+  review: null,
 };
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -33,6 +40,7 @@ document.addEventListener('DOMContentLoaded', () => {
   initUploadZones();
   initButtons();
   initFormatButtons();
+  initRecipes();
   loadTemplates();
 });
 
@@ -109,7 +117,7 @@ function initUploadZones() {
 
 async function handleFileSelect(zone, file) {
   // Validate file type
-  const validTypes = ['.xlsx', '.xls', '.csv'];
+  const validTypes = ['.xlsx', '.xls', '.ods', '.csv', '.tsv', '.json', '.ndjson', '.xml'];
   const ext = '.' + file.name.split('.').pop().toLowerCase();
   
   if (!validTypes.includes(ext)) {
@@ -118,8 +126,8 @@ async function handleFileSelect(zone, file) {
   }
   
   // Validate file size
-  if (file.size > 10 * 1024 * 1024) {
-    showToast('File too large. Maximum: 10MB', 'error');
+  if (file.size > 500 * 1024 * 1024) {
+    showToast('File too large. Maximum: 500MB', 'error');
     return;
   }
   
@@ -143,6 +151,9 @@ async function handleFileSelect(zone, file) {
   if (btnId) {
     document.getElementById(btnId).disabled = false;
   }
+  if (zone === 'analyze') {
+    document.getElementById('btnReviewFixes').disabled = false;
+  }
   
   // Upload file to server
   await uploadFile(zone, file);
@@ -167,9 +178,11 @@ async function uploadFile(zone, file) {
     }
     
     state.fileIds[zone] = result.fileId;
+    state.tables[zone] = undefined;
     
     // Show preview
     showPreview(result.preview);
+    showTableSelect(zone, result.tables || [], result.activeTable);
     showToast('File uploaded successfully', 'success');
     
     // Enable format buttons for convert tab
@@ -193,6 +206,9 @@ async function uploadFile(zone, file) {
 function initButtons() {
   // Analyze button
   document.getElementById('btnAnalyze')?.addEventListener('click', handleAnalyze);
+
+  // Review fixes button (propose → pick → apply)
+  document.getElementById('btnReviewFixes')?.addEventListener('click', handleReviewFixes);
   
   // Clean button
   document.getElementById('btnClean')?.addEventListener('click', handleClean);
@@ -216,14 +232,20 @@ async function handleAnalyze() {
   }
   
   const mode = document.getElementById('analyzeMode').value;
+  const rulesFile = document.getElementById('analyzeRules')?.files[0];
+  const impute = document.getElementById('analyzeImpute')?.value.trim() || undefined;
+  const merge = document.getElementById('analyzeMerge')?.value.trim() || undefined;
   
   showLoading('Analyzing data...');
   
   try {
+    // Optional validation rule file (JSON/YAML) is sent as text
+    const rules = rulesFile ? await rulesFile.text() : undefined;
+    
     const response = await fetch(`${API_BASE}/analyze`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ fileId, mode }),
+      body: JSON.stringify({ fileId, mode, rules, impute, merge, table: state.tables.analyze }),
     });
     
     const result = await response.json();
@@ -262,9 +284,15 @@ function displayAnalyzeResult(result) {
       <div class="progress-bar">
         <div class="progress-fill" style="width: ${qualityAfter}%"></div>
       </div>
-      <small>Improved from ${qualityBefore}% (+${qualityAfter - qualityBefore}%)</small>
+      <small>Before cleaning ${qualityBefore}% (${qualityAfter >= qualityBefore ? '+' : ''}${qualityAfter - qualityBefore}%)</small>
     </div>
     
+    ${result.analysis.rulesRun?.length > 0 ? `
+      <p style="color: var(--text-secondary); margin-bottom: 15px;">
+        Mode <strong>${escapeHtml(result.analysis.mode)}</strong>: ${result.analysis.rulesRun.map(r => escapeHtml(r.name)).join(', ')}
+      </p>
+    ` : ''}
+    
     <div class="stats-grid">
       <div class="stat-box">
         <div class="stat-value">${result.summary.originalRows.toLocaleString()}</div>
@@ -279,7 +307,7 @@ function displayAnalyzeResult(result) {
         <div class="stat-label">Rows Removed</div>
       </div>
       <div class="stat-box">
-        <div class="stat-value">${result.analysis.autoFixCount}</div>
+        <div class="stat-value">${result.summary.issuesFixed}</div>
         <div class="stat-label">Issues Fixed</div>
       </div>
     </div>
@@ -291,20 +319,178 @@ function displayAnalyzeResult(result) {
       </ul>
     ` : ''}
     
+    ${result.fixes?.some(f => !f.selected) ? `
+      <h4 style="margin-top: 20px;">⏭️ Skipped Fixes</h4>
+      <ul class="changes-list">
+        ${result.fixes.filter(f => !f.selected).map(f => `<li>${escapeHtml(f.message)}</li>`).join('')}
+      </ul>
+    ` : ''}
+    
     ${result.analysis.needsReviewCount > 0 ? `
       <div class="issue-category needs-review">
         <h4>⚠️ ${result.analysis.needsReviewCount} items need your review</h4>
       </div>
     ` : ''}
     
+    ${result.issues?.remaining?.length > 0 ? `
+      <h4 style="margin-top: 20px;">📌 Remaining after cleaning (${result.issues.remaining.length}, ${result.issues.resolved.length} resolved)</h4>
+      <ul class="changes-list">
+        ${result.issues.remaining.slice(0, 10).map(i => `<li>${escapeHtml(i.message)}${i.affectedRows < i.affectedRowsBefore ? ` (partly fixed: ${i.affectedRowsBefore} → ${i.affectedRows} rows)` : ''}</li>`).join('')}
+      </ul>
+    ` : ''}
+    
+    ${result.issues?.introduced?.length > 0 ? `
+      <h4 style="margin-top: 20px;">🆕 New after cleaning (${result.issues.introduced.length})</h4>
+      <ul class="changes-list">
+        ${result.issues.introduced.slice(0, 10).map(i => `<li>${escapeHtml(i.message)}</li>`).join('')}
+      </ul>
+    ` : ''}
+    
     <a href="${API_BASE}/download/${result.resultId}" 
        class="btn btn-download" 
        style="margin-top: 20px; display: inline-flex;">
       📥 Download Result
     </a>
+    ${result.patchOperations ? `
+      <a href="${API_BASE}/patch/${result.resultId}" 
+         class="btn btn-download" 
+         style="margin-top: 20px; display: inline-flex;"
+         title="Every change as JSON (row, column, old → new value, rule) for audit, replay or undo">
+        🧾 Download Patch (${result.patchOperations} changes)
+      </a>
+    ` : ''}
   `;
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// FIX REVIEW HANDLER
+// ─────────────────────────────────────────────────────────────────────────
+
+async function handleReviewFixes() {
+  const fileId = state.fileIds.analyze;
+  if (!fileId) {
+    showToast('Please upload a file first', 'warning');
+    return;
+  }
+
+  const mode = document.getElementById('analyzeMode').value;
+  const rulesFile = document.getElementById('analyzeRules')?.files[0];
+  const impute = document.getElementById('analyzeImpute')?.value.trim() || undefined;
+  const merge = document.getElementById('analyzeMerge')?.value.trim() || undefined;
+
+  showLoading('Looking for fixes...');
+
+  try {
+    const rules = rulesFile ? await rulesFile.text() : undefined;
+    const body = { fileId, mode, rules, impute, merge, table: state.tables.analyze };
+
+    const response = await fetch(`${API_BASE}/fixes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    state.review = body;
+    displayFixReview(result);
+
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+function displayFixReview(result) {
+  const container = document.getElementById('analyzeResult');
+  container.style.display = 'block';
+
+  // Group by category so a whole category can be switched on / off
+  const categories = {};
+  result.fixes.forEach(fix => {
+    (categories[fix.category] = categories[fix.category] || []).push(fix);
+  });
+
+  container.innerHTML = `
+    <div class="result-header">
+      <h3>🔍 Proposed Fixes</h3>
+      <span>Quality score now ${result.summary.qualityScore}%</span>
+    </div>
+
+    ${result.fixes.length === 0 ? `
+      <p style="color: var(--text-secondary);">No automatic fixes needed.</p>
+    ` : Object.entries(categories).map(([category, fixes]) => `
+      <label class="fix-category">
+        <input type="checkbox" class="fix-category-toggle" data-category="${escapeHtml(category)}" checked>
+        <strong>${escapeHtml(fixes[0].operation)}</strong> (${fixes.length})
+      </label>
+      <ul class="fix-list">
+        ${fixes.map(fix => `
+          <li>
+            <input type="checkbox" class="fix-toggle" value="${escapeHtml(fix.id)}" data-category="${escapeHtml(category)}" checked>
+            <div>
+              ${escapeHtml(fix.message)}
+              <small>${escapeHtml(fix.suggestion || '')} · ${fix.affectedRows} row(s)</small>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `).join('')}
+
+    ${result.summary.issuesNeedReview > 0 ? `
+      <div class="issue-category needs-review">
+        <h4>⚠️ ${result.summary.issuesNeedReview} items need your review (not fixed automatically)</h4>
+      </div>
+    ` : ''}
+
+    <button class="btn btn-success" id="btnApplyFixes">✅ Apply Selected Fixes</button>
+  `;
+
+  container.querySelectorAll('.fix-category-toggle').forEach(toggle => {
+    toggle.addEventListener('change', () => {
+      container.querySelectorAll(`.fix-toggle[data-category="${toggle.dataset.category}"]`)
+        .forEach(box => { box.checked = toggle.checked; });
+    });
+  });
+
+  document.getElementById('btnApplyFixes').addEventListener('click', handleApplyFixes);
+}
+
+async function handleApplyFixes() {
+  if (!state.review) return;
+
+  const fixes = [...document.querySelectorAll('#analyzeResult .fix-toggle:checked')].map(box => box.value);
+
+  showLoading('Applying selected fixes...');
+
+  try {
+    const response = await fetch(`${API_BASE}/fixes/apply`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...state.review, fixes }),
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    displayAnalyzeResult(result);
+    showToast(`${fixes.length} fix(es) applied`, 'success');
+
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // CLEAN HANDLER
 // ─────────────────────────────────────────────────────────────────────────
@@ -322,14 +508,15 @@ async function handleClean() {
     trimWhitespace: document.getElementById('optTrim').checked,
     textCase: document.getElementById('optTextCase').value || undefined,
   };
+  const recipeName = document.getElementById('optRecipe').value || undefined;
   
-  showLoading('Cleaning data...');
+  showLoading(recipeName ? `Running recipe "${recipeName}"...` : 'Cleaning data...');
   
   try {
     const response = await fetch(`${API_BASE}/clean`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ fileId, options }),
+      body: JSON.stringify({ fileId, options, recipeName, team: recipeTeam(), table: state.tables.clean }),
     });
     
     const result = await response.json();
@@ -371,14 +558,119 @@ function displayCleanResult(result) {
         <div class="stat-label">Total Changes</div>
       </div>
     </div>
+
+    ${result.recipe ? `
+      <h4>🧾 Recipe: ${escapeHtml(result.recipe)}</h4>
+      <ol class="changes-list">
+        ${result.steps.map(step => `<li>${escapeHtml(step.description)} - ${step.changes}</li>`).join('')}
+      </ol>
+    ` : ''}
     
     <a href="${API_BASE}/download/${result.resultId}" 
        class="btn btn-download">
       📥 Download Cleaned File
     </a>
+    ${result.patchOperations ? `
+      <a href="${API_BASE}/patch/${result.resultId}" class="btn btn-download">
+        🧾 Download Patch
+      </a>
+    ` : ''}
   `;
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// CLEANING RECIPES
+// ─────────────────────────────────────────────────────────────────────────
+
+function initRecipes() {
+  document.getElementById('optRecipe')?.addEventListener('change', showRecipe);
+  document.getElementById('optTeam')?.addEventListener('change', () => loadRecipes());
+  document.getElementById('recipeImport')?.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) handleRecipeImport(e.target.files[0]);
+    e.target.value = '';
+  });
+  loadRecipes();
+}
+
+/**
+ * Recipes are saved per team (same as the API's team field and the bot's server)
+ */
+function recipeTeam() {
+  return document.getElementById('optTeam')?.value.trim() || 'default';
+}
+
+async function loadRecipes(selected = '') {
+  try {
+    const response = await fetch(`${API_BASE}/recipes?team=${encodeURIComponent(recipeTeam())}`);
+    const result = await response.json();
+    if (!result.success) return;
+
+    const select = document.getElementById('optRecipe');
+    select.innerHTML = `
+      <option value="">No recipe (use the options)</option>
+      ${result.recipes.map(r => `<option value="${escapeHtml(r.name)}">${escapeHtml(r.name)}</option>`).join('')}
+    `;
+    select.value = selected;
+    showRecipe();
+  } catch (error) {
+    console.error('Failed to load recipes:', error);
+  }
+}
+
+/**
+ * Show the selected recipe's steps; a recipe replaces the basic options
+ */
+async function showRecipe() {
+  const name = document.getElementById('optRecipe').value;
+  const steps = document.getElementById('recipeSteps');
+  const exportLink = document.getElementById('recipeExport');
+
+  ['optDuplicates', 'optEmpty', 'optTrim', 'optTextCase'].forEach(id => {
+    document.getElementById(id).disabled = Boolean(name);
+  });
+
+  if (!name) {
+    steps.style.display = 'none';
+    exportLink.style.display = 'none';
+    return;
+  }
+
+  const recipeUrl = `${API_BASE}/recipes/${encodeURIComponent(recipeTeam())}/${encodeURIComponent(name)}`;
+  exportLink.href = `${recipeUrl}/export`;
+  exportLink.style.display = 'inline-flex';
+
+  const response = await fetch(recipeUrl);
+  const result = await response.json();
+  if (result.success) {
+    steps.innerHTML = result.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('');
+    steps.style.display = 'block';
+  }
+}
+
+async function handleRecipeImport(file) {
+  showLoading('Importing recipe...');
+
+  try {
+    const response = await fetch(`${API_BASE}/recipes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ team: recipeTeam(), recipe: await file.text() }),
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await loadRecipes(result.recipe.name);
+    showToast(`Recipe "${result.recipe.name}" saved`, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // CONVERT HANDLER
 // ─────────────────────────────────────────────────────────────────────────
@@ -402,7 +694,7 @@ async function handleConvert(format) {
     const response = await fetch(`${API_BASE}/convert`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ fileId, format }),
+      body: JSON.stringify({ fileId, format, table: state.tables.convert }),
     });
     
     const result = await response.json();
@@ -632,13 +924,37 @@ function displayTemplateResult(result) {
 // PREVIEW
 // ─────────────────────────────────────────────────────────────────────────
 
+// Sheets with several tables: pick the one to analyze / clean / convert
+function showTableSelect(zone, tables, activeTable) {
+  const select = document.getElementById('tableSelect');
+  
+  if (tables.length < 2) {
+    select.style.display = 'none';
+    select.onchange = null;
+    return;
+  }
+  
+  select.innerHTML = tables.map(t => `
+    <option value="${t.index}" ${t.index === activeTable ? 'selected' : ''}>
+      Table ${t.index} (${escapeHtml(t.range)}): ${escapeHtml(t.headers.slice(0, 3).join(', '))}${t.headers.length > 3 ? ', …' : ''} – ${t.rowCount} rows
+    </option>
+  `).join('');
+  select.style.display = 'inline-block';
+  select.onchange = () => {
+    state.tables[zone] = Number(select.value);
+  };
+}
+
 function showPreview(preview) {
   const section = document.getElementById('previewSection');
   const table = document.getElementById('previewTable');
   const info = document.getElementById('previewInfo');
   
   section.style.display = 'block';
-  info.textContent = `${preview.rowCount} rows × ${preview.columnCount} columns`;
+  // Large files are streamed: the row count is only known after processing
+  info.textContent = preview.rowCount === null
+    ? `Large file (processed in chunks) × ${preview.columnCount} columns`
+    : `${preview.rowCount} rows × ${preview.columnCount} columns`;
   
   let html = '<thead><tr>';
   preview.headers.forEach(h => {
@@ -700,5 +1016,6 @@ function formatBytes(bytes) {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // Quotes too: the result also goes into value="..." / data-*="..." attributes
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
               }
@@ -4,8 +4,11 @@
 
 const express = require('express');
 const multer = require('multer');
+const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { FILE, QUALITY_DIMENSIONS } = require('../../utils/constants');
+const helpers = require('../../utils/helpers');
 
 const router = express.Router();
 
@@ -28,10 +31,23 @@ function getEngine() {
 // MULTER CONFIGURATION
 // ─────────────────────────────────────────────────────────────────────────
 
-const storage = multer.memoryStorage();
+// Uploads go straight to disk: large files are streamed from there, never held in memory
+const UPLOAD_DIR = path.join(process.cwd(), 'temp');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.xlsx', '.xls', '.csv'];
+  const allowedTypes = {
+    rules: ['.json', '.yaml', '.yml'],
+    rates: ['.json', '.yaml', '.yml', '.csv'],
+  }[file.fieldname] || FILE.ALLOWED_EXTENSIONS;
   const ext = path.extname(file.originalname).toLowerCase();
   
   if (allowedTypes.includes(ext)) {
@@ -44,7 +60,7 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage,
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 },
+  limits: { fileSize: FILE.MAX_SIZE },
 });
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -59,6 +75,7 @@ setInterval(() => {
   
   for (const [id, data] of fileStore.entries()) {
     if (now - data.timestamp > maxAge) {
+      if (data.path) fs.unlink(data.path, () => {});
       fileStore.delete(id);
     }
   }
@@ -72,6 +89,120 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// ─────────────────────────────────────────────────────────────────────────
+// HELPER: Stored file as engine input (uploads are temp paths, small results buffers)
+// ─────────────────────────────────────────────────────────────────────────
+
+function fileInput(fileData) {
+  return fileData.path || fileData.buffer;
+}
+
+/**
+ * Delete the temp files of an upload request (rejected uploads)
+ */
+function removeUploads(req) {
+  Object.values(req.files || {}).flat().forEach(file => fs.unlink(file.path, () => {}));
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// HELPER: Resolve validation rules from request body or uploaded file
+// ─────────────────────────────────────────────────────────────────────────
+
+function resolveValidationRules(eng, body, fileData) {
+  const { rules, ruleSet, team } = body;
+
+  if (rules || ruleSet) {
+    return eng.loadValidationRules({ rules, ruleSet, team });
+  }
+
+  if (fileData?.rules) {
+    return eng.loadValidationRules({ rules: fileData.rules.content, fileName: fileData.rules.fileName });
+  }
+
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// HELPER: Resolve exchange rates from request body or uploaded file
+// ─────────────────────────────────────────────────────────────────────────
+
+function resolveRateTable(eng, body, fileData) {
+  const { rates, rateTable, team } = body;
+
+  if (rates || rateTable) {
+    return eng.loadRateTable({ rates, rateTable, team });
+  }
+
+  if (fileData?.rates) {
+    return eng.loadRateTable({ rates: fileData.rates.content, fileName: fileData.rates.fileName });
+  }
+
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// HELPER: Resolve a cleaning patch (JSON body, or the patch kept with a result)
+// ─────────────────────────────────────────────────────────────────────────
+
+function resolvePatch(body, fileData) {
+  const { patch, patchId } = body;
+
+  if (patch !== undefined) {
+    try {
+      return typeof patch === 'string' ? JSON.parse(patch) : patch;
+    } catch (error) {
+      throw new Error(`Invalid patch JSON: ${error.message}`);
+    }
+  }
+
+  if (patchId) {
+    const result = fileStore.get(patchId);
+    if (!result?.patch) throw new Error('Patch not found or expired');
+    return result.patch;
+  }
+
+  if (fileData.patch) return fileData.patch;
+
+  throw new Error('No patch: send patch (JSON) or patchId (resultId of /analyze or /clean)');
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// HELPER: Table number (sheets with several tables)
+// ─────────────────────────────────────────────────────────────────────────
+
+function isValidTable(table) {
+  return table === undefined || table === null || table === '' || (Number.isInteger(Number(table)) && Number(table) >= 1);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// HELPER: CSV dialect overrides (encoding, delimiter, quote, decimal)
+// ─────────────────────────────────────────────────────────────────────────
+
+const CSV_OVERRIDES = {
+  encoding: ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'],
+  delimiter: [',', ';', '\t', '|'],
+  quote: ['"', "'"],
+  decimal: [',', '.'],
+};
+
+function resolveCsvOptions(body) {
+  const csvOptions = {};
+
+  for (const [key, allowed] of Object.entries(CSV_OVERRIDES)) {
+    let value = body?.[key];
+    if (value === undefined || value === '') continue;
+    if (key === 'delimiter' && value === '\\t') value = '\t';
+    if (key === 'encoding') value = String(value).toLowerCase();
+
+    if (!allowed.includes(value)) {
+      throw new Error(`${key} must be one of: ${allowed.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    csvOptions[key] = value;
+  }
+
+  return csvOptions;
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // ROUTES
 // ─────────────────────────────────────────────────────────────────────────
@@ -90,28 +221,92 @@ router.get('/health', (req, res) => {
 
 /**
  * POST /api/upload
+ * Fields: file (any FILE.ALLOWED_EXTENSIONS), rules (optional .json/.yaml validation rules),
+ *         rates (optional .json/.yaml/.csv exchange rates),
+ *         encoding / delimiter / quote / decimal (optional CSV overrides)
  */
-router.post('/upload', upload.single('file'), asyncHandler(async (req, res) => {
-  if (!req.file) {
+router.post('/upload', upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'rules', maxCount: 1 },
+  { name: 'rates', maxCount: 1 },
+]), asyncHandler(async (req, res) => {
+  const file = req.files?.file?.[0];
+  const rulesFile = req.files?.rules?.[0];
+  const ratesFile = req.files?.rates?.[0];
+
+  if (!file) {
+    removeUploads(req);
     return res.status(400).json({ success: false, error: 'No file uploaded' });
   }
 
-  console.log(`[API] Upload: ${req.file.originalname} (${req.file.size} bytes)`);
+  console.log(`[API] Upload: ${file.originalname} (${file.size} bytes)`);
+
+  let csvOptions;
+  try {
+    csvOptions = resolveCsvOptions(req.body);
+  } catch (error) {
+    removeUploads(req);
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
   const eng = getEngine();
   const fileId = uuidv4();
-  const parsed = eng.fileParser.parse(req.file.buffer, {
-    fileName: req.file.originalname,
-  });
+  const parseOptions = { fileName: file.originalname, ...csvOptions };
+
+  // Large files: preview the first chunk only, the rest is streamed per operation
+  let parsed;
+  try {
+    parsed = eng.shouldStream(file.path, parseOptions)
+      ? await eng.fileParser.peek(file.path, parseOptions)
+      : eng.fileParser.parse(file.path, parseOptions);
+  } catch (error) {
+    removeUploads(req);
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
   if (!parsed.success) {
+    removeUploads(req);
     return res.status(400).json({ success: false, error: parsed.error });
   }
 
+  // Rule and rate files are only kept as text: read them and remove their uploads once
+  const [rulesContent, ratesContent] = [rulesFile, ratesFile].map(side => {
+    if (!side) return null;
+    const content = fs.readFileSync(side.path, 'utf-8');
+    fs.unlink(side.path, () => {});
+    return content;
+  });
+
+  // Validate rule file now so the user gets feedback at upload time
+  let rules = null;
+  if (rulesFile) {
+    try {
+      const schema = eng.loadValidationRules({ rules: rulesContent, fileName: rulesFile.originalname });
+      rules = { content: rulesContent, fileName: rulesFile.originalname, name: schema.name };
+    } catch (error) {
+      fs.unlink(file.path, () => {});
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  let rates = null;
+  if (ratesFile) {
+    try {
+      const table = eng.loadRateTable({ rates: ratesContent, fileName: ratesFile.originalname });
+      rates = { content: ratesContent, fileName: ratesFile.originalname, name: table.name };
+    } catch (error) {
+      fs.unlink(file.path, () => {});
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
   fileStore.set(fileId, {
-    buffer: req.file.buffer,
-    fileName: req.file.originalname,
+    path: file.path,
+    fileName: file.originalname,
     parsed,
+    rules,
+    rates,
+    csvOptions,
     timestamp: Date.now(),
   });
 
@@ -120,37 +315,92 @@ router.post('/upload', upload.single('file'), asyncHandler(async (req, res) => {
   res.json({
     success: true,
     fileId,
-    fileName: req.file.originalname,
-    fileSize: req.file.size,
+    fileName: file.originalname,
+    fileSize: file.size,
     preview: {
       headers: parsed.headers,
       data: parsed.data.slice(0, 10),
       rowCount: parsed.rowCount,
       columnCount: parsed.columnCount,
+      tableBounds: parsed.tableBounds,
     },
+    tables: parsed.tables,
+    activeTable: parsed.activeTable,
+    streaming: Boolean(parsed.streaming),
+    format: parsed.format,
+    dialect: parsed.dialect,
     columnTypes: parsed.columnTypes,
+    rules: rules ? rules.name : null,
+    rates: rates ? rates.name : null,
   });
 }));
 
+// ─────────────────────────────────────────────────────────────────────────
+// HELPER: Analysis options shared by /analyze and /fixes
+// ─────────────────────────────────────────────────────────────────────────
+
 /**
- * POST /api/analyze
+ * Validate the analysis body fields and build engine options (throws on invalid input)
  */
-router.post('/analyze', asyncHandler(async (req, res) => {
-  const { fileId, mode = 'auto' } = req.body;
+function resolveAnalyzeOptions(eng, body, fileData) {
+  const { mode = 'auto', table, fuzzyColumns, qualityWeights, aggregateRows, timezone } = body;
 
-  if (!fileId || !fileStore.has(fileId)) {
-    return res.status(400).json({ success: false, error: 'File not found. Please upload again.' });
+  if (!isValidTable(table)) {
+    throw new Error('table must be a table number (1, 2, ...)');
   }
 
-  console.log(`[API] Analyze: ${fileId}, mode: ${mode}`);
+  // Per-column similarity thresholds for fuzzy duplicates: { "Nama": 0.9, "Email": 1 }
+  if (fuzzyColumns !== undefined && (
+    typeof fuzzyColumns !== 'object' || Array.isArray(fuzzyColumns) ||
+    Object.values(fuzzyColumns).some(t => typeof t !== 'number' || t <= 0 || t > 1)
+  )) {
+    throw new Error('fuzzyColumns must map column names to thresholds between 0 and 1');
+  }
 
-  const fileData = fileStore.get(fileId);
-  const eng = getEngine();
-  
-  const result = await eng.process(fileData.buffer, {
+  // Scorecard weights per dimension: { "accuracy": 0.4, "timeliness": 0 }
+  if (qualityWeights !== undefined && (
+    typeof qualityWeights !== 'object' || Array.isArray(qualityWeights) ||
+    Object.entries(qualityWeights).some(([dim, w]) => !QUALITY_DIMENSIONS[dim] || typeof w !== 'number' || w < 0)
+  )) {
+    throw new Error(`qualityWeights must map ${Object.keys(QUALITY_DIMENSIONS).join(', ')} to non-negative numbers`);
+  }
+
+  if (aggregateRows !== undefined && !['sheet', 'remove', 'keep'].includes(aggregateRows)) {
+    throw new Error('aggregateRows must be one of: sheet, remove, keep');
+  }
+
+  // Target zone for date/times: WIB, WITA, WIT or an offset (+07:00)
+  if (timezone !== undefined && timezone !== '' && (typeof timezone !== 'string' || helpers.timezoneOffset(timezone) === null)) {
+    throw new Error('timezone must be WIB, WITA, WIT, UTC or an offset like +07:00');
+  }
+
+  // Fill strategies for empty cells: { "Harga": "median" } or "Harga: median; Stok: ffill group Gudang"
+  const impute = eng.imputation.normalize(body.impute);
+
+  // Merge fuzzy duplicate groups: true, { default, columns } or "*: complete; Email: recent by Diperbarui"
+  const merge = eng.survivorship.normalize(body.merge);
+
+  return {
     fileName: fileData.fileName,
+    ...fileData.csvOptions,
     mode,
-  });
+    validationRules: resolveValidationRules(eng, body, fileData),
+    fuzzyColumns,
+    qualityWeights,
+    aggregateRows,
+    timezone: timezone || undefined,
+    rateTable: resolveRateTable(eng, body, fileData),
+    impute: impute || undefined,
+    merge: merge || undefined,
+    table,
+  };
+}
+
+/**
+ * Run the full pipeline and send the analyze response (all fixes, or only the accepted ones)
+ */
+async function sendAnalysis(res, eng, fileData, options) {
+  const result = await eng.process(fileInput(fileData), options);
 
   if (!result.success) {
     console.error(`[API] Analyze failed:`, result.error);
@@ -160,7 +410,9 @@ router.post('/analyze', asyncHandler(async (req, res) => {
   const resultId = uuidv4();
   fileStore.set(resultId, {
     buffer: result.output.buffer,
+    path: result.output.path,
     fileName: result.output.filename,
+    patch: result.patch,
     timestamp: Date.now(),
   });
 
@@ -174,40 +426,176 @@ router.post('/analyze', asyncHandler(async (req, res) => {
     summary: result.summary,
     stages: result.stages,
     analysis: {
+      mode: result.analysis?.mode,
+      rulesRun: result.analysis?.rulesRun || [],
       qualityScore: result.analysis?.qualityScore,
       totalIssues: result.analysis?.totalIssues || 0,
       autoFixCount: result.analysis?.autoFixCount || 0,
       needsReviewCount: result.analysis?.needsReviewCount || 0,
       criticalCount: result.analysis?.criticalCount || 0,
+      duplicateClusters: result.analysis?.issues?.find(i => i.type === 'duplicate_fuzzy')?.clusters || [],
+      relations: result.analysis?.relations || [],
+    },
+    afterAnalysis: {
+      qualityScore: result.afterAnalysis?.qualityScore,
+      totalIssues: result.afterAnalysis?.totalIssues || 0,
     },
+    issues: {
+      resolved: result.issueDiff?.resolved || [],
+      remaining: result.issueDiff?.remaining || [],
+      partial: result.issueDiff?.partial || [],
+      introduced: result.issueDiff?.introduced || [],
+    },
+    fixes: result.fixes || [],
     changes: (result.changes || []).filter(c => c.type === 'SUMMARY'),
+    patchOperations: result.patch ? result.patch.operations.length : null,
   });
+}
+
+/**
+ * POST /api/analyze
+ * Body: { fileId, mode, table?, rules?, ruleSet?, team?, fuzzyColumns?, qualityWeights?, aggregateRows?, timezone?,
+ *         rates? (exchange rates text/object), rateTable? (stored rate table name),
+ *         impute? (fill strategies per column, JSON or "Harga: median; Stok: ffill group Gudang order Tanggal"),
+ *         merge? (survivorship rules for fuzzy duplicate groups, true or "*: complete; Email: recent by Diperbarui") }
+ * Applies every auto-fix; use /api/fixes + /api/fixes/apply to review them first.
+ */
+router.post('/analyze', asyncHandler(async (req, res) => {
+  const { fileId, mode = 'auto' } = req.body;
+
+  if (!fileId || !fileStore.has(fileId)) {
+    return res.status(400).json({ success: false, error: 'File not found. Please upload again.' });
+  }
+
+  console.log(`[API] Analyze: ${fileId}, mode: ${mode}`);
+
+  const fileData = fileStore.get(fileId);
+  const eng = getEngine();
+
+  let options;
+  try {
+    options = resolveAnalyzeOptions(eng, req.body, fileData);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  await sendAnalysis(res, eng, fileData, options);
+}));
+
+/**
+ * POST /api/fixes
+ * Body: same as /api/analyze. Analyzes only and returns the proposed fixes:
+ *   [{ id, category, operation, column, message, suggestion, affectedRows }]
+ * Ids are stable for the same file and options, so they can be sent to /api/fixes/apply.
+ */
+router.post('/fixes', asyncHandler(async (req, res) => {
+  const { fileId } = req.body;
+
+  if (!fileId || !fileStore.has(fileId)) {
+    return res.status(400).json({ success: false, error: 'File not found. Please upload again.' });
+  }
+
+  console.log(`[API] Propose fixes: ${fileId}`);
+
+  const fileData = fileStore.get(fileId);
+  const eng = getEngine();
+
+  let options;
+  try {
+    options = resolveAnalyzeOptions(eng, req.body, fileData);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const proposal = await eng.propose(fileInput(fileData), options);
+  if (!proposal.success) {
+    return res.status(400).json({ success: false, error: proposal.error });
+  }
+
+  res.json({
+    success: true,
+    fileId,
+    totalTime: proposal.totalTimeFormatted,
+    summary: proposal.summary,
+    fixes: proposal.fixes.map(({ selected, ...fix }) => fix),
+    needsReview: proposal.analysis.categorizedIssues?.needsReview || [],
+  });
+}));
+
+/**
+ * POST /api/fixes/apply
+ * Body: same as /api/analyze + { fixes: [fix ids and/or categories to apply] }
+ * Fixes that are not listed are rejected. Response is the /api/analyze response.
+ */
+router.post('/fixes/apply', asyncHandler(async (req, res) => {
+  const { fileId, fixes } = req.body;
+
+  if (!fileId || !fileStore.has(fileId)) {
+    return res.status(400).json({ success: false, error: 'File not found. Please upload again.' });
+  }
+
+  if (!Array.isArray(fixes) || fixes.some(f => typeof f !== 'string')) {
+    return res.status(400).json({ success: false, error: 'fixes must be a list of fix ids or categories (see /api/fixes)' });
+  }
+
+  console.log(`[API] Apply fixes: ${fileId} (${fixes.length} selected)`);
+
+  const fileData = fileStore.get(fileId);
+  const eng = getEngine();
+
+  let options;
+  try {
+    options = resolveAnalyzeOptions(eng, req.body, fileData);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  await sendAnalysis(res, eng, fileData, { ...options, fixes });
 }));
 
 /**
  * POST /api/clean
+ * Body: { fileId, table?, options? (basic cleaning),
+ *         recipe? (recipe JSON text/object) | recipeName? (saved recipe) + team? } - a recipe replaces options
  */
 router.post('/clean', asyncHandler(async (req, res) => {
-  const { fileId, options = {} } = req.body;
+  const { fileId, table, options = {}, recipe, recipeName, team } = req.body;
 
   if (!fileId || !fileStore.has(fileId)) {
     return res.status(400).json({ success: false, error: 'File not found' });
   }
 
+  if (!isValidTable(table)) {
+    return res.status(400).json({ success: false, error: 'table must be a table number (1, 2, ...)' });
+  }
+
   console.log(`[API] Clean: ${fileId}`);
 
   const fileData = fileStore.get(fileId);
   const eng = getEngine();
   
-  const result = await eng.quickClean(fileData.buffer, {
-    fileName: fileData.fileName,
-    ...options,
-  });
+  // Output is always a workbook, whatever the input format
+  const outputFileName = `cleaned_${fileData.fileName.replace(/\.[^/.]+$/, '')}.xlsx`;
+
+  let result;
+  try {
+    result = await eng.quickClean(fileInput(fileData), {
+      fileName: fileData.fileName,
+      ...fileData.csvOptions,
+      ...options,
+      recipe: eng.loadRecipe({ recipe, recipeName, team }),
+      table,
+    });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
   const resultId = uuidv4();
   fileStore.set(resultId, {
     buffer: result.buffer,
-    fileName: `cleaned_${fileData.fileName}`,
+    path: result.path,
+    fileName: outputFileName,
+    patch: result.patch,
     timestamp: Date.now(),
   });
 
@@ -216,30 +604,126 @@ router.post('/clean', asyncHandler(async (req, res) => {
   res.json({
     success: true,
     resultId,
-    fileName: `cleaned_${fileData.fileName}`,
+    fileName: outputFileName,
     stats: result.stats,
     changes: result.changes,
+    recipe: result.recipe,
+    steps: result.steps,
+    patchOperations: result.patch ? result.patch.operations.length : null,
   });
 }));
 
+// ─────────────────────────────────────────────────────────────────────────
+// PATCH: Structured change log of a cleaning run (replay / undo)
+// ─────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/patch/:id
+ * Download the patch of an /analyze or /clean result as JSON:
+ *   { version, rowKey, source, headers, rowKeys, operations: [{ op, row, column, oldValue, newValue, rule }] }
+ */
+router.get('/patch/:id', (req, res) => {
+  const fileData = fileStore.get(req.params.id);
+
+  if (!fileData?.patch) {
+    return res.status(404).json({ success: false, error: 'Patch not found or expired (large files cleaned in chunks have no patch)' });
+  }
+
+  // Result names carry the input extension too ("analyzed_data.csv.xlsx")
+  const fileName = `patch_${fileData.fileName.replace(/(\.[a-z0-9]+)+$/i, '')}.json`;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(JSON.stringify(fileData.patch, null, 2));
+});
+
+/**
+ * Replay (original file) or undo (cleaned file) a patch and store the output
+ */
+async function sendPatchResult(req, res, mode) {
+  const { fileId } = req.body;
+
+  if (!fileId || !fileStore.has(fileId)) {
+    return res.status(400).json({ success: false, error: 'File not found. Please upload again.' });
+  }
+
+  const fileData = fileStore.get(fileId);
+  const eng = getEngine();
+  const options = { fileName: fileData.fileName, ...fileData.csvOptions };
+
+  let result;
+  try {
+    const patch = resolvePatch(req.body, fileData);
+    result = mode === 'undo'
+      ? await eng.undoPatch(fileInput(fileData), patch, options)
+      : await eng.applyPatch(fileInput(fileData), patch, options);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const prefix = mode === 'undo' ? 'restored' : 'replayed';
+  const outputFileName = `${prefix}_${fileData.fileName.replace(/(\.[a-z0-9]+)+$/i, '')}.xlsx`;
+  const resultId = uuidv4();
+  fileStore.set(resultId, {
+    buffer: result.buffer,
+    fileName: outputFileName,
+    timestamp: Date.now(),
+  });
+
+  console.log(`[API] Patch ${mode} complete: ${resultId} (${result.stats.applied}/${result.stats.operations} applied)`);
+
+  res.json({
+    success: true,
+    resultId,
+    fileName: outputFileName,
+    stats: result.stats,
+    conflicts: result.conflicts,
+  });
+}
+
+/**
+ * POST /api/patch/apply
+ * Body: { fileId (original upload), patch? (JSON) | patchId? (resultId of /analyze or /clean) }
+ * Replays the patch on a fresh copy of the original; cells that no longer hold the old value are conflicts.
+ */
+router.post('/patch/apply', asyncHandler(async (req, res) => {
+  console.log(`[API] Patch apply: ${req.body.fileId}`);
+  await sendPatchResult(req, res, 'apply');
+}));
+
+/**
+ * POST /api/patch/undo
+ * Body: { fileId (cleaned file: an uploaded one or the resultId itself), patch? | patchId? }
+ * Restores old values and removed rows; cells edited after cleaning are conflicts.
+ */
+router.post('/patch/undo', asyncHandler(async (req, res) => {
+  console.log(`[API] Patch undo: ${req.body.fileId}`);
+  await sendPatchResult(req, res, 'undo');
+}));
+
 /**
  * POST /api/convert
  */
 router.post('/convert', asyncHandler(async (req, res) => {
-  const { fileId, format } = req.body;
+  const { fileId, format, table } = req.body;
 
   if (!fileId || !fileStore.has(fileId)) {
     return res.status(400).json({ success: false, error: 'File not found' });
   }
 
+  if (!isValidTable(table)) {
+    return res.status(400).json({ success: false, error: 'table must be a table number (1, 2, ...)' });
+  }
+
   console.log(`[API] Convert: ${fileId} to ${format}`);
 
   const fileData = fileStore.get(fileId);
   const eng = getEngine();
   
-  const result = await eng.convert(fileData.buffer, format, {
+  const result = await eng.convert(fileInput(fileData), format, {
     fileName: fileData.fileName,
+    ...fileData.csvOptions,
     pretty: true,
+    table,
   });
 
   const extensions = {
@@ -250,9 +734,11 @@ router.post('/convert', asyncHandler(async (req, res) => {
   const baseName = fileData.fileName.replace(/\.[^/.]+$/, '');
   const outputFileName = `${baseName}${extensions[format]}`;
 
+  // Streamed conversions are written to disk (result.path) instead of result.output
   const resultId = uuidv4();
   fileStore.set(resultId, {
-    buffer: Buffer.from(result.output, 'utf-8'),
+    buffer: result.path ? undefined : Buffer.from(result.output, 'utf-8'),
+    path: result.path,
     fileName: outputFileName,
     timestamp: Date.now(),
   });
@@ -264,7 +750,7 @@ router.post('/convert', asyncHandler(async (req, res) => {
     resultId,
     fileName: outputFileName,
     format,
-    preview: result.output.substring(0, 500),
+    preview: result.path ? result.preview : result.output.substring(0, 500),
   });
 }));
 
@@ -321,14 +807,23 @@ router.post('/format', asyncHandler(async (req, res) => {
   const fileData = fileStore.get(fileId);
   const eng = getEngine();
   
-  const result = await eng.applyFormat(fileData.buffer, instructions, {
-    fileName: fileData.fileName,
-  });
+  // Output is always a workbook, whatever the input format
+  const outputFileName = `formatted_${fileData.fileName.replace(/\.[^/.]+$/, '')}.xlsx`;
+
+  let result;
+  try {
+    result = await eng.applyFormat(fileInput(fileData), instructions, {
+      fileName: fileData.fileName,
+      ...fileData.csvOptions,
+    });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
   const resultId = uuidv4();
   fileStore.set(resultId, {
     buffer: result.buffer,
-    fileName: `formatted_${fileData.fileName}`,
+    fileName: outputFileName,
     timestamp: Date.now(),
   });
 
@@ -337,7 +832,7 @@ router.post('/format', asyncHandler(async (req, res) => {
   res.json({
     success: true,
     resultId,
-    fileName: `formatted_${fileData.fileName}`,
+    fileName: outputFileName,
     instructionsApplied: result.instructionsApplied,
     instructions: result.instructions,
   });
@@ -388,6 +883,208 @@ router.get('/templates', (req, res) => {
   }
 });
 
+/**
+ * GET /api/rules?team=
+ */
+router.get('/rules', (req, res) => {
+  const eng = getEngine();
+  const team = req.query.team || 'default';
+  res.json({ success: true, team, ruleSets: eng.ruleStore.list(team) });
+});
+
+/**
+ * GET /api/rules/:team/:name
+ */
+router.get('/rules/:team/:name', (req, res) => {
+  const eng = getEngine();
+  const ruleSet = eng.ruleStore.get(req.params.team, req.params.name);
+
+  if (!ruleSet) {
+    return res.status(404).json({ success: false, error: 'Rule set not found' });
+  }
+
+  res.json({ success: true, ruleSet });
+});
+
+/**
+ * POST /api/rules
+ * Body: { team, name, rules (JSON/YAML text or object) }
+ */
+router.post('/rules', (req, res) => {
+  const { team = 'default', name, rules } = req.body;
+
+  if (!name || !rules) {
+    return res.status(400).json({ success: false, error: 'Rule set name and rules are required' });
+  }
+
+  const eng = getEngine();
+
+  try {
+    const saved = eng.saveRuleSet(team, name, rules);
+    console.log(`[API] Rule set saved: ${team}/${name}`);
+    res.json({ success: true, ruleSet: saved });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/rules/:team/:name
+ */
+router.delete('/rules/:team/:name', (req, res) => {
+  const eng = getEngine();
+  const deleted = eng.ruleStore.delete(req.params.team, req.params.name);
+
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Rule set not found' });
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/rates?team=
+ */
+router.get('/rates', (req, res) => {
+  const eng = getEngine();
+  const team = req.query.team || 'default';
+  res.json({ success: true, team, rateTables: eng.rateStore.list(team) });
+});
+
+/**
+ * GET /api/rates/:team/:name
+ */
+router.get('/rates/:team/:name', (req, res) => {
+  const eng = getEngine();
+  const rateTable = eng.rateStore.get(req.params.team, req.params.name);
+
+  if (!rateTable) {
+    return res.status(404).json({ success: false, error: 'Rate table not found' });
+  }
+
+  res.json({ success: true, rateTable });
+});
+
+/**
+ * POST /api/rates
+ * Body: { team, name, rates (JSON/YAML/CSV text or { base, rates } object) }
+ */
+router.post('/rates', (req, res) => {
+  const { team = 'default', name, rates } = req.body;
+
+  if (!name || !rates) {
+    return res.status(400).json({ success: false, error: 'Rate table name and rates are required' });
+  }
+
+  const eng = getEngine();
+
+  try {
+    const saved = eng.saveRateTable(team, name, rates);
+    console.log(`[API] Rate table saved: ${team}/${name}`);
+    res.json({ success: true, rateTable: saved });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/rates/:team/:name
+ */
+router.delete('/rates/:team/:name', (req, res) => {
+  const eng = getEngine();
+  const deleted = eng.rateStore.delete(req.params.team, req.params.name);
+
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Rate table not found' });
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/recipes?team=
+ */
+router.get('/recipes', (req, res) => {
+  const eng = getEngine();
+  const team = req.query.team || 'default';
+  res.json({ success: true, team, recipes: eng.recipeStore.list(team) });
+});
+
+/**
+ * GET /api/recipes/:team/:name
+ */
+router.get('/recipes/:team/:name', (req, res) => {
+  const eng = getEngine();
+  const recipe = eng.recipeStore.get(req.params.team, req.params.name);
+
+  if (!recipe) {
+    return res.status(404).json({ success: false, error: 'Recipe not found' });
+  }
+
+  res.json({
+    success: true,
+    recipe,
+    steps: recipe.value.steps.map(step => eng.recipeSchema.describeStep(step)),
+  });
+});
+
+/**
+ * GET /api/recipes/:team/:name/export
+ * Recipe as a JSON file ({ name, description, steps }), importable with POST /api/recipes
+ */
+router.get('/recipes/:team/:name/export', (req, res) => {
+  const eng = getEngine();
+
+  let recipe;
+  try {
+    recipe = eng.exportRecipe(req.params.team, req.params.name);
+  } catch (error) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  const fileName = `recipe_${req.params.name.replace(/[^\w-]+/g, '_')}.json`;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(JSON.stringify(recipe, null, 2));
+});
+
+/**
+ * POST /api/recipes
+ * Body: { team, name? (default: the recipe's name), recipe (JSON/YAML text or { name, steps } object) }
+ * Saves or imports a recipe; an existing recipe with the same name is replaced.
+ */
+router.post('/recipes', (req, res) => {
+  const { team = 'default', name, recipe } = req.body;
+
+  if (!recipe) {
+    return res.status(400).json({ success: false, error: 'recipe is required' });
+  }
+
+  const eng = getEngine();
+
+  try {
+    const saved = eng.saveRecipe(team, name, recipe);
+    console.log(`[API] Recipe saved: ${team}/${saved.name}`);
+    res.json({ success: true, recipe: saved });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/recipes/:team/:name
+ */
+router.delete('/recipes/:team/:name', (req, res) => {
+  const eng = getEngine();
+  const deleted = eng.recipeStore.delete(req.params.team, req.params.name);
+
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Recipe not found' });
+  }
+
+  res.json({ success: true });
+});
+
 /**
  * GET /api/download/:id
  */
@@ -399,6 +1096,10 @@ router.get('/download/:id', (req, res) => {
   }
 
   const fileData = fileStore.get(id);
+
+  if (fileData.path) {
+    return res.download(fileData.path, fileData.fileName);
+  }
   
   res.setHeader('Content-Type', 'application/octet-stream');
   res.setHeader('Content-Disposition', `attachment; filename="${fileData.fileName}"`);
@@ -414,7 +1115,7 @@ router.use((err, req, res, next) => {
   
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ success: false, error: 'File too large. Maximum 10MB.' });
+      return res.status(400).json({ success: false, error: `File too large. Maximum ${FILE.MAX_SIZE / 1024 / 1024}MB.` });
     }
   }
   